@@ -1,8 +1,20 @@
 import { describe, it, expect } from 'vitest';
+import { CURRENT_SCORE_VERSION } from '@stillnoob/shared';
 import {
+  buildProgression,
   calculateStillNoobScore,
+  compareToSpecPeers,
   detectPlayerLevel,
+  extractScoreInputs,
   generateRecommendations,
+  measureBuffUptimes,
+  measureCooldownUsage,
+  measurePhaseBreakdown,
+  measureTankMitigation,
+  summarizeCooldownUsage,
+  summarizeDeath,
+  summarizePhaseBreakdown,
+  summarizeUtilityBreakdown,
 } from '../services/analysis.js';
 
 // ─── Helpers ─────────────────────────────────────────────────
@@ -54,6 +66,491 @@ function makeBoss(overrides = {}) {
   };
 }
 
+// ═══════════════════════════════════════════════════════════════
+//  measureBuffUptimes
+// ═══════════════════════════════════════════════════════════════
+
+describe('measureBuffUptimes', () => {
+  const window = { startTime: 10000, endTime: 110000 };
+  const buff = (timestamp, type, abilityName, targetID = 1) => ({
+    timestamp,
+    type,
+    targetID,
+    abilityName,
+  });
+
+  it('adds up apply/remove intervals per category', () => {
+    const uptimes = measureBuffUptimes(
+      [
+        buff(20000, 'applybuff', 'Bloodlust'),
+        buff(60000, 'removebuff', 'Bloodlust'),
+        buff(30000, 'applybuff', 'Power Infusion'),
+        buff(45000, 'removebuff', 'Power Infusion'),
+        buff(50000, 'applybuff', 'Combustion'),
+      ],
+      window,
+    );
+    expect(uptimes).toEqual({ 1: { bloodlust: 40, powerInfusion: 15 } });
+  });
+
+  it('counts buffs up at pull from the start and open buffs to the end', () => {
+    const uptimes = measureBuffUptimes(
+      [
+        buff(35000, 'removebuff', 'Flask of Alchemical Chaos'),
+        buff(85000, 'applybuff', 'Flask of Alchemical Chaos'),
+        buff(60000, 'removebuff', 'Well Fed', 2),
+      ],
+      window,
+      { 1: new Set(['flask', 'augmentRune']) },
+    );
+    expect(uptimes[1]).toEqual({ flask: 50, augmentRune: 100 });
+    // Removed without an apply in the fight: it was up at pull
+    expect(uptimes[2]).toEqual({ food: 50 });
+  });
+
+  it('returns nothing for a fight without duration', () => {
+    expect(measureBuffUptimes([], { startTime: 5000, endTime: 5000 })).toEqual({});
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  measureTankMitigation
+// ═══════════════════════════════════════════════════════════════
+
+describe('measureTankMitigation', () => {
+  const window = { startTime: 10000, endTime: 110000 };
+  const shieldBlock = { name: 'Shield Block', buffIds: [132404] };
+  const aura = (timestamp, type, targetID = 1) => ({
+    timestamp,
+    type,
+    targetID,
+    abilityGameID: 132404,
+  });
+  const event = (timestamp, amount, hitPoints, sourceID = -1, targetID = 1) => ({
+    timestamp,
+    sourceID,
+    targetID,
+    amount,
+    hitPoints,
+    maxHitPoints: 1000,
+  });
+
+  it('splits damage taken by whether active mitigation was up', () => {
+    const result = measureTankMitigation(
+      1,
+      {
+        buffs: [aura(20000, 'applybuff'), aura(50000, 'removebuff'), aura(20000, 'applybuff', 2)],
+        damage: [event(30000, 300, 700), event(60000, 100, 600), event(70000, 500, 900, -1, 2)],
+      },
+      shieldBlock,
+      window,
+    );
+    expect(result.amUptimePct).toBe(30);
+    expect(result.unmitigatedDamagePct).toBe(25);
+  });
+
+  it('measures self-healing share and time below the low health threshold', () => {
+    const result = measureTankMitigation(
+      1,
+      {
+        damage: [event(20000, 800, 200), event(90000, 900, 0)],
+        healing: [event(25000, 100, 300, 1), event(40000, 300, 600, 5)],
+      },
+      shieldBlock,
+      window,
+    );
+    // No Buffs events at all: uptime unknown, not zero
+    expect(result.amUptimePct).toBeNull();
+    expect(result.selfHealingPct).toBe(25);
+    // Below 35% from 20s to 40s; the killing blow does not count
+    expect(result.lowHealthPct).toBe(20);
+  });
+
+  it('returns nulls without events or duration', () => {
+    expect(measureTankMitigation(1, {}, shieldBlock, { startTime: 5000, endTime: 5000 })).toEqual({
+      amUptimePct: null,
+      unmitigatedDamagePct: null,
+      selfHealingPct: null,
+      lowHealthPct: null,
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  Cooldown usage
+// ═══════════════════════════════════════════════════════════════
+
+describe('measureCooldownUsage', () => {
+  const arms = {
+    offensive: [{ name: 'Avatar', spellIds: [107574], cooldownSec: 90 }],
+    defensive: [{ name: 'Die by the Sword', spellIds: [118038], cooldownSec: 120 }],
+  };
+
+  it('counts casts per cooldown against possible casts in the fight', () => {
+    const usage = measureCooldownUsage(
+      [
+        { timestamp: 1000, abilityGameID: 107574 },
+        { timestamp: 200000, abilityGameID: 107574 },
+        { timestamp: 90000, abilityGameID: 1464 },
+      ],
+      arms,
+      { startTime: 1000, durationMs: 360000 },
+    );
+    expect(usage).toEqual([
+      { name: 'Avatar', type: 'offensive', casts: 2, possible: 5, timeline: [0, 199000] },
+      { name: 'Die by the Sword', type: 'defensive', casts: 0, possible: 4, timeline: [] },
+    ]);
+  });
+
+  it('returns nothing without a spec catalog', () => {
+    expect(measureCooldownUsage([], null, { startTime: 0, durationMs: 60000 })).toEqual([]);
+  });
+});
+
+describe('summarizeCooldownUsage', () => {
+  const row = (bossName, durationMs, casts, possible) => ({
+    bossName,
+    durationMs,
+    usage: JSON.stringify([{ name: 'Avatar', type: 'offensive', casts, possible, timeline: [] }]),
+  });
+
+  it('totals casts across fights and keeps the fight with the most missed casts', () => {
+    const [avatar] = summarizeCooldownUsage([
+      row('Plexus Sentinel', 180000, 3, 3),
+      row("Loom'ithar", 360000, 3, 5),
+      row('Soulbinder Naazindhri', 120000, 0, 2),
+    ]);
+    expect(avatar).toMatchObject({
+      name: 'Avatar',
+      fights: 3,
+      casts: 6,
+      possible: 10,
+      usagePct: 60,
+      fightsUsedPct: 67,
+    });
+    expect(avatar.worstFight).toMatchObject({ boss: "Loom'ithar", casts: 3, possible: 5 });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  summarizeUtilityBreakdown
+// ═══════════════════════════════════════════════════════════════
+
+describe('summarizeUtilityBreakdown', () => {
+  const kick = (count, raidCount, completed) => ({
+    kind: 'interrupt',
+    abilityId: 1219531,
+    ability: 'Arcane Barrage',
+    count,
+    raidCount,
+    completed,
+  });
+  const row = (bossId, breakdown) => ({
+    bossId,
+    bossName: `Boss ${bossId}`,
+    difficulty: 'Heroic',
+    breakdown: JSON.stringify(breakdown),
+  });
+
+  it("sums the player's kicks against the raid per ability and encounter", () => {
+    const [boss, other] = summarizeUtilityBreakdown([
+      row(3129, [kick(3, 5, 4)]),
+      row(3129, [kick(1, 5, 0)]),
+      row(3131, [
+        { kind: 'dispel', abilityId: 1, ability: 'Mark', count: 2, raidCount: 2, completed: null },
+      ]),
+    ]);
+    expect(boss).toMatchObject({ bossId: 3129, fights: 2 });
+    expect(boss.abilities).toEqual([
+      {
+        kind: 'interrupt',
+        abilityId: 1219531,
+        ability: 'Arcane Barrage',
+        count: 4,
+        raidCount: 10,
+        completed: 4,
+        sharePct: 40,
+        perFight: 2,
+      },
+    ]);
+    expect(other.abilities[0]).toMatchObject({ kind: 'dispel', sharePct: 100, completed: null });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  measurePhaseBreakdown / summarizePhaseBreakdown
+// ═══════════════════════════════════════════════════════════════
+
+describe('measurePhaseBreakdown', () => {
+  // Fight starts at 10000 (report-relative): 60s Stage One, 20s intermission, 40s Stage Two
+  const phases = [
+    { phase: 1, name: 'Stage One', startTime: 10000, endTime: 70000 },
+    { phase: 2, name: 'Intermission', isIntermission: true, startTime: 70000, endTime: 90000 },
+    { phase: 3, name: 'Stage Two', startTime: 90000, endTime: 130000 },
+  ].map((p, i) => ({
+    ...p,
+    damage: [
+      {
+        name: 'Thalrion',
+        total: [6000000, 400000, 4000000][i],
+        activeTime: [57000, 8000, 38000][i],
+      },
+    ],
+    damageTaken: [{ name: 'Thalrion', total: [300000, 0, 800000][i] }],
+  }));
+
+  it('computes DPS, DTPS and active time within each phase', () => {
+    const [one, intermission, two] = measurePhaseBreakdown('Thalrion', phases, [], 10000);
+    expect(one).toEqual({
+      phase: 1,
+      name: 'Stage One',
+      isIntermission: false,
+      durationMs: 60000,
+      dps: 100000,
+      dtps: 5000,
+      activeTimePct: 95,
+      deaths: 0,
+    });
+    expect(intermission).toMatchObject({ isIntermission: true, dps: 20000, activeTimePct: 40 });
+    expect(two).toMatchObject({ dtps: 20000, activeTimePct: 95 });
+  });
+
+  it('puts each death in the phase it happened in', () => {
+    const deaths = [
+      { timeIntoFightMs: 75000 },
+      { timeIntoFightMs: 120000 },
+      { timeIntoFightMs: null },
+    ];
+    const breakdown = measurePhaseBreakdown('Thalrion', phases, deaths, 10000);
+    expect(breakdown.map((p) => p.deaths)).toEqual([0, 1, 1]);
+  });
+
+  it('gives zeroes to a player missing from the phase tables', () => {
+    const [one] = measurePhaseBreakdown('Zyxel', phases, [], 10000);
+    expect(one).toMatchObject({ dps: 0, dtps: 0, activeTimePct: 0 });
+  });
+});
+
+describe('summarizePhaseBreakdown', () => {
+  const entry = (phase, activeTimePct, deaths) => ({
+    phase,
+    name: phase === 2 ? 'Intermission' : `Stage ${phase}`,
+    isIntermission: phase === 2,
+    durationMs: 60000,
+    dps: 100000,
+    dtps: 5000,
+    activeTimePct,
+    deaths,
+  });
+
+  it('averages each phase across fights, in phase order', () => {
+    const phases = summarizePhaseBreakdown([
+      { breakdown: JSON.stringify([entry(1, 95, 0), entry(2, 40, 1)]) },
+      { breakdown: JSON.stringify([entry(1, 91, 0), entry(2, 50, 0), entry(3, 80, 1)]) },
+      { breakdown: 'not json' },
+    ]);
+    expect(phases.map((p) => p.phase)).toEqual([1, 2, 3]);
+    expect(phases[1]).toEqual({
+      phase: 2,
+      name: 'Intermission',
+      isIntermission: true,
+      fights: 2,
+      avgDurationMs: 60000,
+      avgDps: 100000,
+      avgDtps: 5000,
+      avgActiveTime: 45,
+      deaths: 1,
+      deathRate: 0.5,
+    });
+    expect(phases[2]).toMatchObject({ fights: 1, deathRate: 1 });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  buildProgression
+// ═══════════════════════════════════════════════════════════════
+
+describe('buildProgression', () => {
+  const pull = (fightId, fightPercentage, isKill = false) => ({
+    fightId,
+    bossId: 3131,
+    bossName: "Loom'ithar",
+    difficulty: 'Mythic',
+    startedAt: 1754416800000 + fightId * 600000,
+    durationMs: 300000,
+    isKill,
+    fightPercentage,
+    lastPhase: 2,
+    dps: 1500000.4,
+    deaths: 0,
+  });
+  const death = (fightId, name, timeIntoFightMs, isCharacter = false) => ({
+    fightId,
+    name,
+    ability: 'Eradicating Salvo',
+    timeIntoFightMs,
+    isCharacter,
+  });
+
+  it('tracks the best pull so far and the first kill', () => {
+    const [encounter] = buildProgression(
+      [pull(1, 61.2), pull(2, 38.5), pull(3, 44), pull(4, 12.5, true)],
+      [],
+    );
+    expect(encounter).toMatchObject({ kills: 1, wipes: 3, bestPercentage: 0, firstKillPull: 4 });
+    expect(encounter.pulls.map((p) => [p.fightPercentage, p.bestSoFar])).toEqual([
+      [61.2, 61.2],
+      [38.5, 38.5],
+      [44, 38.5],
+      [0, 0],
+    ]);
+    expect(encounter.pulls[0]).toMatchObject({ pull: 1, dps: 1500000, firstDeath: null });
+  });
+
+  it('counts the first death of each wipe and how often it was the character', () => {
+    const [encounter] = buildProgression(
+      [pull(1, 61.2), pull(2, 38.5)],
+      [
+        death(1, 'Zyxel', 90000),
+        death(1, 'Thalrion', 45000, true),
+        death(2, 'Zyxel', 120000),
+        { ...death(2, 'Brakkus', null), ability: 'Unknown' },
+      ],
+    );
+    expect(encounter.diedFirst).toBe(1);
+    expect(encounter.firstDeathCauses).toEqual([{ ability: 'Eradicating Salvo', count: 2 }]);
+    expect(encounter.pulls[0].firstDeath).toEqual({
+      name: 'Thalrion',
+      ability: 'Eradicating Salvo',
+      timeIntoFightMs: 45000,
+      isYou: true,
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  summarizeDeath
+// ═══════════════════════════════════════════════════════════════
+
+describe('summarizeDeath', () => {
+  const recap = [
+    { timestamp: 1000, type: 'damage', abilityGameID: 1, amount: 400000 },
+    { timestamp: 7000, type: 'damage', abilityGameID: 2, amount: 300000, absorbed: 50000 },
+    { timestamp: 9000, type: 'heal', abilityGameID: 6262, amount: 200000 },
+    { timestamp: 10000, type: 'damage', abilityGameID: 3, amount: 900000 },
+  ];
+
+  it('sums damage in the window before death and reads the killing blow', () => {
+    const death = summarizeDeath({
+      className: 'Mage',
+      deathTime: 204840,
+      killingBlow: { guid: 3, name: 'Eradicating Salvo' },
+      events: recap,
+    });
+    expect(death).toEqual({
+      timeIntoFightMs: 204840,
+      killingAbilityId: 3,
+      killingAbilityName: 'Eradicating Salvo',
+      damageTakenWindow: 1250000,
+      defensiveUsed: false,
+      healthstoneUsed: true,
+    });
+  });
+
+  it("detects the class's defensives in the recap", () => {
+    const events = [...recap, { timestamp: 8000, type: 'applybuff', abilityGameID: 45438 }];
+    expect(summarizeDeath({ className: 'Mage', events }).defensiveUsed).toBe(true);
+    // Ice Block is not a Warrior defensive
+    expect(summarizeDeath({ className: 'Warrior', events }).defensiveUsed).toBe(false);
+  });
+
+  it('falls back to the last damage event and the table total without a recap', () => {
+    expect(summarizeDeath({ className: 'Mage', damageTotal: 812345, events: [] })).toMatchObject({
+      killingAbilityId: null,
+      damageTakenWindow: 812345,
+    });
+    expect(summarizeDeath({ className: 'Mage', events: recap }).killingAbilityId).toBe(3);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  compareToSpecPeers
+// ═══════════════════════════════════════════════════════════════
+
+describe('compareToSpecPeers', () => {
+  const fight = (overrides) => ({
+    bossId: 3129,
+    difficulty: 'Mythic',
+    specId: 63,
+    dps: 0,
+    hps: 0,
+    dtps: 0,
+    ...overrides,
+  });
+
+  it('compares DPS to the median of same-spec players on the same boss and difficulty', () => {
+    const peers = [
+      fight({ dps: 900000 }),
+      fight({ dps: 1000000 }),
+      fight({ dps: 1100000 }),
+      // Other specs, bosses and difficulties don't count
+      fight({ specId: 62, dps: 2000000 }),
+      fight({ difficulty: 'Heroic', dps: 500000 }),
+      fight({ bossId: 3130, dps: 500000 }),
+    ];
+    const { summary, bosses } = compareToSpecPeers([fight({ dps: 1200000 })], peers);
+    expect(summary).toEqual({
+      specId: 63,
+      spec: 'Fire',
+      role: 'DPS',
+      metric: 'dps',
+      vsSpecPct: 120,
+      fights: 1,
+      peerFights: 3,
+    });
+    expect(bosses.get('3129:Mythic')).toMatchObject({
+      metric: 'dps',
+      vsSpecPct: 120,
+      specMedian: 1000000,
+      fights: 1,
+    });
+  });
+
+  it('judges healers on HPS and tanks on DTPS, where taking less damage is better', () => {
+    const healerPeers = [200000, 250000, 300000].map((hps) => fight({ specId: 257, hps }));
+    const healer = compareToSpecPeers([fight({ specId: 257, hps: 200000, dps: 1 })], healerPeers);
+    expect(healer.summary).toMatchObject({ role: 'Healer', metric: 'hps', vsSpecPct: 80 });
+
+    const tankPeers = [40000, 50000, 60000].map((dtps) => fight({ specId: 73, dtps }));
+    const tank = compareToSpecPeers([fight({ specId: 73, dtps: 40000 })], tankPeers);
+    expect(tank.summary).toMatchObject({ role: 'Tank', metric: 'dtps', vsSpecPct: 125 });
+  });
+
+  it('summarizes the most played spec only, keeping other roles out of its metric', () => {
+    const peers = [
+      ...[900000, 1000000, 1100000].map((dps) => fight({ dps })),
+      ...[200000, 250000, 300000].map((hps) => fight({ bossId: 3130, specId: 257, hps })),
+    ];
+    const own = [
+      fight({ dps: 1200000 }),
+      fight({ dps: 1200000 }),
+      fight({ bossId: 3130, specId: 257, hps: 200000 }),
+    ];
+
+    const { summary, bosses } = compareToSpecPeers(own, peers);
+    expect(summary).toMatchObject({ spec: 'Fire', metric: 'dps', vsSpecPct: 120, fights: 2 });
+    expect(bosses.get('3130:Mythic')).toMatchObject({ metric: 'hps', vsSpecPct: 80 });
+  });
+
+  it('leaves the comparison empty until enough same-spec fights are imported', () => {
+    const peers = [fight({ dps: 900000 }), fight({ dps: 1000000 })];
+    const { summary, bosses } = compareToSpecPeers([fight({ dps: 1200000 })], peers);
+    expect(summary).toMatchObject({ spec: 'Fire', vsSpecPct: null, fights: 0 });
+    expect(bosses.size).toBe(0);
+    expect(compareToSpecPeers([fight({ specId: null, dps: 1 })], peers).summary).toBeNull();
+  });
+});
+
 // ═══════════════════════════════════════════════════════════════
 //  calculateStillNoobScore
 // ═══════════════════════════════════════════════════════════════
@@ -118,6 +615,38 @@ describe('calculateStillNoobScore', () => {
     expect(high.breakdown.performance).toBe(100);
   });
 
+  it('performance score uses the same-spec benchmark when there is one', () => {
+    const benchmark = { specId: 257, spec: 'Holy Priest', role: 'Healer', metric: 'hps' };
+    const healer = calculateStillNoobScore(
+      makeSummary({ dpsVsMedianPct: 20, specBenchmark: { ...benchmark, vsSpecPct: 130 } }),
+      [],
+    );
+    expect(healer.breakdown.performance).toBe(100);
+
+    // No peers yet: a healer's DPS vs the raid median is meaningless, so stay neutral
+    const unbenchmarked = calculateStillNoobScore(
+      makeSummary({ dpsVsMedianPct: 20, specBenchmark: { ...benchmark, vsSpecPct: null } }),
+      [],
+    );
+    expect(unbenchmarked.breakdown.performance).toBe(50);
+  });
+
+  it('healer performance falls back to healing share and loses points for heavy overheal', () => {
+    const benchmark = { specId: 257, spec: 'Holy Priest', role: 'Healer', vsSpecPct: null };
+    const carrying = calculateStillNoobScore(
+      makeSummary({ specBenchmark: benchmark, healingShareVsEvenPct: 130, avgOverhealPct: 30 }),
+      [],
+    );
+    expect(carrying.breakdown.performance).toBe(100);
+
+    // 130% of an even share, but 60% overheal: 20 points past the penalty line
+    const overhealing = calculateStillNoobScore(
+      makeSummary({ specBenchmark: benchmark, healingShareVsEvenPct: 130, avgOverhealPct: 60 }),
+      [],
+    );
+    expect(overhealing.breakdown.performance).toBe(67);
+  });
+
   it('survival score: 0 deaths = 100, 0.5+ = 0 (non-Mythic)', () => {
     const perfect = calculateStillNoobScore(makeSummary({ deathRate: 0 }), []);
     const worst = calculateStillNoobScore(makeSummary({ deathRate: 0.6 }), []);
@@ -209,6 +738,31 @@ describe('calculateStillNoobScore', () => {
     expect(low.total).toBeGreaterThanOrEqual(0);
     expect(high.total).toBeLessThanOrEqual(100);
   });
+
+  it('records the formula version and rejects unknown versions', () => {
+    const summary = makeSummary();
+    expect(calculateStillNoobScore(summary, []).version).toBe(CURRENT_SCORE_VERSION);
+    expect(calculateStillNoobScore(null, [], 1).version).toBe(1);
+    expect(() => calculateStillNoobScore(summary, [], 999)).toThrow(/version 999/);
+  });
+
+  it('scores stored inputs the same as the full summary', () => {
+    const summary = makeSummary({
+      deathRate: 0.2,
+      specBenchmark: { specId: 257, spec: 'Holy Priest', role: 'Healer', vsSpecPct: null },
+      healingShareVsEvenPct: 92,
+      avgOverhealPct: 48,
+    });
+    const bosses = [
+      makeBoss({ avgDps: 5000, difficulty: 'Mythic' }),
+      makeBoss({ bossName: 'B2', avgDps: 4000 }),
+      makeBoss({ bossName: 'B3', avgDps: 4500 }),
+    ];
+    const inputs = JSON.parse(JSON.stringify(extractScoreInputs(summary, bosses)));
+    expect(calculateStillNoobScore(inputs.summary, inputs.bossBreakdown)).toEqual(
+      calculateStillNoobScore(summary, bosses),
+    );
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════
@@ -480,6 +1034,28 @@ describe('generateRecommendations', () => {
     expect(tip.data.drop).toBe(16);
   });
 
+  it('names the phase in boss_uptime_drop_phase when one phase drags active time down', () => {
+    const phases = [
+      { phase: 1, name: 'Stage One', avgActiveTime: 88 },
+      { phase: 2, name: 'Intermission', avgActiveTime: 41 },
+    ];
+    const result = generateRecommendations({
+      summary: makeSummary({ avgActiveTime: 88 }),
+      bossBreakdown: [makeBoss({ bossName: 'Hard Boss', avgActiveTime: 72, phases })],
+      weeklyTrends: [],
+      playerLevel: 'intermediate',
+    });
+    const allTips = [...result.primaryTips, ...result.secondaryTips];
+    expect(allTips.some((t) => t.key === 'boss_uptime_drop')).toBe(false);
+    const tip = allTips.find((t) => t.key === 'boss_uptime_drop_phase');
+    expect(tip.data).toMatchObject({
+      boss: 'Hard Boss',
+      drop: 16,
+      phase: 'Intermission',
+      phasePct: 41,
+    });
+  });
+
   it('does NOT generate boss_uptime_drop when drop < 8pts', () => {
     const bosses = [makeBoss({ bossName: 'Boss A', avgActiveTime: 85, fights: 5 })];
     const result = generateRecommendations({
@@ -524,6 +1100,58 @@ describe('generateRecommendations', () => {
     expect(tip.data.excessPct).toBe(100);
   });
 
+  it('skips boss_excess_damage when avoidable damage is on par with the raid', () => {
+    const bosses = [
+      makeBoss({ bossName: 'Normal Boss', avgDtps: 2000, fights: 5 }),
+      makeBoss({
+        bossId: 1002,
+        bossName: 'Tank Buster Boss',
+        avgDtps: 5000,
+        fights: 5,
+        avoidableVsMedian: 95,
+      }),
+    ];
+    const result = generateRecommendations({
+      summary: makeSummary({ avgDtps: 2500 }),
+      bossBreakdown: bosses,
+      weeklyTrends: [],
+      playerLevel: 'beginner',
+    });
+    const allTips = [...result.primaryTips, ...result.secondaryTips];
+    expect(allTips.some((t) => t.key === 'boss_excess_damage')).toBe(false);
+  });
+
+  it('generates boss_avoidable_damage naming the top avoidable ability', () => {
+    const bosses = [
+      makeBoss({
+        bossName: 'Plexus Sentinel',
+        fights: 4,
+        avoidableVsMedian: 300,
+        avoidableAbilities: [
+          { ability: 'Eradicating Salvo', damagePerFight: 5358000 },
+          { ability: 'Arcanomatrix Atomizer', damagePerFight: 1786000 },
+        ],
+      }),
+      makeBoss({ bossId: 1002, bossName: 'Clean Boss', avoidableVsMedian: 90 }),
+    ];
+    const result = generateRecommendations({
+      summary: makeSummary(),
+      bossBreakdown: bosses,
+      weeklyTrends: [],
+      playerLevel: 'intermediate',
+    });
+    const allTips = [...result.primaryTips, ...result.secondaryTips];
+    const tips = allTips.filter((t) => t.key === 'boss_avoidable_damage');
+    expect(tips).toHaveLength(1);
+    expect(tips[0].severity).toBe('critical');
+    expect(tips[0].data).toMatchObject({
+      boss: 'Plexus Sentinel',
+      ability: 'Eradicating Salvo',
+      abilityDamage: 5358000,
+      pct: 300,
+    });
+  });
+
   it('generates boss_death_spike when boss deathRate > max(avg*2, 0.2)', () => {
     const bosses = [
       makeBoss({ bossName: 'Safe Boss', deathRate: 0.05, fights: 5 }),
@@ -541,6 +1169,57 @@ describe('generateRecommendations', () => {
     expect(tip.data.boss).toBe('Deadly Boss');
   });
 
+  it('generates boss_death_cause when one ability causes most deaths on a boss', () => {
+    const bosses = [
+      makeBoss({
+        bossName: 'Deadly Boss',
+        deaths: 5,
+        deathCauses: [
+          { abilityId: 1219531, abilityName: 'Eradicating Salvo', deaths: 3, withoutDefensive: 3 },
+          { abilityId: 1220618, abilityName: 'Protocol: Purge', deaths: 2, withoutDefensive: 0 },
+        ],
+      }),
+    ];
+    const result = generateRecommendations({
+      summary: makeSummary(),
+      bossBreakdown: bosses,
+      weeklyTrends: [],
+      playerLevel: 'intermediate',
+    });
+    const allTips = [...result.primaryTips, ...result.secondaryTips];
+    const tip = allTips.find((t) => t.key === 'boss_death_cause');
+    expect(tip).toBeDefined();
+    expect(tip.severity).toBe('critical');
+    expect(tip.data).toMatchObject({
+      boss: 'Deadly Boss',
+      ability: 'Eradicating Salvo',
+      deaths: 3,
+      totalDeaths: 5,
+      undefended: 3,
+    });
+  });
+
+  it('does NOT generate boss_death_cause when deaths are spread across abilities', () => {
+    const bosses = [
+      makeBoss({
+        deaths: 6,
+        deathCauses: [
+          { abilityId: 1, abilityName: 'A', deaths: 2, withoutDefensive: 1 },
+          { abilityId: 2, abilityName: 'B', deaths: 2, withoutDefensive: 1 },
+          { abilityId: 3, abilityName: 'C', deaths: 2, withoutDefensive: 1 },
+        ],
+      }),
+    ];
+    const result = generateRecommendations({
+      summary: makeSummary(),
+      bossBreakdown: bosses,
+      weeklyTrends: [],
+      playerLevel: 'intermediate',
+    });
+    const allTips = [...result.primaryTips, ...result.secondaryTips];
+    expect(allTips.some((t) => t.key === 'boss_death_cause')).toBe(false);
+  });
+
   it('generates boss_potion_neglect on weakest DPS boss with low pot rate', () => {
     const bosses = [
       makeBoss({
@@ -627,6 +1306,32 @@ describe('generateRecommendations', () => {
     expect(tip.data.boss).toBe('Deadly Boss');
   });
 
+  it('generates deaths_from_avoidable instead when the damage is avoidable', () => {
+    const bosses = [
+      makeBoss({ bossId: 1001, bossName: 'Safe Boss', deathRate: 0.05, avgDtps: 1500, fights: 5 }),
+      makeBoss({
+        bossId: 1002,
+        bossName: 'Deadly Boss',
+        deathRate: 0.3,
+        avgDtps: 4000,
+        fights: 5,
+        avoidableVsMedian: 180,
+        avoidableAbilities: [{ ability: 'Arcane Outrage', damagePerFight: 1200000 }],
+      }),
+    ];
+    const result = generateRecommendations({
+      summary: makeSummary({ deathRate: 0.15, avgDtps: 2000 }),
+      bossBreakdown: bosses,
+      weeklyTrends: [],
+      playerLevel: 'intermediate',
+    });
+    const allTips = [...result.primaryTips, ...result.secondaryTips];
+    expect(allTips.some((t) => t.key === 'deaths_from_damage')).toBe(false);
+    const tip = allTips.find((t) => t.key === 'deaths_from_avoidable');
+    expect(tip).toBeDefined();
+    expect(tip.data).toMatchObject({ boss: 'Deadly Boss', ability: 'Arcane Outrage', pct: 180 });
+  });
+
   it('generates uptime_drives_dps when low-uptime boss has low DPS vs median', () => {
     const bosses = [
       makeBoss({
@@ -962,6 +1667,42 @@ describe('generateRecommendations', () => {
     expect(tip.data.spec).toBe('Blood');
   });
 
+  it('generates mitigation tips from measured tank metrics instead of the CPM proxy', () => {
+    const result = generateRecommendations({
+      summary: makeSummary({
+        avgCpm: 18,
+        avgAmUptimePct: 38,
+        avgUnmitigatedDamagePct: 52,
+        avgSelfHealingPct: 9,
+        avgLowHealthPct: 17,
+        tankFights: 4,
+      }),
+      bossBreakdown: [],
+      weeklyTrends: [],
+      playerLevel: 'advanced',
+      role: 'Tank',
+      spec: 'Protection Warrior',
+      specCpmBaseline: 30,
+    });
+    const allTips = [...result.primaryTips, ...result.secondaryTips];
+    expect(allTips.find((t) => t.key === 'tank_low_am_uptime')).toMatchObject({
+      severity: 'warning',
+      data: { ability: 'Shield Block', pct: 38, target: 55 },
+    });
+    expect(allTips.find((t) => t.key === 'tank_unmitigated_damage')).toMatchObject({
+      severity: 'info',
+      data: { pct: 52 },
+    });
+    expect(allTips.find((t) => t.key === 'tank_low_health_time')).toMatchObject({
+      severity: 'warning',
+      data: { pct: 17, health: 35 },
+    });
+    expect(allTips.find((t) => t.key === 'tank_low_self_healing')).toMatchObject({
+      data: { pct: 9 },
+    });
+    expect(allTips.some((t) => t.key === 'tank_low_cpm_mitigation')).toBe(false);
+  });
+
   it('generates tank_dtps_outlier for Tank with boss DTPS spike', () => {
     const bosses = [
       makeBoss({ bossName: 'Normal Boss', avgDtps: 3000, fights: 5 }),
@@ -1033,6 +1774,58 @@ describe('generateRecommendations', () => {
     expect(allTips.some((t) => t.key === 'healer_death_impact')).toBe(true);
   });
 
+  it('generates healer overheal, unused mana and low share tips from the healer model', () => {
+    const result = generateRecommendations({
+      summary: makeSummary({
+        avgOverhealPct: 47.2,
+        manaLeftOnKillsPct: 22.4,
+        manaKills: 3,
+        healingShareVsEvenPct: 68,
+        avgHealers: 4,
+        healerFights: 5,
+      }),
+      bossBreakdown: [],
+      weeklyTrends: [],
+      playerLevel: 'advanced',
+      role: 'Healer',
+      spec: 'Holy Priest',
+    });
+    const allTips = [...result.primaryTips, ...result.secondaryTips];
+    expect(allTips.find((t) => t.key === 'healer_high_overheal')).toMatchObject({
+      severity: 'warning',
+      data: { pct: 47 },
+    });
+    expect(allTips.find((t) => t.key === 'healer_mana_unused')).toMatchObject({
+      severity: 'info',
+      data: { pct: 22, kills: 3 },
+    });
+    expect(allTips.find((t) => t.key === 'healer_low_share')).toMatchObject({
+      data: { pct: 68, healers: 4 },
+    });
+  });
+
+  it('does NOT generate healer model tips for a healer within the thresholds', () => {
+    const result = generateRecommendations({
+      summary: makeSummary({
+        avgOverhealPct: 22,
+        manaLeftOnKillsPct: 6,
+        manaKills: 3,
+        healingShareVsEvenPct: 104,
+        avgHealers: 4,
+        healerFights: 5,
+      }),
+      bossBreakdown: [],
+      weeklyTrends: [],
+      playerLevel: 'advanced',
+      role: 'Healer',
+      spec: 'Holy Priest',
+    });
+    const keys = [...result.primaryTips, ...result.secondaryTips].map((t) => t.key);
+    expect(keys).not.toContain('healer_high_overheal');
+    expect(keys).not.toContain('healer_mana_unused');
+    expect(keys).not.toContain('healer_low_share');
+  });
+
   it('does NOT generate role-specific tips when role is undefined (defaults to DPS)', () => {
     const result = generateRecommendations({
       summary: makeSummary({ deathRate: 0.3, avgDispels: 0.5, totalFights: 5 }),
@@ -1046,6 +1839,81 @@ describe('generateRecommendations', () => {
     expect(allTips.some((t) => t.key === 'healer_low_dispels')).toBe(false);
   });
 
+  it('generates cooldown_underused from the worst fight of the least-used offensive cooldown', () => {
+    const result = generateRecommendations({
+      summary: makeSummary(),
+      bossBreakdown: [],
+      weeklyTrends: [],
+      playerLevel: 'intermediate',
+      role: 'DPS',
+      spec: 'Arms',
+      cooldownUsage: [
+        {
+          name: 'Avatar',
+          type: 'offensive',
+          fights: 4,
+          casts: 9,
+          possible: 18,
+          usagePct: 50,
+          fightsUsedPct: 100,
+          worstFight: { boss: "Loom'ithar", casts: 3, possible: 5, durationMs: 362000 },
+        },
+      ],
+    });
+    const allTips = [...result.primaryTips, ...result.secondaryTips];
+    const tip = allTips.find((t) => t.key === 'cooldown_underused');
+    expect(tip).toBeDefined();
+    expect(tip.data).toMatchObject({
+      ability: 'Avatar',
+      casts: 3,
+      possible: 5,
+      minutes: 6,
+      boss: "Loom'ithar",
+      pct: 50,
+    });
+  });
+
+  it('generates defensive_cd_unused when dying without pressing a defensive', () => {
+    const cooldownUsage = [
+      {
+        name: 'Die by the Sword',
+        type: 'defensive',
+        fights: 5,
+        casts: 1,
+        possible: 12,
+        usagePct: 8,
+        fightsUsedPct: 20,
+        worstFight: { boss: 'Vexus', casts: 0, possible: 3, durationMs: 300000 },
+      },
+    ];
+    const dying = generateRecommendations({
+      summary: makeSummary({ deathRate: 0.35 }),
+      bossBreakdown: [],
+      weeklyTrends: [],
+      playerLevel: 'intermediate',
+      role: 'DPS',
+      cooldownUsage,
+    });
+    const tip = [...dying.primaryTips, ...dying.secondaryTips].find(
+      (t) => t.key === 'defensive_cd_unused',
+    );
+    expect(tip).toMatchObject({
+      severity: 'critical',
+      data: { ability: 'Die by the Sword', pct: 20 },
+    });
+
+    const surviving = generateRecommendations({
+      summary: makeSummary({ deathRate: 0.05 }),
+      bossBreakdown: [],
+      weeklyTrends: [],
+      playerLevel: 'intermediate',
+      role: 'DPS',
+      cooldownUsage,
+    });
+    const allTips = [...surviving.primaryTips, ...surviving.secondaryTips];
+    expect(allTips.some((t) => t.key === 'defensive_cd_unused')).toBe(false);
+  });
+
   // ── Tier 3: Spec Coaching Context ──
 
   it('generates spec_cpm_context instead of low_cpm when spec coaching is available', () => {
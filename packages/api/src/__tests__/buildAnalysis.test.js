@@ -453,21 +453,314 @@ describe('analyzeCharacterBuild', () => {
     });
   });
 
-  // ── gear_stat_overcap ─────────────────────────────────────
+  // ── gear_tier_set_incomplete ──────────────────────────────
 
-  describe('gear_stat_overcap', () => {
-    it('does NOT generate when no soft caps defined', () => {
-      // All current specs have softCaps: {}, so this tip should never fire
+  describe('gear_tier_set_incomplete', () => {
+    const withSet = (pieces) => ({
+      ...makeEquipment(),
+      setAudit: {
+        setName: 'Warsculpted Set',
+        pieces,
+        activeBonuses: [2, 4].filter((n) => pieces >= n),
+      },
+    });
+
+    it('points to the 2-piece bonus with fewer than 2 tier pieces', () => {
+      const result = analyzeCharacterBuild(withSet(1), 'Warrior', 'Arms');
+      const tip = findTip(result.gearTips, 'gear_tier_set_incomplete');
+      expect(tip).toBeDefined();
+      expect(tip.severity).toBe('warning');
+      expect(tip.priority).toBe(4);
+      expect(tip.data).toEqual({
+        pieces: 1,
+        nextBonus: 2,
+        missing: 1,
+        setName: 'Warsculpted Set',
+      });
+    });
+
+    it('points to the 4-piece bonus with 2 or 3 tier pieces', () => {
+      const result = analyzeCharacterBuild(withSet(3), 'Warrior', 'Arms');
+      const tip = findTip(result.gearTips, 'gear_tier_set_incomplete');
+      expect(tip.priority).toBe(9);
+      expect(tip.data).toMatchObject({ pieces: 3, nextBonus: 4, missing: 1 });
+    });
+
+    it('does NOT generate with the 4-piece bonus active', () => {
+      const result = analyzeCharacterBuild(withSet(5), 'Warrior', 'Arms');
+      expect(findTip(result.gearTips, 'gear_tier_set_incomplete')).toBeUndefined();
+      expect(findTip(result.gearTips, 'gear_well_optimized')).toBeDefined();
+    });
+
+    it('blocks gear_well_optimized while the set is incomplete', () => {
+      const result = analyzeCharacterBuild(withSet(2), 'Warrior', 'Arms');
+      expect(findTip(result.gearTips, 'gear_well_optimized')).toBeUndefined();
+    });
+  });
+
+  // ── gear_missing_embellishments ───────────────────────────
+
+  describe('gear_missing_embellishments', () => {
+    it('generates tip when fewer embellishments than the cap are equipped', () => {
+      const equipment = {
+        ...makeEquipment(),
+        embellishmentAudit: { count: 1, cap: 2, embellishments: ['Darkmoon Sigil: Ascension'] },
+      };
+      const result = analyzeCharacterBuild(equipment, 'Warrior', 'Arms');
+      const tip = findTip(result.gearTips, 'gear_missing_embellishments');
+      expect(tip).toBeDefined();
+      expect(tip.severity).toBe('warning');
+      expect(tip.data).toEqual({ count: 1, cap: 2, missing: 1 });
+      expect(result.embellishmentAudit).toBe(equipment.embellishmentAudit);
+    });
+
+    it('does NOT generate at the cap', () => {
+      const equipment = {
+        ...makeEquipment(),
+        embellishmentAudit: { count: 2, cap: 2, embellishments: ['A', 'B'] },
+      };
+      const result = analyzeCharacterBuild(equipment, 'Warrior', 'Arms');
+      expect(findTip(result.gearTips, 'gear_missing_embellishments')).toBeUndefined();
+    });
+  });
+
+  // ── gear_trinket_vs_meta ──────────────────────────────────
+
+  describe('gear_trinket_vs_meta', () => {
+    const trinketItems = (names) =>
+      names.map((name, i) => ({ slot: `trinket${i + 1}`, name, itemLevel: 620, gems: [] }));
+    const commonTrinkets = {
+      'Astral Antenna': { count: 18, pct: 60 },
+      'Unyielding Netherprism': { count: 12, pct: 40 },
+      'Improvised Seaforium Pacemaker': { count: 3, pct: 10 },
+    };
+
+    it('suggests the most popular trinket the player lacks for an off-meta one', () => {
+      const equipment = makeEquipment({
+        items: trinketItems(['Unyielding Netherprism', 'Improvised Seaforium Pacemaker']),
+      });
+      const specMeta = makeSpecMeta({ commonItems: { trinket: commonTrinkets } });
+      const result = analyzeCharacterBuild(equipment, 'Warrior', 'Arms', specMeta);
+      const tip = findTip(result.gearTips, 'gear_trinket_vs_meta');
+      expect(tip).toBeDefined();
+      expect(tip.severity).toBe('info');
+      expect(tip.data).toEqual({
+        playerTrinket: 'Improvised Seaforium Pacemaker',
+        metaTrinket: 'Astral Antenna',
+        metaPct: 60,
+      });
+    });
+
+    it('does NOT generate when both trinkets are meta', () => {
+      const equipment = makeEquipment({
+        items: trinketItems(['Astral Antenna', 'Unyielding Netherprism']),
+      });
+      const specMeta = makeSpecMeta({ commonItems: { trinket: commonTrinkets } });
+      const result = analyzeCharacterBuild(equipment, 'Warrior', 'Arms', specMeta);
+      expect(findTip(result.gearTips, 'gear_trinket_vs_meta')).toBeUndefined();
+    });
+
+    it('does NOT generate without specMeta', () => {
+      const equipment = makeEquipment({ items: trinketItems(['Some Trinket', 'Other']) });
+      const result = analyzeCharacterBuild(equipment, 'Warrior', 'Arms');
+      expect(findTip(result.gearTips, 'gear_trinket_vs_meta')).toBeUndefined();
+    });
+  });
+
+  // ── gear_rare_trinket_pair ────────────────────────────────
+
+  describe('gear_rare_trinket_pair', () => {
+    const trinketItems = (names) =>
+      names.map((name, i) => ({ slot: `trinket${i + 1}`, name, itemLevel: 620, gems: [] }));
+    const specMeta = makeSpecMeta({
+      sampleSize: 500,
+      commonItems: {
+        trinket: {
+          'Astral Antenna': { count: 300, pct: 60 },
+          'Unyielding Netherprism': { count: 250, pct: 50 },
+          'Improvised Seaforium Pacemaker': { count: 40, pct: 8 },
+        },
+      },
+      commonTrinketPairs: [
+        { trinkets: ['Astral Antenna', 'Unyielding Netherprism'], count: 200, pct: 40 },
+        { trinkets: ['Astral Antenna', 'Improvised Seaforium Pacemaker'], count: 30, pct: 6 },
+        {
+          trinkets: ['Improvised Seaforium Pacemaker', 'Unyielding Netherprism'],
+          count: 10,
+          pct: 2,
+        },
+      ],
+    });
+
+    it('reports a pair few top players run, with the popular pairs as alternatives', () => {
       const equipment = makeEquipment({
+        items: trinketItems(['Unyielding Netherprism', 'Improvised Seaforium Pacemaker']),
+      });
+      const result = analyzeCharacterBuild(equipment, 'Warrior', 'Arms', specMeta);
+      const tip = findTip(result.gearTips, 'gear_rare_trinket_pair');
+      expect(tip).toBeDefined();
+      expect(tip.data).toEqual({
+        trinkets: 'Improvised Seaforium Pacemaker + Unyielding Netherprism',
+        pairPct: 2,
+        popularPair: 'Astral Antenna + Unyielding Netherprism',
+        popularPct: 40,
+        sampleSize: 500,
+      });
+      expect(result.trinketAnalysis).toEqual({
+        equipped: [
+          { name: 'Improvised Seaforium Pacemaker', pct: 8 },
+          { name: 'Unyielding Netherprism', pct: 50 },
+        ],
+        pairPct: 2,
+        rare: true,
+        alternatives: [
+          { trinkets: ['Astral Antenna', 'Unyielding Netherprism'], pct: 40 },
+          { trinkets: ['Astral Antenna', 'Improvised Seaforium Pacemaker'], pct: 6 },
+        ],
+      });
+      // The pair tip replaces the single-trinket one
+      expect(findTip(result.gearTips, 'gear_trinket_vs_meta')).toBeUndefined();
+    });
+
+    it('treats a pair outside the stored top pairs as rare', () => {
+      const equipment = makeEquipment({ items: trinketItems(['Some Trinket', 'Astral Antenna']) });
+      const result = analyzeCharacterBuild(equipment, 'Warrior', 'Arms', specMeta);
+      expect(result.trinketAnalysis.pairPct).toBeNull();
+      expect(findTip(result.gearTips, 'gear_rare_trinket_pair').data.pairPct).toBe(2);
+    });
+
+    it('does NOT generate for a common pair', () => {
+      const equipment = makeEquipment({
+        items: trinketItems(['Unyielding Netherprism', 'Astral Antenna']),
+      });
+      const result = analyzeCharacterBuild(equipment, 'Warrior', 'Arms', specMeta);
+      expect(result.trinketAnalysis.rare).toBe(false);
+      expect(findTip(result.gearTips, 'gear_rare_trinket_pair')).toBeUndefined();
+    });
+
+    it('returns no trinket analysis without meta pair data', () => {
+      const equipment = makeEquipment({ items: trinketItems(['A', 'B']) });
+      const result = analyzeCharacterBuild(equipment, 'Warrior', 'Arms', makeSpecMeta());
+      expect(result.trinketAnalysis).toBeNull();
+    });
+  });
+
+  // ── gear_embellishment_vs_meta ────────────────────────────
+
+  describe('gear_embellishment_vs_meta', () => {
+    it('suggests the popular embellishment for an off-meta one', () => {
+      const equipment = {
+        ...makeEquipment(),
+        embellishmentAudit: {
+          count: 2,
+          cap: 2,
+          embellishments: ['Darkmoon Sigil: Ascension', 'Blessed Weapon Grip'],
+        },
+      };
+      const specMeta = makeSpecMeta({
+        commonEmbellishments: {
+          'Darkmoon Sigil: Ascension': { count: 25, pct: 83.3 },
+          'Elemental Focusing Lens': { count: 20, pct: 66.7 },
+          'Blessed Weapon Grip': { count: 2, pct: 6.7 },
+        },
+      });
+      const result = analyzeCharacterBuild(equipment, 'Warrior', 'Arms', specMeta);
+      const tip = findTip(result.gearTips, 'gear_embellishment_vs_meta');
+      expect(tip).toBeDefined();
+      expect(tip.data).toEqual({
+        playerEmbellishment: 'Blessed Weapon Grip',
+        metaEmbellishment: 'Elemental Focusing Lens',
+        metaPct: 66.7,
+      });
+    });
+  });
+
+  // ── gear_stat_diminishing ─────────────────────────────────
+
+  describe('gear_stat_diminishing', () => {
+    const withRatings = (totalStats) =>
+      makeEquipment({
         aggregated: {
           averageItemLevel: 620,
-          statDistribution: { crit: 35, haste: 30, mastery: 20, versatility: 15 },
-          totalStats: { crit: 15000, haste: 12000, mastery: 9000, versatility: 7000 },
+          statDistribution: { crit: 45, haste: 25, mastery: 20, versatility: 10 },
+          totalStats,
         },
       });
+
+    it('reports rating lost to DR and the priority stat to move it into', () => {
+      // 30000 crit = 42.86% from rating: 9% at a 10% penalty, 3.86% at 20%
+      const equipment = withRatings({
+        crit: 30000,
+        haste: 12000,
+        mastery: 9000,
+        versatility: 5000,
+      });
       const result = analyzeCharacterBuild(equipment, 'Warrior', 'Arms');
-      const tip = findTip(result.gearTips, 'gear_stat_overcap');
-      expect(tip).toBeUndefined();
+      const tip = findTip(result.gearTips, 'gear_stat_diminishing');
+      expect(tip).toBeDefined();
+      expect(tip.severity).toBe('info');
+      expect(tip.data).toEqual({
+        stat: 'crit',
+        rating: 30000,
+        effectivePct: 41.19,
+        ratingLost: 1170,
+        lostPct: 3.9,
+        breakpoint: 21000,
+        alternative: 'haste',
+      });
+    });
+
+    it('does NOT generate below the DR thresholds', () => {
+      const equipment = withRatings({
+        crit: 15000,
+        haste: 12000,
+        mastery: 9000,
+        versatility: 7000,
+      });
+      const result = analyzeCharacterBuild(equipment, 'Warrior', 'Arms');
+      expect(findTip(result.gearTips, 'gear_stat_diminishing')).toBeUndefined();
+    });
+
+    it('adds effective percentages and the next breakpoint to statAnalysis', () => {
+      const equipment = withRatings({ crit: 22000, haste: 6600, mastery: 0, versatility: 7800 });
+      const { ratings } = analyzeCharacterBuild(equipment, 'Warrior', 'Arms').statAnalysis;
+      expect(ratings.haste).toEqual({
+        rating: 6600,
+        rawPct: 10,
+        effectivePct: 10,
+        ratingLost: 0,
+        nextBreakpoint: {
+          rating: 19800,
+          pct: 30,
+          type: 'diminishingReturns',
+          penalty: 0.1,
+          ratingUntil: 13200,
+        },
+      });
+      expect(ratings.crit.ratingLost).toBe(100);
+      expect(ratings.crit.nextBreakpoint).toEqual({
+        rating: 27300,
+        pct: 39,
+        type: 'diminishingReturns',
+        penalty: 0.2,
+        ratingUntil: 5300,
+      });
+    });
+
+    it("reports mastery in the spec's mastery % and the spec's stat caps", () => {
+      const equipment = withRatings({ crit: 50000, haste: 6600, mastery: 14000, versatility: 0 });
+      const { ratings } = analyzeCharacterBuild(equipment, 'Mage', 'Fire').statAnalysis;
+      // 20 mastery points at 0.75% each
+      expect(ratings.mastery).toMatchObject({ rawPct: 15, effectivePct: 15 });
+      expect(ratings.mastery.nextBreakpoint).toMatchObject({ rating: 21000, pct: 22.5 });
+      // Past the last DR bracket below it, Fire's crit cap comes next
+      expect(ratings.crit.nextBreakpoint).toEqual({
+        rating: 78960,
+        pct: 80,
+        type: 'cap',
+        reason: 'critCap',
+        ratingUntil: 28960,
+      });
     });
   });
 
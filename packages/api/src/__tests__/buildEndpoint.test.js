@@ -3,6 +3,9 @@ import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
 // Mock external services that the analysis routes depend on
 vi.mock('../services/analysis.js', () => ({
   getCharacterPerformance: vi.fn(),
+  getCharacterDungeonRuns: vi.fn(async () => []),
+  getCharacterUtilityBreakdown: vi.fn(async () => []),
+  getCharacterProgression: vi.fn(async () => []),
   processExtendedFightData: vi.fn(),
   invalidateAnalysisCache: vi.fn(),
 }));
@@ -12,13 +15,24 @@ vi.mock('../services/characterProfile.js', () => ({
   saveScoreSnapshot: vi.fn(),
 }));
 
+vi.mock('../services/scoreHistory.js', () => ({
+  SCORE_SNAPSHOT_WEEKS: 8,
+}));
+
 vi.mock('../services/blizzard.js', () => ({
   getCharacterEquipment: vi.fn(),
   transformEquipment: vi.fn(),
+  getItemSecondaryStats: vi.fn(),
   BLIZZARD_SPEC_MAP: {},
   BLIZZARD_CLASS_MAP: {},
 }));
 
+vi.mock('../services/recommendationState.js', () => ({
+  trackRecommendations: vi.fn(),
+  setRecommendationStatus: vi.fn(),
+  TIP_ACTIONS: {},
+}));
+
 vi.mock('../services/metaRefreshManager.js', () => ({
   getMetaWithFreshness: vi.fn().mockResolvedValue({ meta: null, status: 'fresh', source: null }),
 }));
@@ -31,6 +45,14 @@ vi.mock('../services/mythicPlusAnalysis.js', () => ({
   analyzeMythicPlus: vi.fn(),
 }));
 
+// Rate limiters: pass-through in tests (prevent cross-test 429s)
+vi.mock('../middleware/rateLimit.js', () => ({
+  apiLimiter: vi.fn((req, res, next) => next()),
+  authLimiter: vi.fn((req, res, next) => next()),
+  importLimiter: vi.fn((req, res, next) => next()),
+  analysisLimiter: vi.fn((req, res, next) => next()),
+}));
+
 // Mock db with in-memory SQLite
 vi.mock('../db/client.js', async () => {
   const { createClient } = await import('@libsql/client');
@@ -44,8 +66,15 @@ vi.mock('../db/client.js', async () => {
 import request from 'supertest';
 import app from '../app.js';
 import { client } from '../db/client.js';
-import { getCharacterEquipment, transformEquipment } from '../services/blizzard.js';
+import {
+  getCharacterEquipment,
+  transformEquipment,
+  getItemSecondaryStats,
+} from '../services/blizzard.js';
 import { analyzeCharacterBuild } from '../services/buildAnalysis.js';
+import { getCharacterPerformance } from '../services/analysis.js';
+import { getCharacterBlizzardProfile } from '../services/characterProfile.js';
+import { trackRecommendations } from '../services/recommendationState.js';
 import { getMetaWithFreshness } from '../services/metaRefreshManager.js';
 
 // Helper: register a user and return the access token + user id
@@ -107,6 +136,9 @@ beforeAll(async () => {
     common_enchants TEXT DEFAULT '{}',
     common_gems TEXT DEFAULT '{}',
     common_talents TEXT DEFAULT '{}',
+    common_items TEXT DEFAULT '{}',
+    common_trinket_pairs TEXT DEFAULT '[]',
+    common_embellishments TEXT DEFAULT '{}',
     sample_size INTEGER DEFAULT 0,
     last_updated TEXT DEFAULT CURRENT_TIMESTAMP
   )`);
@@ -120,6 +152,44 @@ beforeEach(async () => {
   await client.execute('DELETE FROM spec_meta_cache');
 });
 
+// ═══════════════════════════════════════════════════════════════
+//  GET /api/v1/analysis/character/:id
+// ═══════════════════════════════════════════════════════════════
+
+describe('GET /api/v1/analysis/character/:id', () => {
+  it('returns the tracked tips without changing the cached performance', async () => {
+    const { accessToken, userId } = await registerAndGetToken();
+    await client.execute({
+      sql: `INSERT INTO characters (user_id, name, realm, realm_slug, region, class_name, spec, raid_role)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [userId, 'TipMage', 'Silvermoon', 'silvermoon', 'eu', 'Mage', 'Fire', 'DPS'],
+    });
+    const charRow = await client.execute('SELECT id FROM characters WHERE name = ?', ['TipMage']);
+
+    // getCharacterPerformance hands out the same cached object on every call
+    const recommendations = { primaryTips: [{ key: 'a' }, { key: 'b' }], secondaryTips: [] };
+    const cached = { summary: { totalFights: 4 }, recommendations };
+    getCharacterPerformance.mockResolvedValue(cached);
+    getCharacterBlizzardProfile.mockResolvedValue(null);
+    getCharacterEquipment.mockResolvedValue(null);
+    trackRecommendations.mockImplementation(async (characterId, recs) => ({
+      ...recs,
+      primaryTips: recs.primaryTips.slice(1),
+    }));
+
+    for (let i = 0; i < 2; i++) {
+      const res = await request(app)
+        .get(`/api/v1/analysis/character/${charRow.rows[0].id}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.recommendations.primaryTips).toEqual([{ key: 'b' }]);
+    }
+    expect(cached.recommendations).toBe(recommendations);
+    expect(trackRecommendations.mock.calls[1][1]).toBe(recommendations);
+  });
+});
+
 // ═══════════════════════════════════════════════════════════════
 //  GET /api/v1/analysis/character/:id/build
 // ═══════════════════════════════════════════════════════════════
@@ -334,3 +404,184 @@ describe('GET /api/v1/analysis/character/:id/build', () => {
     expect(res.body.error).toMatch(/failed/i);
   });
 });
+
+// ═══════════════════════════════════════════════════════════════
+//  GET /api/v1/analysis/character/:id/upgrade-plan
+// ═══════════════════════════════════════════════════════════════
+
+describe('GET /api/v1/analysis/character/:id/upgrade-plan', () => {
+  it('returns 404 when Blizzard equipment data is not available', async () => {
+    const { accessToken, userId } = await registerAndGetToken();
+    await client.execute({
+      sql: `INSERT INTO characters (user_id, name, realm, realm_slug, region, class_name, spec, raid_role)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [userId, 'PlanMage', 'Silvermoon', 'silvermoon', 'eu', 'Mage', 'Fire', 'DPS'],
+    });
+    const charRow = await client.execute('SELECT id FROM characters WHERE name = ?', ['PlanMage']);
+
+    getCharacterEquipment.mockResolvedValue(null);
+
+    const res = await request(app)
+      .get(`/api/v1/analysis/character/${charRow.rows[0].id}/upgrade-plan`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(res.status).toBe(404);
+    expect(res.body.error).toMatch(/equipment/i);
+  });
+
+  it('returns the equipped slots ranked by upgrade value', async () => {
+    const { accessToken, userId } = await registerAndGetToken();
+    await client.execute({
+      sql: `INSERT INTO characters (user_id, name, realm, realm_slug, region, class_name, spec, raid_role)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [userId, 'PlanMage', 'Silvermoon', 'silvermoon', 'eu', 'Mage', 'Fire', 'DPS'],
+    });
+    const charRow = await client.execute('SELECT id FROM characters WHERE name = ?', ['PlanMage']);
+
+    getCharacterEquipment.mockResolvedValue({ equipped_items: [] });
+    transformEquipment.mockReturnValue({
+      items: [
+        { slot: 'head', name: 'Crown', itemLevel: 707, stats: { haste: 500, versatility: 300 } },
+        { slot: 'feet', name: 'Boots', itemLevel: 684, stats: { crit: 500, mastery: 300 } },
+      ],
+      aggregated: { averageItemLevel: 695.5 },
+    });
+
+    const res = await request(app)
+      .get(`/api/v1/analysis/character/${charRow.rows[0].id}/upgrade-plan`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.slots.map((s) => s.slot)).toEqual(['feet', 'head']);
+    expect(res.body.slots[0].sources.raid.length).toBeGreaterThan(0);
+    expect(getMetaWithFreshness).toHaveBeenCalledWith('Mage', 'Fire', 'world');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  POST /api/v1/analysis/character/:id/gear-optimize
+// ═══════════════════════════════════════════════════════════════
+
+describe('POST /api/v1/analysis/character/:id/gear-optimize', () => {
+  async function createOptimizeChar() {
+    const { accessToken, userId } = await registerAndGetToken();
+    await client.execute({
+      sql: `INSERT INTO characters (user_id, name, realm, realm_slug, region, class_name, spec, raid_role)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [userId, 'OptiMage', 'Silvermoon', 'silvermoon', 'eu', 'Mage', 'Fire', 'DPS'],
+    });
+    const charRow = await client.execute('SELECT id FROM characters WHERE name = ?', ['OptiMage']);
+    return { accessToken, charId: charRow.rows[0].id };
+  }
+
+  it('returns 400 for invalid weights', async () => {
+    const { accessToken, charId } = await createOptimizeChar();
+
+    const res = await request(app)
+      .post(`/api/v1/analysis/character/${charId}/gear-optimize`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ weights: { haste: -1 } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/weights/);
+    expect(getCharacterEquipment).not.toHaveBeenCalled();
+  });
+
+  function mockOptimizeEquipment() {
+    getCharacterEquipment.mockResolvedValue({ equipped_items: [] });
+    transformEquipment.mockReturnValue({
+      items: [
+        { slot: 'head', name: 'Crown', itemLevel: 684, stats: { haste: 500, versatility: 300 } },
+      ],
+      aggregated: { statDistribution: { crit: 0, haste: 62.5, mastery: 0, versatility: 37.5 } },
+    });
+  }
+
+  it('suggests bag items from a SimC export', async () => {
+    const { accessToken, charId } = await createOptimizeChar();
+
+    mockOptimizeEquipment();
+    getItemSecondaryStats.mockResolvedValue({ crit: 0, haste: 200, mastery: 0, versatility: 0 });
+
+    const res = await request(app)
+      .post(`/api/v1/analysis/character/${charId}/gear-optimize`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        weights: { haste: 1, versatility: 0.5 },
+        simc: '### Gear from Bags\n# Void Helm (707)\n# head=,id=237718\n',
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.weightsSource).toBe('user');
+    expect(res.body.bagItemsComparedByItemLevel).toBe(0);
+    expect(res.body.slots[0]).toMatchObject({
+      slot: 'head',
+      suggested: { name: 'Void Helm', source: 'bags', comparedBy: 'stats' },
+      change: true,
+    });
+    expect(getItemSecondaryStats).toHaveBeenCalledWith(237718, 'eu');
+    expect(getMetaWithFreshness).toHaveBeenCalledWith('Mage', 'Fire', 'world');
+  });
+
+  it('rejects an export listing too many bag items', async () => {
+    const { accessToken, charId } = await createOptimizeChar();
+    const bagLines = Array.from(
+      { length: 61 },
+      (_, i) => `# Ring ${i} (700)\n# finger1=,id=${i + 1}`,
+    );
+
+    const res = await request(app)
+      .post(`/api/v1/analysis/character/${charId}/gear-optimize`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ simc: ['### Gear from Bags', ...bagLines].join('\n') });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/bag items/);
+    expect(getItemSecondaryStats).not.toHaveBeenCalled();
+  });
+
+  it('looks up each distinct bag item once, a few at a time', async () => {
+    const { accessToken, charId } = await createOptimizeChar();
+    const bagLines = Array.from(
+      { length: 12 },
+      (_, i) => `# Ring ${i} (700)\n# finger1=,id=${(i % 10) + 1}`,
+    );
+
+    mockOptimizeEquipment();
+    let inFlight = 0;
+    let maxInFlight = 0;
+    getItemSecondaryStats.mockImplementation(async () => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      inFlight--;
+      return { crit: 0, haste: 100, mastery: 0, versatility: 0 };
+    });
+
+    const res = await request(app)
+      .post(`/api/v1/analysis/character/${charId}/gear-optimize`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ simc: ['### Gear from Bags', ...bagLines].join('\n') });
+
+    expect(res.status).toBe(200);
+    expect(getItemSecondaryStats).toHaveBeenCalledTimes(10);
+    expect(maxInFlight).toBe(4);
+  });
+
+  it('compares bag items by item level when their stats cannot be fetched', async () => {
+    const { accessToken, charId } = await createOptimizeChar();
+
+    mockOptimizeEquipment();
+    getItemSecondaryStats.mockRejectedValue(new Error('Blizzard API down'));
+
+    const res = await request(app)
+      .post(`/api/v1/analysis/character/${charId}/gear-optimize`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ simc: '### Gear from Bags\n# Void Helm (707)\n# head=,id=237718\n' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.bagItemsComparedByItemLevel).toBe(1);
+    expect(res.body.slots[0].suggested).toMatchObject({
+      name: 'Void Helm',
+      comparedBy: 'itemLevel',
+    });
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateOptimizeInput,
+  parseSimcBagItems,
+  optimizeGear,
+  MAX_BAG_ITEMS,
+} from '../services/gearOptimizer.js';
+
+const SIMC_EXPORT = `# Thalrion - Fire - 2025-08-07 12:00 - EU/Silvermoon
+mage="Thalrion"
+spec=fire
+
+head=,id=237718,bonus_id=6652/10356
+trinket1=,id=242395,bonus_id=6652
+
+### Gear from Bags
+#
+# Band of the Sentinel (704)
+# finger1=,id=242405,bonus_id=6652/10356
+#
+# Voidglass Kris (697)
+# main_hand=,id=242430,bonus_id=6652
+#
+### Weekly Reward Choices
+#
+# Vault Crown (710)
+# head=,id=237800,bonus_id=6652
+`;
+
+const equipment = (overrides = {}) => ({
+  items: [
+    { slot: 'head', name: 'Crown', itemLevel: 700, stats: { haste: 600, versatility: 400 } },
+    { slot: 'finger1', name: 'Ring A', itemLevel: 701, stats: { haste: 700, mastery: 300 } },
+    { slot: 'finger2', name: 'Ring B', itemLevel: 684, stats: { haste: 600, crit: 400 } },
+    { slot: 'trinket1', name: 'Astral Antenna', itemLevel: 701, stats: {} },
+    { slot: 'trinket2', name: 'Old Trinket', itemLevel: 678, stats: {} },
+    { slot: 'mainHand', name: 'Staff', itemLevel: 704, stats: { haste: 900, mastery: 500 } },
+    { slot: 'shirt', name: 'Shirt', itemLevel: 1, stats: {} },
+  ],
+  aggregated: { statDistribution: { crit: 10, haste: 70, mastery: 20, versatility: 0 } },
+  ...overrides,
+});
+
+describe('validateOptimizeInput', () => {
+  it('accepts partial weights and an export', () => {
+    expect(validateOptimizeInput({ weights: { haste: 1.2, crit: 0.8 }, simc: '# x' })).toEqual({
+      values: { weights: { crit: 0.8, haste: 1.2, mastery: 0, versatility: 0 }, simc: '# x' },
+    });
+    expect(validateOptimizeInput({})).toEqual({ values: { weights: null, simc: null } });
+  });
+
+  it('rejects unknown stats, negative or all-zero weights and non-string exports', () => {
+    expect(validateOptimizeInput({ weights: { leech: 1 } }).error).toMatch(/leech/);
+    expect(validateOptimizeInput({ weights: { haste: -1 } }).error).toMatch(/non-negative/);
+    expect(validateOptimizeInput({ weights: { haste: 0 } }).error).toMatch(/positive/);
+    expect(validateOptimizeInput({ simc: 42 }).error).toMatch(/simc/);
+  });
+
+  it('rejects exports listing more bag items than the cap', () => {
+    const bagLines = (count) =>
+      Array.from({ length: count }, (_, i) => `# Ring ${i} (700)\n# finger1=,id=${i + 1}`);
+    const simc = (count) => ['### Gear from Bags', ...bagLines(count)].join('\n');
+
+    expect(validateOptimizeInput({ simc: simc(MAX_BAG_ITEMS) }).error).toBeUndefined();
+    expect(validateOptimizeInput({ simc: simc(MAX_BAG_ITEMS + 1) }).error).toMatch(
+      /at most 60 bag items/,
+    );
+  });
+});
+
+describe('parseSimcBagItems', () => {
+  it('reads the bag section only', () => {
+    expect(parseSimcBagItems(SIMC_EXPORT)).toEqual([
+      { slot: 'finger1', name: 'Band of the Sentinel', itemLevel: 704, itemId: 242405 },
+      { slot: 'mainHand', name: 'Voidglass Kris', itemLevel: 697, itemId: 242430 },
+    ]);
+  });
+});
+
+describe('optimizeGear', () => {
+  it('swaps in a better bag item and keeps the rest in place', () => {
+    const result = optimizeGear(equipment(), 'Mage', 'Fire', {
+      bagItems: parseSimcBagItems(SIMC_EXPORT),
+    });
+
+    expect(result.weightsSource).toBe('spec');
+    expect(result.bagItemCount).toBe(2);
+    // The bag dagger is not weighed against the equipped staff (a two-hander)
+    expect(result.bagItemsComparedByItemLevel).toBe(1);
+    expect(result.changes).toBe(1);
+    expect(result.slots[0]).toMatchObject({
+      slot: 'finger2',
+      current: { name: 'Ring B', itemLevel: 684 },
+      suggested: {
+        name: 'Band of the Sentinel',
+        itemLevel: 704,
+        source: 'bags',
+        comparedBy: 'itemLevel',
+        itemId: 242405,
+      },
+      change: true,
+    });
+    expect(result.slots.find((s) => s.slot === 'finger1').change).toBe(false);
+    expect(result.slots.find((s) => s.slot === 'mainHand').suggested.name).toBe('Staff');
+    expect(result.slots.some((s) => s.slot === 'shirt')).toBe(false);
+    // Ring B's stats leave the optimized distribution; the bag ring's are unknown
+    expect(result.statDistribution.optimized).toEqual({
+      crit: 0,
+      haste: 64.7,
+      mastery: 23.5,
+      versatility: 11.8,
+    });
+  });
+
+  it('scores bag items by their stat split when it is known', () => {
+    const bagItems = [
+      { slot: 'finger1', name: 'Haste Band', itemLevel: 690, itemId: 3, stats: { haste: 300 } },
+      { slot: 'finger1', name: 'Crit Band', itemLevel: 695, itemId: 4, stats: { crit: 300 } },
+    ];
+    const result = optimizeGear(equipment(), 'Mage', 'Fire', {
+      bagItems,
+      weights: { crit: 0, haste: 1, mastery: 0, versatility: 0 },
+    });
+
+    expect(result.bagItemsComparedByItemLevel).toBe(0);
+    expect(result.changes).toBe(1);
+    expect(result.slots[0]).toMatchObject({
+      slot: 'finger2',
+      current: { name: 'Ring B', score: 690 },
+      suggested: { name: 'Haste Band', comparedBy: 'stats', score: 700 },
+    });
+    // The bag ring's split counts at Ring B's rating total
+    expect(result.statDistribution.optimized).toEqual({
+      crit: 0,
+      haste: 72.7,
+      mastery: 18.2,
+      versatility: 9.1,
+    });
+  });
+
+  it('follows user weights over the spec priority', () => {
+    const items = [
+      { slot: 'head', name: 'Haste Helm', itemLevel: 700, stats: { haste: 1000 } },
+      { slot: 'finger1', name: 'Ring', itemLevel: 700, stats: { crit: 1000 } },
+    ];
+    const result = optimizeGear(equipment({ items }), 'Mage', 'Fire', {
+      weights: { crit: 1, haste: 0, mastery: 0, versatility: 0 },
+    });
+
+    expect(result.weightsSource).toBe('user');
+    const bySlot = Object.fromEntries(result.slots.map((s) => [s.slot, s.current.score]));
+    expect(bySlot).toEqual({ head: 700, finger1: 710 });
+  });
+
+  it('keeps an equipped two-hander and swaps one-handers with an off-hand worn', () => {
+    const bagItems = [{ slot: 'mainHand', name: 'Big Dagger', itemLevel: 720, itemId: 5 }];
+
+    const twoHanded = optimizeGear(equipment(), 'Mage', 'Fire', { bagItems });
+    expect(twoHanded.slots.find((s) => s.slot === 'mainHand')).toMatchObject({
+      suggested: { name: 'Staff' },
+      change: false,
+    });
+
+    const items = [
+      { slot: 'mainHand', name: 'Wand', itemLevel: 700, stats: { haste: 500 } },
+      { slot: 'offHand', name: 'Tome', itemLevel: 700, stats: { haste: 500 } },
+    ];
+    const oneHanded = optimizeGear(equipment({ items }), 'Mage', 'Fire', { bagItems });
+    expect(oneHanded.slots.find((s) => s.slot === 'mainHand')).toMatchObject({
+      suggested: { name: 'Big Dagger' },
+      change: true,
+    });
+  });
+
+  it('never pairs two copies of a trinket', () => {
+    const bagItems = [{ slot: 'trinket1', name: 'Astral Antenna', itemLevel: 710, itemId: 1 }];
+    const result = optimizeGear(equipment(), 'Mage', 'Fire', { bagItems });
+
+    const trinkets = result.slots.filter((s) => s.slot.startsWith('trinket'));
+    expect(trinkets.map((s) => s.suggested.name)).toEqual(['Astral Antenna', 'Old Trinket']);
+    expect(trinkets.find((s) => s.slot === 'trinket1').suggested.itemLevel).toBe(710);
+  });
+
+  it('keeps tier pieces while they hold an active set bonus', () => {
+    const items = [{ slot: 'head', name: 'Tier Crown', itemLevel: 684, stats: {}, setName: 'Set' }];
+    const bagItems = [{ slot: 'head', name: 'Big Helm', itemLevel: 710, itemId: 2 }];
+    const setAudit = { setName: 'Set', pieces: 4, activeBonuses: [2, 4] };
+
+    const result = optimizeGear(equipment({ items, setAudit }), 'Mage', 'Fire', { bagItems });
+
+    expect(result.slots[0]).toMatchObject({ slot: 'head', change: false, locked: true });
+  });
+});
@@ -0,0 +1,309 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+
+// Stored fights are not needed: goal metrics come from stubbed performance lookups
+vi.mock('../services/analysis.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getCharacterPerformance: vi.fn(),
+}));
+
+// Mock db with in-memory SQLite
+vi.mock('../db/client.js', async () => {
+  const { createClient } = await import('@libsql/client');
+  const { drizzle } = await import('drizzle-orm/libsql');
+  const schema = await import('../db/schema.js');
+  const client = createClient({ url: ':memory:' });
+  const db = drizzle(client, { schema });
+  return { db, client };
+});
+
+import request from 'supertest';
+import app from '../app.js';
+import { client } from '../db/client.js';
+import { getCharacterPerformance } from '../services/analysis.js';
+import { validateGoalInput, goalProgress, projectCompletion } from '../services/goals.js';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-08-14T12:00:00Z');
+
+// Death rate falling 0.1 a week: 0.6 → 0.5 → 0.4
+const performance = (deathRate = 0.4) => ({
+  summary: { totalFights: 12, deathRate, avgActiveTime: 88 },
+  weeklyTrends: [
+    { weekStart: '2025-07-30', fights: 4, avgDeaths: deathRate + 0.2, avgActiveTime: 86 },
+    { weekStart: '2025-08-06', fights: 4, avgDeaths: deathRate + 0.1, avgActiveTime: 87 },
+    { weekStart: '2025-08-13', fights: 4, avgDeaths: deathRate, avgActiveTime: 88 },
+  ],
+});
+
+async function registerAndGetToken(email = 'goals-test@example.com') {
+  const res = await request(app)
+    .post('/api/v1/auth/register')
+    .send({ email, password: 'password123' });
+  return { accessToken: res.body.accessToken, userId: res.body.user.id };
+}
+
+async function createCharacter(userId) {
+  const result = await client.execute({
+    sql: `INSERT INTO characters (user_id, name, realm, realm_slug, class_name, spec)
+          VALUES (?, 'Thalrion', 'Silvermoon', 'silvermoon', 'Mage', 'Fire')`,
+    args: [userId],
+  });
+  return Number(result.lastInsertRowid);
+}
+
+beforeAll(async () => {
+  await client.execute(`CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,
+    email_verified INTEGER DEFAULT 0,
+    password_hash TEXT,
+    display_name TEXT,
+    avatar_url TEXT,
+    locale TEXT DEFAULT 'en',
+    tier TEXT DEFAULT 'free',
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    token TEXT NOT NULL UNIQUE,
+    token_family TEXT NOT NULL DEFAULT 'legacy',
+    used INTEGER DEFAULT 0,
+    expires_at TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS characters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    realm TEXT NOT NULL,
+    realm_slug TEXT NOT NULL,
+    region TEXT NOT NULL DEFAULT 'eu',
+    class_name TEXT NOT NULL,
+    class_id INTEGER,
+    spec TEXT,
+    raid_role TEXT,
+    level INTEGER DEFAULT 0,
+    is_primary INTEGER DEFAULT 0,
+    last_synced_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS mplus_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    character_id INTEGER NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+    score REAL NOT NULL,
+    score_dps REAL DEFAULT 0,
+    score_healer REAL DEFAULT 0,
+    score_tank REAL DEFAULT 0,
+    item_level REAL,
+    best_run_level INTEGER,
+    total_dungeons INTEGER,
+    snapshot_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS character_goals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    character_id INTEGER NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+    metric TEXT NOT NULL,
+    target REAL NOT NULL,
+    difficulty TEXT,
+    deadline TEXT,
+    baseline REAL,
+    status TEXT NOT NULL DEFAULT 'active',
+    achieved_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+});
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  for (const table of [
+    'character_goals',
+    'mplus_snapshots',
+    'characters',
+    'refresh_tokens',
+    'users',
+  ]) {
+    await client.execute(`DELETE FROM ${table}`);
+  }
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('validateGoalInput', () => {
+  it('accepts a goal and rejects bad metrics, targets, difficulties and deadlines', () => {
+    expect(validateGoalInput({ metric: 'deathRate', target: '0.2', difficulty: 'Heroic' })).toEqual(
+      { values: { metric: 'deathRate', target: 0.2, difficulty: 'Heroic' } },
+    );
+    expect(validateGoalInput({ metric: 'parse', target: 1 }).error).toMatch(/metric/);
+    expect(validateGoalInput({ metric: 'dps', target: -5 }).error).toMatch(/target/);
+    expect(validateGoalInput({ metric: 'dps', target: 1, difficulty: 'Hard' }).error).toMatch(
+      /difficulty/,
+    );
+    expect(
+      validateGoalInput({ metric: 'mplusScore', target: 2500, difficulty: 'Mythic' }).error,
+    ).toMatch(/M\+/);
+    expect(validateGoalInput({ metric: 'dps', target: 1, deadline: '14/08/2025' }).error).toMatch(
+      /deadline/,
+    );
+  });
+
+  it('only checks the fields present on updates', () => {
+    expect(validateGoalInput({ metric: 'dps', deadline: null }, { partial: true })).toEqual({
+      values: { deadline: null },
+    });
+  });
+});
+
+describe('goalProgress', () => {
+  it('measures progress from the baseline in the goal direction', () => {
+    const goal = { metric: 'deathRate', target: 0.2, baseline: 0.6 };
+    expect(goalProgress(goal, 0.4)).toEqual({ progressPct: 50, reached: false });
+    expect(goalProgress(goal, 0.7)).toEqual({ progressPct: 0, reached: false });
+    expect(goalProgress(goal, 0.2)).toEqual({ progressPct: 100, reached: true });
+    expect(goalProgress(goal, null)).toEqual({ progressPct: null, reached: false });
+  });
+});
+
+describe('projectCompletion', () => {
+  const points = [
+    { at: NOW - 2 * WEEK_MS, value: 2000 },
+    { at: NOW - WEEK_MS, value: 2100 },
+    { at: NOW, value: 2200 },
+  ];
+
+  it('extends the trend to the target', () => {
+    expect(projectCompletion(points, 2500, 'above', NOW)).toBe('2025-09-04');
+  });
+
+  it('has no date when the trend heads away or history is too short', () => {
+    expect(projectCompletion(points, 1500, 'below', NOW)).toBeNull();
+    expect(projectCompletion(points.slice(0, 1), 2500, 'above', NOW)).toBeNull();
+  });
+});
+
+describe('/api/v1/analysis/character/:id/goals', () => {
+  it('creates a goal with its baseline and reports progress and projection', async () => {
+    vi.useFakeTimers({ now: NOW, toFake: ['Date'] });
+    const { accessToken, userId } = await registerAndGetToken();
+    const charId = await createCharacter(userId);
+    getCharacterPerformance.mockResolvedValue(performance(0.4));
+
+    const res = await request(app)
+      .post(`/api/v1/analysis/character/${charId}/goals`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ metric: 'deathRate', target: 0.2, difficulty: 'Heroic', deadline: '2025-09-30' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.goal).toMatchObject({
+      metric: 'deathRate',
+      target: 0.2,
+      difficulty: 'Heroic',
+      baseline: 0.4,
+      status: 'active',
+      current: 0.4,
+      progressPct: 0,
+      projectedDate: '2025-08-27',
+      onTrack: true,
+    });
+    expect(getCharacterPerformance).toHaveBeenCalledWith(
+      charId,
+      expect.objectContaining({ weeks: 8, difficulty: 'Heroic' }),
+    );
+
+    // A week later the death rate hit the target
+    getCharacterPerformance.mockResolvedValue(performance(0.2));
+    const list = await request(app)
+      .get(`/api/v1/analysis/character/${charId}/goals`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(list.body.goals).toHaveLength(1);
+    expect(list.body.goals[0]).toMatchObject({
+      status: 'achieved',
+      progressPct: 100,
+      projectedDate: null,
+    });
+    expect(list.body.goals[0].achievedAt).toBeTruthy();
+  });
+
+  it('tracks M+ score goals from the score snapshots', async () => {
+    vi.useFakeTimers({ now: NOW, toFake: ['Date'] });
+    const { accessToken, userId } = await registerAndGetToken();
+    const charId = await createCharacter(userId);
+    for (const [at, score] of [
+      ['2025-07-31 12:00:00', 2000],
+      ['2025-08-07 12:00:00', 2100],
+      ['2025-08-14 12:00:00', 2200],
+    ]) {
+      await client.execute({
+        sql: 'INSERT INTO mplus_snapshots (character_id, score, snapshot_at) VALUES (?, ?, ?)',
+        args: [charId, score, at],
+      });
+    }
+
+    const res = await request(app)
+      .post(`/api/v1/analysis/character/${charId}/goals`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ metric: 'mplusScore', target: 2500 });
+
+    expect(res.body.goal).toMatchObject({
+      current: 2200,
+      baseline: 2200,
+      projectedDate: '2025-09-04',
+      onTrack: null,
+    });
+    expect(getCharacterPerformance).not.toHaveBeenCalled();
+  });
+
+  it('updates and removes goals, re-opening a goal whose target changed', async () => {
+    const { accessToken, userId } = await registerAndGetToken();
+    const charId = await createCharacter(userId);
+    getCharacterPerformance.mockResolvedValue(performance(0.4));
+    const created = await request(app)
+      .post(`/api/v1/analysis/character/${charId}/goals`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ metric: 'activeTime', target: 85 });
+    expect(created.body.goal.status).toBe('achieved');
+    const goalId = created.body.goal.id;
+
+    const updated = await request(app)
+      .put(`/api/v1/analysis/character/${charId}/goals/${goalId}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ target: 95 });
+    expect(updated.body.goal).toMatchObject({ target: 95, status: 'active', achievedAt: null });
+
+    const metricChange = await request(app)
+      .put(`/api/v1/analysis/character/${charId}/goals/${goalId}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ metric: 'dps' });
+    expect(metricChange.status).toBe(400);
+
+    const removed = await request(app)
+      .delete(`/api/v1/analysis/character/${charId}/goals/${goalId}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(removed.status).toBe(200);
+    const again = await request(app)
+      .delete(`/api/v1/analysis/character/${charId}/goals/${goalId}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(again.status).toBe(404);
+  });
+
+  it("rejects invalid goals and other users' characters", async () => {
+    const { accessToken, userId } = await registerAndGetToken();
+    const charId = await createCharacter(userId);
+    const other = await registerAndGetToken('goals-other@example.com');
+
+    const invalid = await request(app)
+      .post(`/api/v1/analysis/character/${charId}/goals`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ metric: 'deathRate' });
+    expect(invalid.status).toBe(400);
+
+    const notOwned = await request(app)
+      .get(`/api/v1/analysis/character/${charId}/goals`)
+      .set('Authorization', `Bearer ${other.accessToken}`);
+    expect(notOwned.status).toBe(404);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../db/client.js', () => ({ db: {} }));
+
+import { aggregateItems, aggregateTrinketPairs } from '../services/metaAggregation.js';
+
+const player = (trinkets, mainHand = 'Charged Claymore') => ({
+  items: [
+    { slot: 'mainHand', name: mainHand },
+    { slot: 'trinket1', name: trinkets[0] },
+    { slot: 'trinket2', name: trinkets[1] },
+  ],
+});
+
+const results = [
+  player(['Astral Antenna', 'Unyielding Netherprism']),
+  player(['Unyielding Netherprism', 'Astral Antenna']),
+  player(['Astral Antenna', 'Improvised Seaforium Pacemaker'], 'Voidglass Kris'),
+  player(['Chaotic Nethergate', 'Astral Antenna']),
+];
+
+describe('aggregateItems', () => {
+  it('counts each player once per item, folding numbered slots', () => {
+    const commonItems = aggregateItems(results, results.length);
+
+    expect(commonItems.trinket).toEqual({
+      'Astral Antenna': { count: 4, pct: 100 },
+      'Unyielding Netherprism': { count: 2, pct: 50 },
+      'Improvised Seaforium Pacemaker': { count: 1, pct: 25 },
+      'Chaotic Nethergate': { count: 1, pct: 25 },
+    });
+    expect(commonItems.mainHand).toEqual({
+      'Charged Claymore': { count: 3, pct: 75 },
+      'Voidglass Kris': { count: 1, pct: 25 },
+    });
+  });
+});
+
+describe('aggregateTrinketPairs', () => {
+  it('treats a pair the same in either slot order', () => {
+    expect(aggregateTrinketPairs(results, results.length)).toEqual([
+      { trinkets: ['Astral Antenna', 'Unyielding Netherprism'], count: 2, pct: 50 },
+      { trinkets: ['Astral Antenna', 'Improvised Seaforium Pacemaker'], count: 1, pct: 25 },
+      { trinkets: ['Astral Antenna', 'Chaotic Nethergate'], count: 1, pct: 25 },
+    ]);
+  });
+});
@@ -3,6 +3,7 @@ import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
 // Mock external services that the public route depends on
 vi.mock('../services/analysis.js', () => ({
   getCharacterPerformance: vi.fn(),
+  getCharacterDungeonRuns: vi.fn(async () => []),
   processExtendedFightData: vi.fn(),
   invalidateAnalysisCache: vi.fn(),
 }));
@@ -149,6 +150,25 @@ describe('GET /api/v1/public/character/:region/:realm/:name', () => {
     expect(res.body.character.name).toBe('Testchar');
   });
 
+  it('forwards analysis filters but always restricts to public reports', async () => {
+    const res = await request(app).get(
+      '/api/v1/public/character/eu/silvermoon/Testchar?outcome=kills&zone=Manaforge%20Omega&from=2025-08-01&to=2025-08-31&specId=63&visibility=private',
+    );
+    expect(res.status).toBe(200);
+    expect(getCharacterPerformance).toHaveBeenCalledWith(
+      expect.any(Number),
+      expect.objectContaining({
+        weeks: 8,
+        outcome: 'kills',
+        zone: 'Manaforge Omega',
+        from: Date.parse('2025-08-01'),
+        to: Date.parse('2025-09-01') - 1,
+        specId: 63,
+        visibilityFilter: 'public',
+      }),
+    );
+  });
+
   it('falls back to live Blizzard API when character not in DB', async () => {
     getCharacterProfile.mockResolvedValue({
       name: 'Newchar',
@@ -0,0 +1,224 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+
+// Mock db with in-memory SQLite
+vi.mock('../db/client.js', async () => {
+  const { createClient } = await import('@libsql/client');
+  const { drizzle } = await import('drizzle-orm/libsql');
+  const schema = await import('../db/schema.js');
+  const client = createClient({ url: ':memory:' });
+  const db = drizzle(client, { schema });
+  return { db, client };
+});
+
+import { client } from '../db/client.js';
+import {
+  tipId,
+  trackRecommendations,
+  setRecommendationStatus,
+} from '../services/recommendationState.js';
+
+const flaskTip = {
+  category: 'preparation',
+  key: 'low_flask',
+  severity: 'warning',
+  priority: 5,
+  data: { pct: 40 },
+};
+const spikeTip = (boss) => ({
+  category: 'survivability',
+  key: 'boss_death_spike',
+  severity: 'critical',
+  priority: 3,
+  data: { boss, difficulty: 'Heroic', rate: 0.5 },
+});
+
+const recs = (tips, playerLevel = 'beginner') => ({
+  primaryTips: tips,
+  secondaryTips: [],
+  playerLevel,
+});
+
+const at = (iso) => vi.setSystemTime(Date.parse(iso));
+
+async function states() {
+  const result = await client.execute(
+    'SELECT tip_id, status, first_seen_at, last_seen_at, resolved_at FROM recommendation_states ORDER BY tip_id',
+  );
+  return result.rows;
+}
+
+beforeAll(async () => {
+  await client.execute(`CREATE TABLE IF NOT EXISTS characters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    realm TEXT NOT NULL,
+    realm_slug TEXT NOT NULL,
+    region TEXT NOT NULL DEFAULT 'eu',
+    class_name TEXT NOT NULL,
+    class_id INTEGER,
+    spec TEXT,
+    raid_role TEXT,
+    level INTEGER DEFAULT 0,
+    is_primary INTEGER DEFAULT 0,
+    last_synced_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS recommendation_states (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    character_id INTEGER NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+    tip_id TEXT NOT NULL,
+    key TEXT NOT NULL,
+    category TEXT NOT NULL,
+    severity TEXT NOT NULL,
+    data TEXT,
+    status TEXT NOT NULL DEFAULT 'active',
+    snoozed_until TEXT,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL,
+    resolved_at TEXT
+  )`);
+  await client.execute(
+    'CREATE UNIQUE INDEX IF NOT EXISTS rec_state_tip_unique ON recommendation_states (character_id, tip_id)',
+  );
+  await client.execute(
+    `INSERT INTO characters (user_id, name, realm, realm_slug, class_name)
+     VALUES ('user-1', 'Thalrion', 'Silvermoon', 'silvermoon', 'Mage')`,
+  );
+});
+
+beforeEach(async () => {
+  await client.execute('DELETE FROM recommendation_states');
+  vi.useFakeTimers({ now: Date.parse('2025-08-07T12:00:00Z'), toFake: ['Date'] });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('tipId', () => {
+  it('tells the same tip on different bosses apart', () => {
+    expect(tipId(flaskTip)).toBe('low_flask');
+    expect(tipId(spikeTip('Plexus Sentinel'))).toBe('boss_death_spike:Plexus Sentinel:Heroic');
+    expect(tipId(spikeTip('Plexus Sentinel'))).not.toBe(tipId(spikeTip("Loom'ithar")));
+  });
+});
+
+describe('trackRecommendations', () => {
+  it('records first and last sighting of each tip', async () => {
+    await trackRecommendations(1, recs([flaskTip]), { sync: true });
+    at('2025-08-09T12:00:00Z');
+    const result = await trackRecommendations(1, recs([flaskTip]), { sync: true });
+
+    expect(result.primaryTips[0]).toMatchObject({
+      id: 'low_flask',
+      status: 'active',
+      firstSeenAt: '2025-08-07T12:00:00.000Z',
+    });
+    expect((await states())[0]).toMatchObject({
+      first_seen_at: '2025-08-07T12:00:00.000Z',
+      last_seen_at: '2025-08-09T12:00:00.000Z',
+    });
+  });
+
+  it('resolves a tip that stops firing in a later reset week, and reopens it on a relapse', async () => {
+    await trackRecommendations(1, recs([flaskTip, spikeTip('Plexus Sentinel')]), { sync: true });
+
+    // Same week: not firing yet is not enough
+    at('2025-08-11T12:00:00Z');
+    let result = await trackRecommendations(1, recs([flaskTip]), { sync: true });
+    expect(result.resolvedTips).toEqual([]);
+
+    at('2025-08-13T12:00:00Z');
+    result = await trackRecommendations(1, recs([flaskTip]), { sync: true });
+    expect(result.resolvedTips).toEqual([
+      expect.objectContaining({
+        id: 'boss_death_spike:Plexus Sentinel:Heroic',
+        key: 'boss_death_spike',
+        data: { boss: 'Plexus Sentinel', difficulty: 'Heroic', rate: 0.5 },
+        resolvedAt: '2025-08-13T12:00:00.000Z',
+      }),
+    ]);
+
+    at('2025-08-20T12:00:00Z');
+    result = await trackRecommendations(1, recs([flaskTip, spikeTip('Plexus Sentinel')]), {
+      sync: true,
+    });
+    expect(result.resolvedTips).toEqual([]);
+    expect((await states()).map((r) => [r.tip_id, r.status, r.resolved_at])).toEqual([
+      ['boss_death_spike:Plexus Sentinel:Heroic', 'active', null],
+      ['low_flask', 'active', null],
+    ]);
+  });
+
+  it('only reads states without sync', async () => {
+    await trackRecommendations(1, recs([flaskTip]), { sync: true });
+    at('2025-08-20T12:00:00Z');
+
+    const result = await trackRecommendations(1, recs([]));
+
+    expect(result.resolvedTips).toEqual([]);
+    expect((await states())[0].status).toBe('active');
+  });
+
+  it('hides dismissed tips and snoozed ones until the snooze ends', async () => {
+    const tips = [flaskTip, spikeTip('Plexus Sentinel'), spikeTip("Loom'ithar")];
+    await trackRecommendations(1, recs(tips), { sync: true });
+    await setRecommendationStatus(1, 'low_flask', 'acknowledge');
+    await setRecommendationStatus(1, 'boss_death_spike:Plexus Sentinel:Heroic', 'dismiss');
+    await setRecommendationStatus(1, "boss_death_spike:Loom'ithar:Heroic", 'snooze', { days: 3 });
+
+    let result = await trackRecommendations(1, recs(tips), { sync: true });
+    expect(result.primaryTips.map((t) => [t.id, t.status])).toEqual([
+      ['low_flask', 'acknowledged'],
+    ]);
+
+    at('2025-08-11T12:00:00Z');
+    result = await trackRecommendations(1, recs(tips), { sync: true });
+    expect(result.primaryTips.map((t) => t.id)).toEqual([
+      'low_flask',
+      "boss_death_spike:Loom'ithar:Heroic",
+    ]);
+  });
+
+  it('keeps a dismissed tip dismissed when it stops firing and fires again', async () => {
+    const tip = spikeTip('Plexus Sentinel');
+    await trackRecommendations(1, recs([tip]), { sync: true });
+    await setRecommendationStatus(1, tipId(tip), 'dismiss');
+
+    at('2025-08-13T12:00:00Z');
+    let result = await trackRecommendations(1, recs([]), { sync: true });
+    expect(result.resolvedTips).toEqual([]);
+    expect((await states())[0].status).toBe('dismissed');
+
+    at('2025-08-20T12:00:00Z');
+    result = await trackRecommendations(1, recs([tip]), { sync: true });
+    expect(result.primaryTips).toEqual([]);
+    expect(result.resolvedTips).toEqual([]);
+    expect((await states())[0]).toMatchObject({ status: 'dismissed', resolved_at: null });
+  });
+
+  it('does not resolve a snoozed tip that stops firing', async () => {
+    await trackRecommendations(1, recs([flaskTip]), { sync: true });
+    await setRecommendationStatus(1, 'low_flask', 'snooze', { days: 3 });
+
+    at('2025-08-13T12:00:00Z');
+    const result = await trackRecommendations(1, recs([]), { sync: true });
+
+    expect(result.resolvedTips).toEqual([]);
+    expect((await states())[0].status).toBe('snoozed');
+  });
+});
+
+describe('setRecommendationStatus', () => {
+  it('sets the snooze end and ignores tips that are not tracked', async () => {
+    await trackRecommendations(1, recs([flaskTip]), { sync: true });
+
+    expect(await setRecommendationStatus(1, 'low_flask', 'snooze')).toEqual({
+      id: 'low_flask',
+      status: 'snoozed',
+      snoozedUntil: '2025-08-14T12:00:00.000Z',
+    });
+    expect(await setRecommendationStatus(1, 'low_dps', 'dismiss')).toBeNull();
+  });
+});
@@ -0,0 +1,1438 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest';
+import { readFileSync, rmSync } from 'node:fs';
+
+// ── Mock the network layer only: wcl.js parses recorded GraphQL payloads ──
+
+vi.mock('axios', () => ({
+  default: { post: vi.fn() },
+}));
+
+// Keep the real performance pipeline, but observe cache invalidation and fight processing
+vi.mock('../services/analysis.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    invalidateAnalysisCache: vi.fn(),
+    processExtendedFightData: vi.fn(actual.processExtendedFightData),
+  };
+});
+
+// Retry: execute immediately (no backoff delay in tests)
+vi.mock('../utils/retry.js', () => ({
+  retryWithBackoff: vi.fn(async (fn) => fn()),
+  isTransientError: vi.fn(() => false),
+}));
+
+// WCL token bucket: never wait in tests
+vi.mock('../services/rateLimiter.js', () => ({
+  acquireToken: vi.fn().mockResolvedValue(undefined),
+}));
+
+// Encryption: passthrough
+vi.mock('../utils/encryption.js', () => ({
+  decryptToken: vi.fn((token) => token),
+  encryptToken: vi.fn((token) => token),
+}));
+
+// Temp-file SQLite (report persistence runs inside db.transaction)
+const { TEST_DB_PATH } = await vi.hoisted(async () => {
+  const { tmpdir } = await import('node:os');
+  const { join } = await import('node:path');
+  return { TEST_DB_PATH: join(tmpdir(), `stillnoob-ingestion-test-${process.pid}.db`) };
+});
+
+vi.mock('../db/client.js', async () => {
+  const { createClient } = await import('@libsql/client');
+  const { drizzle } = await import('drizzle-orm/libsql');
+  const schema = await import('../db/schema.js');
+  const client = createClient({ url: `file:${TEST_DB_PATH}` });
+  const db = drizzle(client, { schema });
+  return { db, client };
+});
+
+import axios from 'axios';
+import { client } from '../db/client.js';
+import { fightPerformance } from '../db/schema.js';
+import {
+  invalidateAnalysisCache,
+  processExtendedFightData,
+  getCharacterPerformance,
+  getCharacterDungeonRuns,
+  getCharacterUtilityBreakdown,
+  getCharacterProgression,
+} from '../services/analysis.js';
+import { analyzeDungeonRuns } from '../services/mythicPlusAnalysis.js';
+import { acquireToken } from '../services/rateLimiter.js';
+import {
+  ingestReport,
+  refreshReport,
+  mapDifficulty,
+  normalizeCharacterName,
+  buildCharacterMap,
+  wclRegionCode,
+  claimUnclaimedCharacter,
+  describeKeystoneRun,
+  describeFightPhases,
+} from '../services/reportIngestion.js';
+
+process.env.WCL_CLIENT_ID = process.env.WCL_CLIENT_ID || 'test-wcl-client';
+process.env.WCL_CLIENT_SECRET = process.env.WCL_CLIENT_SECRET || 'test-wcl-secret';
+
+const REPORT_CODE = 'Kq7vXb2NdR4mTz9W';
+const USER_ID = 'user-ingestion-1';
+
+// ── Recorded WCL fixtures ───────────────────────────────────────
+
+/** Load the recorded GraphQL `data` payload for a query (e.g. 'getReportData'). */
+function loadFixture(code, queryName) {
+  const url = new URL(`./fixtures/wcl/${code}.${queryName}.json`, import.meta.url);
+  return JSON.parse(readFileSync(url, 'utf8'));
+}
+
+/**
+ * Answer WCL HTTP calls from the recorded fixtures, keyed by GraphQL operation
+ * name. `overrides[queryName]` replaces the recorded `data` payload, or is a
+ * function of the request body returning the whole response.
+ */
+function replayWcl(code, overrides = {}) {
+  axios.post.mockImplementation(async (url, body) => {
+    if (url.endsWith('/oauth/token')) {
+      return { data: { access_token: 'client-token', expires_in: 3600 } };
+    }
+    const operation = body.query.match(/query (\w+)/)[1];
+    const queryName = operation[0].toLowerCase() + operation.slice(1);
+    const override = overrides[queryName];
+    if (typeof override === 'function') return { data: override(body) };
+    return { data: { data: override ?? loadFixture(code, queryName) } };
+  });
+}
+
+/**
+ * The recorded log replayed as a Mythic+ report from two days ago: fight 3 is
+ * a timed Ara-Kara, fight 7 a boss inside it, fight 9 a depleted Dawnbreaker.
+ */
+function mythicPlusReportData() {
+  const data = loadFixture(REPORT_CODE, 'getReportData');
+  const report = data.reportData.report;
+  const [first, second, third] = report.fights;
+  report.startTime = Date.now() - 2 * 24 * 60 * 60 * 1000;
+  report.fights = [
+    {
+      ...first,
+      encounterID: 12660,
+      name: 'Ara-Kara, City of Echoes',
+      difficulty: 15,
+      keystoneLevel: 15,
+      keystoneAffixes: [10, 147, 148],
+      keystoneBonus: 2,
+      keystoneTime: 1350000,
+      kill: true,
+    },
+    { ...second, encounterID: 2926, name: 'Avanoxx', difficulty: 15, keystoneLevel: 15 },
+    {
+      ...third,
+      encounterID: 12662,
+      name: 'The Dawnbreaker',
+      difficulty: 16,
+      keystoneLevel: 16,
+      keystoneAffixes: [10, 147, 148],
+      keystoneBonus: 0,
+      keystoneTime: 2050000,
+      kill: true,
+    },
+  ];
+  return data;
+}
+
+async function addCharacter(name, className, userId = USER_ID, region = 'eu') {
+  const res = await client.execute({
+    sql: `INSERT INTO characters (user_id, name, realm, realm_slug, region, class_name)
+          VALUES (?, ?, 'Sanguino', 'sanguino', ?, ?) RETURNING id`,
+    args: [userId, name, region, className],
+  });
+  return Number(res.rows[0].id);
+}
+
+async function unclaimedRows() {
+  const res = await client.execute('SELECT * FROM unclaimed_characters ORDER BY name_key');
+  return res.rows;
+}
+
+async function deathsFor(characterId) {
+  const res = await client.execute({
+    sql: 'SELECT * FROM death_events WHERE character_id = ? ORDER BY id',
+    args: [characterId],
+  });
+  return res.rows;
+}
+
+async function performanceFor(characterId) {
+  const res = await client.execute({
+    sql: `SELECT fp.*, f.wcl_fight_id FROM fight_performance fp
+          JOIN fights f ON f.id = fp.fight_id
+          WHERE fp.character_id = ? ORDER BY f.wcl_fight_id`,
+    args: [characterId],
+  });
+  return res.rows;
+}
+
+// ── Table setup ─────────────────────────────────────────────────
+
+async function ensureTables() {
+  await client.execute(`CREATE TABLE IF NOT EXISTS characters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    realm TEXT NOT NULL,
+    realm_slug TEXT NOT NULL,
+    region TEXT NOT NULL DEFAULT 'eu',
+    class_name TEXT NOT NULL,
+    class_id INTEGER,
+    spec TEXT,
+    raid_role TEXT,
+    level INTEGER DEFAULT 0,
+    is_primary INTEGER DEFAULT 0,
+    last_synced_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS auth_providers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    provider_user_id TEXT NOT NULL,
+    provider_email TEXT,
+    access_token TEXT,
+    refresh_token TEXT,
+    token_expires_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    wcl_code TEXT NOT NULL UNIQUE,
+    title TEXT,
+    start_time INTEGER,
+    end_time INTEGER,
+    region TEXT,
+    guild_name TEXT,
+    zone_name TEXT,
+    participants_count INTEGER DEFAULT 0,
+    imported_by TEXT,
+    import_source TEXT DEFAULT 'manual',
+    visibility TEXT NOT NULL DEFAULT 'public',
+    guild_id INTEGER,
+    processed_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS fights (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report_id INTEGER NOT NULL,
+    wcl_fight_id INTEGER NOT NULL,
+    encounter_id INTEGER NOT NULL,
+    boss_name TEXT NOT NULL,
+    difficulty TEXT NOT NULL,
+    is_kill INTEGER DEFAULT 0,
+    start_time INTEGER,
+    end_time INTEGER,
+    duration_ms INTEGER DEFAULT 0,
+    fight_percentage REAL,
+    last_phase INTEGER,
+    UNIQUE(report_id, wcl_fight_id)
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS fight_performance (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    fight_id INTEGER NOT NULL,
+    character_id INTEGER,
+    unclaimed_character_id INTEGER,
+    damage_done INTEGER DEFAULT 0,
+    healing_done INTEGER DEFAULT 0,
+    damage_taken INTEGER DEFAULT 0,
+    deaths INTEGER DEFAULT 0,
+    dps REAL DEFAULT 0,
+    hps REAL DEFAULT 0,
+    dtps REAL DEFAULT 0,
+    active_time_pct REAL DEFAULT 0,
+    cpm REAL DEFAULT 0,
+    health_potions INTEGER DEFAULT 0,
+    healthstones INTEGER DEFAULT 0,
+    combat_potions INTEGER DEFAULT 0,
+    flask_uptime_pct REAL DEFAULT 0,
+    food_buff_active INTEGER DEFAULT 0,
+    augment_rune_active INTEGER DEFAULT 0,
+    food_uptime_pct REAL,
+    augment_rune_uptime_pct REAL,
+    bloodlust_uptime_pct REAL,
+    power_infusion_uptime_pct REAL,
+    interrupts INTEGER DEFAULT 0,
+    dispels INTEGER DEFAULT 0,
+    utility_breakdown TEXT,
+    avoidable_damage_taken INTEGER DEFAULT 0,
+    avoidable_dtps REAL DEFAULT 0,
+    avoidable_breakdown TEXT,
+    raid_median_dps REAL DEFAULT 0,
+    raid_median_dtps REAL DEFAULT 0,
+    raid_median_avoidable_dtps REAL DEFAULT 0,
+    overhealing INTEGER DEFAULT 0,
+    overheal_pct REAL,
+    absorbs_done INTEGER DEFAULT 0,
+    mana_end_pct REAL,
+    healing_share_pct REAL,
+    healer_count INTEGER,
+    am_uptime_pct REAL,
+    unmitigated_damage_pct REAL,
+    self_healing_pct REAL,
+    low_health_pct REAL,
+    spec_id INTEGER,
+    talent_data TEXT,
+    cooldown_usage TEXT,
+    phase_breakdown TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(fight_id, character_id),
+    UNIQUE(fight_id, unclaimed_character_id)
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS death_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    fight_id INTEGER NOT NULL,
+    character_id INTEGER,
+    unclaimed_character_id INTEGER,
+    time_into_fight_ms INTEGER,
+    killing_ability_id INTEGER,
+    killing_ability_name TEXT,
+    damage_taken_window INTEGER DEFAULT 0,
+    defensive_used INTEGER DEFAULT 0,
+    healthstone_used INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS mplus_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    fight_id INTEGER NOT NULL UNIQUE,
+    dungeon_name TEXT NOT NULL,
+    keystone_level INTEGER NOT NULL,
+    affixes TEXT DEFAULT '[]',
+    keystone_time_ms INTEGER,
+    par_time_ms INTEGER,
+    upgrades INTEGER DEFAULT 0,
+    timed INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS unclaimed_characters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL,
+    realm TEXT,
+    realm_slug TEXT NOT NULL,
+    region TEXT,
+    class_name TEXT,
+    first_seen_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(name_key, realm_slug, region)
+  )`);
+}
+
+beforeAll(async () => {
+  await ensureTables();
+});
+
+afterAll(() => {
+  client.close();
+  rmSync(TEST_DB_PATH, { force: true });
+});
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  await client.execute('DELETE FROM fight_performance');
+  await client.execute('DELETE FROM death_events');
+  await client.execute('DELETE FROM mplus_runs');
+  await client.execute('DELETE FROM unclaimed_characters');
+  await client.execute('DELETE FROM fights');
+  await client.execute('DELETE FROM reports');
+  await client.execute('DELETE FROM auth_providers');
+  await client.execute('DELETE FROM characters');
+  replayWcl(REPORT_CODE);
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  Pure helpers
+// ═══════════════════════════════════════════════════════════════
+
+describe('mapDifficulty', () => {
+  it('maps WCL raid difficulty codes to stored labels', () => {
+    expect(mapDifficulty(1)).toBe('LFR');
+    expect(mapDifficulty(2)).toBe('Normal');
+    expect(mapDifficulty(3)).toBe('Heroic');
+    expect(mapDifficulty(4)).toBe('Heroic');
+    expect(mapDifficulty(5)).toBe('Mythic');
+  });
+
+  it('treats every keystone difficulty (>= 10) as Mythic+', () => {
+    expect(mapDifficulty(10)).toBe('Mythic+');
+    expect(mapDifficulty(22)).toBe('Mythic+');
+  });
+
+  it('falls back to Normal for unknown codes', () => {
+    expect(mapDifficulty(undefined)).toBe('Normal');
+    expect(mapDifficulty(8)).toBe('Normal');
+  });
+});
+
+describe('normalizeCharacterName', () => {
+  it('matches decomposed and composed accents case-insensitively', () => {
+    expect(normalizeCharacterName('E\u0301lunara')).toBe(normalizeCharacterName('\u00c9lunara'));
+    expect(normalizeCharacterName('THALRION')).toBe('thalrion');
+  });
+});
+
+describe('wclRegionCode', () => {
+  it('maps WCL region names to character region codes', () => {
+    expect(wclRegionCode('Europe')).toBe('eu');
+    expect(wclRegionCode('United States')).toBe('us');
+    expect(wclRegionCode('KR')).toBe('kr');
+    expect(wclRegionCode('Atlantis')).toBeNull();
+    expect(wclRegionCode(undefined)).toBeNull();
+  });
+});
+
+describe('describeKeystoneRun', () => {
+  const run = {
+    encounterID: 12660,
+    name: 'Ara-Kara, City of Echoes',
+    difficulty: 12,
+    keystoneLevel: 12,
+    keystoneAffixes: [10, 147],
+    keystoneTime: 1700000,
+    kill: true,
+  };
+
+  it('extracts keystone details from a whole-dungeon fight', () => {
+    expect(describeKeystoneRun({ ...run, keystoneBonus: 1 })).toEqual({
+      dungeonName: 'Ara-Kara, City of Echoes',
+      keystoneLevel: 12,
+      affixes: '[10,147]',
+      keystoneTimeMs: 1700000,
+      parTimeMs: 30 * 60 * 1000,
+      upgrades: 1,
+      timed: true,
+    });
+  });
+
+  it('derives upgrades from the dungeon timer when WCL omits the bonus', () => {
+    expect(describeKeystoneRun({ ...run, keystoneTime: 1000000 })).toMatchObject({
+      upgrades: 3,
+      timed: true,
+    });
+    expect(describeKeystoneRun({ ...run, keystoneTime: 1900000 })).toMatchObject({
+      upgrades: 0,
+      timed: false,
+    });
+  });
+
+  it('ignores raid fights and bosses inside a key', () => {
+    expect(describeKeystoneRun({ ...run, encounterID: 2926, name: 'Avanoxx' })).toBeNull();
+    expect(
+      describeKeystoneRun({ encounterID: 3129, difficulty: 5, name: 'Plexus Sentinel' }),
+    ).toBeNull();
+  });
+});
+
+describe('describeFightPhases', () => {
+  const fight = {
+    encounterID: 3129,
+    startTime: 1000,
+    endTime: 100000,
+    phaseTransitions: [
+      { id: 2, startTime: 40000 },
+      { id: 1, startTime: 1000 },
+    ],
+  };
+
+  it('turns phase transitions into named windows ending at the next phase', () => {
+    const encounterPhases = [
+      { encounterID: 3129, phases: [{ id: 2, name: 'Intermission', isIntermission: true }] },
+    ];
+    expect(describeFightPhases(fight, encounterPhases)).toEqual([
+      { phase: 1, name: 'Phase 1', isIntermission: false, startTime: 1000, endTime: 40000 },
+      { phase: 2, name: 'Intermission', isIntermission: true, startTime: 40000, endTime: 100000 },
+    ]);
+  });
+
+  it('skips fights without more than one phase', () => {
+    expect(
+      describeFightPhases({ ...fight, phaseTransitions: [{ id: 1, startTime: 1000 }] }),
+    ).toEqual([]);
+    expect(describeFightPhases({ encounterID: 3131, startTime: 0, endTime: 1 })).toEqual([]);
+  });
+});
+
+describe('buildCharacterMap', () => {
+  it("maps only the user's characters by normalized name", async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    await addCharacter('Someoneelse', 'Druid', 'other-user');
+
+    expect(await buildCharacterMap(USER_ID)).toEqual({ thalrion });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  ingestReport — replayed against recorded WCL responses
+// ═══════════════════════════════════════════════════════════════
+
+describe('ingestReport', () => {
+  it('stores report metadata and encounter fights with mapped difficulties', async () => {
+    const result = await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    const reportRows = await client.execute('SELECT * FROM reports');
+    expect(reportRows.rows).toHaveLength(1);
+    expect(reportRows.rows[0]).toMatchObject({
+      id: result.reportId,
+      wcl_code: REPORT_CODE,
+      title: 'Manaforge Omega - Heroic/Mythic progress',
+      region: 'Europe',
+      guild_name: 'Los Noobs',
+      zone_name: 'Manaforge Omega',
+      participants_count: 4,
+      imported_by: USER_ID,
+      import_source: 'manual',
+      visibility: 'public',
+    });
+
+    const fightRows = await client.execute(
+      'SELECT wcl_fight_id, boss_name, difficulty, is_kill, duration_ms FROM fights ORDER BY wcl_fight_id',
+    );
+    expect(fightRows.rows.map((r) => ({ ...r }))).toEqual([
+      {
+        wcl_fight_id: 3,
+        boss_name: 'Plexus Sentinel',
+        difficulty: 'Mythic',
+        is_kill: 1,
+        duration_ms: 292767,
+      },
+      {
+        wcl_fight_id: 7,
+        boss_name: "Loom'ithar",
+        difficulty: 'Heroic',
+        is_kill: 0,
+        duration_ms: 208840,
+      },
+      {
+        wcl_fight_id: 9,
+        boss_name: 'Soulbinder Naazindhri',
+        difficulty: 'Heroic',
+        is_kill: 1,
+        duration_ms: 291500,
+      },
+    ]);
+  });
+
+  it("attributes performance to the user's characters, matching decomposed names", async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    // Stored composed; the recorded log sends it decomposed (E + U+0301)
+    const elunara = await addCharacter('\u00c9lunara', 'Priest');
+    const brakkus = await addCharacter('Brakkus', 'Warrior');
+    // Zyxel is in the log but not registered — stored against an unclaimed record
+
+    const result = await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    expect(result.performanceRecords).toBe(12);
+    expect(result.errors).toEqual([]);
+
+    const mage = await performanceFor(thalrion);
+    expect(mage).toHaveLength(3);
+    expect(mage[0].dps).toBeCloseTo(1820000, -2);
+    expect(mage[0]).toMatchObject({
+      spec_id: 63,
+      interrupts: 3,
+      combat_potions: 1,
+      flask_uptime_pct: 100,
+      food_buff_active: 1,
+      augment_rune_active: 1,
+    });
+    expect(JSON.parse(mage[0].talent_data)).toHaveLength(2);
+
+    const healer = await performanceFor(elunara);
+    expect(healer).toHaveLength(3);
+    expect(healer[0]).toMatchObject({ spec_id: 257, dispels: 4, healthstones: 1 });
+    expect(healer[0].hps).toBeCloseTo(1480000, -2);
+    // Died on the Loom'ithar wipe only
+    expect(healer.map((r) => r.deaths)).toEqual([0, 1, 0]);
+
+    expect(await performanceFor(brakkus)).toHaveLength(3);
+  });
+
+  it('measures buff uptime from Buffs events and falls back to auras at pull', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    const zyxel = await addCharacter('Zyxel', 'Rogue');
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    // Plexus Sentinel has Buffs events: 40s of Bloodlust, 15s of Power Infusion
+    const [plexus, loomithar] = await performanceFor(thalrion);
+    expect(plexus).toMatchObject({
+      flask_uptime_pct: 100,
+      food_uptime_pct: 100,
+      augment_rune_uptime_pct: 100,
+      bloodlust_uptime_pct: 13.7,
+      power_infusion_uptime_pct: 5.1,
+    });
+    // Loom'ithar has none recorded: auras at pull count as full uptime
+    expect(loomithar).toMatchObject({ flask_uptime_pct: 100, bloodlust_uptime_pct: 0 });
+
+    // Zyxel's flask dropped 146s in and was back 73s before the kill
+    const [rogue] = await performanceFor(zyxel);
+    expect(rogue).toMatchObject({
+      flask_uptime_pct: 75,
+      food_uptime_pct: 0,
+      food_buff_active: 0,
+      bloodlust_uptime_pct: 13.7,
+    });
+  });
+
+  it("measures major cooldown casts against the spec's possible casts", async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    const brakkus = await addCharacter('Brakkus', 'Warrior');
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    // Plexus Sentinel lasted 4m52s: Combustion (120s) allowed 3 casts, Avatar (90s) 4
+    const [fire] = await performanceFor(thalrion);
+    expect(JSON.parse(fire.cooldown_usage)).toEqual([
+      { name: 'Combustion', type: 'offensive', casts: 1, possible: 3, timeline: [27655] },
+      { name: 'Ice Block', type: 'defensive', casts: 0, possible: 2, timeline: [] },
+      { name: 'Mirror Image', type: 'defensive', casts: 0, possible: 3, timeline: [] },
+    ]);
+
+    const [tank] = await performanceFor(brakkus);
+    const usage = JSON.parse(tank.cooldown_usage);
+    expect(usage.find((cd) => cd.name === 'Avatar')).toMatchObject({
+      casts: 2,
+      possible: 4,
+      timeline: [655, 107655],
+    });
+    expect(usage.find((cd) => cd.name === 'Shield Wall')).toMatchObject({ casts: 1, possible: 2 });
+  });
+
+  it('reads Buffs and cooldown cast events past the first page', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    const brakkus = await addCharacter('Brakkus', 'Warrior');
+
+    // Plexus Sentinel's recorded events, truncated after the first few of each field
+    const extended = loadFixture(REPORT_CODE, 'getBatchExtendedFightStats');
+    const cooldowns = extended.reportData.report.fight_3_cooldowns.data;
+    const buffs = loadFixture(REPORT_CODE, 'getBatchBuffEvents').reportData.report.fight_3_buffs
+      .data;
+    extended.reportData.report.fight_3_cooldowns = {
+      data: cooldowns.slice(0, 3),
+      nextPageTimestamp: cooldowns[3].timestamp,
+    };
+    const page = (alias, data, nextPageTimestamp = null) => ({
+      data: { reportData: { report: { [alias]: { data, nextPageTimestamp } } } },
+    });
+    replayWcl(REPORT_CODE, {
+      getBatchExtendedFightStats: extended,
+      getBatchCooldownCasts: () => page('fight_3_cooldowns', cooldowns.slice(3)),
+      getBatchBuffEvents: (body) =>
+        body.query.includes('startTime:')
+          ? page('fight_3_buffs', buffs.slice(8))
+          : page('fight_3_buffs', buffs.slice(0, 8), buffs[8].timestamp),
+    });
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    const queries = (operation) =>
+      axios.post.mock.calls
+        .map(([, body]) => body?.query || '')
+        .filter((q) => q.includes(`query ${operation}(`));
+    expect(queries('GetBatchCooldownCasts')).toEqual([
+      expect.stringContaining(`startTime: ${cooldowns[3].timestamp}`),
+    ]);
+    expect(queries('GetBatchBuffEvents')).toHaveLength(2);
+    // Only tracked buffs are asked for: the flask, not the Combustion buff
+    expect(queries('GetBatchBuffEvents')[0]).toMatch(/ability\.id in \([^)]*\b432021\b/);
+    expect(queries('GetBatchBuffEvents')[0]).not.toContain('190319');
+    expect(queries('GetBatchBuffEvents')[1]).toContain(`startTime: ${buffs[8].timestamp}`);
+
+    // Same results as with every event on one page
+    const [plexus] = await performanceFor(thalrion);
+    expect(plexus).toMatchObject({ bloodlust_uptime_pct: 13.7, power_infusion_uptime_pct: 5.1 });
+    expect(JSON.parse(plexus.cooldown_usage)[0]).toMatchObject({
+      name: 'Combustion',
+      timeline: [27655],
+    });
+    const [tank] = await performanceFor(brakkus);
+    expect(tank.am_uptime_pct).toBe(51.2);
+    expect(JSON.parse(tank.cooldown_usage).find((cd) => cd.name === 'Avatar')).toMatchObject({
+      timeline: [655, 107655],
+    });
+  });
+
+  it('keeps interrupts and dispels per enemy ability with the raid total', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    // Plexus Sentinel: 5 Arcane Barrage kicks (3 by Thalrion), 4 went through
+    const [plexus] = await performanceFor(thalrion);
+    expect(JSON.parse(plexus.utility_breakdown)).toEqual([
+      {
+        kind: 'interrupt',
+        abilityId: 1219531,
+        ability: 'Arcane Barrage',
+        raidCount: 5,
+        completed: 4,
+        count: 3,
+      },
+      {
+        kind: 'dispel',
+        abilityId: 1227848,
+        ability: 'Mark of Affliction',
+        raidCount: 4,
+        completed: null,
+        count: 0,
+      },
+    ]);
+
+    const bosses = await getCharacterUtilityBreakdown(thalrion, { weeks: 520 });
+    expect(bosses).toHaveLength(3);
+    const plexusBoss = bosses.find((b) => b.bossName === 'Plexus Sentinel');
+    expect(plexusBoss.abilities.find((a) => a.kind === 'interrupt')).toMatchObject({
+      ability: 'Arcane Barrage',
+      sharePct: 60,
+      perFight: 3,
+      completed: 4,
+    });
+  });
+
+  it("splits out damage taken from the encounter's avoidable abilities", async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    // Plexus Sentinel: Thalrion stood in Eradicating Salvo; Brakkus took the raid median
+    const [plexus] = await performanceFor(thalrion);
+    expect(plexus.avoidable_damage_taken).toBe(7144000);
+    expect(JSON.parse(plexus.avoidable_breakdown)).toEqual([
+      { ability: 'Eradicating Salvo', damage: 5358000 },
+      { ability: 'Arcanomatrix Atomizer', damage: 1786000 },
+    ]);
+    expect(plexus.avoidable_dtps).toBeCloseTo(7144000 / 292.767, 0);
+    expect(plexus.raid_median_avoidable_dtps).toBeCloseTo(2354000 / 292.767, 0);
+  });
+
+  it('splits fights with encounter phases into per-phase metrics', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    const zyxel = await addCharacter('Zyxel', 'Rogue');
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    // Plexus Sentinel: 100s Stage One, 30s intermission, the rest Stage Two
+    const [plexus, loomithar] = await performanceFor(thalrion);
+    const phases = JSON.parse(plexus.phase_breakdown);
+    expect(phases.map((p) => [p.name, p.durationMs])).toEqual([
+      ['Stage One', 100000],
+      ['Intermission', 30000],
+      ['Stage Two', 162767],
+    ]);
+    expect(phases[0]).toMatchObject({ dps: 2000000, dtps: 50000, activeTimePct: 99, deaths: 0 });
+    expect(phases[1]).toMatchObject({ isIntermission: true, dps: 500000, activeTimePct: 40 });
+    // Loom'ithar has a single phase
+    expect(loomithar.phase_breakdown).toBeNull();
+
+    // Zyxel died 4s before the kill, in Stage Two
+    const [rogue] = await performanceFor(zyxel);
+    expect(JSON.parse(rogue.phase_breakdown).map((p) => p.deaths)).toEqual([0, 0, 1]);
+  });
+
+  it('stores fights without a phase breakdown when phase stats fail', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    replayWcl(REPORT_CODE, {
+      getBatchPhaseStats: () => ({ errors: [{ message: 'Rate limit exceeded' }] }),
+    });
+
+    const result = await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    expect(result.errors).toEqual([]);
+    const rows = await performanceFor(thalrion);
+    expect(rows).toHaveLength(3);
+    expect(rows.every((r) => r.phase_breakdown === null)).toBe(true);
+  });
+
+  it('stores overhealing, absorbs, mana at end and the healing share of healers', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    const elunara = await addCharacter('\u00c9lunara', 'Priest');
+    const brakkus = await addCharacter('Brakkus', 'Warrior');
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    const healer = await performanceFor(elunara);
+    expect(healer.map((r) => r.overheal_pct.toFixed(1))).toEqual(['33.3', '20.0', '42.9']);
+    expect(healer.map((r) => r.mana_end_pct)).toEqual([34, 4.2, 27.5]);
+    expect(healer[0]).toMatchObject({
+      absorbs_done: 21664758,
+      healing_share_pct: 100,
+      healer_count: 1,
+    });
+    // Only healers get a healing share and a mana reading: only their casts are requested
+    const [mage] = await performanceFor(thalrion);
+    expect(mage).toMatchObject({ mana_end_pct: null, healing_share_pct: null, healer_count: null });
+    const manaQuery = axios.post.mock.calls
+      .map(([, body]) => body?.query || '')
+      .find((q) => q.includes('query GetBatchEndOfFightMana('));
+    expect(manaQuery).toContain('filterExpression: "source.id in (12)"');
+    expect((await performanceFor(brakkus))[0].mana_end_pct).toBeNull();
+
+    const { summary } = await getCharacterPerformance(elunara, { weeks: 520 });
+    expect(summary).toMatchObject({
+      avgOverhealPct: 32.1,
+      manaLeftOnKillsPct: 30.8,
+      manaKills: 2,
+      healingShareVsEvenPct: 100,
+      healerFights: 3,
+    });
+  });
+
+  it('stores fights without mana at end when the mana fetch fails', async () => {
+    const elunara = await addCharacter('\u00c9lunara', 'Priest');
+    replayWcl(REPORT_CODE, {
+      getBatchEndOfFightMana: () => ({ errors: [{ message: 'Rate limit exceeded' }] }),
+    });
+
+    const result = await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    expect(result.errors).toEqual([]);
+    const rows = await performanceFor(elunara);
+    expect(rows).toHaveLength(3);
+    expect(rows.every((r) => r.mana_end_pct === null && r.overhealing > 0)).toBe(true);
+  });
+
+  it('stores active mitigation uptime, unmitigated damage, self-healing and low health for tanks', async () => {
+    const brakkus = await addCharacter('Brakkus', 'Warrior');
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    // Plexus Sentinel: Shield Block up 150s of 292.8s, 1.1M of 1.9M damage taken without it
+    const [plexus, loomithar] = await performanceFor(brakkus);
+    expect(plexus).toMatchObject({
+      am_uptime_pct: 51.2,
+      unmitigated_damage_pct: 57.9,
+      self_healing_pct: 30,
+      low_health_pct: 5.1,
+    });
+    // No buff or tank events recorded for Loom'ithar
+    expect(loomithar).toMatchObject({ am_uptime_pct: null, low_health_pct: null });
+    expect((await performanceFor(thalrion))[0]).toMatchObject({
+      am_uptime_pct: null,
+      self_healing_pct: null,
+    });
+
+    const { summary } = await getCharacterPerformance(brakkus, { weeks: 520 });
+    expect(summary).toMatchObject({ avgAmUptimePct: 51.2, avgLowHealthPct: 5.1, tankFights: 1 });
+  });
+
+  it('reads tank damage taken past the first page of events', async () => {
+    const brakkus = await addCharacter('Brakkus', 'Warrior');
+    const recorded = loadFixture(REPORT_CODE, 'getBatchTankEvents').reportData.report;
+    const damage = recorded.fight_3_tankDamage.data;
+    replayWcl(REPORT_CODE, {
+      getBatchTankEvents: (body) => {
+        if (body.query.includes('startTime:')) {
+          return {
+            data: { reportData: { report: { fight_3_tankDamage: { data: damage.slice(2) } } } },
+          };
+        }
+        const report = structuredClone(recorded);
+        report.fight_3_tankDamage = {
+          data: damage.slice(0, 2),
+          nextPageTimestamp: damage[2].timestamp,
+        };
+        return { data: { reportData: { report } } };
+      },
+    });
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    // Only the truncated field is asked for again, from where its first page ended
+    const tankQueries = axios.post.mock.calls
+      .map(([, body]) => body?.query || '')
+      .filter((q) => q.includes('query GetBatchTankEvents('));
+    expect(tankQueries).toHaveLength(2);
+    expect(tankQueries[1]).toContain(`startTime: ${damage[2].timestamp}`);
+    expect(tankQueries[1]).not.toContain('fight_3_tankHealing');
+    const [plexus] = await performanceFor(brakkus);
+    expect(plexus).toMatchObject({ unmitigated_damage_pct: 57.9, low_health_pct: 5.1 });
+  });
+
+  it('stores tanks with uptime only when the tank events fetch fails', async () => {
+    const brakkus = await addCharacter('Brakkus', 'Warrior');
+    replayWcl(REPORT_CODE, {
+      getBatchTankEvents: () => ({ errors: [{ message: 'Rate limit exceeded' }] }),
+    });
+
+    const result = await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    expect(result.errors).toEqual([]);
+    const [plexus] = await performanceFor(brakkus);
+    expect(plexus).toMatchObject({
+      am_uptime_pct: 51.2,
+      unmitigated_damage_pct: null,
+      self_healing_pct: null,
+      low_health_pct: null,
+    });
+  });
+
+  it('records how far each pull got and who died first on wipes', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    const fightRows = await client.execute(
+      'SELECT wcl_fight_id, fight_percentage, last_phase FROM fights ORDER BY wcl_fight_id',
+    );
+    expect(fightRows.rows.map((r) => [r.wcl_fight_id, r.fight_percentage, r.last_phase])).toEqual([
+      [3, 0, 3],
+      [7, 42.7, 1],
+      [9, 0, 1],
+    ]);
+
+    const encounters = await getCharacterProgression(thalrion, { weeks: 520 });
+    expect(encounters).toHaveLength(3);
+    // Loom'ithar wiped at 42.7%: Zyxel (unclaimed) went down to Eradicating Salvo first
+    const loomithar = encounters.find((e) => e.bossName === "Loom'ithar");
+    expect(loomithar).toMatchObject({
+      kills: 0,
+      wipes: 1,
+      bestPercentage: 42.7,
+      firstKillPull: null,
+      diedFirst: 0,
+      firstDeathCauses: [{ ability: 'Eradicating Salvo', count: 1 }],
+    });
+    expect(loomithar.pulls[0].firstDeath).toEqual({
+      name: 'Zyxel',
+      ability: 'Eradicating Salvo',
+      timeIntoFightMs: 198315,
+      isYou: false,
+    });
+    expect(encounters.find((e) => e.bossName === 'Plexus Sentinel')).toMatchObject({
+      kills: 1,
+      bestPercentage: 0,
+      firstKillPull: 1,
+    });
+  });
+
+  it('narrows analysis to kills, wipes, zone, spec and report dates', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    const bossNames = (encounters) => encounters.map((e) => e.bossName).sort();
+    const kills = await getCharacterProgression(thalrion, { weeks: 520, outcome: 'kills' });
+    expect(bossNames(kills)).toEqual(['Plexus Sentinel', 'Soulbinder Naazindhri']);
+    const wipes = await getCharacterProgression(thalrion, { weeks: 520, outcome: 'wipes' });
+    expect(bossNames(wipes)).toEqual(["Loom'ithar"]);
+
+    expect(await getCharacterProgression(thalrion, { zone: 'Nerub-ar Palace' })).toEqual([]);
+    expect(await getCharacterProgression(thalrion, { specId: 62 })).toEqual([]);
+    expect(
+      await getCharacterProgression(thalrion, { weeks: 520, zone: 'Manaforge Omega', specId: 63 }),
+    ).toHaveLength(3);
+
+    // Explicit dates replace the weeks window: the report started 2025-08-05 18:00 UTC
+    const onRaidNight = await getCharacterProgression(thalrion, {
+      weeks: 1,
+      from: Date.parse('2025-08-05'),
+      to: Date.parse('2025-08-06') - 1,
+    });
+    expect(onRaidNight).toHaveLength(3);
+    const dayAfter = await getCharacterProgression(thalrion, { from: Date.parse('2025-08-06') });
+    expect(dayAfter).toEqual([]);
+
+    const performance = await getCharacterPerformance(thalrion, { weeks: 520, outcome: 'wipes' });
+    expect(performance.summary.totalFights).toBe(1);
+    expect(performance.bossBreakdown.map((b) => b.bossName)).toEqual(["Loom'ithar"]);
+    // Filter options list everything the character has played, not just the filtered fights
+    expect(performance.filterOptions).toEqual({
+      zones: ['Manaforge Omega'],
+      specs: [{ specId: 63, spec: 'Fire' }],
+    });
+  });
+
+  it('benchmarks performance against same-spec players on the same boss', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    // Only one Fire Mage in the log: nothing to compare with yet
+    let performance = await getCharacterPerformance(thalrion, { weeks: 520 });
+    expect(performance.summary.specBenchmark).toMatchObject({
+      spec: 'Fire',
+      metric: 'dps',
+      vsSpecPct: null,
+    });
+
+    // Three other Fire Mages on the Mythic Plexus Sentinel kill, from other logs
+    const [{ id: plexusId }] = (
+      await client.execute('SELECT id FROM fights WHERE wcl_fight_id = 3')
+    ).rows;
+    const [{ dps }] = (
+      await client.execute({
+        sql: 'SELECT dps FROM fight_performance WHERE character_id = ? AND fight_id = ?',
+        args: [thalrion, plexusId],
+      })
+    ).rows;
+    for (const [i, ratio] of [0.8, 1, 1.25].entries()) {
+      await client.execute({
+        sql: `INSERT INTO fight_performance (fight_id, unclaimed_character_id, spec_id, dps)
+              VALUES (?, ?, 63, ?)`,
+        args: [plexusId, 900 + i, (dps / 1.1) * ratio],
+      });
+    }
+    performance = await getCharacterPerformance(thalrion, { weeks: 520, bossId: 3129 });
+    expect(performance.summary.specBenchmark).toMatchObject({ vsSpecPct: 110, fights: 1 });
+    expect(performance.bossBreakdown[0].specBenchmark).toMatchObject({
+      metric: 'dps',
+      vsSpecPct: 110,
+      peerFights: 3,
+    });
+  });
+
+  it('stores each death with its killing blow and recap details', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    const elunara = await addCharacter('\u00c9lunara', 'Priest');
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    const [mageDeath] = await deathsFor(thalrion);
+    expect(mageDeath).toMatchObject({
+      time_into_fight_ms: 204840,
+      killing_ability_id: 1227052,
+      killing_ability_name: 'Eradicating Salvo',
+      damage_taken_window: 2160000,
+      defensive_used: 1,
+      healthstone_used: 0,
+    });
+    expect(await deathsFor(elunara)).toEqual([
+      expect.objectContaining({ defensive_used: 0, healthstone_used: 1 }),
+    ]);
+  });
+
+  it('reports progress through the hooks as fights are processed', async () => {
+    await addCharacter('Thalrion', 'Mage');
+    const onReportStored = vi.fn();
+    const snapshots = [];
+    const onProgress = vi.fn((progress) => snapshots.push({ ...progress }));
+
+    const result = await ingestReport(
+      { wclCode: REPORT_CODE, userId: USER_ID },
+      { onReportStored, onProgress },
+    );
+
+    expect(onReportStored).toHaveBeenCalledWith(expect.objectContaining({ id: result.reportId }));
+    expect(snapshots.map((s) => s.fightsProcessed)).toEqual([0, 1, 2, 3]);
+    expect(snapshots.at(-1)).toMatchObject({ fightsTotal: 3, performanceRecords: 12 });
+  });
+
+  it('invalidates the analysis cache for every matched character', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    const brakkus = await addCharacter('Brakkus', 'Warrior');
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    expect(invalidateAnalysisCache).toHaveBeenCalledTimes(2);
+    expect(invalidateAnalysisCache).toHaveBeenCalledWith(thalrion);
+    expect(invalidateAnalysisCache).toHaveBeenCalledWith(brakkus);
+  });
+
+  it('rejects a report that is already imported without calling WCL', async () => {
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+    axios.post.mockClear();
+
+    await expect(ingestReport({ wclCode: REPORT_CODE, userId: USER_ID })).rejects.toMatchObject({
+      message: 'Report already imported',
+      expose: true,
+    });
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('rejects a report WCL does not return, persisting nothing', async () => {
+    replayWcl(REPORT_CODE, { getReportData: { reportData: { report: null } } });
+
+    await expect(ingestReport({ wclCode: REPORT_CODE, userId: USER_ID })).rejects.toMatchObject({
+      message: expect.stringMatching(/not found on Warcraft Logs/),
+      expose: true,
+    });
+
+    const reportRows = await client.execute('SELECT id FROM reports');
+    expect(reportRows.rows).toHaveLength(0);
+  });
+
+  it('keeps the report and records an error when batch stats fail', async () => {
+    await addCharacter('Thalrion', 'Mage');
+    replayWcl(REPORT_CODE, {
+      getBatchFightStats: () => ({ errors: [{ message: 'Rate limit exceeded' }] }),
+    });
+
+    const result = await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    expect(result).toMatchObject({ fightsTotal: 3, fightsProcessed: 3, performanceRecords: 0 });
+    expect(result.errors).toEqual([{ message: 'Failed to fetch fight stats from Warcraft Logs' }]);
+
+    const fightRows = await client.execute('SELECT id FROM fights');
+    expect(fightRows.rows).toHaveLength(3);
+  });
+
+  it('throttles WCL calls for auto imports only', async () => {
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID, source: 'auto' });
+    // Report data, the batch stats, then the tank events that need the stats' tank IDs
+    expect(acquireToken).toHaveBeenCalledTimes(3);
+
+    await client.execute('DELETE FROM reports');
+    acquireToken.mockClear();
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID, source: 'manual' });
+    expect(acquireToken).not.toHaveBeenCalled();
+  });
+
+  it("fetches report metadata with the user's linked WCL token first", async () => {
+    await client.execute({
+      sql: `INSERT INTO auth_providers (user_id, provider, provider_user_id, access_token)
+            VALUES (?, 'warcraftlogs', 'wcl-77', 'user-token')`,
+      args: [USER_ID],
+    });
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID, visibility: 'private' });
+
+    const [firstUrl, , firstConfig] = axios.post.mock.calls[0];
+    expect(firstUrl).toMatch(/\/api\/v2\/user$/);
+    expect(firstConfig.headers.Authorization).toBe('Bearer user-token');
+
+    const reportRows = await client.execute('SELECT visibility FROM reports');
+    expect(reportRows.rows[0].visibility).toBe('private');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  refreshReport — live-logged report that kept growing
+// ═══════════════════════════════════════════════════════════════
+
+describe('refreshReport', () => {
+  /** Import the recorded report as it looked after its first pull only. */
+  async function importFirstPull() {
+    const recorded = loadFixture(REPORT_CODE, 'getReportData');
+    const firstPull = structuredClone(recorded);
+    firstPull.reportData.report.fights = recorded.reportData.report.fights.slice(0, 1);
+    firstPull.reportData.report.endTime = 1754417800000;
+
+    replayWcl(REPORT_CODE, { getReportData: firstPull });
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+    replayWcl(REPORT_CODE);
+  }
+
+  it('inserts only fights logged since the import and updates report metadata', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    await importFirstPull();
+
+    const result = await refreshReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    expect(result).toMatchObject({ newFights: 2, fightsTotal: 2, performanceRecords: 8 });
+
+    const fightRows = await client.execute('SELECT wcl_fight_id FROM fights ORDER BY wcl_fight_id');
+    expect(fightRows.rows.map((r) => r.wcl_fight_id)).toEqual([3, 7, 9]);
+    expect(await performanceFor(thalrion)).toHaveLength(3);
+
+    const reportRows = await client.execute('SELECT end_time FROM reports');
+    expect(reportRows.rows[0].end_time).toBe(1754427600000);
+    expect(invalidateAnalysisCache).toHaveBeenCalledWith(thalrion);
+  });
+
+  it('rebuilds existing fight_performance rows when recompute is set', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+    await client.execute('UPDATE fight_performance SET interrupts = 0, spec_id = NULL');
+    await client.execute('UPDATE fights SET fight_percentage = NULL, last_phase = NULL');
+
+    const result = await refreshReport({ wclCode: REPORT_CODE, userId: USER_ID, recompute: true });
+
+    expect(result).toMatchObject({ newFights: 0, fightsTotal: 3, performanceRecords: 12 });
+    const rows = await performanceFor(thalrion);
+    expect(rows).toHaveLength(3);
+    expect(rows.every((r) => r.interrupts === 3 && r.spec_id === 63)).toBe(true);
+    expect(await deathsFor(thalrion)).toHaveLength(1);
+    const fightRows = await client.execute(
+      'SELECT fight_percentage FROM fights WHERE wcl_fight_id = 7',
+    );
+    expect(fightRows.rows[0].fight_percentage).toBe(42.7);
+  });
+
+  it('leaves existing rows alone without recompute', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+    await client.execute('UPDATE fight_performance SET interrupts = 0');
+
+    const result = await refreshReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    expect(result).toMatchObject({ newFights: 0, fightsTotal: 0, performanceRecords: 0 });
+    const rows = await performanceFor(thalrion);
+    expect(rows.every((r) => r.interrupts === 0)).toBe(true);
+  });
+
+  it('keeps old rows when stats cannot be fetched during a recompute', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+    replayWcl(REPORT_CODE, {
+      getBatchExtendedFightStats: () => ({ errors: [{ message: 'Rate limit exceeded' }] }),
+    });
+
+    const result = await refreshReport({ wclCode: REPORT_CODE, userId: USER_ID, recompute: true });
+
+    expect(result.errors).toHaveLength(1);
+    expect(await performanceFor(thalrion)).toHaveLength(3);
+  });
+
+  it('keeps old rows of a fight whose rebuild fails partway during a recompute', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+    await client.execute('UPDATE fight_performance SET interrupts = 0');
+    const before = await performanceFor(thalrion);
+
+    // The first fight's new rows are written, then processing fails
+    const { processExtendedFightData: processActual } =
+      await vi.importActual('../services/analysis.js');
+    processExtendedFightData.mockImplementationOnce(async (...args) => {
+      await processActual(...args);
+      throw new Error('Disk I/O error');
+    });
+
+    const result = await refreshReport({ wclCode: REPORT_CODE, userId: USER_ID, recompute: true });
+
+    expect(result.errors).toHaveLength(1);
+    const rows = await performanceFor(thalrion);
+    expect(rows[0]).toEqual(before[0]);
+    expect(rows.slice(1).every((r) => r.interrupts === 3)).toBe(true);
+    expect(await deathsFor(thalrion)).toHaveLength(1);
+  });
+
+  it('keeps old rows of a fight when one of its inserts fails during a recompute', async () => {
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+    await client.execute('UPDATE fight_performance SET cpm = -1');
+
+    // The first fight's second player row fails to insert
+    const { processExtendedFightData: processActual } =
+      await vi.importActual('../services/analysis.js');
+    processExtendedFightData.mockImplementationOnce(async (...args) => {
+      const tx = args[7];
+      let inserts = 0;
+      const failingTx = {
+        insert: (table) => {
+          if (table === fightPerformance && ++inserts === 2) {
+            throw new Error('SQLITE_FULL: database or disk is full');
+          }
+          return tx.insert(table);
+        },
+      };
+      return processActual(...args.slice(0, 7), failingTx);
+    });
+
+    const result = await refreshReport({ wclCode: REPORT_CODE, userId: USER_ID, recompute: true });
+
+    expect(result.errors).toHaveLength(1);
+    expect(result.performanceRecords).toBe(8);
+    const kept = await client.execute(
+      `SELECT COUNT(*) AS n FROM fight_performance
+       WHERE cpm = -1 AND fight_id = (SELECT MIN(fight_id) FROM fight_performance)`,
+    );
+    expect(kept.rows[0].n).toBe(4);
+    const total = await client.execute('SELECT COUNT(*) AS n FROM fight_performance');
+    expect(total.rows[0].n).toBe(12);
+  });
+
+  it('rejects a report that was never imported', async () => {
+    await expect(refreshReport({ wclCode: REPORT_CODE, userId: USER_ID })).rejects.toMatchObject({
+      message: 'Report not found',
+      expose: true,
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  Unclaimed characters — every report actor keeps its history
+// ═══════════════════════════════════════════════════════════════
+
+describe('unclaimed characters', () => {
+  it('stores performance for unregistered actors against unclaimed records', async () => {
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    const unclaimed = await unclaimedRows();
+    expect(unclaimed.map((u) => u.name_key)).toEqual([
+      'brakkus',
+      'thalrion',
+      'zyxel',
+      '\u00e9lunara',
+    ]);
+    expect(unclaimed.find((u) => u.name_key === 'zyxel')).toMatchObject({
+      name: 'Zyxel',
+      realm: 'Sanguino',
+      realm_slug: 'sanguino',
+      region: 'eu',
+      class_name: 'Rogue',
+    });
+
+    const perf = await client.execute(
+      'SELECT COUNT(*) AS n FROM fight_performance WHERE character_id IS NULL AND unclaimed_character_id IS NOT NULL',
+    );
+    expect(perf.rows[0].n).toBe(12);
+  });
+
+  it('links actors registered by another user on the same realm and region', async () => {
+    const otherUsersTank = await addCharacter('Brakkus', 'Warrior', 'other-user');
+    await addCharacter('Zyxel', 'Rogue', 'us-user', 'us'); // same name, other region
+
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    expect(await performanceFor(otherUsersTank)).toHaveLength(3);
+    expect(invalidateAnalysisCache).toHaveBeenCalledWith(otherUsersTank);
+    expect((await unclaimedRows()).map((u) => u.name_key)).toContain('zyxel');
+  });
+
+  it('reuses the same unclaimed record across reports', async () => {
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+    const [firstZyxel] = (await unclaimedRows()).filter((u) => u.name_key === 'zyxel');
+
+    // Same actors show up again in a later report
+    await client.execute('DELETE FROM reports');
+    await client.execute('UPDATE fights SET report_id = 999');
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    const zyxels = (await unclaimedRows()).filter((u) => u.name_key === 'zyxel');
+    expect(zyxels).toHaveLength(1);
+    expect(zyxels[0].id).toBe(firstZyxel.id);
+
+    const perf = await client.execute({
+      sql: 'SELECT COUNT(*) AS n FROM fight_performance WHERE unclaimed_character_id = ?',
+      args: [firstZyxel.id],
+    });
+    expect(perf.rows[0].n).toBe(6);
+  });
+
+  it('hands the stored history to a character added later', async () => {
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    const zyxel = await addCharacter('Zyxel', 'Rogue', 'late-user');
+    const claimed = await claimUnclaimedCharacter({
+      id: zyxel,
+      name: 'Zyxel',
+      realmSlug: 'sanguino',
+      region: 'eu',
+    });
+
+    expect(claimed).toBe(3);
+    const rows = await performanceFor(zyxel);
+    expect(rows).toHaveLength(3);
+    expect(rows.every((r) => r.unclaimed_character_id === null)).toBe(true);
+    expect(rows[0].healthstones).toBe(1);
+    expect(await deathsFor(zyxel)).toHaveLength(3);
+    expect((await unclaimedRows()).map((u) => u.name_key)).not.toContain('zyxel');
+    expect(invalidateAnalysisCache).toHaveBeenCalledWith(zyxel);
+  });
+
+  it('does not claim records from another region', async () => {
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    const usZyxel = await addCharacter('Zyxel', 'Rogue', 'us-user', 'us');
+    const claimed = await claimUnclaimedCharacter({
+      id: usZyxel,
+      name: 'Zyxel',
+      realmSlug: 'sanguino',
+      region: 'us',
+    });
+
+    expect(claimed).toBe(0);
+    expect(await performanceFor(usZyxel)).toHaveLength(0);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  Mythic+ runs
+// ═══════════════════════════════════════════════════════════════
+
+describe('Mythic+ runs', () => {
+  beforeEach(() => {
+    replayWcl(REPORT_CODE, { getReportData: mythicPlusReportData() });
+  });
+
+  it('stores keystone details for whole-dungeon fights only', async () => {
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    const runs = await client.execute(
+      `SELECT f.wcl_fight_id, f.difficulty, r.dungeon_name, r.keystone_level, r.affixes,
+              r.keystone_time_ms, r.par_time_ms, r.upgrades, r.timed
+       FROM mplus_runs r JOIN fights f ON f.id = r.fight_id ORDER BY f.wcl_fight_id`,
+    );
+    expect(runs.rows.map((r) => ({ ...r }))).toEqual([
+      {
+        wcl_fight_id: 3,
+        difficulty: 'Mythic+',
+        dungeon_name: 'Ara-Kara, City of Echoes',
+        keystone_level: 15,
+        affixes: '[10,147,148]',
+        keystone_time_ms: 1350000,
+        par_time_ms: 30 * 60 * 1000,
+        upgrades: 2,
+        timed: 1,
+      },
+      {
+        wcl_fight_id: 9,
+        difficulty: 'Mythic+',
+        dungeon_name: 'The Dawnbreaker',
+        keystone_level: 16,
+        affixes: '[10,147,148]',
+        keystone_time_ms: 2050000,
+        par_time_ms: 31 * 60 * 1000,
+        upgrades: 0,
+        timed: 0,
+      },
+    ]);
+  });
+
+  it('feeds per-run combat metrics into the dungeon-run analysis', async () => {
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+    const [araKara, , dawnbreaker] = await performanceFor(thalrion);
+
+    const runs = await getCharacterDungeonRuns(thalrion);
+    expect(runs.map((r) => [r.dungeonName, r.keystoneLevel, r.timed])).toEqual([
+      ['The Dawnbreaker', 16, false],
+      ['Ara-Kara, City of Echoes', 15, true],
+    ]);
+    expect(runs[0]).toMatchObject({
+      affixes: [10, 147, 148],
+      dps: dawnbreaker.dps,
+      deaths: dawnbreaker.deaths,
+      interrupts: dawnbreaker.interrupts,
+      wclCode: REPORT_CODE,
+    });
+
+    const analysis = analyzeDungeonRuns(runs);
+    expect(analysis.summary).toMatchObject({
+      runs: 2,
+      timedRuns: 1,
+      timedRate: 50,
+      avgKeyLevel: 15.5,
+      highestTimedLevel: 15,
+    });
+    expect(analysis.dungeons.find((d) => d.shortName === 'AK')).toMatchObject({
+      runs: 1,
+      timedRate: 100,
+      bestTimedLevel: 15,
+      avgTimingPct: 75,
+      interruptsPerRun: araKara.interrupts,
+    });
+    expect(analysis.keyLevels.map((k) => k.level)).toEqual([15, 16]);
+    expect(analysis.recentRuns[0].shortName).toBe('DB');
+  });
+
+  it('leaves raid runs out of the dungeon-run history', async () => {
+    replayWcl(REPORT_CODE);
+    const thalrion = await addCharacter('Thalrion', 'Mage');
+    await ingestReport({ wclCode: REPORT_CODE, userId: USER_ID });
+
+    expect(await getCharacterDungeonRuns(thalrion, { weeks: 520 })).toEqual([]);
+    expect(analyzeDungeonRuns([])).toBeNull();
+  });
+});
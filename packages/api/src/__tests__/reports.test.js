@@ -1,8 +1,10 @@
-import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest';
+import { rmSync } from 'node:fs';
 
 // ── Mock external services (BEFORE app import) ─────────────────
 
-vi.mock('../services/wcl.js', () => ({
+vi.mock('../services/wcl.js', async (importOriginal) => ({
+  ...(await importOriginal()),
   getReportData: vi.fn(),
   getReportDataWithUserToken: vi.fn(),
   getBatchFightStats: vi.fn(),
@@ -53,18 +55,31 @@ vi.mock('../utils/retry.js', () => ({
   isTransientError: vi.fn(() => false),
 }));
 
+// WCL token bucket: never wait in tests
+vi.mock('../services/rateLimiter.js', () => ({
+  acquireToken: vi.fn().mockResolvedValue(undefined),
+}));
+
 // Encryption: passthrough
 vi.mock('../utils/encryption.js', () => ({
   decryptToken: vi.fn((token) => token),
   encryptToken: vi.fn((token) => token),
 }));
 
-// In-memory SQLite
+// Temp-file SQLite: libsql hands its in-memory connection to db.transaction()
+// and reopens an empty database afterwards, which would drop the tables the
+// import worker keeps writing to once the report transaction has committed.
+const { TEST_DB_PATH } = await vi.hoisted(async () => {
+  const { tmpdir } = await import('node:os');
+  const { join } = await import('node:path');
+  return { TEST_DB_PATH: join(tmpdir(), `stillnoob-reports-test-${process.pid}.db`) };
+});
+
 vi.mock('../db/client.js', async () => {
   const { createClient } = await import('@libsql/client');
   const { drizzle } = await import('drizzle-orm/libsql');
   const schema = await import('../db/schema.js');
-  const client = createClient({ url: ':memory:' });
+  const client = createClient({ url: `file:${TEST_DB_PATH}` });
   const db = drizzle(client, { schema });
   return { db, client };
 });
@@ -75,6 +90,7 @@ import { db, client } from '../db/client.js';
 import { getReportData, getBatchFightStats, getBatchExtendedFightStats } from '../services/wcl.js';
 import { processExtendedFightData } from '../services/analysis.js';
 import { importLimiter } from '../middleware/rateLimit.js';
+import { drainImportQueue } from '../jobs/importQueue.js';
 
 // ── Helpers ─────────────────────────────────────────────────────
 
@@ -85,6 +101,21 @@ async function registerAndGetToken(email = 'import-test@example.com') {
   return { accessToken: res.body.accessToken, userId: res.body.user.id };
 }
 
+/** Queue an import, let the worker finish it, and return both responses. */
+async function importAndDrain(accessToken, body) {
+  const res = await request(app)
+    .post('/api/v1/reports/import')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send(body);
+  await drainImportQueue();
+
+  if (!res.body.job) return { res, job: null };
+  const jobRes = await request(app)
+    .get(`/api/v1/reports/jobs/${res.body.job.id}`)
+    .set('Authorization', `Bearer ${accessToken}`);
+  return { res, job: jobRes.body };
+}
+
 function makeReportData(overrides = {}) {
   return {
     code: 'Abc123XYz456WqRs',
@@ -243,12 +274,34 @@ async function ensureTables() {
     start_time INTEGER,
     end_time INTEGER,
     duration_ms INTEGER DEFAULT 0,
+    fight_percentage REAL,
+    last_phase INTEGER,
     UNIQUE(report_id, wcl_fight_id)
   )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS import_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    wcl_code TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    kind TEXT NOT NULL DEFAULT 'import',
+    recompute INTEGER DEFAULT 0,
+    source TEXT NOT NULL DEFAULT 'manual',
+    visibility TEXT NOT NULL DEFAULT 'public',
+    guild_id INTEGER,
+    status TEXT NOT NULL DEFAULT 'queued',
+    report_id INTEGER,
+    fights_total INTEGER DEFAULT 0,
+    fights_processed INTEGER DEFAULT 0,
+    performance_records INTEGER DEFAULT 0,
+    errors TEXT DEFAULT '[]',
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    started_at TEXT,
+    finished_at TEXT
+  )`);
   await client.execute(`CREATE TABLE IF NOT EXISTS fight_performance (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     fight_id INTEGER NOT NULL,
-    character_id INTEGER NOT NULL,
+    character_id INTEGER,
+    unclaimed_character_id INTEGER,
     damage_done INTEGER DEFAULT 0,
     healing_done INTEGER DEFAULT 0,
     damage_taken INTEGER DEFAULT 0,
@@ -264,14 +317,48 @@ async function ensureTables() {
     flask_uptime_pct REAL DEFAULT 0,
     food_buff_active INTEGER DEFAULT 0,
     augment_rune_active INTEGER DEFAULT 0,
+    food_uptime_pct REAL,
+    augment_rune_uptime_pct REAL,
+    bloodlust_uptime_pct REAL,
+    power_infusion_uptime_pct REAL,
     interrupts INTEGER DEFAULT 0,
     dispels INTEGER DEFAULT 0,
+    utility_breakdown TEXT,
+    avoidable_damage_taken INTEGER DEFAULT 0,
+    avoidable_dtps REAL DEFAULT 0,
+    avoidable_breakdown TEXT,
     raid_median_dps REAL DEFAULT 0,
     raid_median_dtps REAL DEFAULT 0,
+    raid_median_avoidable_dtps REAL DEFAULT 0,
+    overhealing INTEGER DEFAULT 0,
+    overheal_pct REAL,
+    absorbs_done INTEGER DEFAULT 0,
+    mana_end_pct REAL,
+    healing_share_pct REAL,
+    healer_count INTEGER,
+    am_uptime_pct REAL,
+    unmitigated_damage_pct REAL,
+    self_healing_pct REAL,
+    low_health_pct REAL,
     spec_id INTEGER,
     talent_data TEXT,
+    cooldown_usage TEXT,
+    phase_breakdown TEXT,
     created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(fight_id, character_id)
+    UNIQUE(fight_id, character_id),
+    UNIQUE(fight_id, unclaimed_character_id)
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS unclaimed_characters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL,
+    realm TEXT,
+    realm_slug TEXT NOT NULL,
+    region TEXT,
+    class_name TEXT,
+    first_seen_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(name_key, realm_slug, region)
   )`);
   await client.execute(`CREATE TABLE IF NOT EXISTS guilds (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -306,6 +393,9 @@ async function ensureTables() {
     common_enchants TEXT DEFAULT '{}',
     common_gems TEXT DEFAULT '{}',
     common_talents TEXT DEFAULT '{}',
+    common_items TEXT DEFAULT '{}',
+    common_trinket_pairs TEXT DEFAULT '[]',
+    common_embellishments TEXT DEFAULT '{}',
     sample_size INTEGER DEFAULT 0,
     last_updated TEXT DEFAULT CURRENT_TIMESTAMP
   )`);
@@ -315,11 +405,16 @@ beforeAll(async () => {
   await ensureTables();
 });
 
+afterAll(() => {
+  client.close();
+  rmSync(TEST_DB_PATH, { force: true });
+});
+
 beforeEach(async () => {
   vi.clearAllMocks();
-  // Recreate tables in case drizzle transactions on in-memory SQLite
-  // cause schema loss (observed with libsql + drizzle-orm)
-  await ensureTables();
+  await client.execute('DELETE FROM import_jobs');
+  await client.execute('DELETE FROM fight_performance');
+  await client.execute('DELETE FROM unclaimed_characters');
   await client.execute('DELETE FROM fights');
   await client.execute('DELETE FROM reports');
   await client.execute('DELETE FROM guild_members');
@@ -409,68 +504,107 @@ describe('POST /api/v1/reports/import', () => {
     expect(res.body).toHaveProperty('reportId');
   });
 
-  // ── WCL API errors ────────────────────────────────────────────
+  it('returns 409 when an import for the report is already queued', async () => {
+    const { accessToken, userId } = await registerAndGetToken('queued@example.com');
 
-  it('returns 404 when WCL report is not found', async () => {
-    const { accessToken } = await registerAndGetToken('notfound@example.com');
-    getReportData.mockResolvedValue(null);
+    await client.execute({
+      sql: `INSERT INTO import_jobs (wcl_code, user_id, status) VALUES (?, ?, ?)`,
+      args: ['Abc123XYz456WqRs', userId, 'running'],
+    });
 
     const res = await request(app)
       .post('/api/v1/reports/import')
       .set('Authorization', `Bearer ${accessToken}`)
       .send({ url: 'Abc123XYz456WqRs' });
-    expect(res.status).toBe(404);
-    expect(res.body.error).toMatch(/not found/i);
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/in progress/i);
+    expect(res.body).toHaveProperty('jobId');
+  });
+
+  // ── Queueing ──────────────────────────────────────────────────
+
+  it('returns 202 with a queued job before any WCL work happens', async () => {
+    const { accessToken } = await registerAndGetToken('queue@example.com');
+    getReportData.mockResolvedValue(makeReportData());
+    getBatchFightStats.mockResolvedValue(makeBatchBasicStats([1, 2]));
+    getBatchExtendedFightStats.mockResolvedValue(makeBatchExtStats([1, 2]));
+
+    const res = await request(app)
+      .post('/api/v1/reports/import')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ url: 'https://www.warcraftlogs.com/reports/Abc123XYz456WqRs' });
+
+    expect(res.status).toBe(202);
+    expect(res.body.job.id).toBeDefined();
+    expect(res.body.job.wclCode).toBe('Abc123XYz456WqRs');
+    expect(res.body.job.status).toBe('queued');
+    expect(res.body.job.source).toBe('manual');
+
+    await drainImportQueue();
+  });
+
+  // ── WCL API errors (reported on the job) ──────────────────────
+
+  it('fails the job when WCL report is not found', async () => {
+    const { accessToken } = await registerAndGetToken('notfound@example.com');
+    getReportData.mockResolvedValue(null);
+
+    const { res, job } = await importAndDrain(accessToken, { url: 'Abc123XYz456WqRs' });
+    expect(res.status).toBe(202);
+    expect(job.status).toBe('failed');
+    expect(job.errors[0].message).toMatch(/not found/i);
   });
 
-  it('returns 502 when WCL API is down (5xx)', async () => {
+  it('fails the job when WCL API is down (5xx)', async () => {
     const { accessToken } = await registerAndGetToken('wcldown@example.com');
 
     const error = new Error('WCL server error');
     error.response = { status: 503 };
     getReportData.mockRejectedValue(error);
 
-    const res = await request(app)
-      .post('/api/v1/reports/import')
-      .set('Authorization', `Bearer ${accessToken}`)
-      .send({ url: 'Abc123XYz456WqRs' });
-    expect(res.status).toBe(502);
-    expect(res.body.error).toMatch(/temporarily unavailable/i);
+    const { job } = await importAndDrain(accessToken, { url: 'Abc123XYz456WqRs' });
+    expect(job.status).toBe('failed');
+    expect(job.errors[0].message).toMatch(/temporarily unavailable/i);
   });
 
-  it('returns 502 when WCL API returns 429 (rate limited)', async () => {
+  it('fails the job when WCL API returns 429 (rate limited)', async () => {
     const { accessToken } = await registerAndGetToken('wcl429@example.com');
 
     const error = new Error('Too many requests');
     error.response = { status: 429 };
     getReportData.mockRejectedValue(error);
 
-    const res = await request(app)
-      .post('/api/v1/reports/import')
-      .set('Authorization', `Bearer ${accessToken}`)
-      .send({ url: 'Abc123XYz456WqRs' });
-    expect(res.status).toBe(502);
-    expect(res.body.error).toMatch(/temporarily unavailable/i);
+    const { job } = await importAndDrain(accessToken, { url: 'Abc123XYz456WqRs' });
+    expect(job.status).toBe('failed');
+    expect(job.errors[0].message).toMatch(/temporarily unavailable/i);
   });
 
-  it('returns 502 on network timeout', async () => {
+  it('fails the job on network timeout', async () => {
     const { accessToken } = await registerAndGetToken('timeout@example.com');
 
     const error = new Error('timeout');
     error.code = 'ECONNABORTED';
     getReportData.mockRejectedValue(error);
 
-    const res = await request(app)
-      .post('/api/v1/reports/import')
-      .set('Authorization', `Bearer ${accessToken}`)
-      .send({ url: 'Abc123XYz456WqRs' });
-    expect(res.status).toBe(502);
-    expect(res.body.error).toMatch(/temporarily unavailable/i);
+    const { job } = await importAndDrain(accessToken, { url: 'Abc123XYz456WqRs' });
+    expect(job.status).toBe('failed');
+    expect(job.errors[0].message).toMatch(/temporarily unavailable/i);
+  });
+
+  it('fails the job with a clear error when WCL credentials are not configured', async () => {
+    const { accessToken } = await registerAndGetToken('nocreds@example.com');
+    getReportData.mockRejectedValue(
+      new Error('WCL credentials not configured. Set WCL_CLIENT_ID and WCL_CLIENT_SECRET in .env'),
+    );
+
+    const { job } = await importAndDrain(accessToken, { url: 'Abc123XYz456WqRs' });
+    expect(job.status).toBe('failed');
+    expect(job.errors[0].message).toMatch(/not configured on this server/i);
   });
 
   // ── Successful import ─────────────────────────────────────────
 
-  it('returns 201 on successful report import', async () => {
+  it('completes the job on successful report import', async () => {
     const { accessToken } = await registerAndGetToken('success@example.com');
 
     const reportData = makeReportData();
@@ -478,19 +612,26 @@ describe('POST /api/v1/reports/import', () => {
     getBatchFightStats.mockResolvedValue(makeBatchBasicStats([1, 2]));
     getBatchExtendedFightStats.mockResolvedValue(makeBatchExtStats([1, 2]));
 
-    const res = await request(app)
-      .post('/api/v1/reports/import')
-      .set('Authorization', `Bearer ${accessToken}`)
-      .send({ url: 'https://www.warcraftlogs.com/reports/Abc123XYz456WqRs' });
+    const { job } = await importAndDrain(accessToken, {
+      url: 'https://www.warcraftlogs.com/reports/Abc123XYz456WqRs',
+    });
 
-    expect(res.status).toBe(201);
-    expect(res.body.report).toBeDefined();
-    expect(res.body.report.wclCode).toBe('Abc123XYz456WqRs');
-    expect(res.body.report.title).toBe('Test Raid - Manaforge Omega');
-    expect(res.body.report.zoneName).toBe('Manaforge Omega');
-    expect(res.body.stats).toBeDefined();
+    expect(job.status).toBe('completed');
+    expect(job.reportId).toBeDefined();
+    expect(job.startedAt).toBeTruthy();
+    expect(job.finishedAt).toBeTruthy();
+    expect(job.errors).toEqual([]);
     // 2 encounter fights (trash fight with encounterID=0 is filtered)
-    expect(res.body.stats.fightsProcessed).toBe(2);
+    expect(job.progress.fightsTotal).toBe(2);
+    expect(job.progress.fightsProcessed).toBe(2);
+
+    const reportRows = await client.execute(
+      "SELECT * FROM reports WHERE wcl_code = 'Abc123XYz456WqRs'",
+    );
+    expect(reportRows.rows).toHaveLength(1);
+    expect(reportRows.rows[0].title).toBe('Test Raid - Manaforge Omega');
+    expect(reportRows.rows[0].zone_name).toBe('Manaforge Omega');
+    expect(reportRows.rows[0].import_source).toBe('manual');
   });
 
   it('filters out trash fights (encounterID = 0)', async () => {
@@ -503,13 +644,10 @@ describe('POST /api/v1/reports/import', () => {
     });
     getReportData.mockResolvedValue(reportData);
 
-    const res = await request(app)
-      .post('/api/v1/reports/import')
-      .set('Authorization', `Bearer ${accessToken}`)
-      .send({ url: 'Abc123XYz456WqRs' });
+    const { job } = await importAndDrain(accessToken, { url: 'Abc123XYz456WqRs' });
 
-    expect(res.status).toBe(201);
-    expect(res.body.stats.fightsProcessed).toBe(0);
+    expect(job.status).toBe('completed');
+    expect(job.progress.fightsTotal).toBe(0);
   });
 
   it('accepts a raw 16-character report code', async () => {
@@ -520,13 +658,11 @@ describe('POST /api/v1/reports/import', () => {
     getBatchFightStats.mockResolvedValue(makeBatchBasicStats([1, 2]));
     getBatchExtendedFightStats.mockResolvedValue(makeBatchExtStats([1, 2]));
 
-    const res = await request(app)
-      .post('/api/v1/reports/import')
-      .set('Authorization', `Bearer ${accessToken}`)
-      .send({ url: 'Abc123XYz456WqRs' });
+    const { res, job } = await importAndDrain(accessToken, { url: 'Abc123XYz456WqRs' });
 
-    expect(res.status).toBe(201);
-    expect(res.body.report.wclCode).toBe('Abc123XYz456WqRs');
+    expect(res.status).toBe(202);
+    expect(res.body.job.wclCode).toBe('Abc123XYz456WqRs');
+    expect(job.status).toBe('completed');
   });
 
   it('maps difficulty codes correctly (all 5 encounter fights processed)', async () => {
@@ -545,16 +681,19 @@ describe('POST /api/v1/reports/import', () => {
     getBatchFightStats.mockResolvedValue(makeBatchBasicStats([1, 2, 3, 4, 5]));
     getBatchExtendedFightStats.mockResolvedValue(makeBatchExtStats([1, 2, 3, 4, 5]));
 
-    const res = await request(app)
-      .post('/api/v1/reports/import')
-      .set('Authorization', `Bearer ${accessToken}`)
-      .send({ url: 'Abc123XYz456WqRs' });
+    const { job } = await importAndDrain(accessToken, { url: 'Abc123XYz456WqRs' });
 
-    expect(res.status).toBe(201);
-    // All 5 encounter fights processed (difficulty mapping is internal logic,
-    // verified via processExtendedFightData call count)
-    expect(res.body.stats.fightsProcessed).toBe(5);
+    expect(job.progress.fightsProcessed).toBe(5);
     expect(processExtendedFightData).toHaveBeenCalledTimes(5);
+
+    const fightRows = await client.execute('SELECT difficulty FROM fights ORDER BY wcl_fight_id');
+    expect(fightRows.rows.map((r) => r.difficulty)).toEqual([
+      'LFR',
+      'Normal',
+      'Heroic',
+      'Mythic',
+      'Mythic+',
+    ]);
   });
 
   it('calls processExtendedFightData for each fight with stats', async () => {
@@ -565,16 +704,13 @@ describe('POST /api/v1/reports/import', () => {
     getBatchFightStats.mockResolvedValue(makeBatchBasicStats([1, 2]));
     getBatchExtendedFightStats.mockResolvedValue(makeBatchExtStats([1, 2]));
 
-    await request(app)
-      .post('/api/v1/reports/import')
-      .set('Authorization', `Bearer ${accessToken}`)
-      .send({ url: 'Abc123XYz456WqRs' });
+    await importAndDrain(accessToken, { url: 'Abc123XYz456WqRs' });
 
     // processExtendedFightData called once per encounter fight
     expect(processExtendedFightData).toHaveBeenCalledTimes(2);
   });
 
-  it('returns report data and fight count in the response', async () => {
+  it('reports fight and performance record counts in job progress', async () => {
     const { accessToken } = await registerAndGetToken('persist@example.com');
 
     const reportData = makeReportData();
@@ -582,20 +718,10 @@ describe('POST /api/v1/reports/import', () => {
     getBatchFightStats.mockResolvedValue(makeBatchBasicStats([1, 2]));
     getBatchExtendedFightStats.mockResolvedValue(makeBatchExtStats([1, 2]));
 
-    const res = await request(app)
-      .post('/api/v1/reports/import')
-      .set('Authorization', `Bearer ${accessToken}`)
-      .send({ url: 'Abc123XYz456WqRs' });
+    const { job } = await importAndDrain(accessToken, { url: 'Abc123XYz456WqRs' });
 
-    expect(res.status).toBe(201);
-    // Report metadata matches WCL data
-    expect(res.body.report.id).toBeDefined();
-    expect(res.body.report.wclCode).toBe('Abc123XYz456WqRs');
-    expect(res.body.report.title).toBe('Test Raid - Manaforge Omega');
-    expect(res.body.report.zoneName).toBe('Manaforge Omega');
-    // 2 encounter fights (trash is filtered)
-    expect(res.body.stats.fightsProcessed).toBe(2);
-    expect(res.body.stats.performanceRecords).toBe(2);
+    expect(job.status).toBe('completed');
+    expect(job.progress).toEqual({ fightsTotal: 2, fightsProcessed: 2, performanceRecords: 2 });
   });
 
   it('tolerates partial stats failure without breaking import', async () => {
@@ -607,21 +733,19 @@ describe('POST /api/v1/reports/import', () => {
     getBatchFightStats.mockRejectedValue(new Error('Stats API error'));
     getBatchExtendedFightStats.mockRejectedValue(new Error('Stats API error'));
 
-    const res = await request(app)
-      .post('/api/v1/reports/import')
-      .set('Authorization', `Bearer ${accessToken}`)
-      .send({ url: 'Abc123XYz456WqRs' });
+    const { job } = await importAndDrain(accessToken, { url: 'Abc123XYz456WqRs' });
 
     // Import still succeeds — stats are processed outside the transaction
-    expect(res.status).toBe(201);
-    expect(res.body.report.wclCode).toBe('Abc123XYz456WqRs');
-    expect(res.body.stats.fightsProcessed).toBe(2);
-    expect(res.body.stats.performanceRecords).toBe(0);
+    expect(job.status).toBe('completed');
+    expect(job.reportId).toBeDefined();
+    expect(job.progress.fightsTotal).toBe(2);
+    expect(job.progress.performanceRecords).toBe(0);
+    expect(job.errors[0].message).toMatch(/fight stats/i);
   });
 
   // ── Transaction rollback ──────────────────────────────────────
 
-  it('returns 500 and does not persist report when transaction fails', async () => {
+  it('fails the job and does not persist report when transaction fails', async () => {
     const { accessToken } = await registerAndGetToken('rollback@example.com');
 
     const reportData = makeReportData();
@@ -630,16 +754,13 @@ describe('POST /api/v1/reports/import', () => {
     // Spy on db.transaction to simulate a DB failure inside the transaction
     const txSpy = vi.spyOn(db, 'transaction').mockRejectedValue(new Error('DB write error'));
 
-    const res = await request(app)
-      .post('/api/v1/reports/import')
-      .set('Authorization', `Bearer ${accessToken}`)
-      .send({ url: 'Abc123XYz456WqRs' });
-
-    expect(res.status).toBe(500);
-    expect(res.body.error).toMatch(/import failed/i);
+    const { job } = await importAndDrain(accessToken, { url: 'Abc123XYz456WqRs' });
 
     txSpy.mockRestore();
 
+    expect(job.status).toBe('failed');
+    expect(job.errors[0].message).toMatch(/import failed/i);
+
     // Verify the report was NOT persisted (transaction never committed)
     const reportRows = await client.execute("SELECT * FROM reports WHERE wcl_code = 'Abc123XYz456WqRs'");
     expect(reportRows.rows).toHaveLength(0);
@@ -667,3 +788,215 @@ describe('POST /api/v1/reports/import', () => {
     importLimiter.mockImplementation((req, res, next) => next());
   });
 });
+
+// ═══════════════════════════════════════════════════════════════
+//  POST /api/v1/reports/:code/refresh
+// ═══════════════════════════════════════════════════════════════
+
+describe('POST /api/v1/reports/:code/refresh', () => {
+  async function insertReport(userId, visibility = 'public', guildId = null) {
+    const inserted = await client.execute({
+      sql: `INSERT INTO reports (wcl_code, title, end_time, imported_by, visibility, guild_id)
+            VALUES (?, ?, ?, ?, ?, ?) RETURNING id`,
+      args: ['Abc123XYz456WqRs', 'Live raid', 1700001000000, userId, visibility, guildId],
+    });
+    return Number(inserted.rows[0].id);
+  }
+
+  async function insertGuild(members) {
+    const inserted = await client.execute(
+      `INSERT INTO guilds (name, realm, realm_slug, owner_id, invite_code)
+       VALUES ('Refreshers', 'Sanguino', 'sanguino', 'owner', 'INVITE1') RETURNING id`,
+    );
+    const guildId = Number(inserted.rows[0].id);
+    for (const [userId, role] of members) {
+      await client.execute({
+        sql: 'INSERT INTO guild_members (guild_id, user_id, role) VALUES (?, ?, ?)',
+        args: [guildId, userId, role],
+      });
+    }
+    return guildId;
+  }
+
+  it('returns 401 without auth token', async () => {
+    const res = await request(app).post('/api/v1/reports/Abc123XYz456WqRs/refresh');
+    expect(res.status).toBe(401);
+  });
+
+  it('returns 404 for an unknown report', async () => {
+    const { accessToken } = await registerAndGetToken('refresh404@example.com');
+
+    const res = await request(app)
+      .post('/api/v1/reports/Abc123XYz456WqRs/refresh')
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(res.status).toBe(404);
+  });
+
+  it("returns 404 for another user's private report", async () => {
+    const { userId } = await registerAndGetToken('privowner@example.com');
+    const { accessToken } = await registerAndGetToken('privother@example.com');
+    await insertReport(userId, 'private');
+
+    const res = await request(app)
+      .post('/api/v1/reports/Abc123XYz456WqRs/refresh')
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(res.status).toBe(404);
+  });
+
+  it('returns 403 for a public report the user did not import', async () => {
+    const { userId } = await registerAndGetToken('pubowner@example.com');
+    const { accessToken } = await registerAndGetToken('stranger@example.com');
+    await insertReport(userId);
+
+    const res = await request(app)
+      .post('/api/v1/reports/Abc123XYz456WqRs/refresh')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ recompute: true });
+    expect(res.status).toBe(403);
+    const jobs = await client.execute('SELECT COUNT(*) AS n FROM import_jobs');
+    expect(jobs.rows[0].n).toBe(0);
+  });
+
+  it('lets guild officers refresh a guild report, but not other members', async () => {
+    const { userId } = await registerAndGetToken('guildowner@example.com');
+    const member = await registerAndGetToken('guildmember@example.com');
+    const officer = await registerAndGetToken('guildofficer@example.com');
+    const guildId = await insertGuild([
+      [userId, 'leader'],
+      [member.userId, 'member'],
+      [officer.userId, 'officer'],
+    ]);
+    await insertReport(userId, 'guild', guildId);
+
+    const memberRes = await request(app)
+      .post('/api/v1/reports/Abc123XYz456WqRs/refresh')
+      .set('Authorization', `Bearer ${member.accessToken}`);
+    expect(memberRes.status).toBe(403);
+
+    const officerRes = await request(app)
+      .post('/api/v1/reports/Abc123XYz456WqRs/refresh')
+      .set('Authorization', `Bearer ${officer.accessToken}`);
+    expect(officerRes.status).toBe(202);
+  });
+
+  it('returns 400 when recompute is not a boolean', async () => {
+    const { accessToken, userId } = await registerAndGetToken('refresh400@example.com');
+    await insertReport(userId);
+
+    const res = await request(app)
+      .post('/api/v1/reports/Abc123XYz456WqRs/refresh')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ recompute: 'yes' });
+    expect(res.status).toBe(400);
+  });
+
+  it('returns 409 when the report already has an active job', async () => {
+    const { accessToken, userId } = await registerAndGetToken('refresh409@example.com');
+    await insertReport(userId);
+    await client.execute({
+      sql: `INSERT INTO import_jobs (wcl_code, user_id, kind, status) VALUES (?, ?, 'refresh', 'queued')`,
+      args: ['Abc123XYz456WqRs', userId],
+    });
+
+    const res = await request(app)
+      .post('/api/v1/reports/Abc123XYz456WqRs/refresh')
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(res.status).toBe(409);
+    expect(res.body).toHaveProperty('jobId');
+  });
+
+  it('queues a refresh job that inserts only fights logged since the import', async () => {
+    const { accessToken, userId } = await registerAndGetToken('refresh@example.com');
+    const reportId = await insertReport(userId);
+    await client.execute({
+      sql: `INSERT INTO fights (report_id, wcl_fight_id, encounter_id, boss_name, difficulty)
+            VALUES (?, 1, 100, 'Boss A', 'Mythic')`,
+      args: [reportId],
+    });
+
+    getReportData.mockResolvedValue(makeReportData());
+    getBatchFightStats.mockResolvedValue(makeBatchBasicStats([2]));
+    getBatchExtendedFightStats.mockResolvedValue(makeBatchExtStats([2]));
+
+    const res = await request(app)
+      .post('/api/v1/reports/Abc123XYz456WqRs/refresh')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ recompute: false });
+
+    expect(res.status).toBe(202);
+    expect(res.body.job).toMatchObject({ kind: 'refresh', recompute: false, status: 'queued' });
+
+    await drainImportQueue();
+
+    const jobRes = await request(app)
+      .get(`/api/v1/reports/jobs/${res.body.job.id}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(jobRes.body.status).toBe('completed');
+    expect(jobRes.body.reportId).toBe(reportId);
+    expect(jobRes.body.progress.fightsTotal).toBe(1);
+    expect(getBatchFightStats).toHaveBeenCalledWith('Abc123XYz456WqRs', [2]);
+
+    const fightRows = await client.execute('SELECT wcl_fight_id FROM fights ORDER BY wcl_fight_id');
+    expect(fightRows.rows.map((r) => r.wcl_fight_id)).toEqual([1, 2]);
+
+    const reportRow = await client.execute('SELECT end_time FROM reports');
+    expect(reportRow.rows[0].end_time).toBe(1700003600000);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  GET /api/v1/reports/jobs/:id
+// ═══════════════════════════════════════════════════════════════
+
+describe('GET /api/v1/reports/jobs/:id', () => {
+  it('returns 401 without auth token', async () => {
+    const res = await request(app).get('/api/v1/reports/jobs/1');
+    expect(res.status).toBe(401);
+  });
+
+  it('returns 400 for a non-numeric job id', async () => {
+    const { accessToken } = await registerAndGetToken('badjob@example.com');
+
+    const res = await request(app)
+      .get('/api/v1/reports/jobs/abc')
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(res.status).toBe(400);
+  });
+
+  it("returns 404 for another user's job", async () => {
+    const { userId } = await registerAndGetToken('owner@example.com');
+    const { accessToken } = await registerAndGetToken('snoop@example.com');
+
+    const inserted = await client.execute({
+      sql: `INSERT INTO import_jobs (wcl_code, user_id) VALUES (?, ?) RETURNING id`,
+      args: ['Abc123XYz456WqRs', userId],
+    });
+
+    const res = await request(app)
+      .get(`/api/v1/reports/jobs/${inserted.rows[0].id}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(res.status).toBe(404);
+  });
+
+  it('returns progress for a queued job', async () => {
+    const { accessToken, userId } = await registerAndGetToken('progress@example.com');
+
+    const inserted = await client.execute({
+      sql: `INSERT INTO import_jobs (wcl_code, user_id, status, fights_total, fights_processed)
+            VALUES (?, ?, ?, ?, ?) RETURNING id`,
+      args: ['Abc123XYz456WqRs', userId, 'running', 8, 3],
+    });
+
+    const res = await request(app)
+      .get(`/api/v1/reports/jobs/${inserted.rows[0].id}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('running');
+    expect(res.body.progress).toEqual({
+      fightsTotal: 8,
+      fightsProcessed: 3,
+      performanceRecords: 0,
+    });
+    expect(res.body.errors).toEqual([]);
+  });
+});
@@ -0,0 +1,215 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+
+// A second formula that only counts Performance, to recompute history against
+vi.mock('@stillnoob/shared', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    SCORE_FORMULAS: {
+      ...actual.SCORE_FORMULAS,
+      2: {
+        ...actual.SCORE_FORMULAS[1],
+        weights: { performance: 1, survival: 0, preparation: 0, utility: 0, consistency: 0 },
+      },
+    },
+  };
+});
+
+// Stored fights are not needed: the weekly job's performance lookups are stubbed
+vi.mock('../services/analysis.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getCharacterPerformance: vi.fn(),
+}));
+
+// Mock db with in-memory SQLite
+vi.mock('../db/client.js', async () => {
+  const { createClient } = await import('@libsql/client');
+  const { drizzle } = await import('drizzle-orm/libsql');
+  const schema = await import('../db/schema.js');
+  const client = createClient({ url: ':memory:' });
+  const db = drizzle(client, { schema });
+  return { db, client };
+});
+
+import { sql } from 'drizzle-orm';
+import { db, client } from '../db/client.js';
+import { getCharacterPerformance } from '../services/analysis.js';
+import {
+  saveStillNoobScoreSnapshot,
+  recomputeScoreSnapshots,
+  getScoreHistory,
+} from '../services/scoreHistory.js';
+import { weekStartOf, weekStartSql } from '../utils/resetWeek.js';
+import { snapshotAllScores } from '../jobs/snapshotScores.js';
+
+const performance = (overrides = {}) => ({
+  summary: {
+    totalFights: 12,
+    dpsVsMedianPct: 115,
+    deathRate: 0.1,
+    consumableScore: 80,
+    avgInterrupts: 1,
+    avgDispels: 0,
+    ...overrides,
+  },
+  bossBreakdown: [{ bossName: 'Plexus Sentinel', difficulty: 'Heroic', fights: 12, avgDps: 9000 }],
+});
+
+async function snapshots() {
+  const result = await client.execute(
+    'SELECT week_start, formula_version, total, performance, survival, inputs FROM score_snapshots ORDER BY week_start',
+  );
+  return result.rows;
+}
+
+beforeAll(async () => {
+  await client.execute(`CREATE TABLE IF NOT EXISTS characters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    realm TEXT NOT NULL,
+    realm_slug TEXT NOT NULL,
+    region TEXT NOT NULL DEFAULT 'eu',
+    class_name TEXT NOT NULL,
+    class_id INTEGER,
+    spec TEXT,
+    raid_role TEXT,
+    level INTEGER DEFAULT 0,
+    is_primary INTEGER DEFAULT 0,
+    last_synced_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS score_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    character_id INTEGER NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+    week_start TEXT NOT NULL,
+    formula_version INTEGER NOT NULL,
+    total INTEGER NOT NULL,
+    performance INTEGER NOT NULL,
+    survival INTEGER NOT NULL,
+    preparation INTEGER NOT NULL,
+    utility INTEGER NOT NULL,
+    consistency INTEGER NOT NULL,
+    inputs TEXT NOT NULL,
+    snapshot_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await client.execute(
+    'CREATE UNIQUE INDEX IF NOT EXISTS score_snap_week_unique ON score_snapshots (character_id, week_start)',
+  );
+  await client.execute(
+    `INSERT INTO characters (user_id, name, realm, realm_slug, class_name)
+     VALUES ('user-1', 'Thalrion', 'Silvermoon', 'silvermoon', 'Mage'),
+            ('user-1', 'Brakkus', 'Silvermoon', 'silvermoon', 'Warrior')`,
+  );
+});
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  await client.execute('DELETE FROM score_snapshots');
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('weekStartOf', () => {
+  it('starts weeks on the Wednesday reset', () => {
+    expect(weekStartOf(Date.parse('2025-08-06T10:00:00Z'))).toBe('2025-08-06'); // Wednesday
+    expect(weekStartOf(Date.parse('2025-08-12T23:59:00Z'))).toBe('2025-08-06'); // Tuesday
+    expect(weekStartOf(Date.parse('2025-08-05T18:00:00Z'))).toBe('2025-07-30');
+  });
+
+  it('buckets the same in SQL (weekly trends) as in JS (snapshots, tip resolution)', async () => {
+    // Every day of two weeks, around midnight UTC
+    const moments = Array.from({ length: 14 }, (_, day) =>
+      [1, -1].map((offsetMs) => Date.parse('2025-08-04T00:00:00Z') + day * 86400000 + offsetMs),
+    ).flat();
+
+    for (const ms of moments) {
+      const [row] = await db.all(sql`SELECT ${weekStartSql(sql`${ms}`)} AS weekStart`);
+      expect(row.weekStart).toBe(weekStartOf(ms));
+    }
+  });
+});
+
+describe('saveStillNoobScoreSnapshot', () => {
+  it('keeps one snapshot per week, recorded with the formula version', async () => {
+    vi.useFakeTimers({ now: Date.parse('2025-08-07T12:00:00Z'), toFake: ['Date'] });
+
+    expect(await saveStillNoobScoreSnapshot(1, performance())).toBe(true);
+    expect(await saveStillNoobScoreSnapshot(1, performance({ deathRate: 0 }))).toBe(true);
+
+    const rows = await snapshots();
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ week_start: '2025-08-06', formula_version: 1, survival: 100 });
+    expect(JSON.parse(rows[0].inputs).summary.deathRate).toBe(0);
+  });
+
+  it('skips characters without fights in the window', async () => {
+    expect(await saveStillNoobScoreSnapshot(1, performance({ totalFights: 0 }))).toBe(false);
+    expect(await snapshots()).toHaveLength(0);
+  });
+});
+
+describe('recomputeScoreSnapshots', () => {
+  it('rescores older snapshots from their inputs under the new version', async () => {
+    vi.useFakeTimers({ now: Date.parse('2025-07-31T12:00:00Z'), toFake: ['Date'] });
+    await saveStillNoobScoreSnapshot(1, performance());
+    vi.setSystemTime(Date.parse('2025-08-07T12:00:00Z'));
+    await saveStillNoobScoreSnapshot(1, performance({ dpsVsMedianPct: 100 }));
+
+    expect(await recomputeScoreSnapshots(2)).toBe(2);
+
+    // Version 2 scores Performance alone: 115% → 75, 100% → 50
+    const rows = await snapshots();
+    expect(rows.map((r) => [r.week_start, r.formula_version, r.total])).toEqual([
+      ['2025-07-30', 2, 75],
+      ['2025-08-06', 2, 50],
+    ]);
+    expect(await recomputeScoreSnapshots(2)).toBe(0);
+  });
+});
+
+describe('getScoreHistory', () => {
+  it('returns the weeks in range oldest first, with tiers and the trend', async () => {
+    vi.useFakeTimers({ now: Date.parse('2025-06-05T12:00:00Z'), toFake: ['Date'] });
+    await saveStillNoobScoreSnapshot(1, performance());
+    vi.setSystemTime(Date.parse('2025-07-31T12:00:00Z'));
+    await saveStillNoobScoreSnapshot(1, performance({ dpsVsMedianPct: 100 }));
+    vi.setSystemTime(Date.parse('2025-08-07T12:00:00Z'));
+    await saveStillNoobScoreSnapshot(1, performance({ deathRate: 0 }));
+    await saveStillNoobScoreSnapshot(2, performance());
+
+    const { snapshots, trend } = await getScoreHistory(1, { weeks: 4 });
+
+    expect(snapshots.map((s) => s.weekStart)).toEqual(['2025-07-30', '2025-08-06']);
+    expect(snapshots[1]).toMatchObject({
+      formulaVersion: 1,
+      breakdown: { performance: 75, survival: 100 },
+    });
+    expect(snapshots[1].tier.min).toBeLessThanOrEqual(snapshots[1].total);
+    expect(trend).toEqual({
+      change: snapshots[1].total - snapshots[0].total,
+      direction: 'up',
+    });
+  });
+});
+
+describe('snapshotAllScores', () => {
+  it('records the week that just ended for every character with fights', async () => {
+    vi.useFakeTimers({ now: Date.parse('2025-08-13T06:00:00Z'), toFake: ['Date'] });
+    getCharacterPerformance.mockImplementation(async (characterId) =>
+      characterId === 1 ? performance() : performance({ totalFights: 0 }),
+    );
+
+    const result = await snapshotAllScores();
+
+    expect(result).toEqual({ saved: 1, failed: 0, total: 2 });
+    expect(getCharacterPerformance).toHaveBeenCalledWith(
+      1,
+      expect.objectContaining({ weeks: 8, className: 'Mage' }),
+    );
+    const rows = await snapshots();
+    expect(rows.map((r) => r.week_start)).toEqual(['2025-08-06']);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { ratingToPercent, getStatBreakpoints, getSpecData } from '@stillnoob/shared';
+
+describe('ratingToPercent', () => {
+  it('converts linearly below the first DR threshold', () => {
+    expect(ratingToPercent('haste', 13200)).toEqual({
+      rawPct: 20,
+      effectivePct: 20,
+      ratingLost: 0,
+    });
+  });
+
+  it('applies each bracket penalty to the rating inside it', () => {
+    // 50% from rating: 30 + 9 * 0.9 + 8 * 0.8 + 3 * 0.7
+    expect(ratingToPercent('versatility', 39000)).toEqual({
+      rawPct: 50,
+      effectivePct: 46.6,
+      ratingLost: 2652,
+    });
+  });
+
+  it("scales mastery points by the spec's coefficient", () => {
+    // 40 mastery points: 30 + 9 * 0.9 + 1 * 0.8 = 38.9 points at 2.25% each
+    expect(ratingToPercent('mastery', 28000, 2.25)).toEqual({
+      rawPct: 90,
+      effectivePct: 87.53,
+      ratingLost: 770,
+    });
+  });
+
+  it('gains nothing past the last bracket', () => {
+    const atCap = ratingToPercent('crit', 126 * 700);
+    const pastCap = ratingToPercent('crit', 140 * 700);
+    expect(pastCap.effectivePct).toBe(atCap.effectivePct);
+  });
+});
+
+describe('getStatBreakpoints', () => {
+  it('lists the rating where each DR bracket starts', () => {
+    const breakpoints = getStatBreakpoints('mastery');
+    expect(breakpoints[0]).toEqual({
+      rating: 21000,
+      pct: 30,
+      type: 'diminishingReturns',
+      penalty: 0.1,
+    });
+    expect(breakpoints.map((b) => b.pct)).toEqual([30, 39, 47, 54, 66, 126]);
+  });
+
+  it("gives a spec's breakpoints in its mastery % and adds its stat caps", () => {
+    const elemental = getSpecData('Shaman', 'Elemental');
+    const breakpoints = getStatBreakpoints('mastery', elemental);
+
+    // DR brackets start at 30, 39, 47, 54, 66 and 126 mastery points
+    expect(breakpoints.filter((b) => b.type === 'diminishingReturns').map((b) => b.pct)).toEqual([
+      56.25, 73.13, 88.13, 101.25, 123.75, 236.25,
+    ]);
+    // 100% mastery is 53.33 effective points: 54 + 3.93 / 0.6 points from rating
+    expect(breakpoints[4]).toEqual({
+      rating: 42389,
+      pct: 100,
+      type: 'cap',
+      reason: 'masteryProcCap',
+    });
+    expect(getStatBreakpoints('haste', elemental).some((b) => b.type === 'cap')).toBe(false);
+  });
+});
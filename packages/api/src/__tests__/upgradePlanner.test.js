@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { planGearUpgrades, getStatWeights } from '../services/upgradePlanner.js';
+
+// Fire Mage priority: haste > versatility > mastery > crit
+const hasteItem = { crit: 0, haste: 600, mastery: 0, versatility: 400 };
+const critItem = { crit: 600, haste: 0, mastery: 400, versatility: 0 };
+
+function makeEquipment(items) {
+  return {
+    items: items.map(([slot, itemLevel, stats = hasteItem]) => ({
+      slot,
+      name: `${slot} item`,
+      itemLevel,
+      stats,
+    })),
+    aggregated: { averageItemLevel: 700 },
+  };
+}
+
+const findSlot = (plan, slot) => plan.slots.find((s) => s.slot === slot);
+
+describe('getStatWeights', () => {
+  it('weights stats by spec priority, blended with the meta shares', () => {
+    const specOnly = getStatWeights(['haste', 'versatility', 'mastery', 'crit']);
+    expect(specOnly).toEqual({ haste: 1, versatility: 0.8, mastery: 0.6, crit: 0.4 });
+
+    const withMeta = getStatWeights(['haste', 'versatility', 'mastery', 'crit'], {
+      haste: 40,
+      versatility: 20,
+      mastery: 20,
+      crit: 40,
+    });
+    expect(withMeta.crit).toBeCloseTo(0.7);
+    expect(withMeta.haste).toBe(1);
+  });
+});
+
+describe('planGearUpgrades', () => {
+  it('ranks low item level and off-priority slots first, skipping cosmetics', () => {
+    const plan = planGearUpgrades(
+      makeEquipment([
+        ['head', 707],
+        ['chest', 707, critItem],
+        ['wrist', 684],
+        ['shirt', 1],
+      ]),
+      'Mage',
+      'Fire',
+    );
+
+    expect(plan.slots.map((s) => s.slot)).toEqual(['wrist', 'chest', 'head']);
+    expect(findSlot(plan, 'head').statFitPct).toBe(92);
+    expect(findSlot(plan, 'chest').statFitPct).toBe(48);
+    expect(findSlot(plan, 'chest').upgradeValue).toBeGreaterThan(
+      findSlot(plan, 'head').upgradeValue,
+    );
+  });
+
+  it('lists the lowest raid difficulty, key level and vault that beat the item', () => {
+    const plan = planGearUpgrades(makeEquipment([['wrist', 690]]), 'Mage', 'Fire');
+    const { sources } = findSlot(plan, 'wrist');
+
+    expect(sources.raid).toEqual([
+      { boss: 'Plexus Sentinel', difficulty: 'Heroic', itemLevel: 697 },
+      { boss: 'Soulbinder Naazindhri', difficulty: 'Heroic', itemLevel: 697 },
+      { boss: 'Fractillus', difficulty: 'Heroic', itemLevel: 700 },
+    ]);
+    expect(sources.mplus.map((d) => d.dungeon)).toEqual([
+      'Ara-Kara, City of Echoes',
+      "Tazavesh: So'leah's Gambit",
+    ]);
+    expect(sources.mplus[0]).toMatchObject({ keyLevel: 5, itemLevel: 691 });
+    expect(sources.vault).toEqual({
+      mplus: { keyLevel: 2, itemLevel: 694 },
+      raid: { difficulty: 'Heroic', itemLevel: 697 },
+    });
+  });
+
+  it('folds numbered rings and trinkets into their loot slot and notes crest upgrades', () => {
+    const plan = planGearUpgrades(makeEquipment([['trinket2', 697, {}]]), 'Mage', 'Fire');
+    const trinket = findSlot(plan, 'trinket2');
+
+    expect(trinket.statFitPct).toBeNull();
+    expect(trinket.sources.raid).toHaveLength(8);
+    expect(trinket.crestUpgrade).toEqual({ track: 'Champion', crest: 'Carved', maxItemLevel: 704 });
+  });
+
+  it('has no sources for a slot already at the best item level', () => {
+    const plan = planGearUpgrades(makeEquipment([['neck', 716]]), 'Mage', 'Fire');
+    const neck = findSlot(plan, 'neck');
+
+    expect(neck.sources.raid).toEqual([]);
+    expect(neck.sources.mplus).toEqual([]);
+    expect(neck.sources.vault).toEqual({ mplus: null, raid: null });
+    expect(neck.crestUpgrade).toMatchObject({ track: 'Myth' });
+  });
+});
@@ -169,6 +169,9 @@ export const fights = sqliteTable(
     startTime: integer('start_time'),
     endTime: integer('end_time'),
     durationMs: integer('duration_ms').default(0),
+    // How far the pull got: WCL fightPercentage (0 on kills) and the last phase reached
+    fightPercentage: real('fight_percentage'),
+    lastPhase: integer('last_phase'),
   },
   (table) => [
     uniqueIndex('fight_unique').on(table.reportId, table.wclFightId),
@@ -179,6 +182,85 @@ export const fights = sqliteTable(
   ],
 );
 
+export const importJobs = sqliteTable(
+  'import_jobs',
+  {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    wclCode: text('wcl_code').notNull(),
+    userId: text('user_id')
+      .notNull()
+      .references(() => users.id, { onDelete: 'cascade' }),
+    kind: text('kind').notNull().default('import'), // 'import' | 'refresh'
+    recompute: integer('recompute', { mode: 'boolean' }).default(false), // refresh: rebuild existing fights' performance
+    source: text('source').notNull().default('manual'), // 'manual' | 'auto'
+    visibility: text('visibility').notNull().default('public'), // 'public' | 'private' | 'guild'
+    guildId: integer('guild_id').references(() => guilds.id, { onDelete: 'set null' }),
+    status: text('status').notNull().default('queued'), // 'queued' | 'running' | 'completed' | 'failed'
+    reportId: integer('report_id').references(() => reports.id, { onDelete: 'set null' }),
+    fightsTotal: integer('fights_total').default(0),
+    fightsProcessed: integer('fights_processed').default(0),
+    performanceRecords: integer('performance_records').default(0),
+    errors: text('errors').default('[]'), // JSON: [{ message, fightId? }]
+    createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+    startedAt: text('started_at'),
+    finishedAt: text('finished_at'),
+  },
+  (table) => [
+    index('import_job_status_idx').on(table.status, table.id),
+    index('import_job_code_idx').on(table.wclCode),
+    index('import_job_user_idx').on(table.userId),
+  ],
+);
+
+// ============================================
+// MYTHIC+ RUNS (keystone details for whole-dungeon fights)
+// ============================================
+
+export const mplusRuns = sqliteTable(
+  'mplus_runs',
+  {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    fightId: integer('fight_id')
+      .notNull()
+      .unique()
+      .references(() => fights.id, { onDelete: 'cascade' }),
+    dungeonName: text('dungeon_name').notNull(),
+    keystoneLevel: integer('keystone_level').notNull(),
+    affixes: text('affixes').default('[]'), // JSON: WCL affix IDs
+    keystoneTimeMs: integer('keystone_time_ms'), // in-game timer at completion
+    parTimeMs: integer('par_time_ms'), // null when the dungeon timer is unknown
+    upgrades: integer('upgrades').default(0), // 0 = depleted, 1-3 = keystone upgrade
+    timed: integer('timed', { mode: 'boolean' }).default(false),
+    createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+  },
+  (table) => [
+    index('mplus_run_dungeon_idx').on(table.dungeonName),
+    index('mplus_run_level_idx').on(table.keystoneLevel),
+  ],
+);
+
+// ============================================
+// Unclaimed characters (report actors nobody has registered yet)
+// ============================================
+
+export const unclaimedCharacters = sqliteTable(
+  'unclaimed_characters',
+  {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    name: text('name').notNull(), // NFC, as logged
+    nameKey: text('name_key').notNull(), // NFC + lowercase, for matching
+    realm: text('realm'), // WCL server name
+    realmSlug: text('realm_slug').notNull(),
+    region: text('region'), // 'eu' | 'us' | ... (null when the report region is unknown)
+    className: text('class_name'),
+    firstSeenAt: text('first_seen_at').default(sql`CURRENT_TIMESTAMP`),
+    lastSeenAt: text('last_seen_at').default(sql`CURRENT_TIMESTAMP`),
+  },
+  (table) => [
+    uniqueIndex('unclaimed_char_unique').on(table.nameKey, table.realmSlug, table.region),
+  ],
+);
+
 // ============================================
 // CORE: Per-player per-fight performance
 // ============================================
@@ -190,9 +272,15 @@ export const fightPerformance = sqliteTable(
     fightId: integer('fight_id')
       .notNull()
       .references(() => fights.id, { onDelete: 'cascade' }),
-    characterId: integer('character_id')
-      .notNull()
-      .references(() => characters.id, { onDelete: 'cascade' }),
+    // Exactly one of characterId / unclaimedCharacterId is set; claiming a
+    // character moves its rows from the unclaimed record to the character.
+    characterId: integer('character_id').references(() => characters.id, {
+      onDelete: 'cascade',
+    }),
+    unclaimedCharacterId: integer('unclaimed_character_id').references(
+      () => unclaimedCharacters.id,
+      { onDelete: 'cascade' },
+    ),
     // Core metrics
     damageDone: integer('damage_done').default(0),
     healingDone: integer('healing_done').default(0),
@@ -211,25 +299,90 @@ export const fightPerformance = sqliteTable(
     flaskUptimePct: real('flask_uptime_pct').default(0),
     foodBuffActive: integer('food_buff_active', { mode: 'boolean' }).default(false),
     augmentRuneActive: integer('augment_rune_active', { mode: 'boolean' }).default(false),
+    // Buff uptime % from WCL Buffs events (null on rows imported before it was measured)
+    foodUptimePct: real('food_uptime_pct'),
+    augmentRuneUptimePct: real('augment_rune_uptime_pct'),
+    bloodlustUptimePct: real('bloodlust_uptime_pct'),
+    powerInfusionUptimePct: real('power_infusion_uptime_pct'),
     // Utility
     interrupts: integer('interrupts').default(0),
     dispels: integer('dispels').default(0),
+    // Per enemy ability — JSON: [{ kind, abilityId, ability, count, raidCount, completed }]
+    utilityBreakdown: text('utility_breakdown'),
+    // Avoidable damage (abilities in @stillnoob/shared AVOIDABLE_ABILITIES)
+    avoidableDamageTaken: integer('avoidable_damage_taken').default(0),
+    avoidableDtps: real('avoidable_dtps').default(0),
+    avoidableBreakdown: text('avoidable_breakdown'), // JSON: [{ ability, damage }]
     // Raid context
     raidMedianDps: real('raid_median_dps').default(0),
     raidMedianDtps: real('raid_median_dtps').default(0),
+    raidMedianAvoidableDtps: real('raid_median_avoidable_dtps').default(0),
+    // Healing (WCL healing is effective healing; overheal and shields come alongside)
+    overhealing: integer('overhealing').default(0),
+    overhealPct: real('overheal_pct'),
+    absorbsDone: integer('absorbs_done').default(0),
+    manaEndPct: real('mana_end_pct'), // mana on the last cast of the fight, null off mana
+    healingSharePct: real('healing_share_pct'), // healers only: share of the healers' healing
+    healerCount: integer('healer_count'),
+    // Tank mitigation (tanks only): active-mitigation buff uptime, damage taken without it,
+    // self-healing share of healing received, time below TANK_THRESHOLDS.lowHealthPct
+    amUptimePct: real('am_uptime_pct'),
+    unmitigatedDamagePct: real('unmitigated_damage_pct'),
+    selfHealingPct: real('self_healing_pct'),
+    lowHealthPct: real('low_health_pct'),
     // Spec & talent tracking
     specId: integer('spec_id'),
     talentData: text('talent_data'),
+    // Major cooldowns (@stillnoob/shared SPEC_COOLDOWNS) — JSON: [{ name, type, casts, possible, timeline }]
+    cooldownUsage: text('cooldown_usage'),
+    // Per encounter phase (WCL phaseTransitions) — JSON: [{ phase, name, isIntermission, durationMs, dps, dtps, activeTimePct, deaths }]
+    phaseBreakdown: text('phase_breakdown'),
     // Metadata
     createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
   },
   (table) => [
     uniqueIndex('perf_unique').on(table.fightId, table.characterId),
+    uniqueIndex('perf_unclaimed_unique').on(table.fightId, table.unclaimedCharacterId),
+    index('perf_unclaimed_idx').on(table.unclaimedCharacterId),
     index('perf_char_idx').on(table.characterId),
     index('perf_char_fight_idx').on(table.characterId, table.fightId),
   ],
 );
 
+// ============================================
+// DEATH EVENTS (one row per player death, for cause-of-death analysis)
+// ============================================
+
+export const deathEvents = sqliteTable(
+  'death_events',
+  {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    fightId: integer('fight_id')
+      .notNull()
+      .references(() => fights.id, { onDelete: 'cascade' }),
+    // Same ownership model as fight_performance (claimed along with it)
+    characterId: integer('character_id').references(() => characters.id, {
+      onDelete: 'cascade',
+    }),
+    unclaimedCharacterId: integer('unclaimed_character_id').references(
+      () => unclaimedCharacters.id,
+      { onDelete: 'cascade' },
+    ),
+    timeIntoFightMs: integer('time_into_fight_ms'),
+    killingAbilityId: integer('killing_ability_id'), // null when WCL has no killing blow
+    killingAbilityName: text('killing_ability_name'),
+    damageTakenWindow: integer('damage_taken_window').default(0), // damage in the last DEATH_ANALYSIS.windowMs
+    defensiveUsed: integer('defensive_used', { mode: 'boolean' }).default(false),
+    healthstoneUsed: integer('healthstone_used', { mode: 'boolean' }).default(false),
+    createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+  },
+  (table) => [
+    index('death_fight_idx').on(table.fightId),
+    index('death_char_idx').on(table.characterId),
+    index('death_unclaimed_idx').on(table.unclaimedCharacterId),
+  ],
+);
+
 // ============================================
 // M+ SCORE TRACKING
 // ============================================
@@ -256,6 +409,82 @@ export const mplusSnapshots = sqliteTable(
   ],
 );
 
+// ============================================
+// STILLNOOB SCORE HISTORY
+// ============================================
+
+export const scoreSnapshots = sqliteTable(
+  'score_snapshots',
+  {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    characterId: integer('character_id')
+      .notNull()
+      .references(() => characters.id, { onDelete: 'cascade' }),
+    weekStart: text('week_start').notNull(), // YYYY-MM-DD, Wednesday (EU weekly reset)
+    formulaVersion: integer('formula_version').notNull(), // SCORE_FORMULAS version
+    total: integer('total').notNull(),
+    performance: integer('performance').notNull(),
+    survival: integer('survival').notNull(),
+    preparation: integer('preparation').notNull(),
+    utility: integer('utility').notNull(),
+    consistency: integer('consistency').notNull(),
+    inputs: text('inputs').notNull(), // JSON: extractScoreInputs(), to recompute under a new version
+    snapshotAt: text('snapshot_at').default(sql`CURRENT_TIMESTAMP`),
+  },
+  (table) => [uniqueIndex('score_snap_week_unique').on(table.characterId, table.weekStart)],
+);
+
+// ============================================
+// RECOMMENDATION LIFECYCLE (tips tracked per character)
+// ============================================
+
+export const recommendationStates = sqliteTable(
+  'recommendation_states',
+  {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    characterId: integer('character_id')
+      .notNull()
+      .references(() => characters.id, { onDelete: 'cascade' }),
+    tipId: text('tip_id').notNull(), // key plus its subject (boss, talent, ability), see tipId()
+    key: text('key').notNull(),
+    category: text('category').notNull(),
+    severity: text('severity').notNull(),
+    data: text('data'), // JSON: tip data when last seen, to render resolved tips
+    status: text('status').notNull().default('active'), // active | acknowledged | dismissed | snoozed | resolved
+    snoozedUntil: text('snoozed_until'),
+    firstSeenAt: text('first_seen_at').notNull(),
+    lastSeenAt: text('last_seen_at').notNull(),
+    resolvedAt: text('resolved_at'),
+  },
+  (table) => [
+    uniqueIndex('rec_state_tip_unique').on(table.characterId, table.tipId),
+    index('rec_state_status_idx').on(table.characterId, table.status),
+  ],
+);
+
+// ============================================
+// PERSONAL GOALS
+// ============================================
+
+export const characterGoals = sqliteTable(
+  'character_goals',
+  {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    characterId: integer('character_id')
+      .notNull()
+      .references(() => characters.id, { onDelete: 'cascade' }),
+    metric: text('metric').notNull(), // GOAL_METRICS key
+    target: real('target').notNull(),
+    difficulty: text('difficulty'), // raid difficulty the metric is measured on (null = all)
+    deadline: text('deadline'), // YYYY-MM-DD
+    baseline: real('baseline'), // metric value when the goal was set, for progress %
+    status: text('status').notNull().default('active'), // active | achieved
+    achievedAt: text('achieved_at'),
+    createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+  },
+  (table) => [index('goal_char_idx').on(table.characterId)],
+);
+
 // ============================================
 // BOSS REFERENCE DATA
 // ============================================
@@ -286,6 +515,9 @@ export const specMetaCache = sqliteTable(
     commonEnchants: text('common_enchants').default('{}'),
     commonGems: text('common_gems').default('{}'),
     commonTalents: text('common_talents').default('{}'),
+    commonItems: text('common_items').default('{}'),
+    commonTrinketPairs: text('common_trinket_pairs').default('[]'),
+    commonEmbellishments: text('common_embellishments').default('{}'),
     sampleSize: integer('sample_size').default(0),
     lastUpdated: text('last_updated').default(sql`CURRENT_TIMESTAMP`),
   },
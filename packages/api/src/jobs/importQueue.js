@@ -0,0 +1,219 @@
+import { db } from '../db/client.js';
+import { importJobs } from '../db/schema.js';
+import { eq, and, asc, inArray, sql } from 'drizzle-orm';
+import { ingestReport, refreshReport } from '../services/reportIngestion.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Job:ImportQueue');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Promise of the drain loop currently running (one worker per process)
+let draining = null;
+
+/**
+ * Map an import failure to the user-facing message stored on the job.
+ * @param {Error} err
+ * @returns {string}
+ */
+export function describeImportError(err) {
+  const status = err.response?.status;
+  if (
+    status >= 500 ||
+    status === 429 ||
+    err.code === 'ECONNABORTED' ||
+    err.message?.includes('timeout')
+  ) {
+    return 'Warcraft Logs API is temporarily unavailable. Please try again later.';
+  }
+  if (err.expose) return err.message;
+  if (err.message?.includes('WCL credentials not configured')) {
+    return 'Warcraft Logs imports are not configured on this server.';
+  }
+  if (err.message?.includes('WCL')) return 'Failed to fetch from Warcraft Logs API';
+  return 'Import failed';
+}
+
+/**
+ * Shape an import_jobs row for API responses.
+ * @param {object} job - import_jobs row
+ */
+export function serializeImportJob(job) {
+  let errors = [];
+  try {
+    errors = JSON.parse(job.errors || '[]');
+  } catch {
+    /* ignore */
+  }
+
+  return {
+    id: job.id,
+    wclCode: job.wclCode,
+    kind: job.kind,
+    recompute: Boolean(job.recompute),
+    source: job.source,
+    status: job.status,
+    reportId: job.reportId,
+    progress: {
+      fightsTotal: job.fightsTotal || 0,
+      fightsProcessed: job.fightsProcessed || 0,
+      performanceRecords: job.performanceRecords || 0,
+    },
+    errors,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Find a queued or running job for a WCL report code.
+ * @param {string} wclCode
+ * @returns {Promise<object|undefined>}
+ */
+export async function findActiveImportJob(wclCode) {
+  return db
+    .select()
+    .from(importJobs)
+    .where(and(eq(importJobs.wclCode, wclCode), inArray(importJobs.status, ACTIVE_STATUSES)))
+    .get();
+}
+
+/**
+ * Persist a new import job and wake the worker.
+ *
+ * @param {object} params
+ * @param {string} params.wclCode - WCL report code
+ * @param {string} params.userId - User the import runs on behalf of
+ * @param {'import'|'refresh'} [params.kind] - 'refresh' re-fetches an already imported report
+ * @param {boolean} [params.recompute] - Refresh only: rebuild existing fights' performance
+ * @param {'manual'|'auto'} [params.source]
+ * @param {'public'|'private'|'guild'} [params.visibility]
+ * @param {number|null} [params.guildId]
+ * @returns {Promise<object>} The inserted import_jobs row
+ */
+export async function enqueueImportJob({
+  wclCode,
+  userId,
+  kind = 'import',
+  recompute = false,
+  source = 'manual',
+  visibility = 'public',
+  guildId = null,
+}) {
+  const [job] = await db
+    .insert(importJobs)
+    .values({ wclCode, userId, kind, recompute, source, visibility, guildId: guildId || null })
+    .returning();
+
+  // Fire-and-forget: the worker picks the job up in the background
+  drainImportQueue().catch((err) => log.error('Import queue crashed', err));
+
+  return job;
+}
+
+/**
+ * Process queued jobs one at a time until the queue is empty.
+ * Calls made while a drain is running share the same promise.
+ * @returns {Promise<void>}
+ */
+export function drainImportQueue() {
+  if (!draining) {
+    draining = processQueuedJobs().finally(() => {
+      draining = null;
+    });
+  }
+  return draining;
+}
+
+/**
+ * Fail jobs left in 'running' by a previous process (crash or deploy).
+ * Their report may be partially imported, so they are not retried blindly.
+ * @returns {Promise<number>} Number of jobs marked as failed
+ */
+export async function failInterruptedImportJobs() {
+  const result = await db
+    .update(importJobs)
+    .set({
+      status: 'failed',
+      errors: JSON.stringify([{ message: 'Import interrupted by a server restart' }]),
+      finishedAt: sql`CURRENT_TIMESTAMP`,
+    })
+    .where(eq(importJobs.status, 'running'));
+  return result.rowsAffected || 0;
+}
+
+async function processQueuedJobs() {
+  let job = await claimNextJob();
+  while (job) {
+    await runImportJob(job);
+    job = await claimNextJob();
+  }
+}
+
+/**
+ * Atomically move the oldest queued job to 'running'.
+ * @returns {Promise<object|null>}
+ */
+async function claimNextJob() {
+  const next = await db
+    .select({ id: importJobs.id })
+    .from(importJobs)
+    .where(eq(importJobs.status, 'queued'))
+    .orderBy(asc(importJobs.id))
+    .get();
+  if (!next) return null;
+
+  const [claimed] = await db
+    .update(importJobs)
+    .set({ status: 'running', startedAt: sql`CURRENT_TIMESTAMP` })
+    .where(and(eq(importJobs.id, next.id), eq(importJobs.status, 'queued')))
+    .returning();
+
+  // Another worker claimed it first — try the next one
+  return claimed || claimNextJob();
+}
+
+async function saveProgress(jobId, progress) {
+  await db
+    .update(importJobs)
+    .set({
+      fightsTotal: progress.fightsTotal,
+      fightsProcessed: progress.fightsProcessed,
+      performanceRecords: progress.performanceRecords,
+      errors: JSON.stringify(progress.errors),
+    })
+    .where(eq(importJobs.id, jobId));
+}
+
+async function runImportJob(job) {
+  const progress = { fightsTotal: 0, fightsProcessed: 0, performanceRecords: 0, errors: [] };
+  let status = 'completed';
+
+  try {
+    const ingest = job.kind === 'refresh' ? refreshReport : ingestReport;
+    await ingest(job, {
+      progress,
+      onReportStored: (report) =>
+        db.update(importJobs).set({ reportId: report.id }).where(eq(importJobs.id, job.id)),
+      onProgress: () => saveProgress(job.id, progress),
+    });
+    log.info(
+      `Import job ${job.id} (${job.kind}) done — ${job.wclCode}: ${progress.fightsTotal} fights, ${progress.performanceRecords} performance records`,
+    );
+  } catch (err) {
+    status = 'failed';
+    progress.errors.push({ message: describeImportError(err) });
+    log.error(`Import job ${job.id} (${job.wclCode}) failed`, err);
+  }
+
+  try {
+    await saveProgress(job.id, progress);
+    await db
+      .update(importJobs)
+      .set({ status, finishedAt: sql`CURRENT_TIMESTAMP` })
+      .where(eq(importJobs.id, job.id));
+  } catch (err) {
+    log.error(`Failed to finalize import job ${job.id}`, err);
+  }
+}
@@ -1,13 +1,8 @@
 import { db } from '../db/client.js';
-import { characters, reports, fights } from '../db/schema.js';
+import { characters, reports } from '../db/schema.js';
 import { eq } from 'drizzle-orm';
-import {
-  getCharacterReports,
-  getReportData,
-  getBatchFightStats,
-  getBatchExtendedFightStats,
-} from '../services/wcl.js';
-import { processExtendedFightData, invalidateAnalysisCache } from '../services/analysis.js';
+import { getCharacterReports } from '../services/wcl.js';
+import { enqueueImportJob, findActiveImportJob } from './importQueue.js';
 import { getCharacterBlizzardProfile, saveScoreSnapshot } from '../services/characterProfile.js';
 import { acquireToken } from '../services/rateLimiter.js';
 import { createLogger } from '../utils/logger.js';
@@ -25,7 +20,9 @@ function retryWithBackoff(fn, label) {
 }
 
 /**
- * Scan WCL for new reports for all registered characters.
+ * Scan WCL for new reports for all registered characters and queue them for import.
+ * Reports that grew since they were imported (live-logged raids) are queued for refresh.
+ * The import queue worker does the actual processing (same pipeline as manual imports).
  * Includes retry with exponential backoff and circuit breaker.
  */
 export async function scanForNewReports() {
@@ -35,10 +32,10 @@ export async function scanForNewReports() {
 
   if (allChars.length === 0) {
     log.info('No characters registered, skipping scan');
-    return { scanned: 0, imported: 0, failed: 0 };
+    return { scanned: 0, queued: 0, failed: 0 };
   }
 
-  let totalNew = 0;
+  let totalQueued = 0;
   let totalFailed = 0;
   let consecutiveWclFailures = 0;
 
@@ -63,144 +60,32 @@ export async function scanForNewReports() {
       consecutiveWclFailures = 0;
 
       for (const wclReport of wclReports) {
-        // Check if already imported
+        // Skip reports already waiting in the import queue
+        if (await findActiveImportJob(wclReport.code)) continue;
+
         const existing = await db
-          .select({ id: reports.id })
+          .select({ id: reports.id, endTime: reports.endTime })
           .from(reports)
           .where(eq(reports.wclCode, wclReport.code))
           .get();
 
-        if (existing) continue;
+        // Known report: refresh only if it kept growing after we imported it (live logging)
+        if (existing && !(wclReport.endTime > existing.endTime)) continue;
 
-        // Import new report
         try {
-          await acquireToken();
-          const reportData = await retryWithBackoff(
-            () => getReportData(wclReport.code),
-            `getReportData(${wclReport.code})`,
-          );
-          if (!reportData) continue;
-
-          // Build char map for this user (before transaction)
-          const userChars = await db
-            .select()
-            .from(characters)
-            .where(eq(characters.userId, char.userId))
-            .all();
-          const charMap = {};
-          for (const c of userChars) {
-            charMap[c.name.normalize('NFC').toLowerCase()] = c.id;
-          }
-
-          const encounterFights = (reportData.fights || []).filter((f) => f.encounterID > 0);
-
-          // Transaction: insert report + all fights atomically
-          const { fightMappings } = await db.transaction(async (tx) => {
-            const [txReport] = await tx
-              .insert(reports)
-              .values({
-                wclCode: wclReport.code,
-                title: reportData.title,
-                startTime: reportData.startTime,
-                endTime: reportData.endTime,
-                region: reportData.region,
-                guildName: reportData.guild?.name || null,
-                zoneName: reportData.zone?.name || null,
-                participantsCount: reportData.participants?.length || 0,
-                importedBy: char.userId,
-                importSource: 'auto',
-              })
-              .returning();
-
-            const txFightMappings = [];
-            for (const fight of encounterFights) {
-              const difficultyMap = {
-                1: 'LFR',
-                2: 'Normal',
-                3: 'Heroic',
-                4: 'Heroic',
-                5: 'Mythic',
-              };
-              const difficulty =
-                fight.difficulty >= 10 ? 'Mythic+' : difficultyMap[fight.difficulty] || 'Normal';
-              const durationMs = (fight.endTime || 0) - (fight.startTime || 0);
-
-              const [storedFight] = await tx
-                .insert(fights)
-                .values({
-                  reportId: txReport.id,
-                  wclFightId: fight.id,
-                  encounterId: fight.encounterID,
-                  bossName: fight.name || 'Unknown',
-                  difficulty,
-                  isKill: fight.kill || false,
-                  startTime: fight.startTime,
-                  endTime: fight.endTime,
-                  durationMs,
-                })
-                .onConflictDoNothing()
-                .returning();
-
-              if (storedFight) {
-                txFightMappings.push({
-                  wclFightId: fight.id,
-                  storedFightId: storedFight.id,
-                  durationMs,
-                });
-              }
-            }
-
-            return { report: txReport, fightMappings: txFightMappings };
+          await enqueueImportJob({
+            wclCode: wclReport.code,
+            userId: char.userId,
+            kind: existing ? 'refresh' : 'import',
+            source: 'auto',
           });
-
-          // Performance data (outside transaction — tolerant of partial failure)
-          if (fightMappings.length > 0) {
-            await acquireToken();
-            const allFightIds = fightMappings.map((f) => f.wclFightId);
-            const [batchBasicStats, batchExtStats] = await Promise.all([
-              retryWithBackoff(
-                () => getBatchFightStats(wclReport.code, allFightIds),
-                `getBatchFightStats(${wclReport.code})`,
-              ),
-              retryWithBackoff(
-                () => getBatchExtendedFightStats(wclReport.code, allFightIds),
-                `getBatchExtendedFightStats(${wclReport.code})`,
-              ),
-            ]);
-
-            for (const mapping of fightMappings) {
-              const basicStats = batchBasicStats.get(mapping.wclFightId);
-              const extStats = batchExtStats.get(mapping.wclFightId);
-              if (basicStats && extStats) {
-                try {
-                  await processExtendedFightData(
-                    mapping.storedFightId,
-                    mapping.durationMs,
-                    basicStats,
-                    extStats,
-                    charMap,
-                  );
-                } catch (statsErr) {
-                  log.warn(
-                    `Stats processing failed for fight ${mapping.wclFightId}`,
-                    statsErr.message,
-                  );
-                }
-              }
-            }
-
-            // Invalidate analysis cache for affected characters
-            for (const charId of Object.values(charMap)) {
-              invalidateAnalysisCache(charId);
-            }
-          }
-
-          totalNew++;
-          log.info(`Imported report ${wclReport.code} for ${char.name}`);
-        } catch (importErr) {
+          totalQueued++;
+          log.info(
+            `Queued ${existing ? 'refresh' : 'import'} of report ${wclReport.code} for ${char.name}`,
+          );
+        } catch (queueErr) {
           totalFailed++;
-          if (isTransientError(importErr)) consecutiveWclFailures++;
-          log.error(`Failed to import ${wclReport.code} after retries`, importErr.message);
+          log.error(`Failed to queue ${wclReport.code}`, queueErr.message);
         }
       }
       // Snapshot M+ score from Raider.IO
@@ -221,13 +106,15 @@ export async function scanForNewReports() {
     }
   }
 
-  const summary = { scanned: allChars.length, imported: totalNew, failed: totalFailed };
+  const summary = { scanned: allChars.length, queued: totalQueued, failed: totalFailed };
   if (totalFailed > 0) {
     log.warn(
-      `Scan complete with errors — ${totalNew} imported, ${totalFailed} failed out of ${allChars.length} characters`,
+      `Scan complete with errors — ${totalQueued} queued, ${totalFailed} failed out of ${allChars.length} characters`,
     );
   } else {
-    log.info(`Scan complete — ${totalNew} new reports imported from ${allChars.length} characters`);
+    log.info(
+      `Scan complete — ${totalQueued} new reports queued from ${allChars.length} characters`,
+    );
   }
 
   return summary;
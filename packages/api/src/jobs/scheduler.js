@@ -2,6 +2,9 @@ import cron from 'node-cron';
 import { scanForNewReports } from './scanReports.js';
 import { refreshAllSpecMeta } from './refreshMeta.js';
 import { refreshAllMplusSpecMeta } from './refreshMplusMeta.js';
+import { drainImportQueue, failInterruptedImportJobs } from './importQueue.js';
+import { snapshotAllScores } from './snapshotScores.js';
+import { recomputeScoreSnapshots } from '../services/scoreHistory.js';
 import { createLogger } from '../utils/logger.js';
 
 const log = createLogger('Scheduler');
@@ -11,9 +14,44 @@ const log = createLogger('Scheduler');
  * Called once when the server starts.
  */
 export function initScheduler() {
-  // Only run background jobs if WCL credentials are configured
+  // Bring stored score snapshots to the current formula version (no-op when up to date)
+  recomputeScoreSnapshots().catch((err) => log.error('Score snapshot recompute failed', err));
+
+  // Weekly StillNoob Score snapshots — Wed 6:00 AM UTC, after the EU weekly reset.
+  // Reads stored fights only, so it runs without WCL credentials too
+  cron.schedule('0 6 * * 3', async () => {
+    try {
+      const result = await snapshotAllScores();
+      if (result.failed > 0) {
+        log.warn(
+          `Score snapshots finished with ${result.failed} failures — check logs for details`,
+        );
+      }
+    } catch (err) {
+      log.error('Weekly score snapshots crashed', err);
+    }
+  });
+
+  // Import queue: fail jobs interrupted by the last restart, then resume queued ones.
+  // Runs without WCL credentials too, so no job is left 'running' or 'queued' forever:
+  // without them queued jobs fail with a clear error
+  failInterruptedImportJobs()
+    .then((count) => {
+      if (count > 0) log.warn(`Marked ${count} interrupted import jobs as failed`);
+      return drainImportQueue();
+    })
+    .catch((err) => log.error('Import queue startup failed', err));
+
+  // Safety net: pick up any queued import jobs every 5 minutes
+  cron.schedule('*/5 * * * *', () => {
+    drainImportQueue().catch((err) => log.error('Import queue crashed', err));
+  });
+
+  // Only run the WCL background jobs if WCL credentials are configured
   if (!process.env.WCL_CLIENT_ID || !process.env.WCL_CLIENT_SECRET) {
-    log.info('WCL credentials not configured, background scanning disabled');
+    log.info(
+      'WCL credentials not configured, background scanning disabled (import queue and score snapshots still run)',
+    );
     return;
   }
 
@@ -57,11 +95,11 @@ export function initScheduler() {
     });
 
     log.info(
-      'Background jobs initialized (report scan every 30min, raid meta daily 4AM, M+ meta Wed+Sun 5AM UTC)',
+      'Background jobs initialized (import queue, report scan every 30min, raid meta daily 4AM, M+ meta Wed+Sun 5AM, score snapshots Wed 6AM UTC)',
     );
   } else {
     log.info(
-      'Background jobs initialized (report scan every 30min, raid meta daily 4AM — M+ meta disabled: no Blizzard credentials)',
+      'Background jobs initialized (import queue, report scan every 30min, raid meta daily 4AM, score snapshots Wed 6AM UTC — M+ meta disabled: no Blizzard credentials)',
     );
   }
 }
@@ -0,0 +1,46 @@
+import { db } from '../db/client.js';
+import { characters } from '../db/schema.js';
+import { getSpecData } from '@stillnoob/shared';
+import { getCharacterPerformance } from '../services/analysis.js';
+import { saveStillNoobScoreSnapshot, SCORE_SNAPSHOT_WEEKS } from '../services/scoreHistory.js';
+import { weekStartOf } from '../utils/resetWeek.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Job:SnapshotScores');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Record the closing StillNoob Score of the week that just ended for every character.
+ * Runs after the weekly reset, so each week's snapshot is taken over the same window at
+ * the same point. Only stored fights are read — no external APIs.
+ */
+export async function snapshotAllScores() {
+  const weekStart = weekStartOf(Date.now() - DAY_MS);
+  const allChars = await db.select().from(characters).all();
+
+  log.info(`Snapshotting StillNoob Scores for week ${weekStart} (${allChars.length} characters)`);
+  let saved = 0;
+  let failed = 0;
+
+  for (const char of allChars) {
+    try {
+      const specInfo = char.className && char.spec ? getSpecData(char.className, char.spec) : null;
+      const performance = await getCharacterPerformance(char.id, {
+        weeks: SCORE_SNAPSHOT_WEEKS,
+        className: char.className,
+        spec: char.spec,
+        specCpmBaseline: specInfo?.expectedCpm || null,
+      });
+      if (await saveStillNoobScoreSnapshot(char.id, performance, { weekStart })) saved++;
+    } catch (err) {
+      failed++;
+      log.error(`Failed to snapshot score for ${char.name}-${char.realmSlug}:`, err.message);
+    }
+  }
+
+  log.info(
+    `Score snapshots complete: ${saved} saved, ${failed} failed out of ${allChars.length} total`,
+  );
+  return { saved, failed, total: allChars.length };
+}
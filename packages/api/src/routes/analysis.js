@@ -1,18 +1,41 @@
 import { Router } from 'express';
 import { authenticateToken } from '../middleware/auth.js';
 import { analysisLimiter } from '../middleware/rateLimit.js';
-import { getCharacterPerformance } from '../services/analysis.js';
+import {
+  getCharacterPerformance,
+  getCharacterDungeonRuns,
+  getCharacterUtilityBreakdown,
+  getCharacterProgression,
+} from '../services/analysis.js';
 import { getCharacterBlizzardProfile, saveScoreSnapshot } from '../services/characterProfile.js';
-import { analyzeMythicPlus } from '../services/mythicPlusAnalysis.js';
+import { getScoreHistory, SCORE_SNAPSHOT_WEEKS } from '../services/scoreHistory.js';
+import {
+  trackRecommendations,
+  setRecommendationStatus,
+  TIP_ACTIONS,
+} from '../services/recommendationState.js';
+import { validateGoalInput, getGoalsWithProgress, getGoalBaseline } from '../services/goals.js';
+import { analyzeMythicPlus, analyzeDungeonRuns } from '../services/mythicPlusAnalysis.js';
 import { db } from '../db/client.js';
-import { characters } from '../db/schema.js';
-import { eq, and, desc, gte } from 'drizzle-orm';
+import { characters, characterGoals } from '../db/schema.js';
+import { eq, and, desc, gte, count } from 'drizzle-orm';
 import { mplusSnapshots } from '../db/schema.js';
-import { getCharacterEquipment, transformEquipment } from '../services/blizzard.js';
+import {
+  getCharacterEquipment,
+  transformEquipment,
+  getItemSecondaryStats,
+} from '../services/blizzard.js';
 import { analyzeCharacterBuild } from '../services/buildAnalysis.js';
+import { planGearUpgrades } from '../services/upgradePlanner.js';
+import {
+  validateOptimizeInput,
+  parseSimcBagItems,
+  optimizeGear,
+} from '../services/gearOptimizer.js';
 import { getMetaWithFreshness } from '../services/metaRefreshManager.js';
-import { getSpecData } from '@stillnoob/shared';
+import { getSpecData, MAX_GOALS_PER_CHARACTER } from '@stillnoob/shared';
 import { createLogger } from '../utils/logger.js';
+import { parseAnalysisFilters } from '../utils/analysisFilters.js';
 
 const log = createLogger('Route:Analysis');
 const router = Router();
@@ -26,9 +49,7 @@ router.get('/character/:id', async (req, res) => {
     if (isNaN(charId)) {
       return res.status(400).json({ error: 'Invalid character ID' });
     }
-    const weeks = parseInt(req.query.weeks) || 8;
-    const bossId = req.query.bossId ? parseInt(req.query.bossId) : undefined;
-    const difficulty = req.query.difficulty || undefined;
+    const filters = parseAnalysisFilters(req.query);
 
     // Verify ownership
     const char = await db
@@ -42,7 +63,7 @@ router.get('/character/:id', async (req, res) => {
     }
 
     // Fetch Blizzard profile + equipment in parallel first (fast), then analysis with profile context
-    const [raiderIO, equipment] = await Promise.all([
+    const [raiderIO, equipment, dungeonRuns] = await Promise.all([
       getCharacterBlizzardProfile(char.region, char.realmSlug, char.name).catch((err) => {
         log.warn('Failed to fetch Blizzard profile', err.message);
         return null;
@@ -51,6 +72,10 @@ router.get('/character/:id', async (req, res) => {
         log.warn('Failed to fetch equipment', err.message);
         return null;
       }),
+      getCharacterDungeonRuns(charId, { weeks: filters.weeks }).catch((err) => {
+        log.warn('Failed to fetch dungeon runs', err.message);
+        return [];
+      }),
     ]);
 
     // Look up spec-specific CPM baseline
@@ -66,9 +91,7 @@ router.get('/character/:id', async (req, res) => {
     }
 
     const data = await getCharacterPerformance(charId, {
-      weeks,
-      bossId,
-      difficulty,
+      ...filters,
       characterInfo: { name: char.name, realmSlug: char.realmSlug, region: char.region },
       raiderIO,
       specCpmBaseline: specInfo?.expectedCpm || null,
@@ -77,14 +100,31 @@ router.get('/character/:id', async (req, res) => {
       specMeta,
     });
 
-    // M+ visual analysis (charts, brackets, trends)
-    const mplusAnalysis = raiderIO ? analyzeMythicPlus(raiderIO) : null;
+    // M+ visual analysis (charts, brackets, trends) + logged run metrics
+    const mplusAnalysis = raiderIO ? analyzeMythicPlus(raiderIO, dungeonRuns) : null;
 
     // Snapshot M+ score (fire-and-forget)
     if (raiderIO?.mythicPlus?.score) {
       saveScoreSnapshot(charId, raiderIO).catch((err) => log.warn('Failed to save M+ snapshot', err.message));
     }
 
+    // The unfiltered default window (the StillNoob Score snapshot window)
+    const isDefaultWindow =
+      Object.keys(filters).length === 1 && filters.weeks === SCORE_SNAPSHOT_WEEKS;
+
+    // Tip lifecycle: the default window's tips are tracked (and resolved once they stop
+    // firing); any view hides dismissed and snoozed tips. `data` is the cached
+    // performance, so the tracked tips go in the response only.
+    let recommendations = data.recommendations;
+    if (recommendations) {
+      recommendations = await trackRecommendations(charId, recommendations, {
+        sync: isDefaultWindow && data.summary?.totalFights > 0,
+      }).catch((err) => {
+        log.warn('Failed to track recommendations', err.message);
+        return data.recommendations;
+      });
+    }
+
     // Build / gear analysis
     let buildAnalysis = null;
     if (equipment) {
@@ -94,6 +134,7 @@ router.get('/character/:id', async (req, res) => {
 
     res.json({
       ...data,
+      recommendations,
       raiderIO,
       mplusAnalysis: mplusAnalysis
         ? {
@@ -102,6 +143,7 @@ router.get('/character/:id', async (req, res) => {
             timingAnalysis: mplusAnalysis.timingAnalysis,
             upgradeAnalysis: mplusAnalysis.upgradeAnalysis,
             pushTargets: mplusAnalysis.pushTargets,
+            runAnalysis: mplusAnalysis.runAnalysis,
           }
         : null,
       buildAnalysis,
@@ -221,6 +263,313 @@ router.get('/character/:id/mplus-history', async (req, res) => {
   }
 });
 
+// GET /api/v1/analysis/character/:id/score-history — weekly StillNoob Score snapshots
+router.get('/character/:id/score-history', async (req, res) => {
+  try {
+    const charId = parseInt(req.params.id);
+    if (isNaN(charId)) {
+      return res.status(400).json({ error: 'Invalid character ID' });
+    }
+    const weeks = parseInt(req.query.weeks) || 26;
+
+    // Verify ownership
+    const char = await db
+      .select()
+      .from(characters)
+      .where(and(eq(characters.id, charId), eq(characters.userId, req.user.id)))
+      .get();
+
+    if (!char) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    res.json(await getScoreHistory(charId, { weeks }));
+  } catch (err) {
+    log.error('Score history failed', err);
+    res.status(500).json({ error: 'Failed to get score history' });
+  }
+});
+
+// PUT /api/v1/analysis/character/:id/recommendations/:tipId — acknowledge, dismiss or snooze a tip
+router.put('/character/:id/recommendations/:tipId', async (req, res) => {
+  try {
+    const charId = parseInt(req.params.id);
+    if (isNaN(charId)) {
+      return res.status(400).json({ error: 'Invalid character ID' });
+    }
+
+    const { action, days } = req.body || {};
+    if (!Object.hasOwn(TIP_ACTIONS, action)) {
+      return res
+        .status(400)
+        .json({ error: `action must be one of: ${Object.keys(TIP_ACTIONS).join(', ')}` });
+    }
+    const snoozeDays = days === undefined ? undefined : parseInt(days);
+    if (snoozeDays !== undefined && (isNaN(snoozeDays) || snoozeDays < 1 || snoozeDays > 90)) {
+      return res.status(400).json({ error: 'days must be between 1 and 90' });
+    }
+
+    const char = await db
+      .select({ id: characters.id })
+      .from(characters)
+      .where(and(eq(characters.id, charId), eq(characters.userId, req.user.id)))
+      .get();
+
+    if (!char) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    const updated = await setRecommendationStatus(charId, req.params.tipId, action, {
+      days: snoozeDays,
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Recommendation not found' });
+    }
+
+    res.json(updated);
+  } catch (err) {
+    log.error('Recommendation update failed', err);
+    res.status(500).json({ error: 'Failed to update recommendation' });
+  }
+});
+
+/** The request's character when the user owns it, for the goal routes. */
+async function findOwnedCharacter(req) {
+  return db
+    .select()
+    .from(characters)
+    .where(and(eq(characters.id, parseInt(req.params.id)), eq(characters.userId, req.user.id)))
+    .get();
+}
+
+/** A goal of a character with its progress, as the goal routes return it. */
+async function findGoalWithProgress(char, goalId) {
+  const goals = await getGoalsWithProgress(char);
+  return goals.find((g) => g.id === goalId);
+}
+
+// GET /api/v1/analysis/character/:id/goals — personal goals with progress and projection
+router.get('/character/:id/goals', async (req, res) => {
+  try {
+    if (isNaN(parseInt(req.params.id))) {
+      return res.status(400).json({ error: 'Invalid character ID' });
+    }
+
+    const char = await findOwnedCharacter(req);
+    if (!char) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    res.json({ goals: await getGoalsWithProgress(char) });
+  } catch (err) {
+    log.error('Goals failed', err);
+    res.status(500).json({ error: 'Failed to get goals' });
+  }
+});
+
+// POST /api/v1/analysis/character/:id/goals — set a goal
+router.post('/character/:id/goals', async (req, res) => {
+  try {
+    if (isNaN(parseInt(req.params.id))) {
+      return res.status(400).json({ error: 'Invalid character ID' });
+    }
+    const input = validateGoalInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const char = await findOwnedCharacter(req);
+    if (!char) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    const { total } = await db
+      .select({ total: count() })
+      .from(characterGoals)
+      .where(eq(characterGoals.characterId, char.id))
+      .get();
+    if (total >= MAX_GOALS_PER_CHARACTER) {
+      return res
+        .status(400)
+        .json({ error: `A character can have at most ${MAX_GOALS_PER_CHARACTER} goals` });
+    }
+
+    const baseline = await getGoalBaseline(char, input.values);
+    const goal = await db
+      .insert(characterGoals)
+      .values({ characterId: char.id, ...input.values, baseline })
+      .returning()
+      .get();
+
+    res.status(201).json({ goal: await findGoalWithProgress(char, goal.id) });
+  } catch (err) {
+    log.error('Create goal failed', err);
+    res.status(500).json({ error: 'Failed to create goal' });
+  }
+});
+
+// PUT /api/v1/analysis/character/:id/goals/:goalId — change a goal's target, difficulty or deadline
+router.put('/character/:id/goals/:goalId', async (req, res) => {
+  try {
+    const goalId = parseInt(req.params.goalId);
+    if (isNaN(parseInt(req.params.id)) || isNaN(goalId)) {
+      return res.status(400).json({ error: 'Invalid goal ID' });
+    }
+
+    const char = await findOwnedCharacter(req);
+    if (!char) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    const goal = await db
+      .select()
+      .from(characterGoals)
+      .where(and(eq(characterGoals.id, goalId), eq(characterGoals.characterId, char.id)))
+      .get();
+    if (!goal) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    if (req.body?.metric !== undefined && req.body.metric !== goal.metric) {
+      return res.status(400).json({ error: 'metric cannot be changed, create a new goal instead' });
+    }
+    const input = validateGoalInput({ ...req.body, metric: goal.metric }, { partial: true });
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const values = { ...input.values };
+    // A new target or difficulty is a new goal to reach: re-open it, and measure
+    // progress from where the metric stands on the new difficulty
+    if (values.target !== undefined || values.difficulty !== undefined) {
+      values.status = 'active';
+      values.achievedAt = null;
+    }
+    if (values.difficulty !== undefined && values.difficulty !== goal.difficulty) {
+      values.baseline = await getGoalBaseline(char, { ...goal, difficulty: values.difficulty });
+    }
+    if (Object.keys(values).length > 0) {
+      await db.update(characterGoals).set(values).where(eq(characterGoals.id, goal.id));
+    }
+
+    res.json({ goal: await findGoalWithProgress(char, goal.id) });
+  } catch (err) {
+    log.error('Update goal failed', err);
+    res.status(500).json({ error: 'Failed to update goal' });
+  }
+});
+
+// DELETE /api/v1/analysis/character/:id/goals/:goalId
+router.delete('/character/:id/goals/:goalId', async (req, res) => {
+  try {
+    const goalId = parseInt(req.params.goalId);
+    if (isNaN(parseInt(req.params.id)) || isNaN(goalId)) {
+      return res.status(400).json({ error: 'Invalid goal ID' });
+    }
+
+    const char = await findOwnedCharacter(req);
+    if (!char) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    const result = await db
+      .delete(characterGoals)
+      .where(and(eq(characterGoals.id, goalId), eq(characterGoals.characterId, char.id)));
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    res.json({ message: 'Goal removed' });
+  } catch (err) {
+    log.error('Delete goal failed', err);
+    res.status(500).json({ error: 'Failed to remove goal' });
+  }
+});
+
+// GET /api/v1/analysis/character/:id/dungeon-runs — logged M+ runs with combat metrics
+router.get('/character/:id/dungeon-runs', async (req, res) => {
+  try {
+    const charId = parseInt(req.params.id);
+    if (isNaN(charId)) {
+      return res.status(400).json({ error: 'Invalid character ID' });
+    }
+    const weeks = parseInt(req.query.weeks) || 8;
+
+    // Verify ownership
+    const char = await db
+      .select()
+      .from(characters)
+      .where(and(eq(characters.id, charId), eq(characters.userId, req.user.id)))
+      .get();
+
+    if (!char) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    const runs = await getCharacterDungeonRuns(charId, { weeks });
+    res.json({ runs, analysis: analyzeDungeonRuns(runs) });
+  } catch (err) {
+    log.error('Dungeon runs failed', err);
+    res.status(500).json({ error: 'Failed to get dungeon runs' });
+  }
+});
+
+// GET /api/v1/analysis/character/:id/utility — interrupts/dispels by enemy ability per encounter
+router.get('/character/:id/utility', async (req, res) => {
+  try {
+    const charId = parseInt(req.params.id);
+    if (isNaN(charId)) {
+      return res.status(400).json({ error: 'Invalid character ID' });
+    }
+    const filters = parseAnalysisFilters(req.query);
+
+    // Verify ownership
+    const char = await db
+      .select()
+      .from(characters)
+      .where(and(eq(characters.id, charId), eq(characters.userId, req.user.id)))
+      .get();
+
+    if (!char) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    const bosses = await getCharacterUtilityBreakdown(charId, filters);
+    res.json({ bosses });
+  } catch (err) {
+    log.error('Utility breakdown failed', err);
+    res.status(500).json({ error: 'Failed to get utility breakdown' });
+  }
+});
+
+// GET /api/v1/analysis/character/:id/progression — pull-by-pull wipe report per encounter
+router.get('/character/:id/progression', async (req, res) => {
+  try {
+    const charId = parseInt(req.params.id);
+    if (isNaN(charId)) {
+      return res.status(400).json({ error: 'Invalid character ID' });
+    }
+    const filters = parseAnalysisFilters(req.query);
+
+    // Verify ownership
+    const char = await db
+      .select()
+      .from(characters)
+      .where(and(eq(characters.id, charId), eq(characters.userId, req.user.id)))
+      .get();
+
+    if (!char) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    const encounters = await getCharacterProgression(charId, filters);
+    res.json({ encounters });
+  } catch (err) {
+    log.error('Progression report failed', err);
+    res.status(500).json({ error: 'Failed to get progression report' });
+  }
+});
+
 // GET /api/v1/analysis/character/:id/build — character build analysis
 router.get('/character/:id/build', async (req, res) => {
   try {
@@ -262,4 +611,111 @@ router.get('/character/:id/build', async (req, res) => {
   }
 });
 
+// GET /api/v1/analysis/character/:id/upgrade-plan — equipped slots ranked by upgrade value
+router.get('/character/:id/upgrade-plan', async (req, res) => {
+  try {
+    const charId = parseInt(req.params.id);
+    if (isNaN(charId)) {
+      return res.status(400).json({ error: 'Invalid character ID' });
+    }
+
+    // Verify ownership
+    const char = await db
+      .select()
+      .from(characters)
+      .where(and(eq(characters.id, charId), eq(characters.userId, req.user.id)))
+      .get();
+
+    if (!char) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    const equipment = await getCharacterEquipment(char.name, char.realmSlug, char.region);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment data not available' });
+    }
+
+    let specMeta = null;
+    if (char.className && char.spec) {
+      const metaResult = await getMetaWithFreshness(char.className, char.spec, 'world');
+      specMeta = metaResult.meta;
+    }
+
+    res.json(planGearUpgrades(transformEquipment(equipment), char.className, char.spec, specMeta));
+  } catch (err) {
+    log.error('Upgrade plan failed', err);
+    res.status(500).json({ error: 'Failed to get upgrade plan' });
+  }
+});
+
+/** Blizzard item-API lookups a gear-optimize request runs at once */
+const ITEM_LOOKUP_CONCURRENCY = 4;
+
+/**
+ * Secondary stats of each distinct bag item, by item ID, a few lookups at a time. Items
+ * the lookup fails for map to null and are compared by item level only.
+ */
+async function fetchBagItemStats(bagItems, region) {
+  const itemIds = [...new Set(bagItems.map((item) => item.itemId))];
+  const statsById = new Map();
+  for (let i = 0; i < itemIds.length; i += ITEM_LOOKUP_CONCURRENCY) {
+    await Promise.all(
+      itemIds.slice(i, i + ITEM_LOOKUP_CONCURRENCY).map(async (itemId) => {
+        try {
+          statsById.set(itemId, await getItemSecondaryStats(itemId, region));
+        } catch (err) {
+          log.warn(`Failed to fetch stats of item ${itemId}`, err.message);
+          statsById.set(itemId, null);
+        }
+      }),
+    );
+  }
+  return statsById;
+}
+
+// POST /api/v1/analysis/character/:id/gear-optimize — best items to wear from equipped + bag gear
+router.post('/character/:id/gear-optimize', async (req, res) => {
+  try {
+    if (isNaN(parseInt(req.params.id))) {
+      return res.status(400).json({ error: 'Invalid character ID' });
+    }
+    const input = validateOptimizeInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const char = await findOwnedCharacter(req);
+    if (!char) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    const equipment = await getCharacterEquipment(char.name, char.realmSlug, char.region);
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment data not available' });
+    }
+
+    let specMeta = null;
+    if (char.className && char.spec) {
+      const metaResult = await getMetaWithFreshness(char.className, char.spec, 'world');
+      specMeta = metaResult.meta;
+    }
+
+    // The export names bag items without their stats: look up each item's stat split
+    const { weights, simc } = input.values;
+    const bagItems = simc ? parseSimcBagItems(simc) : [];
+    const statsById = await fetchBagItemStats(bagItems, char.region);
+
+    res.json(
+      optimizeGear(transformEquipment(equipment), char.className, char.spec, {
+        bagItems: bagItems.map((item) => ({ ...item, stats: statsById.get(item.itemId) })),
+        weights,
+        specMeta,
+      }),
+    );
+  } catch (err) {
+    log.error('Gear optimization failed', err);
+    res.status(500).json({ error: 'Failed to optimize gear' });
+  }
+});
+
 export default router;
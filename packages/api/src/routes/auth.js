@@ -14,6 +14,7 @@ import { authLimiter } from '../middleware/rateLimit.js';
 import { getAuthorizeUrl, exchangeCode, getUserCharacters } from '../services/blizzard.js';
 import { getWclAuthorizeUrl, exchangeWclCode, getWclUserInfo } from '../services/wcl.js';
 import { authProviders, characters } from '../db/schema.js';
+import { claimUnclaimedCharacter } from '../services/reportIngestion.js';
 import { encryptToken } from '../utils/encryption.js';
 import { createLogger } from '../utils/logger.js';
 
@@ -360,7 +361,7 @@ router.get('/blizzard/callback', authLimiter, async (req, res) => {
 
     for (const char of blizzChars) {
       try {
-        await db
+        const [inserted] = await db
           .insert(characters)
           .values({
             userId,
@@ -375,8 +376,14 @@ router.get('/blizzard/callback', authLimiter, async (req, res) => {
             level: char.level,
             lastSyncedAt: new Date().toISOString(),
           })
-          .onConflictDoNothing();
+          .onConflictDoNothing()
+          .returning();
         imported++;
+        if (inserted) {
+          await claimUnclaimedCharacter(inserted).catch((claimErr) =>
+            log.warn(`Failed to claim history for ${inserted.name}`, claimErr.message),
+          );
+        }
       } catch {
         // Character already exists — skip
       }
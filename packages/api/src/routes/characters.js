@@ -3,6 +3,7 @@ import { db } from '../db/client.js';
 import { characters } from '../db/schema.js';
 import { eq, and } from 'drizzle-orm';
 import { authenticateToken } from '../middleware/auth.js';
+import { claimUnclaimedCharacter } from '../services/reportIngestion.js';
 import { createLogger } from '../utils/logger.js';
 
 const log = createLogger('Route:Characters');
@@ -52,7 +53,15 @@ router.post('/', async (req, res) => {
       })
       .returning();
 
-    res.status(201).json(result[0]);
+    // Pull in performance already imported for this character from others' reports
+    let claimedRecords = 0;
+    try {
+      claimedRecords = await claimUnclaimedCharacter(result[0]);
+    } catch (claimErr) {
+      log.warn(`Failed to claim history for ${result[0].name}`, claimErr.message);
+    }
+
+    res.status(201).json({ ...result[0], claimedRecords });
   } catch (err) {
     if (err.message?.includes('UNIQUE')) {
       return res.status(409).json({ error: 'Character already exists' });
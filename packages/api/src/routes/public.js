@@ -2,7 +2,7 @@ import { Router } from 'express';
 import { db } from '../db/client.js';
 import { characters } from '../db/schema.js';
 import { eq, and, desc, gte } from 'drizzle-orm';
-import { getCharacterPerformance } from '../services/analysis.js';
+import { getCharacterPerformance, getCharacterDungeonRuns } from '../services/analysis.js';
 import {
   getCharacterEquipment,
   transformEquipment,
@@ -17,6 +17,7 @@ import { mplusSnapshots } from '../db/schema.js';
 import { getMetaWithFreshness } from '../services/metaRefreshManager.js';
 import { getSpecData } from '@stillnoob/shared';
 import { createLogger } from '../utils/logger.js';
+import { parseAnalysisFilters } from '../utils/analysisFilters.js';
 
 const log = createLogger('Route:Public');
 const router = Router();
@@ -49,7 +50,9 @@ router.get('/realms/:region', async (req, res) => {
 router.get('/character/:region/:realm/:name', async (req, res) => {
   try {
     const { region, realm, name } = req.params;
-    const weeks = parseInt(req.query.weeks) || 8;
+    // Same filters as the private analysis route; only public reports are ever shown
+    const filters = { ...parseAnalysisFilters(req.query), visibilityFilter: 'public' };
+    const { weeks } = filters;
     const realmSlug = realm.toLowerCase().replace(/\s+/g, '-');
     const regionLower = region.toLowerCase();
 
@@ -71,9 +74,9 @@ router.get('/character/:region/:realm/:name', async (req, res) => {
     };
 
     // Helper: build M+ analysis from raiderIO data
-    const buildMplusAnalysis = (raiderIO) => {
+    const buildMplusAnalysis = (raiderIO, dungeonRuns = []) => {
       if (!raiderIO) return null;
-      const mpa = analyzeMythicPlus(raiderIO);
+      const mpa = analyzeMythicPlus(raiderIO, dungeonRuns);
       if (!mpa) return null;
       return {
         dungeonAnalysis: mpa.dungeonAnalysis,
@@ -81,20 +84,24 @@ router.get('/character/:region/:realm/:name', async (req, res) => {
         timingAnalysis: mpa.timingAnalysis,
         upgradeAnalysis: mpa.upgradeAnalysis,
         pushTargets: mpa.pushTargets,
+        runAnalysis: mpa.runAnalysis,
       };
     };
 
     // --- DB match: return full WCL-enriched profile ---
     if (match) {
-      const [data, raiderIO, equipment, media] = await Promise.all([
+      const [data, dungeonRuns, raiderIO, equipment, media] = await Promise.all([
         getCharacterPerformance(match.id, {
-          weeks,
-          visibilityFilter: 'public',
+          ...filters,
           characterInfo: { name: match.name, realmSlug: match.realmSlug, region: match.region },
         }).catch((err) => {
           log.error('Failed to fetch character performance', err);
           return null;
         }),
+        getCharacterDungeonRuns(match.id, { weeks, visibilityFilter: 'public' }).catch((err) => {
+          log.warn('Failed to fetch dungeon runs', err.message);
+          return [];
+        }),
         getCharacterBlizzardProfile(match.region, match.realmSlug, match.name).catch((err) => {
           log.warn('Failed to fetch Blizzard profile', err.message);
           return null;
@@ -140,6 +147,7 @@ router.get('/character/:region/:realm/:name', async (req, res) => {
           deathRate: data.summary.deathRate,
           consumableScore: data.summary.consumableScore,
           dpsVsMedianPct: data.summary.dpsVsMedianPct,
+          specBenchmark: data.summary.specBenchmark,
           avgActiveTime: data.summary.avgActiveTime,
           avgCpm: data.summary.avgCpm,
           avgParsePercentile: data.summary.avgParsePercentile,
@@ -152,12 +160,14 @@ router.get('/character/:region/:realm/:name', async (req, res) => {
           bestDps: b.bestDps,
           deathRate: b.deathRate,
           dpsVsMedian: b.dpsVsMedian,
+          specBenchmark: b.specBenchmark,
           parsePercentile: b.parsePercentile,
           avgActiveTime: b.avgActiveTime,
           avgCpm: b.avgCpm,
         })),
+        filterOptions: data.filterOptions,
         raiderIO,
-        mplusAnalysis: buildMplusAnalysis(raiderIO),
+        mplusAnalysis: buildMplusAnalysis(raiderIO, dungeonRuns),
         buildAnalysis,
         lastUpdated: new Date().toISOString(),
       });
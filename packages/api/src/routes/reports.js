@@ -1,20 +1,11 @@
 import { Router } from 'express';
 import { db } from '../db/client.js';
-import { reports, fights, characters } from '../db/schema.js';
+import { reports, fights, guildMembers, importJobs } from '../db/schema.js';
 import { eq, and, desc } from 'drizzle-orm';
 import { authenticateToken, optionalAuth } from '../middleware/auth.js';
 import { importLimiter } from '../middleware/rateLimit.js';
-import {
-  getReportData,
-  getReportDataWithUserToken,
-  getBatchFightStats,
-  getBatchExtendedFightStats,
-} from '../services/wcl.js';
-import { authProviders, guildMembers } from '../db/schema.js';
-import { processExtendedFightData, invalidateAnalysisCache } from '../services/analysis.js';
-import { decryptToken } from '../utils/encryption.js';
+import { enqueueImportJob, findActiveImportJob, serializeImportJob } from '../jobs/importQueue.js';
 import { createLogger } from '../utils/logger.js';
-import { retryWithBackoff } from '../utils/retry.js';
 
 const log = createLogger('Route:Reports');
 const router = Router();
@@ -35,7 +26,46 @@ function extractReportCode(input) {
   return match ? match[1] : null;
 }
 
-// POST /api/v1/reports/import — import a WCL report
+/**
+ * Whether a user may see a report (public, own, or guild member for guild reports).
+ * @param {object} report - reports row
+ * @param {object|undefined} user - req.user
+ * @returns {Promise<boolean>}
+ */
+async function canViewReport(report, user) {
+  if (report.visibility === 'public') return true;
+  if (!user) return false;
+  if (user.id === report.importedBy) return true;
+  if (report.visibility !== 'guild' || !report.guildId) return false;
+
+  const membership = await db
+    .select({ role: guildMembers.role })
+    .from(guildMembers)
+    .where(and(eq(guildMembers.guildId, report.guildId), eq(guildMembers.userId, user.id)))
+    .get();
+  return Boolean(membership);
+}
+
+/**
+ * Whether a user may refresh or recompute a report: its importer, or a leader or
+ * officer of the guild it was imported for.
+ * @param {object} report - reports row
+ * @param {object} user - req.user
+ * @returns {Promise<boolean>}
+ */
+async function canManageReport(report, user) {
+  if (user.id === report.importedBy) return true;
+  if (!report.guildId) return false;
+
+  const membership = await db
+    .select({ role: guildMembers.role })
+    .from(guildMembers)
+    .where(and(eq(guildMembers.guildId, report.guildId), eq(guildMembers.userId, user.id)))
+    .get();
+  return ['leader', 'officer'].includes(membership?.role);
+}
+
+// POST /api/v1/reports/import — queue a WCL report for background import
 router.post('/import', authenticateToken, importLimiter, async (req, res) => {
   try {
     const { url, visibility = 'public', guildId } = req.body;
@@ -73,170 +103,51 @@ router.post('/import', authenticateToken, importLimiter, async (req, res) => {
       return res.status(409).json({ error: 'Report already imported', reportId: existing.id });
     }
 
-    // Try fetching with user token first (for private reports), fallback to client credentials
-    let reportData = null;
-    const wclProvider = await db
-      .select({ accessToken: authProviders.accessToken })
-      .from(authProviders)
-      .where(and(eq(authProviders.userId, req.user.id), eq(authProviders.provider, 'warcraftlogs')))
-      .get();
-
-    if (wclProvider?.accessToken) {
-      try {
-        const token = decryptToken(wclProvider.accessToken);
-        reportData = await retryWithBackoff(
-          () => getReportDataWithUserToken(reportCode, token),
-          `getReportDataWithUserToken(${reportCode})`,
-        );
-      } catch {
-        // User token failed, fall back to client credentials
-      }
+    // Check if an import for this report is already queued or running
+    const activeJob = await findActiveImportJob(reportCode);
+    if (activeJob) {
+      return res
+        .status(409)
+        .json({ error: 'Report import already in progress', jobId: activeJob.id });
     }
 
-    if (!reportData) {
-      reportData = await retryWithBackoff(
-        () => getReportData(reportCode),
-        `getReportData(${reportCode})`,
-      );
-    }
+    const job = await enqueueImportJob({
+      wclCode: reportCode,
+      userId: req.user.id,
+      source: 'manual',
+      visibility,
+      guildId,
+    });
 
-    if (!reportData) {
-      return res.status(404).json({
-        error: 'Report not found on Warcraft Logs. If private, link your WCL account first.',
-      });
-    }
+    res.status(202).json({ job: serializeImportJob(job) });
+  } catch (err) {
+    log.error('Import failed', err);
+    res.status(500).json({ error: 'Import failed' });
+  }
+});
 
-    // Build character name → id map before transaction
-    const userChars = await db
-      .select()
-      .from(characters)
-      .where(eq(characters.userId, req.user.id))
-      .all();
-    const charMap = {};
-    for (const c of userChars) {
-      charMap[c.name.toLowerCase()] = c.id;
+// GET /api/v1/reports/jobs/:id — import job status and progress
+router.get('/jobs/:id', authenticateToken, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    if (isNaN(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
     }
 
-    // Parse encounter fights before transaction
-    const encounterFights = (reportData.fights || []).filter((f) => f.encounterID > 0);
-    let performanceCount = 0;
-
-    // Transaction: insert report + all fights atomically (rollback on failure)
-    const { report, fightMappings } = await db.transaction(async (tx) => {
-      const [txReport] = await tx
-        .insert(reports)
-        .values({
-          wclCode: reportCode,
-          title: reportData.title,
-          startTime: reportData.startTime,
-          endTime: reportData.endTime,
-          region: reportData.region,
-          guildName: reportData.guild?.name || null,
-          zoneName: reportData.zone?.name || null,
-          participantsCount: reportData.participants?.length || 0,
-          importedBy: req.user.id,
-          importSource: 'manual',
-          visibility,
-          guildId: guildId || null,
-        })
-        .returning();
-
-      const txFightMappings = [];
-      for (const fight of encounterFights) {
-        const difficultyMap = { 1: 'LFR', 2: 'Normal', 3: 'Heroic', 4: 'Heroic', 5: 'Mythic' };
-        const difficulty =
-          fight.difficulty >= 10 ? 'Mythic+' : difficultyMap[fight.difficulty] || 'Normal';
-        const durationMs = (fight.endTime || 0) - (fight.startTime || 0);
-
-        const [storedFight] = await tx
-          .insert(fights)
-          .values({
-            reportId: txReport.id,
-            wclFightId: fight.id,
-            encounterId: fight.encounterID,
-            bossName: fight.name || 'Unknown',
-            difficulty,
-            isKill: fight.kill || false,
-            startTime: fight.startTime,
-            endTime: fight.endTime,
-            durationMs,
-          })
-          .onConflictDoNothing()
-          .returning();
-
-        if (storedFight) {
-          txFightMappings.push({ wclFightId: fight.id, storedFightId: storedFight.id, durationMs });
-        }
-      }
-
-      return { report: txReport, fightMappings: txFightMappings };
-    });
-
-    // Performance data processing (outside transaction — tolerant of partial failure)
-    if (fightMappings.length > 0) {
-      const allFightIds = fightMappings.map((f) => f.wclFightId);
-      try {
-        const [batchBasicStats, batchExtStats] = await Promise.all([
-          retryWithBackoff(
-            () => getBatchFightStats(reportCode, allFightIds),
-            `getBatchFightStats(${reportCode})`,
-          ),
-          retryWithBackoff(
-            () => getBatchExtendedFightStats(reportCode, allFightIds),
-            `getBatchExtendedFightStats(${reportCode})`,
-          ),
-        ]);
-
-        for (const mapping of fightMappings) {
-          const basicStats = batchBasicStats.get(mapping.wclFightId);
-          const extStats = batchExtStats.get(mapping.wclFightId);
-          if (basicStats && extStats) {
-            try {
-              const count = await processExtendedFightData(
-                mapping.storedFightId,
-                mapping.durationMs,
-                basicStats,
-                extStats,
-                charMap,
-              );
-              performanceCount += count;
-            } catch (statsErr) {
-              log.warn(`Stats failed for fight ${mapping.wclFightId}`, statsErr.message);
-            }
-          }
-        }
-      } catch (statsErr) {
-        log.warn('Batch stats fetch failed', statsErr.message);
-      }
-    }
+    const job = await db
+      .select()
+      .from(importJobs)
+      .where(and(eq(importJobs.id, jobId), eq(importJobs.userId, req.user.id)))
+      .get();
 
-    // Invalidate analysis cache for affected characters
-    for (const charId of Object.values(charMap)) {
-      invalidateAnalysisCache(charId);
+    if (!job) {
+      return res.status(404).json({ error: 'Import job not found' });
     }
 
-    res.status(201).json({
-      report: {
-        id: report.id,
-        wclCode: reportCode,
-        title: report.title,
-        zoneName: report.zoneName,
-      },
-      stats: {
-        fightsProcessed: fightMappings.length,
-        performanceRecords: performanceCount,
-      },
-    });
+    res.json(serializeImportJob(job));
   } catch (err) {
-    log.error('Import failed', err);
-    const status = err.response?.status;
-    if (status >= 500 || status === 429 || err.code === 'ECONNABORTED' || err.message?.includes('timeout')) {
-      return res.status(502).json({ error: 'Warcraft Logs API is temporarily unavailable. Please try again later.' });
-    }
-    if (err.message?.includes('WCL')) {
-      return res.status(502).json({ error: 'Failed to fetch from Warcraft Logs API' });
-    }
-    res.status(500).json({ error: 'Import failed' });
+    log.error('Get import job failed', err);
+    res.status(500).json({ error: 'Failed to get import job' });
   }
 });
 
@@ -257,42 +168,66 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /api/v1/reports/:code — report detail with fights (visibility-aware)
-router.get('/:code', optionalAuth, async (req, res) => {
+// POST /api/v1/reports/:code/refresh — re-fetch an imported report (new fights, optional recompute).
+// Importer or guild officer only
+router.post('/:code/refresh', authenticateToken, importLimiter, async (req, res) => {
   try {
+    const { recompute = false } = req.body || {};
+    if (typeof recompute !== 'boolean') {
+      return res.status(400).json({ error: 'recompute must be a boolean' });
+    }
+
     const report = await db
       .select()
       .from(reports)
       .where(eq(reports.wclCode, req.params.code))
       .get();
 
-    if (!report) {
+    if (!report || !(await canViewReport(report, req.user))) {
       return res.status(404).json({ error: 'Report not found' });
     }
 
-    // Visibility checks
-    if (report.visibility === 'private') {
-      if (!req.user || req.user.id !== report.importedBy) {
-        return res.status(404).json({ error: 'Report not found' });
-      }
-    } else if (report.visibility === 'guild') {
-      if (!req.user) {
-        return res.status(404).json({ error: 'Report not found' });
-      }
-      if (req.user.id !== report.importedBy && report.guildId) {
-        const membership = await db
-          .select({ role: guildMembers.role })
-          .from(guildMembers)
-          .where(
-            and(eq(guildMembers.guildId, report.guildId), eq(guildMembers.userId, req.user.id)),
-          )
-          .get();
-        if (!membership) {
-          return res.status(404).json({ error: 'Report not found' });
-        }
-      } else if (req.user.id !== report.importedBy) {
-        return res.status(404).json({ error: 'Report not found' });
-      }
+    if (!(await canManageReport(report, req.user))) {
+      return res
+        .status(403)
+        .json({ error: 'Only the importer or a guild officer can refresh this report' });
+    }
+
+    const activeJob = await findActiveImportJob(report.wclCode);
+    if (activeJob) {
+      return res
+        .status(409)
+        .json({ error: 'Report import already in progress', jobId: activeJob.id });
+    }
+
+    const job = await enqueueImportJob({
+      wclCode: report.wclCode,
+      userId: req.user.id,
+      kind: 'refresh',
+      recompute,
+      source: 'manual',
+      visibility: report.visibility,
+      guildId: report.guildId,
+    });
+
+    res.status(202).json({ job: serializeImportJob(job) });
+  } catch (err) {
+    log.error('Refresh report failed', err);
+    res.status(500).json({ error: 'Failed to refresh report' });
+  }
+});
+
+// GET /api/v1/reports/:code — report detail with fights (visibility-aware)
+router.get('/:code', optionalAuth, async (req, res) => {
+  try {
+    const report = await db
+      .select()
+      .from(reports)
+      .where(eq(reports.wclCode, req.params.code))
+      .get();
+
+    if (!report || !(await canViewReport(report, req.user))) {
+      return res.status(404).json({ error: 'Report not found' });
     }
 
     const reportFights = await db.select().from(fights).where(eq(fights.reportId, report.id)).all();
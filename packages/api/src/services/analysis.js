@@ -1,16 +1,35 @@
 import { db } from '../db/client.js';
-import { fightPerformance, fights, reports } from '../db/schema.js';
-import { eq, and, gte, ne, sql, desc, isNotNull } from 'drizzle-orm';
+import {
+  fightPerformance,
+  fights,
+  reports,
+  mplusRuns,
+  deathEvents,
+  characters,
+  unclaimedCharacters,
+} from '../db/schema.js';
+import { eq, and, or, gte, lte, ne, sql, desc, isNull, isNotNull, inArray } from 'drizzle-orm';
 import {
   BUFF_PATTERNS,
   CONSUMABLE_WEIGHTS,
-  SCORE_WEIGHTS,
+  DEATH_ANALYSIS,
+  DEFENSIVE_SPELL_IDS,
+  SCORE_FORMULAS,
+  CURRENT_SCORE_VERSION,
   SCORE_TIERS,
+  SPEC_BENCHMARK,
+  HEALER_THRESHOLDS,
+  TANK_THRESHOLDS,
   LEVEL_DETECTION,
   TIP_LIMITS,
   getSpecData,
+  getActiveMitigation,
   getSpecCoaching,
+  getSpecCooldownsById,
+  isAvoidableAbility,
 } from '@stillnoob/shared';
+import { BLIZZARD_SPEC_MAP } from './blizzard.js';
+import { weekStartSql } from '../utils/resetWeek.js';
 import { createLogger } from '../utils/logger.js';
 
 const log = createLogger('Analysis');
@@ -20,8 +39,61 @@ const analysisCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000;
 const MAX_CACHE_SIZE = 200;
 
-function buildCacheKey(characterId, { weeks, bossId, difficulty, visibilityFilter } = {}) {
-  return `${characterId}:${weeks || ''}:${bossId || ''}:${difficulty || ''}:${visibilityFilter || ''}`;
+/** Filters that change an analysis result (see utils/analysisFilters.js), in cache key order. */
+const CACHE_KEY_FILTERS = [
+  'weeks',
+  'bossId',
+  'difficulty',
+  'visibilityFilter',
+  'outcome',
+  'zone',
+  'from',
+  'to',
+  'specId',
+];
+
+function buildCacheKey(characterId, filters = {}) {
+  return `${characterId}:${CACHE_KEY_FILTERS.map((name) => filters[name] ?? '').join(':')}`;
+}
+
+/** Absolute fight start: fights.startTime is relative to the report start (WCL offsets). */
+const fightStartedAt = sql`${reports.startTime} + ${fights.startTime}`;
+
+/**
+ * WHERE conditions for the common analysis filters (utils/analysisFilters.js).
+ * The query must join fights and reports, and fight_performance for `specId`.
+ *
+ * @param {object} filters
+ * @returns {Array<object>} Drizzle conditions
+ */
+function fightFilterConditions({
+  weeks = 8,
+  bossId,
+  difficulty,
+  visibilityFilter,
+  outcome,
+  zone,
+  from,
+  to,
+  specId,
+} = {}) {
+  const conditions = [];
+  if (from != null || to != null) {
+    if (from != null) conditions.push(gte(fightStartedAt, from));
+    if (to != null) conditions.push(lte(fightStartedAt, to));
+  } else {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - weeks * 7);
+    conditions.push(gte(fightStartedAt, cutoff.getTime()));
+  }
+  if (bossId) conditions.push(eq(fights.encounterId, bossId));
+  if (difficulty) conditions.push(eq(fights.difficulty, difficulty));
+  if (visibilityFilter) conditions.push(eq(reports.visibility, visibilityFilter));
+  if (outcome === 'kills') conditions.push(eq(fights.isKill, true));
+  if (outcome === 'wipes') conditions.push(eq(fights.isKill, false));
+  if (zone) conditions.push(eq(reports.zoneName, zone));
+  if (specId) conditions.push(eq(fightPerformance.specId, specId));
+  return conditions;
 }
 
 /**
@@ -38,23 +110,514 @@ export function invalidateAnalysisCache(characterId) {
   }
 }
 
+/**
+ * Summarize one WCL death: killing blow, damage taken in the last
+ * DEATH_ANALYSIS.windowMs and whether a defensive or healthstone shows up in
+ * the death recap.
+ *
+ * @param {object} death - Entry from getBatchFightStats() `deaths`
+ * @returns {{ timeIntoFightMs: number|null, killingAbilityId: number|null, killingAbilityName: string|null, damageTakenWindow: number, defensiveUsed: boolean, healthstoneUsed: boolean }}
+ */
+export function summarizeDeath(death) {
+  const events = death.events || [];
+  const damageEvents = events.filter((e) => e.type === 'damage');
+  const killingEvent = damageEvents.at(-1);
+
+  // Recap timestamps share one clock: measure the window back from the last event
+  let damageTakenWindow = death.damageTotal || 0;
+  if (damageEvents.length > 0) {
+    const diedAt = Math.max(...events.map((e) => e.timestamp || 0));
+    damageTakenWindow = damageEvents
+      .filter((e) => (e.timestamp || 0) >= diedAt - DEATH_ANALYSIS.windowMs)
+      .reduce((sum, e) => sum + (e.amount || 0) + (e.absorbed || 0), 0);
+  }
+
+  const defensives = new Set(DEFENSIVE_SPELL_IDS[death.className] || []);
+  const supportEvents = events.filter((e) => e.type !== 'damage');
+
+  return {
+    timeIntoFightMs: death.deathTime ?? null,
+    killingAbilityId: death.killingBlow?.guid ?? killingEvent?.abilityGameID ?? null,
+    killingAbilityName: death.killingBlow?.name ?? null,
+    damageTakenWindow: Math.round(damageTakenWindow),
+    defensiveUsed: supportEvents.some((e) => defensives.has(e.abilityGameID)),
+    healthstoneUsed: supportEvents.some((e) =>
+      DEATH_ANALYSIS.healthstoneSpellIds.includes(e.abilityGameID),
+    ),
+  };
+}
+
+/**
+ * Measure buff uptime per player and BUFF_PATTERNS category from WCL Buffs events.
+ * A buff up at pull (CombatantInfo aura, or removed before any apply in the fight)
+ * counts from the start of the fight; one still up at the end runs to the end.
+ *
+ * @param {Array<object>} buffEvents - applybuff/removebuff events with targetID and abilityName
+ * @param {{ startTime: number, endTime: number }} window - Fight bounds (report-relative ms)
+ * @param {object} [activeAtPull] - { [targetID]: Set<category> } from CombatantInfo auras
+ * @returns {object} { [targetID]: { [category]: uptimePct } }, 0-100 with one decimal
+ */
+export function measureBuffUptimes(buffEvents, { startTime, endTime }, activeAtPull = {}) {
+  const durationMs = endTime - startTime;
+  if (!(durationMs > 0)) return {};
+
+  const categories = Object.keys(BUFF_PATTERNS);
+  const tracks = {};
+  const trackFor = (targetId, category) => {
+    tracks[targetId] ??= {};
+    tracks[targetId][category] ??= {
+      since: activeAtPull[targetId]?.has(category) ? startTime : null,
+      seen: false,
+      totalMs: 0,
+    };
+    return tracks[targetId][category];
+  };
+  for (const [targetId, active] of Object.entries(activeAtPull)) {
+    for (const category of active) trackFor(targetId, category);
+  }
+
+  const ordered = [...buffEvents].sort((a, b) => a.timestamp - b.timestamp);
+  for (const event of ordered) {
+    const category = categories.find((c) => BUFF_PATTERNS[c].test(event.abilityName || ''));
+    if (!category || event.targetID == null) continue;
+    const track = trackFor(event.targetID, category);
+    const at = Math.min(Math.max(event.timestamp, startTime), endTime);
+
+    if (event.type === 'applybuff') {
+      if (track.since == null) track.since = at;
+    } else if (event.type === 'removebuff') {
+      const since = track.since ?? (track.seen ? null : startTime);
+      if (since != null) track.totalMs += at - since;
+      track.since = null;
+    }
+    track.seen = true;
+  }
+
+  const uptimes = {};
+  for (const [targetId, byCategory] of Object.entries(tracks)) {
+    uptimes[targetId] = {};
+    for (const [category, track] of Object.entries(byCategory)) {
+      const totalMs = track.totalMs + (track.since != null ? endTime - track.since : 0);
+      uptimes[targetId][category] =
+        Math.round(Math.min(100, (totalMs / durationMs) * 100) * 10) / 10;
+    }
+  }
+  return uptimes;
+}
+
+/**
+ * Measure a tank's mitigation over a fight: uptime of the spec's active-mitigation buff,
+ * the share of damage taken while it was down, the share of healing received that was
+ * self-healing, and the share of the fight spent below TANK_THRESHOLDS.lowHealthPct health.
+ * Health after each hit or heal holds until the next one; the time after a killing blow
+ * is not counted as low health.
+ *
+ * @param {number} tankId - WCL actor ID
+ * @param {{ buffs?: object[], damage?: object[], healing?: object[] }} events - The fight's Buffs
+ *   events, and damage taken / healing received by its tanks (getBatchTankEvents())
+ * @param {{ buffIds: number[] } | null} activeMitigation - From getActiveMitigation()
+ * @param {{ startTime: number, endTime: number }} window - Fight bounds (report-relative ms)
+ * @returns {{ amUptimePct: number|null, unmitigatedDamagePct: number|null, selfHealingPct: number|null, lowHealthPct: number|null }}
+ *   0-100 with one decimal, null when the events needed are missing
+ */
+export function measureTankMitigation(
+  tankId,
+  { buffs = [], damage = [], healing = [] },
+  activeMitigation,
+  { startTime, endTime },
+) {
+  const result = {
+    amUptimePct: null,
+    unmitigatedDamagePct: null,
+    selfHealingPct: null,
+    lowHealthPct: null,
+  };
+  const durationMs = endTime - startTime;
+  if (!(durationMs > 0)) return result;
+
+  const pct = (part, total) => Math.round(Math.min(100, (part / total) * 100) * 10) / 10;
+  const clamp = (ts) => Math.min(Math.max(ts, startTime), endTime);
+  const sumAmount = (events) => events.reduce((sum, e) => sum + e.amount, 0);
+  const byTime = (a, b) => a.timestamp - b.timestamp;
+  const hits = damage.filter((e) => e.targetID === tankId);
+  const heals = healing.filter((e) => e.targetID === tankId);
+
+  // Active mitigation: same up/down rules as measureBuffUptimes(), kept as intervals
+  if (activeMitigation && buffs.length > 0) {
+    const intervals = [];
+    let since = null;
+    let seen = false;
+    const amEvents = buffs
+      .filter((e) => e.targetID === tankId && activeMitigation.buffIds.includes(e.abilityGameID))
+      .sort(byTime);
+    for (const event of amEvents) {
+      const at = clamp(event.timestamp);
+      if (event.type === 'applybuff') {
+        if (since == null) since = at;
+      } else {
+        const from = since ?? (seen ? null : startTime);
+        if (from != null) intervals.push([from, at]);
+        since = null;
+      }
+      seen = true;
+    }
+    if (since != null) intervals.push([since, endTime]);
+
+    const upMs = intervals.reduce((sum, [from, to]) => sum + (to - from), 0);
+    result.amUptimePct = pct(upMs, durationMs);
+    const damageTaken = sumAmount(hits);
+    if (damageTaken > 0) {
+      const unmitigated = hits.filter(
+        (e) => !intervals.some(([from, to]) => e.timestamp >= from && e.timestamp < to),
+      );
+      result.unmitigatedDamagePct = pct(sumAmount(unmitigated), damageTaken);
+    }
+  }
+
+  const healingReceived = sumAmount(heals);
+  if (healingReceived > 0) {
+    result.selfHealingPct = pct(
+      sumAmount(heals.filter((e) => e.sourceID === tankId)),
+      healingReceived,
+    );
+  }
+
+  const healthEvents = [...hits, ...heals]
+    .filter((e) => e.maxHitPoints > 0 && e.hitPoints != null)
+    .sort(byTime);
+  if (healthEvents.length > 0) {
+    let lowMs = 0;
+    healthEvents.forEach((e, i) => {
+      const healthPct = (e.hitPoints / e.maxHitPoints) * 100;
+      if (e.hitPoints <= 0 || healthPct >= TANK_THRESHOLDS.lowHealthPct) return;
+      const until = healthEvents[i + 1]?.timestamp ?? endTime;
+      lowMs += Math.max(0, clamp(until) - clamp(e.timestamp));
+    });
+    result.lowHealthPct = pct(lowMs, durationMs);
+  }
+
+  return result;
+}
+
+/**
+ * Compare a player's casts of their spec's major cooldowns with how many the fight allowed.
+ * Possible casts assume the first use on pull and every baseline cooldown after that.
+ *
+ * @param {Array<{ timestamp: number, abilityGameID: number }>} casts - The player's cooldown casts
+ * @param {{ offensive: object[], defensive: object[] }} specCooldowns - From SPEC_COOLDOWNS
+ * @param {{ startTime: number, durationMs: number }} fight - Report-relative start and length
+ * @returns {Array<{ name: string, type: string, casts: number, possible: number, timeline: number[] }>}
+ *   timeline holds each cast in ms into the fight
+ */
+export function measureCooldownUsage(casts, specCooldowns, { startTime, durationMs }) {
+  if (!specCooldowns || !(durationMs > 0)) return [];
+
+  const usage = [];
+  for (const type of ['offensive', 'defensive']) {
+    for (const cooldown of specCooldowns[type] || []) {
+      const ids = new Set(cooldown.spellIds);
+      const timeline = casts
+        .filter((c) => ids.has(c.abilityGameID))
+        .map((c) => Math.max(0, c.timestamp - startTime))
+        .sort((a, b) => a - b);
+      usage.push({
+        name: cooldown.name,
+        type,
+        casts: timeline.length,
+        possible: 1 + Math.floor(durationMs / 1000 / cooldown.cooldownSec),
+        timeline,
+      });
+    }
+  }
+  return usage;
+}
+
+/**
+ * Aggregate stored cooldown usage across fights, least-used cooldown first.
+ *
+ * @param {Array<{ usage: string, bossName: string, durationMs: number }>} rows - fight_performance.cooldownUsage rows
+ * @returns {Array<{ name: string, type: string, fights: number, casts: number, possible: number, usagePct: number, fightsUsedPct: number, worstFight: object }>}
+ *   worstFight is the fight with the most missed casts: { boss, casts, possible, durationMs, timeline }
+ */
+export function summarizeCooldownUsage(rows) {
+  const byCooldown = new Map();
+  for (const row of rows) {
+    let usage;
+    try {
+      usage = JSON.parse(row.usage);
+    } catch {
+      continue;
+    }
+    for (const cd of usage || []) {
+      const key = `${cd.type}:${cd.name}`;
+      if (!byCooldown.has(key)) {
+        byCooldown.set(key, {
+          name: cd.name,
+          type: cd.type,
+          fights: 0,
+          fightsUsed: 0,
+          casts: 0,
+          possible: 0,
+          worstFight: null,
+        });
+      }
+      const entry = byCooldown.get(key);
+      entry.fights++;
+      if (cd.casts > 0) entry.fightsUsed++;
+      entry.casts += cd.casts;
+      entry.possible += cd.possible;
+
+      const missed = cd.possible - cd.casts;
+      const worstMissed = entry.worstFight
+        ? entry.worstFight.possible - entry.worstFight.casts
+        : -1;
+      if (missed > worstMissed) {
+        entry.worstFight = {
+          boss: row.bossName,
+          casts: cd.casts,
+          possible: cd.possible,
+          durationMs: Number(row.durationMs) || 0,
+          timeline: cd.timeline || [],
+        };
+      }
+    }
+  }
+
+  return [...byCooldown.values()]
+    .map(({ fightsUsed, ...entry }) => ({
+      ...entry,
+      usagePct: entry.possible > 0 ? Math.round((entry.casts / entry.possible) * 100) : 0,
+      fightsUsedPct: Math.round((fightsUsed / entry.fights) * 100),
+    }))
+    .sort((a, b) => a.usagePct - b.usagePct);
+}
+
+/**
+ * Split one player's fight into the encounter's phases. A death counts in the
+ * phase its time into the fight falls in (the last phase keeps the final instant).
+ *
+ * @param {string} playerName - WCL actor name
+ * @param {Array<object>} phases - Phase windows (report-relative ms) with their `damage` and `damageTaken` tables
+ * @param {Array<{ timeIntoFightMs: number|null }>} deaths - The player's deaths, from summarizeDeath()
+ * @param {number} fightStartTime - Report-relative fight start
+ * @returns {Array<{ phase: number, name: string, isIntermission: boolean, durationMs: number, dps: number, dtps: number, activeTimePct: number, deaths: number }>}
+ */
+export function measurePhaseBreakdown(playerName, phases, deaths, fightStartTime) {
+  const round1 = (value) => Math.round(value * 10) / 10;
+
+  return phases
+    .filter((p) => p.endTime > p.startTime)
+    .map((phase, i, all) => {
+      const durationMs = phase.endTime - phase.startTime;
+      const damage = (phase.damage || []).find((e) => e.name === playerName);
+      const taken = (phase.damageTaken || []).find((e) => e.name === playerName);
+      const fromMs = phase.startTime - fightStartTime;
+      const toMs = phase.endTime - fightStartTime;
+      const isLast = i === all.length - 1;
+
+      return {
+        phase: phase.phase,
+        name: phase.name,
+        isIntermission: Boolean(phase.isIntermission),
+        durationMs,
+        dps: round1((damage?.total || 0) / (durationMs / 1000)),
+        dtps: round1((taken?.total || 0) / (durationMs / 1000)),
+        activeTimePct: round1(Math.min(100, ((damage?.activeTime || 0) / durationMs) * 100)),
+        deaths: deaths.filter(
+          (d) =>
+            d.timeIntoFightMs != null &&
+            d.timeIntoFightMs >= fromMs &&
+            (d.timeIntoFightMs < toMs || (isLast && d.timeIntoFightMs === toMs)),
+        ).length,
+      };
+    });
+}
+
+/**
+ * Compare a character's fights to same-spec players on the same encounter and
+ * difficulty, on the metric that fits the spec's role (SPEC_BENCHMARK): DPS, HPS
+ * for healers, DTPS for tanks. 100% is the spec median; above is better.
+ *
+ * @param {Array<{ bossId: number, difficulty: string, specId: number, dps: number, hps: number, dtps: number }>} ownFights
+ * @param {Array<{ bossId: number, difficulty: string, specId: number, dps: number, hps: number, dtps: number }>} peerFights - Other players' fights
+ * @returns {{ summary: object|null, bosses: Map<string, object> }}
+ *   summary: { specId, spec, role, metric, vsSpecPct, fights, peerFights } over the fights of
+ *   the most played spec (vsSpecPct is null when none had enough peers); bosses: keyed by
+ *   `${bossId}:${difficulty}`, { specId, spec, metric, vsSpecPct, specMedian, fights, peerFights }
+ */
+export function compareToSpecPeers(ownFights, peerFights) {
+  const { metricByRole, lowerIsBetter, minPeerFights } = SPEC_BENCHMARK;
+  const metricFor = (specId) => metricByRole[BLIZZARD_SPEC_MAP[specId]?.role];
+
+  const peerValues = new Map();
+  for (const row of peerFights) {
+    const metric = metricFor(row.specId);
+    const value = Number(row[metric]);
+    if (!metric || !(value > 0)) continue;
+    const key = `${row.bossId}:${row.difficulty}:${row.specId}`;
+    if (!peerValues.has(key)) peerValues.set(key, []);
+    peerValues.get(key).push(value);
+  }
+
+  const bosses = new Map();
+  const specFights = new Map();
+  // Per spec: the summary takes the main spec's only, since each role has its own metric
+  const specTotals = new Map();
+  for (const fight of ownFights) {
+    const metric = metricFor(fight.specId);
+    if (!metric) continue;
+    specFights.set(fight.specId, (specFights.get(fight.specId) || 0) + 1);
+
+    const peers = peerValues.get(`${fight.bossId}:${fight.difficulty}:${fight.specId}`) || [];
+    const value = Number(fight[metric]);
+    if (peers.length < minPeerFights || !(value > 0)) continue;
+    const sorted = [...peers].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const pct = lowerIsBetter.includes(metric) ? (median / value) * 100 : (value / median) * 100;
+
+    const bossKey = `${fight.bossId}:${fight.difficulty}`;
+    if (!bosses.has(bossKey)) {
+      bosses.set(bossKey, {
+        specId: fight.specId,
+        spec: BLIZZARD_SPEC_MAP[fight.specId].spec,
+        metric,
+        pctTotal: 0,
+        specMedian: median,
+        fights: 0,
+        peerFights: peers.length,
+      });
+    }
+    const boss = bosses.get(bossKey);
+    boss.pctTotal += pct;
+    boss.fights++;
+    if (!specTotals.has(fight.specId)) {
+      specTotals.set(fight.specId, { benchmarked: 0, pctTotal: 0, peerTotal: 0 });
+    }
+    const totals = specTotals.get(fight.specId);
+    totals.benchmarked++;
+    totals.pctTotal += pct;
+    totals.peerTotal += peers.length;
+  }
+
+  const round1 = (n) => Math.round(n * 10) / 10;
+  for (const [key, { pctTotal: total, specMedian, ...boss }] of bosses) {
+    bosses.set(key, {
+      ...boss,
+      vsSpecPct: round1(total / boss.fights),
+      specMedian: round1(specMedian),
+    });
+  }
+
+  if (specFights.size === 0) return { summary: null, bosses };
+  const [mainSpecId] = [...specFights].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+  const { spec, role } = BLIZZARD_SPEC_MAP[mainSpecId];
+  const { benchmarked, pctTotal, peerTotal } = specTotals.get(mainSpecId) || {
+    benchmarked: 0,
+    pctTotal: 0,
+    peerTotal: 0,
+  };
+  return {
+    summary: {
+      specId: mainSpecId,
+      spec,
+      role,
+      metric: metricByRole[role],
+      vsSpecPct: benchmarked > 0 ? round1(pctTotal / benchmarked) : null,
+      fights: benchmarked,
+      peerFights: benchmarked > 0 ? Math.round(peerTotal / benchmarked) : 0,
+    },
+    bosses,
+  };
+}
+
+/**
+ * Average stored phase breakdowns across fights, in phase order.
+ *
+ * @param {Array<{ breakdown: string }>} rows - fight_performance.phaseBreakdown rows
+ * @returns {Array<{ phase: number, name: string, isIntermission: boolean, fights: number, avgDurationMs: number, avgDps: number, avgDtps: number, avgActiveTime: number, deaths: number, deathRate: number }>}
+ */
+export function summarizePhaseBreakdown(rows) {
+  const byPhase = new Map();
+  for (const row of rows) {
+    let phases;
+    try {
+      phases = JSON.parse(row.breakdown);
+    } catch {
+      continue;
+    }
+    for (const p of phases || []) {
+      if (!byPhase.has(p.phase)) {
+        byPhase.set(p.phase, {
+          phase: p.phase,
+          name: p.name,
+          isIntermission: Boolean(p.isIntermission),
+          fights: 0,
+          durationMs: 0,
+          dps: 0,
+          dtps: 0,
+          activeTimePct: 0,
+          deaths: 0,
+        });
+      }
+      const entry = byPhase.get(p.phase);
+      entry.fights++;
+      entry.durationMs += p.durationMs || 0;
+      entry.dps += p.dps || 0;
+      entry.dtps += p.dtps || 0;
+      entry.activeTimePct += p.activeTimePct || 0;
+      entry.deaths += p.deaths || 0;
+    }
+  }
+
+  const avg = (total, n) => Math.round((total / n) * 10) / 10;
+  return [...byPhase.values()]
+    .map(({ durationMs, dps, dtps, activeTimePct, ...entry }) => ({
+      ...entry,
+      avgDurationMs: Math.round(durationMs / entry.fights),
+      avgDps: avg(dps, entry.fights),
+      avgDtps: avg(dtps, entry.fights),
+      avgActiveTime: avg(activeTimePct, entry.fights),
+      deathRate: Math.round((entry.deaths / entry.fights) * 100) / 100,
+    }))
+    .sort((a, b) => a.phase - b.phase);
+}
+
 /**
  * Process extended fight data from WCL and store per-fight performance snapshots.
  * Called during report import for each fight.
  *
  * Data sources:
- *   - basicStats: { damage, healing, damageTaken, deaths } (per-player arrays)
+ *   - basicStats: { damage, healing, absorbs, damageTaken, deaths } (per-player arrays; healing
+ *     with overheal, deaths per event, damageTaken with per-ability totals)
  *   - extendedStats.casts: Casts table → entry.total for CPM (top-level total includes all casts)
  *   - extendedStats.summary: Summary playerDetails → potionUse, healthstoneUse per player
  *   - extendedStats.combatantInfo: CombatantInfo events → pre-fight auras (flask/food/augment)
+ *   - extendedStats.buffs: Buffs events → flask/food/rune uptime and Bloodlust/PI received
+ *   - extendedStats.cooldowns: Casts events of spec major cooldowns → casts vs possible casts
  *   - extendedStats.interrupts: Interrupts table → nested details with per-player totals
  *   - extendedStats.dispels: Dispels table → same nested structure
+ *   - extendedStats.enemyCasts: enemy Casts by ability → interruptible casts that went through
+ *
+ * Each death is also stored in death_events (see summarizeDeath()), and damage
+ * taken from the encounter's avoidable abilities is split out per player. Fights
+ * with encounter phases also get a per-phase breakdown (see measurePhaseBreakdown()).
+ * Healers (Summary playerDetails) also get their share of the healers' healing, and
+ * tanks their mitigation (see measureTankMitigation()).
  *
  * @param {number} storedFightId - DB fight ID (fights table)
  * @param {number} fightDurationMs - Fight duration in milliseconds
- * @param {object} basicStats - { damage, healing, damageTaken, deaths }
- * @param {object} extendedStats - { casts, summary, combatantInfo, interrupts, dispels }
+ * @param {object} basicStats - { damage, healing, absorbs, damageTaken, deaths }
+ * @param {object} extendedStats - { casts, summary, combatantInfo, buffs, cooldowns, interrupts, dispels, enemyCasts }
  * @param {object} charMap - { "lowercaseName": characterId }
+ * @param {object} [unclaimedMap] - { "lowercaseName": unclaimedCharacterId } for actors nobody registered
+ * @param {object} [fightInfo]
+ * @param {number} [fightInfo.encounterId] - Selects the avoidable-ability catalog for damage taken
+ * @param {number} [fightInfo.startTime] - Report-relative fight start, for buff uptime and cooldown timelines
+ * @param {Array<object>} [fightInfo.phases] - Phase windows with their damage/damageTaken tables (getBatchPhaseStats())
+ * @param {object} [fightInfo.manaAtEnd] - { [sourceID]: mana % } at the end of the fight (getBatchEndOfFightMana())
+ * @param {object} [fightInfo.tankEvents] - { damage, healing } events of the fight's tanks (getBatchTankEvents())
+ * @param {object} [tx] - Drizzle transaction to write in, db by default. Insert errors
+ *   are rethrown inside a transaction, and only logged otherwise
  * @returns {number} Number of records inserted
  */
 export async function processExtendedFightData(
@@ -63,6 +626,9 @@ export async function processExtendedFightData(
   basicStats,
   extendedStats,
   charMap,
+  unclaimedMap = {},
+  { encounterId, startTime = 0, phases = [], manaAtEnd = {}, tankEvents = {} } = {},
+  tx = db,
 ) {
   const fightDurationSec = fightDurationMs / 1000;
   const playerData = {};
@@ -72,19 +638,29 @@ export async function processExtendedFightData(
       playerData[name] = {
         damageDone: 0,
         healingDone: 0,
+        overhealing: 0,
+        absorbsDone: 0,
+        manaEndPct: null,
+        isHealer: false,
+        isTank: false,
+        tankMitigation: null,
         damageTaken: 0,
         deaths: 0,
         activeTime: 0,
         totalCasts: 0,
         healthstones: 0,
         combatPotions: 0,
-        flaskUptime: 0,
+        buffUptimes: {},
         foodBuff: false,
         augmentRune: false,
         interrupts: 0,
         dispels: 0,
         specId: null,
         talents: null,
+        cooldownUsage: null,
+        deathEvents: [],
+        avoidableDamage: 0,
+        avoidableBreakdown: [],
       };
     }
   };
@@ -98,14 +674,25 @@ export async function processExtendedFightData(
   for (const e of basicStats.healing || []) {
     ensurePlayer(e.name);
     playerData[e.name].healingDone = e.total || 0;
+    playerData[e.name].overhealing = e.overheal || 0;
+  }
+  for (const e of basicStats.absorbs || []) {
+    ensurePlayer(e.name);
+    playerData[e.name].absorbsDone = e.total || 0;
   }
   for (const e of basicStats.damageTaken || []) {
     ensurePlayer(e.name);
     playerData[e.name].damageTaken = e.total || 0;
+    for (const ability of e.abilities || []) {
+      if (!isAvoidableAbility(encounterId, ability.name) || !ability.total) continue;
+      playerData[e.name].avoidableDamage += ability.total;
+      playerData[e.name].avoidableBreakdown.push({ ability: ability.name, damage: ability.total });
+    }
   }
   for (const e of basicStats.deaths || []) {
     ensurePlayer(e.name);
-    playerData[e.name].deaths = e.total || 0;
+    playerData[e.name].deaths += e.total || 1;
+    playerData[e.name].deathEvents.push(summarizeDeath(e));
   }
 
   // Casts — use entry.total for CPM (the WCL Casts table truncates abilities to top 5,
@@ -127,13 +714,22 @@ export async function processExtendedFightData(
         ensurePlayer(p.name);
         playerData[p.name].combatPotions = p.potionUse || 0;
         playerData[p.name].healthstones = p.healthstoneUse || 0;
+        if (role === 'healers') playerData[p.name].isHealer = true;
+        if (role === 'tanks') playerData[p.name].isTank = true;
         // Also build sourceID → name from summary (has id field too)
         if (p.id != null) sourceIdToName[p.id] = p.name;
       }
     }
   }
 
+  // Mana left at the end of the fight
+  for (const [sourceId, manaPct] of Object.entries(manaAtEnd)) {
+    const name = sourceIdToName[sourceId];
+    if (name && playerData[name]) playerData[name].manaEndPct = manaPct;
+  }
+
   // CombatantInfo events — pre-fight auras (flask, food, augment rune) + spec/talents
+  const activeAtPull = {};
   for (const event of extendedStats.combatantInfo || []) {
     const playerName = sourceIdToName[event.sourceID];
     if (!playerName) continue;
@@ -147,38 +743,93 @@ export async function processExtendedFightData(
       playerData[playerName].talents = event.talentTree;
     }
 
+    const active = (activeAtPull[event.sourceID] ??= new Set());
     for (const aura of event.auras || []) {
       const name = aura.name || '';
-      if (BUFF_PATTERNS.flask.test(name)) {
-        playerData[playerName].flaskUptime = 100; // present at pull = 100% uptime
-      }
-      if (BUFF_PATTERNS.food.test(name)) {
-        playerData[playerName].foodBuff = true;
-      }
-      if (BUFF_PATTERNS.augmentRune.test(name)) {
-        playerData[playerName].augmentRune = true;
+      for (const [category, pattern] of Object.entries(BUFF_PATTERNS)) {
+        if (pattern.test(name)) active.add(category);
       }
     }
+    if (active.has('food')) playerData[playerName].foodBuff = true;
+    if (active.has('augmentRune')) playerData[playerName].augmentRune = true;
   }
 
-  // Interrupts — nested structure: entries[0].entries[].details[].{name, total}
-  for (const wrapper of extendedStats.interrupts || []) {
-    for (const ability of wrapper.entries || []) {
-      for (const player of ability.details || []) {
-        if (!player.name) continue;
-        ensurePlayer(player.name);
-        playerData[player.name].interrupts += player.total || 0;
-      }
-    }
+  // Buffs events — real uptime; without them, an aura present at pull counts as 100%
+  const buffWindow = { startTime, endTime: startTime + fightDurationMs };
+  const uptimesById = extendedStats.buffs?.length
+    ? measureBuffUptimes(extendedStats.buffs, buffWindow, activeAtPull)
+    : Object.fromEntries(
+        Object.entries(activeAtPull).map(([id, active]) => [
+          id,
+          Object.fromEntries([...active].map((category) => [category, 100])),
+        ]),
+      );
+  for (const [targetId, uptimes] of Object.entries(uptimesById)) {
+    const playerName = sourceIdToName[targetId];
+    if (!playerName) continue;
+    playerData[playerName].buffUptimes = uptimes;
+    if (uptimes.food > 0) playerData[playerName].foodBuff = true;
+    if (uptimes.augmentRune > 0) playerData[playerName].augmentRune = true;
   }
 
-  // Dispels — same nested structure as interrupts
-  for (const wrapper of extendedStats.dispels || []) {
-    for (const ability of wrapper.entries || []) {
-      for (const player of ability.details || []) {
-        if (!player.name) continue;
-        ensurePlayer(player.name);
-        playerData[player.name].dispels += player.total || 0;
+  // Major cooldown casts — measured against the spec's catalog (needs the CombatantInfo spec)
+  const cooldownCastsById = {};
+  for (const cast of extendedStats.cooldowns || []) {
+    (cooldownCastsById[cast.sourceID] ??= []).push(cast);
+  }
+  for (const [sourceId, playerName] of Object.entries(sourceIdToName)) {
+    const specCooldowns = getSpecCooldownsById(playerData[playerName]?.specId);
+    if (!specCooldowns) continue;
+    playerData[playerName].cooldownUsage = measureCooldownUsage(
+      cooldownCastsById[sourceId] || [],
+      specCooldowns,
+      { startTime, durationMs: fightDurationMs },
+    );
+  }
+
+  // Tank mitigation — the active-mitigation buff comes from the CombatantInfo spec
+  for (const [sourceId, playerName] of Object.entries(sourceIdToName)) {
+    if (!playerData[playerName]?.isTank) continue;
+    const spec = BLIZZARD_SPEC_MAP[playerData[playerName].specId]?.spec;
+    playerData[playerName].tankMitigation = measureTankMitigation(
+      Number(sourceId),
+      { buffs: extendedStats.buffs, ...tankEvents },
+      getActiveMitigation(spec),
+      buffWindow,
+    );
+  }
+
+  // Interrupts and dispels — nested structure: entries[0].entries[].details[].{name, total}.
+  // Each interrupted/dispelled ability keeps its raid total; completed enemy casts of
+  // interruptible abilities show the kicks that were missed.
+  const completedCasts = {};
+  for (const entry of extendedStats.enemyCasts || []) {
+    completedCasts[entry.guid] = (completedCasts[entry.guid] || 0) + (entry.total || 0);
+  }
+  const utilityAbilities = [];
+  for (const [kind, field, wrappers] of [
+    ['interrupt', 'interrupts', extendedStats.interrupts],
+    ['dispel', 'dispels', extendedStats.dispels],
+  ]) {
+    for (const wrapper of wrappers || []) {
+      for (const ability of wrapper.entries || []) {
+        const byPlayer = {};
+        let raidCount = 0;
+        for (const player of ability.details || []) {
+          if (!player.name) continue;
+          ensurePlayer(player.name);
+          playerData[player.name][field] += player.total || 0;
+          byPlayer[player.name] = (byPlayer[player.name] || 0) + (player.total || 0);
+          raidCount += player.total || 0;
+        }
+        utilityAbilities.push({
+          kind,
+          abilityId: ability.guid ?? null,
+          ability: ability.name || 'Unknown',
+          raidCount,
+          completed: kind === 'interrupt' ? completedCasts[ability.guid] || 0 : null,
+          byPlayer,
+        });
       }
     }
   }
@@ -200,29 +851,56 @@ export async function processExtendedFightData(
   const medianDps = allDps.length > 0 ? allDps[Math.floor(allDps.length / 2)] : 0;
   const medianDtps = allDtps.length > 0 ? allDtps[Math.floor(allDtps.length / 2)] : 0;
 
-  // Insert per-player records (only for registered characters)
+  // Avoidable damage median includes players who took none (tanks and healers too)
+  const allAvoidableDtps = Object.values(playerData)
+    .map((data) => (fightDurationSec > 0 ? data.avoidableDamage / fightDurationSec : 0))
+    .sort((a, b) => a - b);
+  const medianAvoidableDtps =
+    allAvoidableDtps.length > 0 ? allAvoidableDtps[Math.floor(allAvoidableDtps.length / 2)] : 0;
+
+  // Healing share among the healers (how much of the load each one carried)
+  const healers = Object.values(playerData).filter((data) => data.isHealer);
+  const healersHealing = healers.reduce((sum, data) => sum + data.healingDone, 0);
+
+  // Insert per-player records (registered characters, else their unclaimed record)
   let inserted = 0;
   for (const [playerName, data] of Object.entries(playerData)) {
-    const characterId = charMap[playerName.normalize('NFC').toLowerCase()];
-    if (!characterId) {
-      log.debug(`Player "${playerName}" not found in charMap, skipping`);
+    const nameKey = playerName.normalize('NFC').toLowerCase();
+    const characterId = charMap[nameKey] || null;
+    const unclaimedCharacterId = characterId ? null : unclaimedMap[nameKey] || null;
+    if (!characterId && !unclaimedCharacterId) {
+      log.debug(`Player "${playerName}" is not a report actor, skipping`);
       continue;
     }
 
     const dps = fightDurationSec > 0 ? data.damageDone / fightDurationSec : 0;
     const hps = fightDurationSec > 0 ? data.healingDone / fightDurationSec : 0;
     const dtps = fightDurationSec > 0 ? data.damageTaken / fightDurationSec : 0;
+    const avoidableDtps = fightDurationSec > 0 ? data.avoidableDamage / fightDurationSec : 0;
     const activeTimePct = fightDurationMs > 0 ? (data.activeTime / fightDurationMs) * 100 : 0;
     const cpm = fightDurationMs > 0 ? data.totalCasts / (fightDurationMs / 60000) : 0;
+    const rawHealing = data.healingDone + data.overhealing;
+    const hasHealingShare = data.isHealer && healersHealing > 0;
 
     try {
-      await db
+      const [row] = await tx
         .insert(fightPerformance)
         .values({
           fightId: storedFightId,
           characterId,
+          unclaimedCharacterId,
           damageDone: data.damageDone,
           healingDone: data.healingDone,
+          overhealing: data.overhealing,
+          overhealPct: rawHealing > 0 ? (data.overhealing / rawHealing) * 100 : null,
+          absorbsDone: data.absorbsDone,
+          manaEndPct: data.manaEndPct,
+          healingSharePct: hasHealingShare ? (data.healingDone / healersHealing) * 100 : null,
+          healerCount: hasHealingShare ? healers.length : null,
+          amUptimePct: data.tankMitigation?.amUptimePct ?? null,
+          unmitigatedDamagePct: data.tankMitigation?.unmitigatedDamagePct ?? null,
+          selfHealingPct: data.tankMitigation?.selfHealingPct ?? null,
+          lowHealthPct: data.tankMitigation?.lowHealthPct ?? null,
           damageTaken: data.damageTaken,
           deaths: data.deaths,
           dps,
@@ -232,19 +910,57 @@ export async function processExtendedFightData(
           cpm,
           healthstones: data.healthstones,
           combatPotions: data.combatPotions,
-          flaskUptimePct: data.flaskUptime,
+          flaskUptimePct: data.buffUptimes.flask || 0,
+          foodUptimePct: data.buffUptimes.food || 0,
+          augmentRuneUptimePct: data.buffUptimes.augmentRune || 0,
+          bloodlustUptimePct: data.buffUptimes.bloodlust || 0,
+          powerInfusionUptimePct: data.buffUptimes.powerInfusion || 0,
           foodBuffActive: data.foodBuff,
           augmentRuneActive: data.augmentRune,
           interrupts: data.interrupts,
           dispels: data.dispels,
+          avoidableDamageTaken: data.avoidableDamage,
+          avoidableDtps,
+          avoidableBreakdown: data.avoidableBreakdown.length
+            ? JSON.stringify(data.avoidableBreakdown)
+            : null,
           raidMedianDps: medianDps,
           raidMedianDtps: medianDtps,
+          raidMedianAvoidableDtps: medianAvoidableDtps,
           specId: data.specId,
           talentData: data.talents ? JSON.stringify(data.talents) : null,
+          cooldownUsage: data.cooldownUsage ? JSON.stringify(data.cooldownUsage) : null,
+          phaseBreakdown: phases.length
+            ? JSON.stringify(measurePhaseBreakdown(playerName, phases, data.deathEvents, startTime))
+            : null,
+          utilityBreakdown: utilityAbilities.length
+            ? JSON.stringify(
+                utilityAbilities.map(({ byPlayer, ...ability }) => ({
+                  ...ability,
+                  count: byPlayer[playerName] || 0,
+                })),
+              )
+            : null,
         })
-        .onConflictDoNothing();
-      inserted++;
+        .onConflictDoNothing()
+        .returning({ id: fightPerformance.id });
+      if (row) inserted++;
+
+      // Death details follow their performance row (skipped when it already existed)
+      if (row && data.deathEvents.length > 0) {
+        await tx.insert(deathEvents).values(
+          data.deathEvents.map((death) => ({
+            fightId: storedFightId,
+            characterId,
+            unclaimedCharacterId,
+            ...death,
+          })),
+        );
+      }
     } catch (err) {
+      // In the caller's transaction (e.g. a recompute replacing the fight's rows), fail
+      // it so the old rows are kept rather than committing a partial set
+      if (tx !== db) throw err;
       if (!err.message?.includes('UNIQUE')) {
         log.warn(`Failed to insert fight perf for ${playerName}`, err.message);
       }
@@ -256,47 +972,39 @@ export async function processExtendedFightData(
 
 /**
  * Get detailed performance analysis for a character.
- * Returns summary, boss breakdown, weekly trends, recent fights, and recommendations.
+ * Returns summary, boss breakdown, weekly trends, recent fights, and recommendations,
+ * plus the zones and specs the character has fights in (filterOptions).
+ *
+ * Accepts the common analysis filters (weeks, bossId, difficulty, visibilityFilter,
+ * outcome, zone, from, to, specId — see utils/analysisFilters.js) alongside the
+ * character context options.
  */
 export async function getCharacterPerformance(characterId, options = {}) {
-  const {
-    weeks = 8,
-    bossId,
-    difficulty,
-    visibilityFilter,
-    characterInfo,
-    className,
-    spec,
-  } = options;
+  const { weeks = 8, characterInfo, className, spec } = options;
+  const filters = { ...options, weeks };
 
   // Check cache first
-  const cacheKey = buildCacheKey(characterId, { weeks, bossId, difficulty, visibilityFilter });
+  const cacheKey = buildCacheKey(characterId, filters);
   const cached = analysisCache.get(cacheKey);
   if (cached) return cached.data;
 
-  const cutoff = new Date();
-  cutoff.setDate(cutoff.getDate() - weeks * 7);
-
   // Build dynamic WHERE conditions using Drizzle operators (type-safe, no SQL injection)
   const conditions = [
     eq(fightPerformance.characterId, characterId),
-    gte(fights.startTime, cutoff.getTime()),
     ne(fights.difficulty, 'Mythic+'),
+    ...fightFilterConditions(filters),
   ];
-  if (bossId) conditions.push(eq(fights.encounterId, bossId));
-  if (difficulty) conditions.push(eq(fights.difficulty, difficulty));
-  if (visibilityFilter) conditions.push(eq(reports.visibility, visibilityFilter));
+
+  // Real uptime where measured; legacy rows only know whether the buff was up at pull
+  const foodUptimeExpr = sql`COALESCE(${fightPerformance.foodUptimePct}, CASE WHEN ${fightPerformance.foodBuffActive} THEN 100 ELSE 0 END)`;
+  const augmentUptimeExpr = sql`COALESCE(${fightPerformance.augmentRuneUptimePct}, CASE WHEN ${fightPerformance.augmentRuneActive} THEN 100 ELSE 0 END)`;
 
   // Helper: attach required joins to a select query
-  const withJoins = (query) => {
-    let q = query
+  const withJoins = (query) =>
+    query
       .from(fightPerformance)
-      .innerJoin(fights, eq(fights.id, fightPerformance.fightId));
-    if (visibilityFilter) {
-      q = q.innerJoin(reports, eq(reports.id, fights.reportId));
-    }
-    return q;
-  };
+      .innerJoin(fights, eq(fights.id, fightPerformance.fightId))
+      .innerJoin(reports, eq(reports.id, fights.reportId));
 
   // Summary stats
   const summaryRows = await withJoins(
@@ -305,11 +1013,17 @@ export async function getCharacterPerformance(characterId, options = {}) {
       avgDps: sql`ROUND(AVG(${fightPerformance.dps}), 1)`,
       avgHps: sql`ROUND(AVG(${fightPerformance.hps}), 1)`,
       avgDtps: sql`ROUND(AVG(${fightPerformance.dtps}), 1)`,
+      avgAvoidableDtps: sql`ROUND(AVG(${fightPerformance.avoidableDtps}), 1)`,
+      avoidableVsMedian: sql`CASE WHEN AVG(${fightPerformance.raidMedianAvoidableDtps}) > 0 THEN ROUND(AVG(${fightPerformance.avoidableDtps}) / AVG(${fightPerformance.raidMedianAvoidableDtps}) * 100, 1) END`,
       totalDeaths: sql`SUM(${fightPerformance.deaths})`,
       deathRate: sql`ROUND(CAST(SUM(${fightPerformance.deaths}) AS REAL) / MAX(COUNT(*), 1), 2)`,
       avgFlaskUptime: sql`ROUND(AVG(${fightPerformance.flaskUptimePct}), 1)`,
       foodRate: sql`ROUND(AVG(CASE WHEN ${fightPerformance.foodBuffActive} THEN 1 ELSE 0 END) * 100, 1)`,
       augmentRate: sql`ROUND(AVG(CASE WHEN ${fightPerformance.augmentRuneActive} THEN 1 ELSE 0 END) * 100, 1)`,
+      avgFoodUptime: sql`ROUND(AVG(${foodUptimeExpr}), 1)`,
+      avgAugmentUptime: sql`ROUND(AVG(${augmentUptimeExpr}), 1)`,
+      avgBloodlustUptime: sql`ROUND(AVG(${fightPerformance.bloodlustUptimePct}), 1)`,
+      avgPowerInfusionUptime: sql`ROUND(AVG(${fightPerformance.powerInfusionUptimePct}), 1)`,
       avgInterrupts: sql`ROUND(AVG(${fightPerformance.interrupts}), 1)`,
       avgDispels: sql`ROUND(AVG(${fightPerformance.dispels}), 1)`,
       dpsVsMedianPct: sql`ROUND(AVG(CASE WHEN ${fightPerformance.raidMedianDps} > 0 THEN (${fightPerformance.dps} / ${fightPerformance.raidMedianDps}) * 100 ELSE 100 END), 1)`,
@@ -317,6 +1031,19 @@ export async function getCharacterPerformance(characterId, options = {}) {
       combatPotionRate: sql`ROUND(CAST(SUM(CASE WHEN ${fightPerformance.combatPotions} > 0 THEN 1 ELSE 0 END) AS REAL) / MAX(COUNT(*), 1) * 100, 1)`,
       avgActiveTime: sql`ROUND(AVG(${fightPerformance.activeTimePct}), 1)`,
       avgCpm: sql`ROUND(AVG(${fightPerformance.cpm}), 1)`,
+      avgOverhealPct: sql`ROUND(AVG(${fightPerformance.overhealPct}), 1)`,
+      avgAbsorbs: sql`ROUND(AVG(${fightPerformance.absorbsDone}))`,
+      manaLeftOnKillsPct: sql`ROUND(AVG(CASE WHEN ${fights.isKill} THEN ${fightPerformance.manaEndPct} END), 1)`,
+      manaKills: sql`COUNT(CASE WHEN ${fights.isKill} THEN ${fightPerformance.manaEndPct} END)`,
+      // Share of the healers' healing relative to an even split (100% = carried exactly 1/N)
+      healingShareVsEvenPct: sql`ROUND(AVG(${fightPerformance.healingSharePct} * ${fightPerformance.healerCount}), 1)`,
+      avgHealers: sql`ROUND(AVG(${fightPerformance.healerCount}), 1)`,
+      healerFights: sql`COUNT(${fightPerformance.healingSharePct})`,
+      avgAmUptimePct: sql`ROUND(AVG(${fightPerformance.amUptimePct}), 1)`,
+      avgUnmitigatedDamagePct: sql`ROUND(AVG(${fightPerformance.unmitigatedDamagePct}), 1)`,
+      avgSelfHealingPct: sql`ROUND(AVG(${fightPerformance.selfHealingPct}), 1)`,
+      avgLowHealthPct: sql`ROUND(AVG(${fightPerformance.lowHealthPct}), 1)`,
+      tankFights: sql`COUNT(COALESCE(${fightPerformance.amUptimePct}, ${fightPerformance.lowHealthPct}))`,
     }),
   ).where(and(...conditions));
 
@@ -329,13 +1056,15 @@ export async function getCharacterPerformance(characterId, options = {}) {
   const avgFlaskUptime = Number(summary.avgFlaskUptime) || 0;
   const foodRate = Number(summary.foodRate) || 0;
   const augmentRate = Number(summary.augmentRate) || 0;
+  const avgFoodUptime = Number(summary.avgFoodUptime) || 0;
+  const avgAugmentUptime = Number(summary.avgAugmentUptime) || 0;
 
   const consumableScore = Math.round(
     healthstoneRate * CONSUMABLE_WEIGHTS.healthstone +
       combatPotionRate * CONSUMABLE_WEIGHTS.combatPotion +
       avgFlaskUptime * CONSUMABLE_WEIGHTS.flask +
-      foodRate * CONSUMABLE_WEIGHTS.food +
-      augmentRate * CONSUMABLE_WEIGHTS.augmentRune,
+      avgFoodUptime * CONSUMABLE_WEIGHTS.food +
+      avgAugmentUptime * CONSUMABLE_WEIGHTS.augmentRune,
   );
 
   // Boss breakdown
@@ -350,8 +1079,13 @@ export async function getCharacterPerformance(characterId, options = {}) {
       avgDps: sql`ROUND(AVG(${fightPerformance.dps}), 1)`,
       bestDps: sql`ROUND(MAX(${fightPerformance.dps}), 1)`,
       avgDtps: sql`ROUND(AVG(${fightPerformance.dtps}), 1)`,
+      avgAvoidableDtps: sql`ROUND(AVG(${fightPerformance.avoidableDtps}), 1)`,
+      avoidableVsMedian: sql`CASE WHEN AVG(${fightPerformance.raidMedianAvoidableDtps}) > 0 THEN ROUND(AVG(${fightPerformance.avoidableDtps}) / AVG(${fightPerformance.raidMedianAvoidableDtps}) * 100, 1) END`,
       healthstoneRate: sql`ROUND(CAST(SUM(CASE WHEN ${fightPerformance.healthstones} > 0 THEN 1 ELSE 0 END) AS REAL) / COUNT(*) * 100, 1)`,
       combatPotionRate: sql`ROUND(CAST(SUM(CASE WHEN ${fightPerformance.combatPotions} > 0 THEN 1 ELSE 0 END) AS REAL) / COUNT(*) * 100, 1)`,
+      flaskUptime: sql`ROUND(AVG(${fightPerformance.flaskUptimePct}), 1)`,
+      foodUptime: sql`ROUND(AVG(${foodUptimeExpr}), 1)`,
+      augmentUptime: sql`ROUND(AVG(${augmentUptimeExpr}), 1)`,
       interruptsPerFight: sql`ROUND(AVG(${fightPerformance.interrupts}), 1)`,
       dispelsPerFight: sql`ROUND(AVG(${fightPerformance.dispels}), 1)`,
       dpsVsMedian: sql`ROUND(AVG(CASE WHEN ${fightPerformance.raidMedianDps} > 0 THEN (${fightPerformance.dps} / ${fightPerformance.raidMedianDps}) * 100 ELSE 100 END), 1)`,
@@ -373,8 +1107,13 @@ export async function getCharacterPerformance(characterId, options = {}) {
     avgDps: Number(r.avgDps),
     bestDps: Number(r.bestDps),
     avgDtps: Number(r.avgDtps),
+    avgAvoidableDtps: Number(r.avgAvoidableDtps),
+    avoidableVsMedian: r.avoidableVsMedian == null ? null : Number(r.avoidableVsMedian),
     healthstoneRate: Number(r.healthstoneRate),
     combatPotionRate: Number(r.combatPotionRate),
+    flaskUptime: Number(r.flaskUptime),
+    foodUptime: Number(r.foodUptime),
+    augmentUptime: Number(r.augmentUptime),
     interruptsPerFight: Number(r.interruptsPerFight),
     dispelsPerFight: Number(r.dispelsPerFight),
     dpsVsMedian: Number(r.dpsVsMedian),
@@ -382,8 +1121,136 @@ export async function getCharacterPerformance(characterId, options = {}) {
     avgCpm: Number(r.avgCpm),
   }));
 
-  // Weekly trends (Thursday-Wednesday weeks)
-  const weekStartExpr = sql`date(datetime(${fights.startTime} / 1000, 'unixepoch'), '-' || ((CAST(strftime('%w', datetime(${fights.startTime} / 1000, 'unixepoch')) AS INTEGER) + 3) % 7) || ' days')`;
+  // Same-spec benchmark: every imported fight of the same encounter, difficulty and
+  // spec by other players (claimed or not), regardless of the filters above
+  const ownSpecFights = await withJoins(
+    db.select({
+      bossId: fights.encounterId,
+      difficulty: fights.difficulty,
+      specId: fightPerformance.specId,
+      dps: fightPerformance.dps,
+      hps: fightPerformance.hps,
+      dtps: fightPerformance.dtps,
+    }),
+  ).where(and(...conditions, isNotNull(fightPerformance.specId)));
+  let peerSpecFights = [];
+  if (ownSpecFights.length > 0) {
+    peerSpecFights = await db
+      .select({
+        bossId: fights.encounterId,
+        difficulty: fights.difficulty,
+        specId: fightPerformance.specId,
+        dps: fightPerformance.dps,
+        hps: fightPerformance.hps,
+        dtps: fightPerformance.dtps,
+      })
+      .from(fightPerformance)
+      .innerJoin(fights, eq(fights.id, fightPerformance.fightId))
+      .where(
+        and(
+          inArray(fights.encounterId, [...new Set(ownSpecFights.map((f) => f.bossId))]),
+          inArray(fightPerformance.specId, [...new Set(ownSpecFights.map((f) => f.specId))]),
+          or(isNull(fightPerformance.characterId), ne(fightPerformance.characterId, characterId)),
+        ),
+      );
+  }
+  const specBenchmarks = compareToSpecPeers(ownSpecFights, peerSpecFights);
+  for (const boss of bossBreakdown) {
+    boss.specBenchmark = specBenchmarks.bosses.get(`${boss.bossId}:${boss.difficulty}`) || null;
+  }
+
+  // Avoidable damage per boss by ability (per-fight average, biggest first)
+  const avoidableRows = await withJoins(
+    db.select({
+      bossId: fights.encounterId,
+      difficulty: fights.difficulty,
+      breakdown: fightPerformance.avoidableBreakdown,
+    }),
+  ).where(and(...conditions, isNotNull(fightPerformance.avoidableBreakdown)));
+
+  for (const boss of bossBreakdown) {
+    const totals = {};
+    for (const row of avoidableRows) {
+      if (Number(row.bossId) !== boss.bossId || row.difficulty !== boss.difficulty) continue;
+      try {
+        for (const { ability, damage } of JSON.parse(row.breakdown)) {
+          totals[ability] = (totals[ability] || 0) + damage;
+        }
+      } catch {
+        /* ignore */
+      }
+    }
+    boss.avoidableAbilities = Object.entries(totals)
+      .map(([ability, damage]) => ({ ability, damagePerFight: Math.round(damage / boss.fights) }))
+      .sort((a, b) => b.damagePerFight - a.damagePerFight)
+      .slice(0, 3);
+  }
+
+  // Per-phase view for bosses whose fights were split into encounter phases
+  const phaseRows = await withJoins(
+    db.select({
+      bossId: fights.encounterId,
+      difficulty: fights.difficulty,
+      breakdown: fightPerformance.phaseBreakdown,
+    }),
+  ).where(and(...conditions, isNotNull(fightPerformance.phaseBreakdown)));
+
+  for (const boss of bossBreakdown) {
+    boss.phases = summarizePhaseBreakdown(
+      phaseRows.filter((r) => Number(r.bossId) === boss.bossId && r.difficulty === boss.difficulty),
+    );
+  }
+
+  // Causes of death per boss: grouped by killing ability, most frequent first
+  // (joined to the character's performance rows so the same filters apply)
+  const deathRows = await db
+    .select({
+      bossId: fights.encounterId,
+      difficulty: fights.difficulty,
+      abilityId: deathEvents.killingAbilityId,
+      abilityName: deathEvents.killingAbilityName,
+      deaths: sql`COUNT(*)`,
+      withoutDefensive: sql`SUM(CASE WHEN ${deathEvents.defensiveUsed} OR ${deathEvents.healthstoneUsed} THEN 0 ELSE 1 END)`,
+      avgDamageTaken: sql`ROUND(AVG(${deathEvents.damageTakenWindow}))`,
+    })
+    .from(deathEvents)
+    .innerJoin(
+      fightPerformance,
+      and(
+        eq(fightPerformance.fightId, deathEvents.fightId),
+        eq(fightPerformance.characterId, deathEvents.characterId),
+      ),
+    )
+    .innerJoin(fights, eq(fights.id, deathEvents.fightId))
+    .innerJoin(reports, eq(reports.id, fights.reportId))
+    .where(and(...conditions))
+    .groupBy(fights.encounterId, fights.difficulty, deathEvents.killingAbilityId)
+    .orderBy(desc(sql`COUNT(*)`));
+
+  for (const boss of bossBreakdown) {
+    boss.deathCauses = deathRows
+      .filter((r) => Number(r.bossId) === boss.bossId && r.difficulty === boss.difficulty)
+      .map((r) => ({
+        abilityId: r.abilityId,
+        abilityName: r.abilityName,
+        deaths: Number(r.deaths),
+        withoutDefensive: Number(r.withoutDefensive),
+        avgDamageTaken: Number(r.avgDamageTaken),
+      }));
+  }
+
+  // Major cooldown usage (casts vs possible casts) across the filtered fights
+  const cooldownRows = await withJoins(
+    db.select({
+      usage: fightPerformance.cooldownUsage,
+      bossName: fights.bossName,
+      durationMs: fights.durationMs,
+    }),
+  ).where(and(...conditions, isNotNull(fightPerformance.cooldownUsage)));
+  const cooldownUsage = summarizeCooldownUsage(cooldownRows);
+
+  // Weekly trends, by reset week (the weeks of score snapshots and tip resolution)
+  const weekStartExpr = weekStartSql(fightStartedAt);
   const trendsRows = await withJoins(
     db.select({
       weekStart: weekStartExpr,
@@ -396,8 +1263,8 @@ export async function getCharacterPerformance(characterId, options = {}) {
         CAST(SUM(CASE WHEN ${fightPerformance.healthstones} > 0 THEN 1 ELSE 0 END) AS REAL) / COUNT(*) * 20 +
         CAST(SUM(CASE WHEN ${fightPerformance.combatPotions} > 0 THEN 1 ELSE 0 END) AS REAL) / COUNT(*) * 30 +
         AVG(${fightPerformance.flaskUptimePct}) * 0.30 +
-        AVG(CASE WHEN ${fightPerformance.foodBuffActive} THEN 1 ELSE 0 END) * 13 +
-        AVG(CASE WHEN ${fightPerformance.augmentRuneActive} THEN 1 ELSE 0 END) * 7,
+        AVG(${foodUptimeExpr}) * 0.13 +
+        AVG(${augmentUptimeExpr}) * 0.07,
       1)`,
       avgActiveTime: sql`ROUND(AVG(${fightPerformance.activeTimePct}), 1)`,
       avgCpm: sql`ROUND(AVG(${fightPerformance.cpm}), 1)`,
@@ -434,7 +1301,7 @@ export async function getCharacterPerformance(characterId, options = {}) {
   // Recent fights
   const recentRows = await withJoins(
     db.select({
-      date: sql`datetime(${fights.startTime} / 1000, 'unixepoch')`,
+      date: sql`datetime(${fightStartedAt} / 1000, 'unixepoch')`,
       boss: fights.bossName,
       difficulty: fights.difficulty,
       dps: sql`ROUND(${fightPerformance.dps}, 1)`,
@@ -450,7 +1317,7 @@ export async function getCharacterPerformance(characterId, options = {}) {
     }),
   )
     .where(and(...conditions))
-    .orderBy(desc(fights.startTime), desc(fightPerformance.id))
+    .orderBy(desc(fightStartedAt), desc(fightPerformance.id))
     .limit(20);
 
   const recentFights = recentRows.map((r) => ({
@@ -475,18 +1342,41 @@ export async function getCharacterPerformance(characterId, options = {}) {
     avgDps: Number(summary.avgDps) || 0,
     avgHps: Number(summary.avgHps) || 0,
     avgDtps: Number(summary.avgDtps) || 0,
+    avgAvoidableDtps: Number(summary.avgAvoidableDtps) || 0,
+    avoidableVsMedianPct:
+      summary.avoidableVsMedian == null ? null : Number(summary.avoidableVsMedian),
     deathRate: Number(summary.deathRate) || 0,
     consumableScore,
     dpsVsMedianPct: Number(summary.dpsVsMedianPct) || 100,
+    specBenchmark: specBenchmarks.summary,
     healthstoneRate,
     combatPotionRate,
     avgFlaskUptime,
     foodRate,
     augmentRate,
+    avgFoodUptime,
+    avgAugmentUptime,
+    avgBloodlustUptime: Number(summary.avgBloodlustUptime) || 0,
+    avgPowerInfusionUptime: Number(summary.avgPowerInfusionUptime) || 0,
     avgInterrupts: Number(summary.avgInterrupts) || 0,
     avgDispels: Number(summary.avgDispels) || 0,
     avgActiveTime: Number(summary.avgActiveTime) || 0,
     avgCpm: Number(summary.avgCpm) || 0,
+    avgOverhealPct: summary.avgOverhealPct == null ? null : Number(summary.avgOverhealPct),
+    avgAbsorbs: Number(summary.avgAbsorbs) || 0,
+    manaLeftOnKillsPct:
+      summary.manaLeftOnKillsPct == null ? null : Number(summary.manaLeftOnKillsPct),
+    manaKills: Number(summary.manaKills) || 0,
+    healingShareVsEvenPct:
+      summary.healingShareVsEvenPct == null ? null : Number(summary.healingShareVsEvenPct),
+    avgHealers: Number(summary.avgHealers) || 0,
+    healerFights: Number(summary.healerFights) || 0,
+    avgAmUptimePct: summary.avgAmUptimePct == null ? null : Number(summary.avgAmUptimePct),
+    avgUnmitigatedDamagePct:
+      summary.avgUnmitigatedDamagePct == null ? null : Number(summary.avgUnmitigatedDamagePct),
+    avgSelfHealingPct: summary.avgSelfHealingPct == null ? null : Number(summary.avgSelfHealingPct),
+    avgLowHealthPct: summary.avgLowHealthPct == null ? null : Number(summary.avgLowHealthPct),
+    tankFights: Number(summary.tankFights) || 0,
     avgParsePercentile: null,
   };
 
@@ -531,10 +1421,11 @@ export async function getCharacterPerformance(characterId, options = {}) {
       .select({ talentData: fightPerformance.talentData })
       .from(fightPerformance)
       .innerJoin(fights, eq(fights.id, fightPerformance.fightId))
+      .innerJoin(reports, eq(reports.id, fights.reportId))
       .where(
         and(eq(fightPerformance.characterId, characterId), isNotNull(fightPerformance.talentData)),
       )
-      .orderBy(desc(fights.startTime))
+      .orderBy(desc(fightStartedAt))
       .limit(1);
     if (talentRows[0]?.talentData) {
       try {
@@ -545,6 +1436,27 @@ export async function getCharacterPerformance(characterId, options = {}) {
     }
   }
 
+  // Zones and specs with raid fights, to populate the filter controls. Only the
+  // visibility filter applies, so picking one zone or spec doesn't hide the others.
+  const optionConditions = and(
+    eq(fightPerformance.characterId, characterId),
+    ne(fights.difficulty, 'Mythic+'),
+    ...(options.visibilityFilter ? [eq(reports.visibility, options.visibilityFilter)] : []),
+  );
+  const zoneRows = await withJoins(db.selectDistinct({ zone: reports.zoneName })).where(
+    and(optionConditions, isNotNull(reports.zoneName)),
+  );
+  const specRows = await withJoins(db.selectDistinct({ specId: fightPerformance.specId })).where(
+    and(optionConditions, isNotNull(fightPerformance.specId)),
+  );
+  const filterOptions = {
+    zones: zoneRows.map((r) => r.zone).sort(),
+    specs: specRows.map((r) => ({
+      specId: r.specId,
+      spec: BLIZZARD_SPEC_MAP[r.specId]?.spec || `#${r.specId}`,
+    })),
+  };
+
   const score = calculateStillNoobScore(summaryData, bossBreakdown);
   const playerLevel = detectPlayerLevel(summaryData, bossBreakdown, options.raiderIO);
   const specData = className && spec ? getSpecData(className, spec) : null;
@@ -561,6 +1473,7 @@ export async function getCharacterPerformance(characterId, options = {}) {
     role,
     talentData: latestTalentData,
     specMeta: options.specMeta,
+    cooldownUsage,
   });
 
   const result = {
@@ -568,9 +1481,11 @@ export async function getCharacterPerformance(characterId, options = {}) {
     score,
     playerLevel,
     bossBreakdown,
+    cooldownUsage,
     weeklyTrends,
     recentFights,
     recommendations,
+    filterOptions,
   };
 
   // Evict oldest entries if cache is full
@@ -588,41 +1503,370 @@ export async function getCharacterPerformance(characterId, options = {}) {
   return result;
 }
 
+/**
+ * Get a character's ingested Mythic+ runs with their per-run combat metrics,
+ * newest first. Feeds analyzeDungeonRuns() in mythicPlusAnalysis.js.
+ *
+ * @param {number} characterId
+ * @param {object} [options]
+ * @param {number} [options.weeks] - Look-back window (default 8)
+ * @param {string} [options.visibilityFilter] - Restrict to reports with this visibility
+ * @returns {Promise<Array<object>>}
+ */
+export async function getCharacterDungeonRuns(characterId, { weeks = 8, visibilityFilter } = {}) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - weeks * 7);
+
+  // fights.startTime is relative to the report start (WCL offsets)
+  const runStart = sql`${reports.startTime} + ${fights.startTime}`;
+  const conditions = [
+    eq(fightPerformance.characterId, characterId),
+    gte(runStart, cutoff.getTime()),
+  ];
+  if (visibilityFilter) conditions.push(eq(reports.visibility, visibilityFilter));
+
+  const rows = await db
+    .select({
+      fightId: fights.id,
+      dungeonName: mplusRuns.dungeonName,
+      keystoneLevel: mplusRuns.keystoneLevel,
+      affixes: mplusRuns.affixes,
+      keystoneTimeMs: mplusRuns.keystoneTimeMs,
+      parTimeMs: mplusRuns.parTimeMs,
+      upgrades: mplusRuns.upgrades,
+      timed: mplusRuns.timed,
+      startTime: runStart,
+      durationMs: fights.durationMs,
+      dps: fightPerformance.dps,
+      hps: fightPerformance.hps,
+      dtps: fightPerformance.dtps,
+      deaths: fightPerformance.deaths,
+      interrupts: fightPerformance.interrupts,
+      dispels: fightPerformance.dispels,
+      wclCode: reports.wclCode,
+    })
+    .from(mplusRuns)
+    .innerJoin(fights, eq(fights.id, mplusRuns.fightId))
+    .innerJoin(fightPerformance, eq(fightPerformance.fightId, fights.id))
+    .innerJoin(reports, eq(reports.id, fights.reportId))
+    .where(and(...conditions))
+    .orderBy(desc(runStart))
+    .all();
+
+  return rows.map((r) => {
+    let affixes = [];
+    try {
+      affixes = JSON.parse(r.affixes || '[]');
+    } catch {
+      /* ignore */
+    }
+    return { ...r, startTime: Number(r.startTime), affixes, timed: Boolean(r.timed) };
+  });
+}
+
+/**
+ * Aggregate stored per-ability interrupt/dispel rows into one entry per encounter.
+ * Share is the player's part of the raid total for that ability.
+ *
+ * @param {Array<{ bossId: number, bossName: string, difficulty: string, breakdown: string }>} rows
+ * @returns {Array<{ bossId: number, bossName: string, difficulty: string, fights: number, abilities: object[] }>}
+ */
+export function summarizeUtilityBreakdown(rows) {
+  const bosses = new Map();
+  for (const row of rows) {
+    let breakdown;
+    try {
+      breakdown = JSON.parse(row.breakdown);
+    } catch {
+      continue;
+    }
+    const bossKey = `${row.bossId}:${row.difficulty}`;
+    if (!bosses.has(bossKey)) {
+      bosses.set(bossKey, {
+        bossId: Number(row.bossId),
+        bossName: row.bossName,
+        difficulty: row.difficulty,
+        fights: 0,
+        abilities: new Map(),
+      });
+    }
+    const boss = bosses.get(bossKey);
+    boss.fights++;
+
+    for (const entry of breakdown || []) {
+      const abilityKey = `${entry.kind}:${entry.abilityId ?? entry.ability}`;
+      if (!boss.abilities.has(abilityKey)) {
+        boss.abilities.set(abilityKey, {
+          kind: entry.kind,
+          abilityId: entry.abilityId,
+          ability: entry.ability,
+          count: 0,
+          raidCount: 0,
+          completed: entry.kind === 'interrupt' ? 0 : null,
+        });
+      }
+      const ability = boss.abilities.get(abilityKey);
+      ability.count += entry.count || 0;
+      ability.raidCount += entry.raidCount || 0;
+      if (ability.completed != null) ability.completed += entry.completed || 0;
+    }
+  }
+
+  return [...bosses.values()]
+    .map((boss) => ({
+      ...boss,
+      abilities: [...boss.abilities.values()]
+        .map((a) => ({
+          ...a,
+          sharePct: a.raidCount > 0 ? Math.round((a.count / a.raidCount) * 100) : 0,
+          perFight: Math.round((a.count / boss.fights) * 10) / 10,
+        }))
+        .sort((a, b) => a.kind.localeCompare(b.kind) || b.raidCount - a.raidCount),
+    }))
+    .sort((a, b) => b.fights - a.fights);
+}
+
+/**
+ * Get a character's interrupts and dispels broken down by enemy ability, per encounter.
+ * Includes Mythic+ runs, where kick assignments matter most.
+ *
+ * @param {number} characterId
+ * @param {object} [options]
+ * @param {object} [filters] - Common analysis filters (see utils/analysisFilters.js)
+ * @returns {Promise<Array<object>>} See summarizeUtilityBreakdown()
+ */
+export async function getCharacterUtilityBreakdown(characterId, filters = {}) {
+  const conditions = [
+    eq(fightPerformance.characterId, characterId),
+    isNotNull(fightPerformance.utilityBreakdown),
+    ...fightFilterConditions(filters),
+  ];
+
+  const rows = await db
+    .select({
+      bossId: fights.encounterId,
+      bossName: fights.bossName,
+      difficulty: fights.difficulty,
+      breakdown: fightPerformance.utilityBreakdown,
+    })
+    .from(fightPerformance)
+    .innerJoin(fights, eq(fights.id, fightPerformance.fightId))
+    .innerJoin(reports, eq(reports.id, fights.reportId))
+    .where(and(...conditions))
+    .all();
+
+  return summarizeUtilityBreakdown(rows);
+}
+
+/**
+ * Group a character's pulls into per-encounter progression: how far each pull
+ * got, the best result so far, and who died first to what on the wipes.
+ *
+ * @param {Array<object>} pulls - Oldest first: { fightId, bossId, bossName, difficulty, startedAt, durationMs, isKill, fightPercentage, lastPhase, dps, deaths }
+ * @param {Array<object>} deaths - Every death in those pulls: { fightId, name, ability, timeIntoFightMs, isCharacter }
+ * @returns {Array<object>} One entry per encounter and difficulty, most pulled first:
+ *   { bossId, bossName, difficulty, kills, wipes, bestPercentage, firstKillPull, diedFirst, firstDeathCauses, pulls }
+ */
+export function buildProgression(pulls, deaths) {
+  const firstDeathByFight = new Map();
+  for (const death of deaths) {
+    if (death.timeIntoFightMs == null) continue;
+    const current = firstDeathByFight.get(death.fightId);
+    if (!current || death.timeIntoFightMs < current.timeIntoFightMs) {
+      firstDeathByFight.set(death.fightId, death);
+    }
+  }
+
+  const encounters = new Map();
+  for (const pull of pulls) {
+    const key = `${pull.bossId}:${pull.difficulty}`;
+    if (!encounters.has(key)) {
+      encounters.set(key, {
+        bossId: pull.bossId,
+        bossName: pull.bossName,
+        difficulty: pull.difficulty,
+        kills: 0,
+        wipes: 0,
+        bestPercentage: null,
+        firstKillPull: null,
+        diedFirst: 0,
+        causes: {},
+        pulls: [],
+      });
+    }
+    const encounter = encounters.get(key);
+    const pullNumber = encounter.pulls.length + 1;
+    const percentage = pull.isKill ? 0 : (pull.fightPercentage ?? null);
+    if (percentage != null && (encounter.bestPercentage ?? 100) >= percentage) {
+      encounter.bestPercentage = percentage;
+    }
+
+    const firstDeath = firstDeathByFight.get(pull.fightId) || null;
+    if (pull.isKill) {
+      encounter.kills++;
+      encounter.firstKillPull ??= pullNumber;
+    } else {
+      encounter.wipes++;
+      if (firstDeath) {
+        const ability = firstDeath.ability || 'Unknown';
+        encounter.causes[ability] = (encounter.causes[ability] || 0) + 1;
+        if (firstDeath.isCharacter) encounter.diedFirst++;
+      }
+    }
+
+    encounter.pulls.push({
+      pull: pullNumber,
+      fightId: pull.fightId,
+      date: new Date(pull.startedAt).toISOString(),
+      durationMs: pull.durationMs,
+      isKill: pull.isKill,
+      fightPercentage: percentage,
+      bestSoFar: encounter.bestPercentage,
+      lastPhase: pull.lastPhase ?? null,
+      dps: Math.round(pull.dps || 0),
+      deaths: pull.deaths || 0,
+      firstDeath: firstDeath && {
+        name: firstDeath.name,
+        ability: firstDeath.ability || null,
+        timeIntoFightMs: firstDeath.timeIntoFightMs,
+        isYou: firstDeath.isCharacter,
+      },
+    });
+  }
+
+  return [...encounters.values()]
+    .map(({ causes, ...encounter }) => ({
+      ...encounter,
+      firstDeathCauses: Object.entries(causes)
+        .map(([ability, count]) => ({ ability, count }))
+        .sort((a, b) => b.count - a.count),
+    }))
+    .sort((a, b) => b.pulls.length - a.pulls.length);
+}
+
+/**
+ * Get a character's raid progression: every pull (kills and wipes) per encounter,
+ * in the order they happened, with the first death of each pull.
+ *
+ * @param {number} characterId
+ * @param {object} [filters] - Common analysis filters (see utils/analysisFilters.js)
+ * @returns {Promise<Array<object>>} See buildProgression()
+ */
+export async function getCharacterProgression(characterId, filters = {}) {
+  const conditions = [
+    eq(fightPerformance.characterId, characterId),
+    ne(fights.difficulty, 'Mythic+'),
+    ...fightFilterConditions(filters),
+  ];
+
+  const pulls = await db
+    .select({
+      fightId: fights.id,
+      bossId: fights.encounterId,
+      bossName: fights.bossName,
+      difficulty: fights.difficulty,
+      startedAt: fightStartedAt,
+      durationMs: fights.durationMs,
+      isKill: fights.isKill,
+      fightPercentage: fights.fightPercentage,
+      lastPhase: fights.lastPhase,
+      dps: fightPerformance.dps,
+      deaths: fightPerformance.deaths,
+    })
+    .from(fightPerformance)
+    .innerJoin(fights, eq(fights.id, fightPerformance.fightId))
+    .innerJoin(reports, eq(reports.id, fights.reportId))
+    .where(and(...conditions))
+    .orderBy(fightStartedAt)
+    .all();
+  if (pulls.length === 0) return [];
+
+  // Everyone's deaths in those pulls (the first one may be someone else's)
+  const deaths = await db
+    .select({
+      fightId: deathEvents.fightId,
+      characterId: deathEvents.characterId,
+      name: sql`COALESCE(${characters.name}, ${unclaimedCharacters.name})`,
+      ability: deathEvents.killingAbilityName,
+      timeIntoFightMs: deathEvents.timeIntoFightMs,
+    })
+    .from(deathEvents)
+    .leftJoin(characters, eq(characters.id, deathEvents.characterId))
+    .leftJoin(unclaimedCharacters, eq(unclaimedCharacters.id, deathEvents.unclaimedCharacterId))
+    .where(
+      inArray(
+        deathEvents.fightId,
+        pulls.map((p) => p.fightId),
+      ),
+    )
+    .orderBy(deathEvents.id)
+    .all();
+
+  return buildProgression(
+    pulls.map((p) => ({ ...p, startedAt: Number(p.startedAt), isKill: Boolean(p.isKill) })),
+    deaths.map((d) => ({ ...d, isCharacter: d.characterId === characterId })),
+  );
+}
+
 /**
  * Calculate StillNoob Score — proprietary 0-100 metric.
- * Weighted composite of performance, survival, preparation, utility, consistency.
+ * Weighted composite of performance, survival, preparation, utility, consistency,
+ * with the weights and curves of a SCORE_FORMULAS version (the current one by default).
+ *
+ * @param {object} summary - getCharacterPerformance() summary, or stored score inputs (see extractScoreInputs())
+ * @param {Array<object>} bossBreakdown
+ * @param {number} [version]
+ * @returns {{ total: number, tier: object, breakdown: object, version: number }}
  */
-export function calculateStillNoobScore(summary, bossBreakdown) {
+export function calculateStillNoobScore(summary, bossBreakdown, version = CURRENT_SCORE_VERSION) {
+  const formula = SCORE_FORMULAS[version];
+  if (!formula) throw new Error(`Unknown StillNoob Score version ${version}`);
+
   if (!summary || summary.totalFights === 0) {
     return {
       total: 0,
       tier: SCORE_TIERS[0],
       breakdown: { performance: 0, survival: 0, preparation: 0, utility: 0, consistency: 0 },
+      version,
     };
   }
 
-  // Performance (35%): DPS vs raid median — 100% median = 50 points, 130%+ = 100
-  const dpsRatio = summary.dpsVsMedianPct || 100;
-  const performanceRaw = Math.min(100, Math.max(0, (dpsRatio - 70) * (100 / 60))); // 70%→0, 130%→100
+  // Performance: role metric vs same-spec players (see compareToSpecPeers),
+  // else DPS vs raid median — which says nothing about healers and tanks, so they
+  // stay neutral without a spec benchmark
+  const benchmark = summary.specBenchmark;
+  const { zeroAtPct, fullAtPct, overhealPenaltyFromPct } = formula.performance;
+  let performanceRatio = summary.dpsVsMedianPct || 100;
+  if (benchmark?.role === 'Healer') {
+    performanceRatio = healerPerformanceRatio(summary, overhealPenaltyFromPct);
+  } else if (benchmark?.vsSpecPct != null) performanceRatio = benchmark.vsSpecPct;
+  else if (benchmark && benchmark.role !== 'DPS') performanceRatio = 100;
+  const performanceRaw = Math.min(
+    100,
+    Math.max(0, ((performanceRatio - zeroAtPct) * 100) / (fullAtPct - zeroAtPct)),
+  );
 
-  // Survival (25%): death rate inverted — 0 deaths = 100, threshold+ = 0
+  // Survival: death rate inverted — 0 deaths = 100, ceiling+ = 0
   // More lenient for Mythic progression where deaths are expected
   const hasMythicKills = bossBreakdown.some((b) => b.difficulty === 'Mythic' && b.fights > 0);
-  const deathCeiling = hasMythicKills ? 0.7 : 0.5;
+  const deathCeiling = hasMythicKills
+    ? formula.survival.mythicDeathCeiling
+    : formula.survival.deathCeiling;
   const survivalRaw = Math.min(100, Math.max(0, (1 - summary.deathRate / deathCeiling) * 100));
 
-  // Preparation (20%): consumable score (already 0-100)
+  // Preparation: consumable score (already 0-100)
   const preparationRaw = Math.min(100, summary.consumableScore || 0);
 
-  // Utility (10%): interrupts + dispels normalized
+  // Utility: interrupts + dispels normalized
   const avgUtil = (summary.avgInterrupts || 0) + (summary.avgDispels || 0);
-  const utilityRaw = Math.min(100, avgUtil * 25); // 4+ combined = 100
+  const utilityRaw = Math.min(100, avgUtil * formula.utility.pointsPerAction);
 
-  // Consistency (10%): inverse of DPS variance across bosses
+  // Consistency: inverse of DPS variance across bosses
+  const { minBosses } = formula.consistency;
   let consistencyRaw = 100;
-  if (bossBreakdown.length >= 3) {
+  if (bossBreakdown.length >= minBosses) {
     const dpsValues = bossBreakdown.filter((b) => b.avgDps > 0).map((b) => b.avgDps);
-    if (dpsValues.length >= 3) {
+    if (dpsValues.length >= minBosses) {
       const max = Math.max(...dpsValues);
       const min = Math.min(...dpsValues);
       const variance = max > 0 ? ((max - min) / max) * 100 : 0;
@@ -639,16 +1883,54 @@ export function calculateStillNoobScore(summary, bossBreakdown) {
   };
 
   const total = Math.round(
-    breakdown.performance * SCORE_WEIGHTS.performance +
-      breakdown.survival * SCORE_WEIGHTS.survival +
-      breakdown.preparation * SCORE_WEIGHTS.preparation +
-      breakdown.utility * SCORE_WEIGHTS.utility +
-      breakdown.consistency * SCORE_WEIGHTS.consistency,
+    Object.entries(formula.weights).reduce(
+      (sum, [pillar, weight]) => sum + breakdown[pillar] * weight,
+      0,
+    ),
   );
 
   const tier = SCORE_TIERS.find((t) => total >= t.min && total <= t.max) || SCORE_TIERS[0];
 
-  return { total, tier, breakdown };
+  return { total, tier, breakdown, version };
+}
+
+/**
+ * The parts of a summary and boss breakdown that calculateStillNoobScore() reads, so a
+ * stored score can be recomputed under another formula version.
+ *
+ * @returns {{ summary: object, bossBreakdown: Array<object> }}
+ */
+export function extractScoreInputs(summary, bossBreakdown) {
+  const benchmark = summary?.specBenchmark;
+  return {
+    summary: {
+      totalFights: summary?.totalFights || 0,
+      specBenchmark: benchmark ? { role: benchmark.role, vsSpecPct: benchmark.vsSpecPct } : null,
+      dpsVsMedianPct: summary?.dpsVsMedianPct ?? null,
+      healingShareVsEvenPct: summary?.healingShareVsEvenPct ?? null,
+      avgOverhealPct: summary?.avgOverhealPct ?? null,
+      deathRate: summary?.deathRate || 0,
+      consumableScore: summary?.consumableScore || 0,
+      avgInterrupts: summary?.avgInterrupts || 0,
+      avgDispels: summary?.avgDispels || 0,
+    },
+    bossBreakdown: (bossBreakdown || []).map((b) => ({
+      difficulty: b.difficulty,
+      fights: b.fights,
+      avgDps: b.avgDps,
+    })),
+  };
+}
+
+/**
+ * Healer path of the Performance pillar: HPS vs same-spec healers, else the share of
+ * the healers' healing vs an even split, less a point per overheal % past the
+ * formula's penalty line (healing that landed on full-health targets).
+ */
+function healerPerformanceRatio(summary, overhealPenaltyFromPct) {
+  const ratio = summary.specBenchmark?.vsSpecPct ?? summary.healingShareVsEvenPct ?? 100;
+  const overheal = summary.avgOverhealPct ?? 0;
+  return ratio - Math.max(0, overheal - overhealPenaltyFromPct);
 }
 
 /**
@@ -760,6 +2042,7 @@ export function generateRecommendations({
   role,
   talentData,
   specMeta,
+  cooldownUsage = [],
 }) {
   if (!summary) {
     return { primaryTips: [], secondaryTips: [], playerLevel };
@@ -776,7 +2059,7 @@ export function generateRecommendations({
     ...generateTalentTips(talentData, specMeta, spec),
     ...generateBossSpecificTips(summary, bossBreakdown, playerLevel),
     ...generateCrossPatternTips(summary, bossBreakdown),
-    ...generateRoleSpecificTips(summary, bossBreakdown, role, spec, specCpmBaseline),
+    ...generateRoleSpecificTips(summary, bossBreakdown, role, spec, specCpmBaseline, cooldownUsage),
     ...generateGeneralTips(summary, bossBreakdown, playerLevel, specCpmBaseline, className, spec),
   ];
 
@@ -883,13 +2166,18 @@ function generateBossSpecificTips(summary, bossBreakdown, _playerLevel) {
   const eligibleBosses = bossBreakdown.filter((b) => b.fights >= 1);
 
   // boss_uptime_drop — active time drops significantly on a specific boss
+  // (boss_uptime_drop_phase when one encounter phase is clearly the problem)
   for (const boss of eligibleBosses) {
     if (summary.avgActiveTime > 0 && boss.avgActiveTime > 0) {
       const drop = summary.avgActiveTime - boss.avgActiveTime;
       if (drop >= 8) {
+        const worstPhase = [...(boss.phases || [])].sort(
+          (a, b) => a.avgActiveTime - b.avgActiveTime,
+        )[0];
+        const phaseIsProblem = worstPhase && boss.avgActiveTime - worstPhase.avgActiveTime >= 5;
         tips.push({
           category: 'performance',
-          key: 'boss_uptime_drop',
+          key: phaseIsProblem ? 'boss_uptime_drop_phase' : 'boss_uptime_drop',
           severity: drop >= 15 ? 'critical' : 'warning',
           priority: 10 - Math.min(8, Math.round(drop / 2)),
           data: {
@@ -898,6 +2186,10 @@ function generateBossSpecificTips(summary, bossBreakdown, _playerLevel) {
             pct: Math.round(boss.avgActiveTime),
             avg: Math.round(summary.avgActiveTime),
             drop: Math.round(drop),
+            ...(phaseIsProblem && {
+              phase: worstPhase.name,
+              phasePct: Math.round(worstPhase.avgActiveTime),
+            }),
           },
         });
       }
@@ -928,8 +2220,10 @@ function generateBossSpecificTips(summary, bossBreakdown, _playerLevel) {
   }
 
   // boss_excess_damage — taking much more damage than average on a boss
+  // (skipped when avoidable damage is on par with the raid: the excess is unavoidable)
   for (const boss of eligibleBosses) {
-    if (summary.avgDtps > 0 && boss.avgDtps > 0) {
+    const avoidableOnPar = boss.avoidableVsMedian != null && boss.avoidableVsMedian <= 110;
+    if (summary.avgDtps > 0 && boss.avgDtps > 0 && !avoidableOnPar) {
       const ratio = boss.avgDtps / summary.avgDtps;
       if (ratio > 1.3) {
         const excessPct = Math.round((ratio - 1) * 100);
@@ -950,6 +2244,25 @@ function generateBossSpecificTips(summary, bossBreakdown, _playerLevel) {
     }
   }
 
+  // boss_avoidable_damage — far more avoidable damage than the raid median on a boss
+  for (const boss of eligibleBosses) {
+    const topAbility = boss.avoidableAbilities?.[0];
+    if (boss.avoidableVsMedian == null || boss.avoidableVsMedian <= 150 || !topAbility) continue;
+    tips.push({
+      category: 'survivability',
+      key: 'boss_avoidable_damage',
+      severity: boss.avoidableVsMedian > 250 ? 'critical' : 'warning',
+      priority: 9 - Math.min(6, Math.round((boss.avoidableVsMedian - 100) / 50)),
+      data: {
+        boss: boss.bossName,
+        difficulty: boss.difficulty,
+        ability: topAbility.ability,
+        abilityDamage: topAbility.damagePerFight,
+        pct: Math.round(boss.avoidableVsMedian),
+      },
+    });
+  }
+
   // boss_death_spike — death rate on a boss is way above average
   for (const boss of eligibleBosses) {
     const threshold = Math.max(summary.deathRate * 2, 0.2);
@@ -973,6 +2286,31 @@ function generateBossSpecificTips(summary, bossBreakdown, _playerLevel) {
     }
   }
 
+  // boss_death_cause — one ability accounts for most of your deaths on a boss
+  for (const boss of eligibleBosses) {
+    const topCause = boss.deathCauses?.[0];
+    const totalDeaths = Math.max(boss.deaths || 0, topCause?.deaths || 0);
+    if (!topCause || topCause.deaths < 2 || topCause.deaths / totalDeaths < 0.4) continue;
+    tips.push({
+      category: 'survivability',
+      key: 'boss_death_cause',
+      severity:
+        topCause.withoutDefensive === topCause.deaths && topCause.deaths >= 3
+          ? 'critical'
+          : 'warning',
+      priority: 7 - Math.min(4, topCause.deaths),
+      data: {
+        boss: boss.bossName,
+        difficulty: boss.difficulty,
+        ability: topCause.abilityName || `#${topCause.abilityId ?? '?'}`,
+        abilityId: topCause.abilityId,
+        deaths: topCause.deaths,
+        totalDeaths,
+        undefended: topCause.withoutDefensive,
+      },
+    });
+  }
+
   // boss_potion_neglect — low potion usage specifically on the worst-performing boss
   const bossesWithEnoughFights = bossBreakdown.filter((b) => b.fights >= 1 && b.dpsVsMedian > 0);
   if (bossesWithEnoughFights.length >= 2) {
@@ -1045,20 +2383,38 @@ function generateCrossPatternTips(summary, bossBreakdown) {
     );
     if (overlap.length > 0) {
       const worst = overlap.reduce((w, b) => (b.deathRate > w.deathRate ? b : w));
-      tips.push({
-        category: 'survivability',
-        key: 'deaths_from_damage',
-        severity: 'warning',
-        priority: 15,
-        data: {
-          boss: worst.bossName,
-          difficulty: worst.difficulty,
-          deathRate: worst.deathRate.toFixed(2),
-          dtps: Math.round(worst.avgDtps),
-          avgDtps: Math.round(summary.avgDtps),
-          count: overlap.length,
-        },
-      });
+      const topAbility = worst.avoidableAbilities?.[0];
+      // Name the mechanic when the damage is avoidable rather than tank-busters or raid-wide
+      if (topAbility && worst.avoidableVsMedian > 120) {
+        tips.push({
+          category: 'survivability',
+          key: 'deaths_from_avoidable',
+          severity: 'warning',
+          priority: 14,
+          data: {
+            boss: worst.bossName,
+            difficulty: worst.difficulty,
+            deathRate: worst.deathRate.toFixed(2),
+            pct: Math.round(worst.avoidableVsMedian),
+            ability: topAbility.ability,
+          },
+        });
+      } else {
+        tips.push({
+          category: 'survivability',
+          key: 'deaths_from_damage',
+          severity: 'warning',
+          priority: 15,
+          data: {
+            boss: worst.bossName,
+            difficulty: worst.difficulty,
+            deathRate: worst.deathRate.toFixed(2),
+            dtps: Math.round(worst.avgDtps),
+            avgDtps: Math.round(summary.avgDtps),
+            count: overlap.length,
+          },
+        });
+      }
     }
   }
 
@@ -1133,8 +2489,56 @@ function generateCrossPatternTips(summary, bossBreakdown) {
 // ── Tier 2.5: Role-Specific Tips ──────────────────────────────
 // Tank and Healer specific checks using existing metrics with role-appropriate thresholds.
 
-function generateRoleSpecificTips(summary, bossBreakdown, role, spec, specCpmBaseline) {
+function generateRoleSpecificTips(
+  summary,
+  bossBreakdown,
+  role,
+  spec,
+  specCpmBaseline,
+  cooldownUsage = [],
+) {
   const tips = [];
+
+  // cooldown_underused — least-pressed offensive cooldown, quoted from its worst fight
+  const offensive = cooldownUsage.find(
+    (cd) => cd.type === 'offensive' && cd.fights >= 2 && cd.usagePct < 75,
+  );
+  if (offensive && offensive.worstFight.possible - offensive.worstFight.casts >= 2) {
+    tips.push({
+      category: 'performance',
+      key: 'cooldown_underused',
+      severity: offensive.usagePct < 50 ? 'warning' : 'info',
+      priority: 18 - Math.min(6, Math.round((75 - offensive.usagePct) / 10)),
+      data: {
+        ability: offensive.name,
+        casts: offensive.worstFight.casts,
+        possible: offensive.worstFight.possible,
+        minutes: Math.max(1, Math.round(offensive.worstFight.durationMs / 60000)),
+        boss: offensive.worstFight.boss,
+        pct: offensive.usagePct,
+        spec: spec || '',
+      },
+    });
+  }
+
+  // defensive_cd_unused — dying while a personal defensive sits on cooldown
+  const defensive = cooldownUsage
+    .filter((cd) => cd.type === 'defensive' && cd.fights >= 2)
+    .sort((a, b) => a.fightsUsedPct - b.fightsUsedPct)[0];
+  if (defensive && defensive.fightsUsedPct < 50 && summary.deathRate > 0.15) {
+    tips.push({
+      category: 'survivability',
+      key: 'defensive_cd_unused',
+      severity: summary.deathRate > 0.3 ? 'critical' : 'warning',
+      priority: 15,
+      data: {
+        ability: defensive.name,
+        pct: defensive.fightsUsedPct,
+        rate: summary.deathRate.toFixed(2),
+      },
+    });
+  }
+
   if (!role || role === 'DPS') return tips;
 
   if (role === 'Tank') {
@@ -1149,9 +2553,66 @@ function generateRoleSpecificTips(summary, bossBreakdown, role, spec, specCpmBas
       });
     }
 
-    // tank_low_cpm_mitigation — low CPM means gaps in active mitigation
+    // tank_low_am_uptime — measured active-mitigation uptime under the spec's target
+    const activeMitigation = getActiveMitigation(spec);
+    const hasAmUptime = summary.avgAmUptimePct != null && activeMitigation;
+    if (hasAmUptime && summary.avgAmUptimePct < activeMitigation.uptimeTargetPct) {
+      const target = activeMitigation.uptimeTargetPct;
+      tips.push({
+        category: 'performance',
+        key: 'tank_low_am_uptime',
+        severity: summary.avgAmUptimePct < target * 0.75 ? 'warning' : 'info',
+        priority: 15,
+        data: { ability: activeMitigation.name, pct: Math.round(summary.avgAmUptimePct), target },
+      });
+    }
+
+    // tank_unmitigated_damage — a big share of the damage lands with active mitigation down
+    const [unmitigatedInfo, unmitigatedWarning] = TANK_THRESHOLDS.unmitigatedDamagePct;
+    if (hasAmUptime && summary.avgUnmitigatedDamagePct >= unmitigatedInfo) {
+      tips.push({
+        category: 'survivability',
+        key: 'tank_unmitigated_damage',
+        severity: summary.avgUnmitigatedDamagePct >= unmitigatedWarning ? 'warning' : 'info',
+        priority: 16,
+        data: { ability: activeMitigation.name, pct: Math.round(summary.avgUnmitigatedDamagePct) },
+      });
+    }
+
+    // tank_low_health_time — long stretches near death, even on pulls that were survived
+    const [lowHealthInfo, lowHealthWarning] = TANK_THRESHOLDS.lowHealthTimePct;
+    if (summary.avgLowHealthPct >= lowHealthInfo && summary.tankFights >= 2) {
+      tips.push({
+        category: 'survivability',
+        key: 'tank_low_health_time',
+        severity: summary.avgLowHealthPct >= lowHealthWarning ? 'warning' : 'info',
+        priority: 16,
+        data: {
+          pct: Math.round(summary.avgLowHealthPct),
+          health: TANK_THRESHOLDS.lowHealthPct,
+        },
+      });
+    }
+
+    // tank_low_self_healing — leaning on the healers for nearly all healing received
+    if (
+      summary.avgSelfHealingPct != null &&
+      summary.avgSelfHealingPct < TANK_THRESHOLDS.selfHealingPct &&
+      summary.tankFights >= 2
+    ) {
+      tips.push({
+        category: 'survivability',
+        key: 'tank_low_self_healing',
+        severity: 'info',
+        priority: 19,
+        data: { pct: Math.round(summary.avgSelfHealingPct), spec: spec || 'Tank' },
+      });
+    }
+
+    // tank_low_cpm_mitigation — low CPM as a proxy for gaps in active mitigation,
+    // only when the real uptime was not measured
     const tankCpmBaseline = specCpmBaseline || 28;
-    if (summary.avgCpm > 0 && summary.avgCpm < tankCpmBaseline * 0.75) {
+    if (!hasAmUptime && summary.avgCpm > 0 && summary.avgCpm < tankCpmBaseline * 0.75) {
       const pct = Math.round((summary.avgCpm / tankCpmBaseline) * 100);
       tips.push({
         category: 'performance',
@@ -1225,6 +2686,49 @@ function generateRoleSpecificTips(summary, bossBreakdown, role, spec, specCpmBas
         data: { rate: summary.deathRate.toFixed(2) },
       });
     }
+
+    // healer_high_overheal — a big slice of the healing landed on full-health targets
+    const [overhealInfo, overhealWarning] = HEALER_THRESHOLDS.overhealPct;
+    if (summary.avgOverhealPct >= overhealInfo && summary.totalFights >= 2) {
+      tips.push({
+        category: 'performance',
+        key: 'healer_high_overheal',
+        severity: summary.avgOverhealPct >= overhealWarning ? 'warning' : 'info',
+        priority: 17,
+        data: { pct: Math.round(summary.avgOverhealPct) },
+      });
+    }
+
+    // healer_mana_unused — ending kills with mana to spare means healing left on the table
+    const [manaInfo, manaWarning] = HEALER_THRESHOLDS.manaLeftOnKillPct;
+    if (summary.manaLeftOnKillsPct >= manaInfo && summary.manaKills >= 1) {
+      tips.push({
+        category: 'performance',
+        key: 'healer_mana_unused',
+        severity: summary.manaLeftOnKillsPct >= manaWarning ? 'warning' : 'info',
+        priority: 18,
+        data: { pct: Math.round(summary.manaLeftOnKillsPct), kills: summary.manaKills },
+      });
+    }
+
+    // healer_low_share — the other healers carry more than their even share
+    if (
+      summary.healingShareVsEvenPct != null &&
+      summary.healingShareVsEvenPct < HEALER_THRESHOLDS.healingShareVsEvenPct &&
+      summary.healerFights >= 2 &&
+      summary.avgHealers > 1
+    ) {
+      tips.push({
+        category: 'performance',
+        key: 'healer_low_share',
+        severity: summary.healingShareVsEvenPct < 60 ? 'warning' : 'info',
+        priority: 16,
+        data: {
+          pct: Math.round(summary.healingShareVsEvenPct),
+          healers: Math.round(summary.avgHealers),
+        },
+      });
+    }
   }
 
   return tips;
@@ -380,6 +380,15 @@ const ENCHANTABLE_SLOTS = new Set([
 /** Cosmetic slots excluded from ilvl calculations */
 const COSMETIC_SLOTS = new Set(['shirt', 'tabard']);
 
+/** Embellishments a character may equip when no item states its own limit */
+const DEFAULT_EMBELLISHMENT_CAP = 2;
+
+/** Tier set bonus thresholds */
+const SET_BONUS_PIECES = [2, 4];
+
+/** e.g. "Unique-Equipped: Embellished (2)" */
+const EMBELLISHED_LIMIT_PATTERN = /Embellished \((\d+)\)/i;
+
 /**
  * Fetch character equipment from Blizzard API.
  * Uses app-level token (no user auth needed).
@@ -411,7 +420,7 @@ export async function getCharacterEquipment(name, realmSlug, region) {
 
 /**
  * Transform raw Blizzard equipment API response into a structured format
- * with item details, aggregated stats, enchant audit, and gem audit.
+ * with item details, aggregated stats, enchant, gem, tier set and embellishment audits.
  */
 export function transformEquipment(rawEquipment) {
   const equippedItems = rawEquipment?.equipped_items || [];
@@ -448,6 +457,13 @@ export function transformEquipment(rawEquipment) {
       }
     }
 
+    // Parse embellishment — crafted items carry an "Embellished (N)" equip limit and
+    // name the embellishment effect as their first spell
+    const embellishedLimit = item.limit_category?.match(EMBELLISHED_LIMIT_PATTERN);
+    const embellishment = embellishedLimit
+      ? item.spells?.[0]?.spell?.name || item.name || 'Unknown'
+      : null;
+
     return {
       slot,
       name: item.name || 'Unknown',
@@ -456,6 +472,9 @@ export function transformEquipment(rawEquipment) {
       enchant,
       gems,
       emptySockets,
+      setName: item.set?.item_set?.name || null,
+      embellishment,
+      embellishmentCap: embellishedLimit ? parseInt(embellishedLimit[1], 10) : null,
     };
   });
 
@@ -521,6 +540,21 @@ export function transformEquipment(rawEquipment) {
     }
   }
 
+  // --- Set audit (the set with the most equipped pieces is the tier set) ---
+  const setPieces = {};
+  for (const item of items) {
+    if (item.setName) setPieces[item.setName] = (setPieces[item.setName] || 0) + 1;
+  }
+  const [setName = null, pieces = 0] =
+    Object.entries(setPieces).sort((a, b) => b[1] - a[1])[0] || [];
+
+  // --- Embellishment audit ---
+  const embellished = items.filter((i) => i.embellishment);
+  const embellishmentCap = Math.max(
+    DEFAULT_EMBELLISHMENT_CAP,
+    ...embellished.map((i) => i.embellishmentCap),
+  );
+
   return {
     items,
     aggregated: {
@@ -540,9 +574,70 @@ export function transformEquipment(rawEquipment) {
       empty: emptySockTotal,
       emptySlots,
     },
+    setAudit: {
+      setName,
+      pieces,
+      activeBonuses: SET_BONUS_PIECES.filter((n) => pieces >= n),
+    },
+    embellishmentAudit: {
+      count: embellished.length,
+      cap: embellishmentCap,
+      embellishments: embellished.map((i) => i.embellishment),
+    },
   };
 }
 
+// --- Item API ---
+
+const itemStatsCache = new Map();
+const ITEM_STATS_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours (static data)
+
+/**
+ * Fetch an item's secondary stats from the Blizzard item API, as
+ * { crit, haste, mastery, versatility } (all 0 for items without secondaries). The API
+ * previews the item at its base item level, so the ratings are smaller than on an
+ * upgraded copy but split the same way.
+ * Returns null on 404.
+ */
+export async function getItemSecondaryStats(itemId, region) {
+  const cacheKey = `item:${region}:${itemId}`;
+  const cached = itemStatsCache.get(cacheKey);
+  if (cached && Date.now() - cached.timestamp < ITEM_STATS_CACHE_TTL) {
+    return cached.data;
+  }
+
+  const token = await getAccessToken();
+
+  try {
+    const response = await axios.get(`${getApiUrl(region)}/data/wow/item/${itemId}`, {
+      params: { namespace: `static-${region}`, locale: 'en_US' },
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+    const stats = { crit: 0, haste: 0, mastery: 0, versatility: 0 };
+    for (const stat of response.data.preview_item?.stats || []) {
+      const key = STAT_TYPE_MAP[stat.type?.type];
+      if (key && !stat.is_negated) stats[key] = stat.value;
+    }
+
+    itemStatsCache.set(cacheKey, { data: stats, timestamp: Date.now() });
+
+    // Evict old entries
+    if (itemStatsCache.size > 2000) {
+      const oldest = [...itemStatsCache.entries()].sort((a, b) => a[1].timestamp - b[1].timestamp);
+      for (let i = 0; i < 400; i++) itemStatsCache.delete(oldest[i][0]);
+    }
+
+    return stats;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      itemStatsCache.set(cacheKey, { data: null, timestamp: Date.now() });
+      return null;
+    }
+    throw error;
+  }
+}
+
 // --- Character Talents API ---
 
 const talentCache = new Map();
@@ -1,15 +1,20 @@
 /**
  * Build / Gear Analysis Service
  *
- * Analyzes a player's equipment (items, enchants, gems, stats) against their
- * spec's stat priority and optional community meta data (Phase 4).
+ * Analyzes a player's equipment (items, enchants, gems, stats, tier set, embellishments)
+ * against their spec's stat priority and optional community meta data (Phase 4).
  * Produces coaching tips following the same { category, key, severity, priority, data }
  * pattern used by the performance analysis engine.
  *
  * Pure function — no DB access, no async.
  */
 
-import { getSpecData, SECONDARY_STATS } from '@stillnoob/shared';
+import {
+  getSpecData,
+  getStatBreakpoints,
+  ratingToPercent,
+  SECONDARY_STATS,
+} from '@stillnoob/shared';
 
 /** Cosmetic slots excluded from ilvl tips */
 const COSMETIC_SLOTS = new Set(['shirt', 'tabard']);
@@ -17,6 +22,21 @@ const COSMETIC_SLOTS = new Set(['shirt', 'tabard']);
 /** Defensive/tertiary enchant patterns — suboptimal for DPS roles */
 const TERTIARY_ENCHANT_PATTERNS = /avoidance|speed|leech|stamina|armor kit/i;
 
+/** Share of a stat's rating lost to diminishing returns (%) worth a tip */
+const DR_LOSS_TIP_PCT = 3;
+
+/** Tier pieces needed for the full set bonus */
+const FULL_SET_PIECES = 4;
+
+/** Minimum share of top players (%) for a trinket or embellishment to count as meta */
+const META_POPULAR_PCT = 20;
+
+/** Trinket pairs worn by a smaller share of top players (%) count as rare */
+const RARE_TRINKET_PAIR_PCT = 5;
+
+/** Popular trinket pairs offered as alternatives to a rare pair */
+const TRINKET_PAIR_ALTERNATIVES = 3;
+
 // ── Helpers ────────────────────────────────────────────────────
 
 /**
@@ -69,6 +89,83 @@ function buildStatDetails(statDistribution, specPriority) {
     .sort((a, b) => a.rank - b.rank);
 }
 
+/**
+ * Rating, effective percent after diminishing returns (mastery % for the spec), rating
+ * lost to DR and the next breakpoint of each secondary stat — a DR bracket or one of
+ * the spec's stat caps.
+ *
+ * @param {Record<string, number>} totalStats  e.g. { crit: 12000, haste: 21000, ... }
+ * @param {object|null} specData  getSpecData() entry
+ * @returns {Record<string, { rating: number, rawPct: number, effectivePct: number,
+ *   ratingLost: number, nextBreakpoint: { rating: number, pct: number,
+ *   type: 'diminishingReturns'|'cap', penalty?: number, reason?: string,
+ *   ratingUntil: number }|null }>}
+ */
+function buildStatRatings(totalStats, specData) {
+  const ratings = {};
+  for (const stat of SECONDARY_STATS) {
+    const rating = totalStats?.[stat] || 0;
+    const next = getStatBreakpoints(stat, specData).find((b) => b.rating > rating);
+    ratings[stat] = {
+      rating,
+      ...ratingToPercent(stat, rating, specData?.masteryCoefficient),
+      nextBreakpoint: next ? { ...next, ratingUntil: next.rating - rating } : null,
+    };
+  }
+  return ratings;
+}
+
+/**
+ * Find the first equipped name that top players rarely use, paired with the most
+ * popular meta pick the player doesn't have.
+ *
+ * @param {string[]} playerNames  e.g. equipped trinket names
+ * @param {Record<string, { pct: number }>} common  specMeta.commonItems.trinket / commonEmbellishments
+ * @returns {{ player: string, meta: string, metaPct: number }|null}
+ */
+function findMetaMismatch(playerNames, common) {
+  const popular = Object.entries(common)
+    .filter(([, entry]) => entry.pct >= META_POPULAR_PCT)
+    .sort((a, b) => b[1].pct - a[1].pct);
+  const offMeta = playerNames.find((name) => !popular.some(([metaName]) => metaName === name));
+  const alternative = popular.find(([metaName]) => !playerNames.includes(metaName));
+  if (!offMeta || !alternative) return null;
+  return { player: offMeta, meta: alternative[0], metaPct: alternative[1].pct };
+}
+
+/**
+ * Compare the equipped trinket pair against the pairs top players wear.
+ * Pairs outside the meta's stored top list are rarer than any pair in it.
+ *
+ * @param {object[]} items  equipment.items
+ * @param {object} specMeta  needs commonTrinketPairs; commonItems.trinket adds per-trinket pct
+ * @returns {{ equipped: Array<{ name: string, pct: number|null }>, pairPct: number|null,
+ *   rare: boolean, alternatives: Array<{ trinkets: string[], pct: number }> }|null}
+ *   null without two trinkets or meta pair data
+ */
+function analyzeTrinketPair(items, specMeta) {
+  const pairs = specMeta?.commonTrinketPairs;
+  const names = items
+    .filter((i) => i.slot === 'trinket1' || i.slot === 'trinket2')
+    .map((i) => i.name)
+    .sort();
+  if (names.length !== 2 || !pairs?.length) return null;
+
+  const isEquipped = (pair) => pair.trinkets[0] === names[0] && pair.trinkets[1] === names[1];
+  const pairPct = pairs.find(isEquipped)?.pct ?? null;
+  const trinketMeta = specMeta.commonItems?.trinket || {};
+
+  return {
+    equipped: names.map((name) => ({ name, pct: trinketMeta[name]?.pct ?? null })),
+    pairPct,
+    rare: pairPct == null || pairPct < RARE_TRINKET_PAIR_PCT,
+    alternatives: pairs
+      .filter((pair) => !isEquipped(pair))
+      .slice(0, TRINKET_PAIR_ALTERNATIVES)
+      .map((pair) => ({ trinkets: pair.trinkets, pct: pair.pct })),
+  };
+}
+
 // ── Main Export ────────────────────────────────────────────────
 
 /**
@@ -78,23 +175,25 @@ function buildStatDetails(statDistribution, specPriority) {
  * @param {string} className     e.g. 'Warrior'
  * @param {string} spec          e.g. 'Arms'
  * @param {object|null} specMeta Optional community meta (Phase 4)
- * @returns {{ statAnalysis, enchantAudit, gemAudit, gearTips }}
+ * @returns {{ statAnalysis, enchantAudit, gemAudit, setAudit, embellishmentAudit,
+ *   trinketAnalysis, gearTips }}
  */
 export function analyzeCharacterBuild(equipment, className, spec, specMeta = null) {
   const specData = getSpecData(className, spec);
   const { statDistribution } = equipment.aggregated;
   const specPriority = specData?.statPriority || SECONDARY_STATS;
-  const softCaps = specData?.softCaps || {};
 
   // ── Stat analysis ───────────────────────────────────────────
   const alignment = calculateAlignment(statDistribution, specPriority);
   const details = buildStatDetails(statDistribution, specPriority);
+  const ratings = buildStatRatings(equipment.aggregated.totalStats, specData);
 
   const statAnalysis = {
     distribution: statDistribution,
     specPriority,
     alignment,
     details,
+    ratings,
   };
 
   // ── Tip generation ──────────────────────────────────────────
@@ -128,6 +227,41 @@ export function analyzeCharacterBuild(equipment, className, spec, specMeta = nul
     }
   }
 
+  // 1c. gear_tier_set_incomplete
+  //     Trigger: fewer than 4 tier pieces equipped (4pc bonus inactive)
+  const setAudit = equipment.setAudit;
+  if (setAudit && setAudit.pieces < FULL_SET_PIECES) {
+    const nextBonus = setAudit.pieces < 2 ? 2 : FULL_SET_PIECES;
+    gearTips.push({
+      category: 'gear',
+      key: 'gear_tier_set_incomplete',
+      severity: 'warning',
+      priority: setAudit.pieces < 2 ? 4 : 9,
+      data: {
+        pieces: setAudit.pieces,
+        nextBonus,
+        missing: nextBonus - setAudit.pieces,
+        setName: setAudit.setName,
+      },
+    });
+  }
+
+  // 1d. gear_missing_embellishments
+  const embellishmentAudit = equipment.embellishmentAudit;
+  if (embellishmentAudit && embellishmentAudit.count < embellishmentAudit.cap) {
+    gearTips.push({
+      category: 'gear',
+      key: 'gear_missing_embellishments',
+      severity: 'warning',
+      priority: 7,
+      data: {
+        count: embellishmentAudit.count,
+        cap: embellishmentAudit.cap,
+        missing: embellishmentAudit.cap - embellishmentAudit.count,
+      },
+    });
+  }
+
   // 2. gear_missing_gems
   const { empty, emptySlots } = equipment.gemAudit;
   if (empty > 0) {
@@ -247,30 +381,112 @@ export function analyzeCharacterBuild(equipment, className, spec, specMeta = nul
     }
   }
 
-  // 7. gear_stat_overcap
-  //    Trigger: player has more of a stat than its soft cap
-  const { totalStats } = equipment.aggregated;
-  for (const stat of SECONDARY_STATS) {
-    const cap = softCaps[stat];
-    if (cap != null && (totalStats[stat] || 0) > cap) {
+  // 6b. gear_rare_trinket_pair (only when specMeta has trinket pairs)
+  //     Trigger: few top players run the equipped trinket combination
+  const trinketAnalysis = analyzeTrinketPair(equipment.items, specMeta);
+  if (trinketAnalysis?.rare && trinketAnalysis.alternatives.length > 0) {
+    const [popular] = trinketAnalysis.alternatives;
+    gearTips.push({
+      category: 'gear',
+      key: 'gear_rare_trinket_pair',
+      severity: 'info',
+      priority: 13,
+      data: {
+        trinkets: trinketAnalysis.equipped.map((t) => t.name).join(' + '),
+        // A pair outside the stored top list is at most as common as the last pair in it
+        pairPct: trinketAnalysis.pairPct ?? specMeta.commonTrinketPairs.at(-1).pct,
+        popularPair: popular.trinkets.join(' + '),
+        popularPct: popular.pct,
+        sampleSize: specMeta.sampleSize,
+      },
+    });
+  } else if (specMeta?.commonItems?.trinket) {
+    // 6c. gear_trinket_vs_meta — a single off-meta trinket in an otherwise common setup
+    const trinkets = equipment.items.filter((i) => i.slot === 'trinket1' || i.slot === 'trinket2');
+    const mismatch = findMetaMismatch(
+      trinkets.map((i) => i.name),
+      specMeta.commonItems.trinket,
+    );
+    if (mismatch) {
       gearTips.push({
         category: 'gear',
-        key: 'gear_stat_overcap',
+        key: 'gear_trinket_vs_meta',
         severity: 'info',
-        priority: 15,
+        priority: 13,
         data: {
-          stat,
-          value: totalStats[stat],
-          cap,
+          playerTrinket: mismatch.player,
+          metaTrinket: mismatch.meta,
+          metaPct: mismatch.metaPct,
         },
       });
-      break; // only report the first overcap
     }
   }
 
+  // 6d. gear_embellishment_vs_meta (only when specMeta is provided)
+  if (specMeta?.commonEmbellishments && embellishmentAudit) {
+    const mismatch = findMetaMismatch(
+      embellishmentAudit.embellishments,
+      specMeta.commonEmbellishments,
+    );
+    if (mismatch) {
+      gearTips.push({
+        category: 'gear',
+        key: 'gear_embellishment_vs_meta',
+        severity: 'info',
+        priority: 14,
+        data: {
+          playerEmbellishment: mismatch.player,
+          metaEmbellishment: mismatch.meta,
+          metaPct: mismatch.metaPct,
+        },
+      });
+    }
+  }
+
+  // 7. gear_stat_diminishing
+  //    Trigger: a stat loses 3%+ of its rating to diminishing returns. Points to the
+  //    spec's highest-priority stat that loses the least to DR as where to move rating.
+  let worstDr = null;
+  for (const stat of SECONDARY_STATS) {
+    const { rating, ratingLost, effectivePct } = ratings[stat];
+    const lostPct = rating > 0 ? (ratingLost / rating) * 100 : 0;
+    if (lostPct >= DR_LOSS_TIP_PCT && (!worstDr || ratingLost > worstDr.ratingLost)) {
+      worstDr = {
+        stat,
+        rating,
+        effectivePct,
+        ratingLost,
+        lostPct: Math.round(lostPct * 10) / 10,
+        breakpoint: getStatBreakpoints(stat).find((b) => b.type === 'diminishingReturns').rating,
+      };
+    }
+  }
+  if (worstDr) {
+    const [alternative] = specPriority
+      .filter((s) => s !== worstDr.stat)
+      .sort((a, b) => ratings[a].ratingLost - ratings[b].ratingLost);
+    gearTips.push({
+      category: 'gear',
+      key: 'gear_stat_diminishing',
+      severity: 'info',
+      priority: 15,
+      data: { ...worstDr, alternative },
+    });
+  }
+
   // 8. gear_well_optimized (positive feedback)
-  //    Only when there are no missing enchants, no missing gems, AND stat alignment is good
-  if (missing.length === 0 && empty === 0 && alignment === 'good') {
+  //    Only when there are no missing enchants, gems, tier pieces or embellishments,
+  //    AND stat alignment is good
+  const setComplete = !setAudit || setAudit.pieces >= FULL_SET_PIECES;
+  const embellishmentsFull =
+    !embellishmentAudit || embellishmentAudit.count >= embellishmentAudit.cap;
+  if (
+    missing.length === 0 &&
+    empty === 0 &&
+    setComplete &&
+    embellishmentsFull &&
+    alignment === 'good'
+  ) {
     gearTips.push({
       category: 'gear',
       key: 'gear_well_optimized',
@@ -284,6 +500,9 @@ export function analyzeCharacterBuild(equipment, className, spec, specMeta = nul
     statAnalysis,
     enchantAudit: equipment.enchantAudit,
     gemAudit: equipment.gemAudit,
+    setAudit: setAudit || null,
+    embellishmentAudit: embellishmentAudit || null,
+    trinketAnalysis,
     gearTips,
   };
 }
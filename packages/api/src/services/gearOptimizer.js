@@ -0,0 +1,315 @@
+/**
+ * Gear Optimizer
+ *
+ * Picks the best set of items to wear from everything a character owns: the equipped
+ * items from the Blizzard profile plus the bag items of an optional SimulationCraft
+ * addon export. Items are scored like the upgrade planner does — item level plus how
+ * well their secondary stats fit the stat weights — using the spec's stat priority
+ * (blended with the meta) or weights the user supplies.
+ *
+ * The SimC export only names bag items and their item level, not their stats. Callers
+ * look up each bag item's stat split (the Blizzard item API) and pass it in; a bag item
+ * whose stats could not be resolved is compared by item level only — scored at the
+ * average stat fit of the equipped gear, flagged, and left out of the resulting stat
+ * distribution.
+ *
+ * Pure functions — no DB access, no async.
+ */
+
+import { getSpecData, getLootSlot, SECONDARY_STATS } from '@stillnoob/shared';
+import { getStatWeights, statFitPct, STAT_FIT_ILVL_WORTH } from './upgradePlanner.js';
+
+/** Cosmetic slots are never optimized */
+const COSMETIC_SLOTS = new Set(['shirt', 'tabard']);
+
+/** Longest SimC export accepted (a full export is a few KB) */
+const MAX_SIMC_LENGTH = 50000;
+
+/** Most bag items an export may list (each one is an item-API lookup) */
+export const MAX_BAG_ITEMS = 60;
+
+/** SimC slot names that differ from transformEquipment() slots */
+const SIMC_SLOT_MAP = { main_hand: 'mainHand', off_hand: 'offHand' };
+
+/** SimC marks the bag section with this header; other `###` sections are not owned gear */
+const SIMC_BAGS_HEADER = /^###\s*Gear from Bags/i;
+
+/** e.g. "# Astral Antenna (684)" */
+const SIMC_ITEM_COMMENT = /^#\s*(.+?)\s*\((\d+)\)\s*$/;
+
+/** e.g. "# trinket1=,id=242395,bonus_id=6652/10356" */
+const SIMC_ITEM_LINE = /^#\s*([a-z_]+\d?)=[^,]*,id=(\d+)/;
+
+// ── Input ──────────────────────────────────────────────────────
+
+/**
+ * Validate a gear-optimize request body.
+ *
+ * @param {object} body - { weights?, simc? }
+ * @returns {{ values: { weights: Record<string, number>|null, simc: string|null } } | { error: string }}
+ */
+export function validateOptimizeInput(body = {}) {
+  let weights = null;
+  if (body.weights != null) {
+    if (typeof body.weights !== 'object' || Array.isArray(body.weights)) {
+      return { error: `weights must be an object of ${SECONDARY_STATS.join(', ')}` };
+    }
+    const unknown = Object.keys(body.weights).find((k) => !SECONDARY_STATS.includes(k));
+    if (unknown) {
+      return { error: `Unknown stat in weights: ${unknown}` };
+    }
+    weights = {};
+    for (const stat of SECONDARY_STATS) {
+      const value = body.weights[stat] ?? 0;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        return { error: 'weights must be non-negative numbers' };
+      }
+      weights[stat] = value;
+    }
+    if (SECONDARY_STATS.every((stat) => weights[stat] === 0)) {
+      return { error: 'weights must give at least one stat a positive weight' };
+    }
+  }
+
+  let simc = null;
+  if (body.simc != null) {
+    if (typeof body.simc !== 'string' || body.simc.length > MAX_SIMC_LENGTH) {
+      return {
+        error: `simc must be a SimulationCraft export of at most ${MAX_SIMC_LENGTH} characters`,
+      };
+    }
+    if (parseSimcBagItems(body.simc).length > MAX_BAG_ITEMS) {
+      return { error: `simc may list at most ${MAX_BAG_ITEMS} bag items` };
+    }
+    simc = body.simc;
+  }
+
+  return { values: { weights, simc } };
+}
+
+/**
+ * Bag items of a SimulationCraft addon export. Only the "Gear from Bags" section is
+ * read: equipped gear comes from the Blizzard profile, and vault choices are not owned.
+ *
+ * @param {string} text - The addon's export
+ * @returns {Array<{ slot: string, name: string, itemLevel: number, itemId: number }>}
+ *   slot is a transformEquipment() slot, e.g. 'finger1', 'mainHand'
+ */
+export function parseSimcBagItems(text) {
+  const items = [];
+  let inBags = false;
+  let pending = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line.startsWith('###')) {
+      inBags = SIMC_BAGS_HEADER.test(line);
+      pending = null;
+      continue;
+    }
+    if (!inBags) continue;
+
+    const itemLine = line.match(SIMC_ITEM_LINE);
+    if (itemLine && pending) {
+      items.push({
+        slot: SIMC_SLOT_MAP[itemLine[1]] || itemLine[1],
+        name: pending.name,
+        itemLevel: pending.itemLevel,
+        itemId: parseInt(itemLine[2], 10),
+      });
+      pending = null;
+      continue;
+    }
+
+    const comment = line.match(SIMC_ITEM_COMMENT);
+    pending = comment ? { name: comment[1], itemLevel: parseInt(comment[2], 10) } : null;
+  }
+
+  return items;
+}
+
+// ── Helpers ────────────────────────────────────────────────────
+
+/** Stat distribution (% of total secondary rating) of a list of items with stats. */
+function statDistribution(items) {
+  const totals = Object.fromEntries(SECONDARY_STATS.map((s) => [s, 0]));
+  for (const item of items) {
+    for (const stat of SECONDARY_STATS) totals[stat] += item.stats?.[stat] || 0;
+  }
+  const total = SECONDARY_STATS.reduce((s, stat) => s + totals[stat], 0);
+  return Object.fromEntries(
+    SECONDARY_STATS.map((stat) => [
+      stat,
+      total > 0 ? Math.round((totals[stat] / total) * 1000) / 10 : 0,
+    ]),
+  );
+}
+
+/**
+ * Best candidates for a group of slots sharing a loot slot (e.g. both rings). Trinkets
+ * are unique-equipped, so two copies of one trinket never fill both slots.
+ */
+function pickBest(candidates, count, lootSlot) {
+  const picked = [];
+  for (const candidate of [...candidates].sort((a, b) => b.score - a.score)) {
+    if (picked.length === count) break;
+    if (lootSlot === 'trinket' && picked.some((p) => p.name === candidate.name)) continue;
+    picked.push(candidate);
+  }
+  return picked;
+}
+
+/**
+ * A bag item's stats at the secondary rating total of the item it replaces: the item
+ * API gives the split of a bag item's stats, not its ratings at its own item level.
+ */
+function scaleToReplaced(stats, replacedStats) {
+  const total = (s) => SECONDARY_STATS.reduce((sum, stat) => sum + (s?.[stat] || 0), 0);
+  const factor = total(stats) > 0 ? total(replacedStats) / total(stats) : 0;
+  return Object.fromEntries(SECONDARY_STATS.map((stat) => [stat, (stats[stat] || 0) * factor]));
+}
+
+// ── Main Export ────────────────────────────────────────────────
+
+/**
+ * Suggest the best items to equip from the equipped items and the bag items.
+ *
+ * Tier pieces stay in place while they hold an active set bonus, since the SimC export
+ * does not say which bag items belong to the set. Weapons stay in place while a
+ * two-hander is equipped (no off-hand): the export does not say whether a bag weapon
+ * is one-handed, and a one-hander would leave the off-hand empty. Likewise a bag
+ * off-hand is only suggested when an off-hand is equipped.
+ *
+ * @param {object} equipment      Output of transformEquipment()
+ * @param {string} className      e.g. 'Mage'
+ * @param {string} spec           e.g. 'Fire'
+ * @param {object} [options]
+ * @param {Array}  [options.bagItems]  Output of parseSimcBagItems(), each with its
+ *   `stats` split when known (null or missing: compared by item level only)
+ * @param {Record<string, number>|null} [options.weights]  User stat weights; the spec's
+ *   stat priority (blended with the meta) when omitted
+ * @param {object|null} [options.specMeta]  Optional community meta (avgStats)
+ * @returns {{ weights: Record<string, number>, weightsSource: 'user'|'spec',
+ *   bagItemCount: number, bagItemsComparedByItemLevel: number, changes: number,
+ *   slots: Array<{ slot: string,
+ *   current: object, suggested: object, change: boolean, scoreGain: number,
+ *   locked: boolean }>, statDistribution: { current: object, optimized: object,
+ *   meta: object|null } }}
+ */
+export function optimizeGear(
+  equipment,
+  className,
+  spec,
+  { bagItems = [], weights = null, specMeta = null } = {},
+) {
+  const specData = getSpecData(className, spec);
+  const statWeights =
+    weights || getStatWeights(specData?.statPriority || SECONDARY_STATS, specMeta?.avgStats);
+
+  const equipped = equipment.items.filter((item) => !COSMETIC_SLOTS.has(item.slot));
+
+  // Items without secondary stats, and bag items of unknown stats, score at the
+  // equipped gear's average fit
+  const fits = equipped.map((item) => statFitPct(item.stats, statWeights)).filter((f) => f != null);
+  const averageFit = fits.length > 0 ? fits.reduce((s, f) => s + f, 0) / fits.length : 50;
+
+  const score = (itemLevel, fit) =>
+    Math.round((itemLevel + (fit / 100) * STAT_FIT_ILVL_WORTH) * 10) / 10;
+
+  const { setAudit } = equipment;
+  const lockSet = setAudit?.activeBonuses?.length > 0 ? setAudit.setName : null;
+
+  // Group equipped and bag items by loot slot
+  const groups = new Map();
+  for (const item of equipped) {
+    const lootSlot = getLootSlot(item.slot);
+    if (!groups.has(lootSlot)) groups.set(lootSlot, { slots: [], candidates: [] });
+    const candidate = {
+      name: item.name,
+      itemLevel: item.itemLevel,
+      source: 'equipped',
+      equippedSlot: item.slot,
+      stats: item.stats,
+      comparedBy: 'stats',
+      locked: lockSet != null && item.setName === lockSet,
+      score: score(item.itemLevel, statFitPct(item.stats, statWeights) ?? averageFit),
+    };
+    groups.get(lootSlot).slots.push(item.slot);
+    groups.get(lootSlot).candidates.push(candidate);
+  }
+  const twoHanded = !equipped.some((item) => item.slot === 'offHand');
+  let bagItemsComparedByItemLevel = 0;
+  for (const item of bagItems) {
+    const lootSlot = getLootSlot(item.slot);
+    const group = groups.get(lootSlot);
+    if (!group || (twoHanded && lootSlot === 'mainHand')) continue;
+    if (!item.stats) bagItemsComparedByItemLevel++;
+    group.candidates.push({
+      name: item.name,
+      itemLevel: item.itemLevel,
+      itemId: item.itemId,
+      source: 'bags',
+      stats: item.stats ?? null,
+      comparedBy: item.stats ? 'stats' : 'itemLevel',
+      locked: false,
+      score: score(item.itemLevel, statFitPct(item.stats, statWeights) ?? averageFit),
+    });
+  }
+
+  const slots = [];
+  const chosenItems = [];
+  for (const [lootSlot, group] of groups) {
+    const locked = group.candidates.filter((c) => c.locked);
+    const open = group.slots.filter((slot) => !locked.some((c) => c.equippedSlot === slot));
+    const picked = pickBest(
+      group.candidates.filter((c) => !c.locked),
+      open.length,
+      lootSlot,
+    );
+
+    // Items already worn stay in their slot; the rest fill the remaining slots
+    const assignment = new Map(locked.map((c) => [c.equippedSlot, c]));
+    for (const c of picked) if (c.equippedSlot) assignment.set(c.equippedSlot, c);
+    const free = open.filter((slot) => !assignment.has(slot));
+    for (const c of picked.filter((p) => !p.equippedSlot)) assignment.set(free.shift(), c);
+
+    for (const slot of group.slots) {
+      const current = group.candidates.find((c) => c.equippedSlot === slot);
+      const suggested = assignment.get(slot);
+      chosenItems.push(
+        suggested.source === 'bags' && suggested.stats
+          ? { stats: scaleToReplaced(suggested.stats, current.stats) }
+          : suggested,
+      );
+      slots.push({
+        slot,
+        current: { name: current.name, itemLevel: current.itemLevel, score: current.score },
+        suggested: {
+          name: suggested.name,
+          itemLevel: suggested.itemLevel,
+          source: suggested.source,
+          comparedBy: suggested.comparedBy,
+          score: suggested.score,
+          ...(suggested.itemId && { itemId: suggested.itemId }),
+        },
+        change: suggested !== current,
+        scoreGain: Math.round((suggested.score - current.score) * 10) / 10,
+        locked: current.locked,
+      });
+    }
+  }
+
+  return {
+    weights: statWeights,
+    weightsSource: weights ? 'user' : 'spec',
+    bagItemCount: bagItems.length,
+    bagItemsComparedByItemLevel,
+    changes: slots.filter((s) => s.change).length,
+    slots: slots.sort((a, b) => b.scoreGain - a.scoreGain),
+    statDistribution: {
+      current: equipment.aggregated.statDistribution,
+      optimized: statDistribution(chosenItems.filter((c) => c.stats)),
+      meta: specMeta?.avgStats || null,
+    },
+  };
+}
@@ -0,0 +1,254 @@
+import { db } from '../db/client.js';
+import { characterGoals, mplusSnapshots } from '../db/schema.js';
+import { and, asc, eq, gte } from 'drizzle-orm';
+import { GOAL_METRICS, DIFFICULTY_COLORS, getSpecData } from '@stillnoob/shared';
+import { getCharacterPerformance } from './analysis.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Goals');
+
+/** Look-back window goals are measured over (the analysis default). */
+export const GOAL_WINDOW_WEEKS = 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+// Projections further out than this are noise, not a date worth showing
+const MAX_PROJECTION_DAYS = 365;
+
+/**
+ * Validate a goal from a request body.
+ *
+ * @param {object} body - { metric, target, difficulty?, deadline? }
+ * @param {object} [opts]
+ * @param {boolean} [opts.partial] - For updates: only the fields present are checked;
+ *   `metric` is the goal's own and is not part of the values
+ * @returns {{ values: object } | { error: string }}
+ */
+export function validateGoalInput(body = {}, { partial = false } = {}) {
+  const values = {};
+
+  if (!Object.hasOwn(GOAL_METRICS, body.metric)) {
+    return { error: `metric must be one of: ${Object.keys(GOAL_METRICS).join(', ')}` };
+  }
+  if (!partial) values.metric = body.metric;
+
+  if (!partial || body.target !== undefined) {
+    const target = Number(body.target);
+    if (body.target === null || body.target === '' || !Number.isFinite(target) || target < 0) {
+      return { error: 'target must be a non-negative number' };
+    }
+    values.target = target;
+  }
+
+  if (body.difficulty != null) {
+    if (!Object.hasOwn(DIFFICULTY_COLORS, body.difficulty)) {
+      return {
+        error: `difficulty must be one of: ${Object.keys(DIFFICULTY_COLORS).join(', ')}`,
+      };
+    }
+    if (body.metric === 'mplusScore') {
+      return { error: 'difficulty does not apply to M+ score goals' };
+    }
+    values.difficulty = body.difficulty;
+  } else if (body.difficulty === null) {
+    values.difficulty = null;
+  }
+
+  if (body.deadline != null) {
+    if (!DATE_ONLY.test(body.deadline) || Number.isNaN(Date.parse(body.deadline))) {
+      return { error: 'deadline must be a YYYY-MM-DD date' };
+    }
+    values.deadline = body.deadline;
+  } else if (body.deadline === null) {
+    values.deadline = null;
+  }
+
+  return { values };
+}
+
+/** Whether a value is on the reached side of a goal's target. */
+function isReached(metric, value, target) {
+  return GOAL_METRICS[metric].direction === 'below' ? value <= target : value >= target;
+}
+
+/**
+ * How far a goal has come from its baseline towards its target.
+ *
+ * @param {{ metric: string, target: number, baseline: number | null }} goal
+ * @param {number | null} current - Current metric value, null when there is no data
+ * @returns {{ progressPct: number | null, reached: boolean }}
+ */
+export function goalProgress(goal, current) {
+  if (current == null) return { progressPct: null, reached: false };
+  if (isReached(goal.metric, current, goal.target)) return { progressPct: 100, reached: true };
+
+  const baseline = goal.baseline ?? current;
+  const span = goal.target - baseline;
+  // A baseline already on the reached side (target changed since) gives no span to measure
+  if (span === 0 || isReached(goal.metric, baseline, goal.target)) {
+    return { progressPct: 0, reached: false };
+  }
+  const pct = ((current - baseline) / span) * 100;
+  return { progressPct: Math.round(Math.min(99, Math.max(0, pct))), reached: false };
+}
+
+/**
+ * Date a metric reaches a target at its current pace: a least-squares line through the
+ * history, extended to the target.
+ *
+ * @param {Array<{ at: number, value: number }>} points - Epoch ms and metric value
+ * @param {number} target
+ * @param {'above'|'below'} direction
+ * @param {number} [now]
+ * @returns {string | null} YYYY-MM-DD, or null without enough history, when the trend
+ *   heads away from the target, or when it is more than a year out
+ */
+export function projectCompletion(points, target, direction, now = Date.now()) {
+  if (points.length < 2) return null;
+
+  const n = points.length;
+  const meanX = points.reduce((s, p) => s + p.at, 0) / n;
+  const meanY = points.reduce((s, p) => s + p.value, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  for (const p of points) {
+    sxy += (p.at - meanX) * (p.value - meanY);
+    sxx += (p.at - meanX) ** 2;
+  }
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  if (direction === 'above' ? slope <= 0 : slope >= 0) return null;
+
+  const reachedAt = Math.max(now, meanX + (target - meanY) / slope);
+  if (reachedAt - now > MAX_PROJECTION_DAYS * DAY_MS) return null;
+  return new Date(reachedAt).toISOString().slice(0, 10);
+}
+
+/**
+ * Current value and history of each goal's metric. Raid metrics come from
+ * getCharacterPerformance() (one lookup per difficulty), M+ score from mplus_snapshots.
+ *
+ * @returns {Promise<Map<string, { current: number | null, points: Array<{ at: number, value: number }> }>>}
+ *   Keyed by goalDataKey()
+ */
+async function loadGoalData(character, goals) {
+  const data = new Map();
+
+  const difficulties = new Set(
+    goals.filter((g) => g.metric !== 'mplusScore').map((g) => g.difficulty || null),
+  );
+  const specInfo =
+    character.className && character.spec ? getSpecData(character.className, character.spec) : null;
+  for (const difficulty of difficulties) {
+    const performance = await getCharacterPerformance(character.id, {
+      weeks: GOAL_WINDOW_WEEKS,
+      ...(difficulty && { difficulty }),
+      className: character.className,
+      spec: character.spec,
+      specCpmBaseline: specInfo?.expectedCpm || null,
+    });
+    const hasFights = performance.summary?.totalFights > 0;
+
+    for (const [metric, def] of Object.entries(GOAL_METRICS)) {
+      if (def.source === 'mplus') continue;
+      data.set(goalDataKey({ metric, difficulty }), {
+        current: hasFights ? performance.summary[def.summary] : null,
+        points: def.trend
+          ? (performance.weeklyTrends || [])
+              .filter((w) => w.fights > 0)
+              .map((w) => ({ at: Date.parse(w.weekStart), value: w[def.trend] }))
+          : [],
+      });
+    }
+  }
+
+  if (goals.some((g) => g.metric === 'mplusScore')) {
+    const cutoff = new Date(Date.now() - GOAL_WINDOW_WEEKS * 7 * DAY_MS).toISOString();
+    const snapshots = await db
+      .select({ score: mplusSnapshots.score, snapshotAt: mplusSnapshots.snapshotAt })
+      .from(mplusSnapshots)
+      .where(
+        and(eq(mplusSnapshots.characterId, character.id), gte(mplusSnapshots.snapshotAt, cutoff)),
+      )
+      .orderBy(asc(mplusSnapshots.snapshotAt))
+      .all();
+    data.set(goalDataKey({ metric: 'mplusScore' }), {
+      current: snapshots.length > 0 ? snapshots[snapshots.length - 1].score : null,
+      // snapshot_at is SQLite's 'YYYY-MM-DD HH:MM:SS' (UTC) or an ISO string
+      points: snapshots.map((s) => ({
+        at: Date.parse(
+          s.snapshotAt.includes('T') ? s.snapshotAt : `${s.snapshotAt.replace(' ', 'T')}Z`,
+        ),
+        value: s.score,
+      })),
+    });
+  }
+
+  return data;
+}
+
+function goalDataKey({ metric, difficulty }) {
+  return GOAL_METRICS[metric]?.source === 'mplus' ? metric : `${metric}:${difficulty || ''}`;
+}
+
+/**
+ * A character's goals with their progress, oldest first. Goals reached for the first
+ * time are marked achieved (and stay achieved).
+ *
+ * @param {{ id: number, className: string, spec: string | null }} character
+ * @returns {Promise<Array<object>>} Each goal row plus { current, progressPct,
+ *   projectedDate, onTrack } — onTrack is null without a deadline or projection
+ */
+export async function getGoalsWithProgress(character) {
+  const goals = await db
+    .select()
+    .from(characterGoals)
+    .where(eq(characterGoals.characterId, character.id))
+    .orderBy(asc(characterGoals.id))
+    .all();
+  if (goals.length === 0) return [];
+
+  const data = await loadGoalData(character, goals);
+
+  return Promise.all(
+    goals.map(async (goal) => {
+      const { current = null, points = [] } = data.get(goalDataKey(goal)) || {};
+      const { progressPct, reached } = goalProgress(goal, current);
+
+      let { status, achievedAt } = goal;
+      if (reached && status !== 'achieved') {
+        status = 'achieved';
+        achievedAt = new Date().toISOString();
+        await db
+          .update(characterGoals)
+          .set({ status, achievedAt })
+          .where(eq(characterGoals.id, goal.id));
+        log.info(`Goal ${goal.id} (${goal.metric}) achieved by character ${character.id}`);
+      }
+
+      const projectedDate =
+        status === 'achieved'
+          ? null
+          : projectCompletion(points, goal.target, GOAL_METRICS[goal.metric].direction);
+      return {
+        ...goal,
+        status,
+        achievedAt,
+        current,
+        progressPct: status === 'achieved' ? 100 : progressPct,
+        projectedDate,
+        onTrack: goal.deadline && projectedDate ? projectedDate <= goal.deadline : null,
+      };
+    }),
+  );
+}
+
+/**
+ * Current value of a goal's metric, to record as its baseline.
+ * @returns {Promise<number | null>}
+ */
+export async function getGoalBaseline(character, goal) {
+  const data = await loadGoalData(character, [goal]);
+  return data.get(goalDataKey(goal))?.current ?? null;
+}
@@ -11,7 +11,7 @@ import { specMetaCache } from '../db/schema.js';
 import { eq, and } from 'drizzle-orm';
 import { getTopPerformersForSpec } from './wcl.js';
 import { getCharacterEquipment, transformEquipment } from './blizzard.js';
-import { SECONDARY_STATS } from '@stillnoob/shared';
+import { SECONDARY_STATS, getLootSlot } from '@stillnoob/shared';
 import { createLogger } from '../utils/logger.js';
 
 const log = createLogger('MetaAggregation');
@@ -92,25 +92,98 @@ export function aggregateEnchants(equipmentResults, sampleSize) {
  * @returns {object} { gemName: { count, pct }, ... } (top 10)
  */
 export function aggregateGems(equipmentResults, sampleSize) {
-  const gemCounts = {}; // gemName → count
+  return aggregateTopNames(equipmentResults, sampleSize, (eq) =>
+    (eq.items || []).flatMap((i) => i.gems || []),
+  );
+}
+
+/**
+ * Count names across equipment results and keep the top 10 with their share of players.
+ * @param {Array} equipmentResults - Array of transformEquipment() outputs
+ * @param {number} sampleSize - Total samples for percentage calculation
+ * @param {(eq: object) => string[]} pickNames - Names one equipment result contributes
+ * @returns {object} { name: { count, pct }, ... } (top 10)
+ */
+function aggregateTopNames(equipmentResults, sampleSize, pickNames) {
+  const counts = {};
   for (const eq of equipmentResults) {
-    for (const item of eq.items || []) {
-      for (const gem of item.gems || []) {
-        gemCounts[gem] = (gemCounts[gem] || 0) + 1;
-      }
+    for (const name of pickNames(eq)) {
+      counts[name] = (counts[name] || 0) + 1;
     }
   }
 
-  const commonGems = {};
-  const sortedGems = Object.entries(gemCounts).sort((a, b) => b[1] - a[1]);
-  for (const [name, count] of sortedGems.slice(0, 10)) {
-    commonGems[name] = {
+  const common = {};
+  const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  for (const [name, count] of sorted.slice(0, 10)) {
+    common[name] = {
       count,
       pct: Math.round((count / sampleSize) * 1000) / 10,
     };
   }
 
-  return commonGems;
+  return common;
+}
+
+/**
+ * Equipped trinket names in a stable order, or null without two trinkets.
+ * @param {Array} items - transformEquipment() items
+ * @returns {string[]|null}
+ */
+function getTrinketPair(items) {
+  const names = items
+    .filter((i) => i.slot === 'trinket1' || i.slot === 'trinket2')
+    .map((i) => i.name)
+    .sort();
+  return names.length === 2 ? names : null;
+}
+
+/**
+ * Aggregate per-slot item popularity across equipment results. Numbered ring and
+ * trinket slots are folded into `finger` / `trinket`; pct is the share of players
+ * wearing the item in either slot.
+ * @param {Array} equipmentResults - Array of transformEquipment() outputs
+ * @param {number} sampleSize - Total samples for percentage calculation
+ * @returns {object} { slot: { itemName: { count, pct }, ... }, ... } (top 10 per slot)
+ */
+export function aggregateItems(equipmentResults, sampleSize) {
+  const slots = new Set(
+    equipmentResults.flatMap((eq) => (eq.items || []).map((i) => getLootSlot(i.slot))),
+  );
+
+  const commonItems = {};
+  for (const slot of slots) {
+    commonItems[slot] = aggregateTopNames(equipmentResults, sampleSize, (eq) => [
+      ...new Set((eq.items || []).filter((i) => getLootSlot(i.slot) === slot).map((i) => i.name)),
+    ]);
+  }
+
+  return commonItems;
+}
+
+/**
+ * Aggregate most common trinket pairs across equipment results.
+ * @param {Array} equipmentResults - Array of transformEquipment() outputs
+ * @param {number} sampleSize - Total samples for percentage calculation
+ * @returns {Array<{ trinkets: string[], count: number, pct: number }>} Top 10, names sorted
+ */
+export function aggregateTrinketPairs(equipmentResults, sampleSize) {
+  const pairs = aggregateTopNames(equipmentResults, sampleSize, (eq) => {
+    const pair = getTrinketPair(eq.items || []);
+    return pair ? [pair.join(' + ')] : [];
+  });
+  return Object.entries(pairs).map(([key, entry]) => ({ trinkets: key.split(' + '), ...entry }));
+}
+
+/**
+ * Aggregate most common embellishments across equipment results.
+ * @param {Array} equipmentResults - Array of transformEquipment() outputs
+ * @param {number} sampleSize - Total samples for percentage calculation
+ * @returns {object} { embellishmentName: { count, pct }, ... } (top 10)
+ */
+export function aggregateEmbellishments(equipmentResults, sampleSize) {
+  return aggregateTopNames(equipmentResults, sampleSize, (eq) =>
+    (eq.items || []).filter((i) => i.embellishment).map((i) => i.embellishment),
+  );
 }
 
 /**
@@ -211,6 +284,9 @@ export async function refreshSpecMeta(className, spec, region = 'world') {
     const { avgStats, avgItemLevel } = aggregateEquipmentStats(equipmentResults);
     const commonEnchants = aggregateEnchants(equipmentResults, sampleSize);
     const commonGems = aggregateGems(equipmentResults, sampleSize);
+    const commonItems = aggregateItems(equipmentResults, sampleSize);
+    const commonTrinketPairs = aggregateTrinketPairs(equipmentResults, sampleSize);
+    const commonEmbellishments = aggregateEmbellishments(equipmentResults, sampleSize);
 
     // Step 4: Upsert into DB
     const data = {
@@ -218,6 +294,9 @@ export async function refreshSpecMeta(className, spec, region = 'world') {
       avgItemLevel,
       commonEnchants: JSON.stringify(commonEnchants),
       commonGems: JSON.stringify(commonGems),
+      commonItems: JSON.stringify(commonItems),
+      commonTrinketPairs: JSON.stringify(commonTrinketPairs),
+      commonEmbellishments: JSON.stringify(commonEmbellishments),
       sampleSize,
     };
 
@@ -227,7 +306,16 @@ export async function refreshSpecMeta(className, spec, region = 'world') {
       `Meta cache updated: ${className} ${spec} (${region}) — ${sampleSize} samples, avgIlvl ${avgItemLevel}`,
     );
 
-    return { avgStats, avgItemLevel, commonEnchants, commonGems, sampleSize };
+    return {
+      avgStats,
+      avgItemLevel,
+      commonEnchants,
+      commonGems,
+      commonItems,
+      commonTrinketPairs,
+      commonEmbellishments,
+      sampleSize,
+    };
   } catch (err) {
     log.error(`Failed to refresh spec meta: ${className} ${spec}`, err);
     return null;
@@ -275,6 +363,9 @@ export async function getSpecMeta(className, spec, region = 'world') {
       commonEnchants: JSON.parse(row.commonEnchants || '{}'),
       commonGems: JSON.parse(row.commonGems || '{}'),
       commonTalents: JSON.parse(row.commonTalents || '{}'),
+      commonItems: JSON.parse(row.commonItems || '{}'),
+      commonTrinketPairs: JSON.parse(row.commonTrinketPairs || '[]'),
+      commonEmbellishments: JSON.parse(row.commonEmbellishments || '{}'),
       sampleSize: row.sampleSize,
       lastUpdated: row.lastUpdated,
     };
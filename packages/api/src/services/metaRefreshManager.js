@@ -137,6 +137,9 @@ function parseCachedMeta(row) {
     commonEnchants: JSON.parse(row.commonEnchants || '{}'),
     commonGems: JSON.parse(row.commonGems || '{}'),
     commonTalents: JSON.parse(row.commonTalents || '{}'),
+    commonItems: JSON.parse(row.commonItems || '{}'),
+    commonTrinketPairs: JSON.parse(row.commonTrinketPairs || '[]'),
+    commonEmbellishments: JSON.parse(row.commonEmbellishments || '{}'),
     sampleSize: row.sampleSize,
     lastUpdated: row.lastUpdated,
   };
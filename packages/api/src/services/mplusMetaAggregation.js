@@ -12,6 +12,9 @@ import {
   aggregateEquipmentStats,
   aggregateEnchants,
   aggregateGems,
+  aggregateItems,
+  aggregateTrinketPairs,
+  aggregateEmbellishments,
   upsertSpecMeta,
   CURRENT_SEASON,
 } from './metaAggregation.js';
@@ -166,6 +169,9 @@ export async function refreshMplusSpecMeta(className, spec, region = 'world', li
     const { avgStats, avgItemLevel } = aggregateEquipmentStats(equipmentResults);
     const commonEnchants = aggregateEnchants(equipmentResults, sampleSize);
     const commonGems = aggregateGems(equipmentResults, sampleSize);
+    const commonItems = aggregateItems(equipmentResults, sampleSize);
+    const commonTrinketPairs = aggregateTrinketPairs(equipmentResults, sampleSize);
+    const commonEmbellishments = aggregateEmbellishments(equipmentResults, sampleSize);
 
     const talentSampleSize = talentResults.length;
     const commonTalents =
@@ -180,6 +186,9 @@ export async function refreshMplusSpecMeta(className, spec, region = 'world', li
       commonEnchants: JSON.stringify(commonEnchants),
       commonGems: JSON.stringify(commonGems),
       commonTalents: JSON.stringify(commonTalents),
+      commonItems: JSON.stringify(commonItems),
+      commonTrinketPairs: JSON.stringify(commonTrinketPairs),
+      commonEmbellishments: JSON.stringify(commonEmbellishments),
       sampleSize,
     };
 
@@ -189,7 +198,17 @@ export async function refreshMplusSpecMeta(className, spec, region = 'world', li
       `M+ meta updated: ${className} ${spec} — ${sampleSize} equip, ${talentSampleSize} talents, ${commonTalents.length} nodes, avgIlvl ${avgItemLevel}`,
     );
 
-    return { avgStats, avgItemLevel, commonEnchants, commonGems, commonTalents, sampleSize };
+    return {
+      avgStats,
+      avgItemLevel,
+      commonEnchants,
+      commonGems,
+      commonTalents,
+      commonItems,
+      commonTrinketPairs,
+      commonEmbellishments,
+      sampleSize,
+    };
   } catch (err) {
     log.error(`Failed to refresh M+ spec meta: ${className} ${spec}`, err);
     return null;
@@ -1,17 +1,22 @@
 /**
  * Mythic+ Analysis Engine
- * Analyzes Raider.IO data to produce visual analysis data (charts, brackets, trends).
+ * Analyzes Raider.IO data to produce visual analysis data (charts, brackets, trends),
+ * plus combat metrics from M+ runs ingested from Warcraft Logs.
  * Coaching tips are generated separately by the build analysis system (Phase 3+4).
  */
 
-import { MPLUS_BRACKETS } from '@stillnoob/shared';
+import { MPLUS_BRACKETS, getDungeonShortName } from '@stillnoob/shared';
+
+/** Most recent runs returned by analyzeDungeonRuns(). */
+const RECENT_RUNS_LIMIT = 10;
 
 /**
  * Analyze M+ data from Raider.IO for visual display.
  * @param {object} raiderIO - Transformed Raider.IO data from getCharacterRaiderIO()
- * @returns {object} { dungeonAnalysis, scoreAnalysis, timingAnalysis, upgradeAnalysis, pushTargets }
+ * @param {Array<object>} [dungeonRuns] - Ingested runs from getCharacterDungeonRuns()
+ * @returns {object} { dungeonAnalysis, scoreAnalysis, timingAnalysis, upgradeAnalysis, pushTargets, runAnalysis }
  */
-export function analyzeMythicPlus(raiderIO) {
+export function analyzeMythicPlus(raiderIO, dungeonRuns = []) {
   if (!raiderIO?.mythicPlus) return null;
 
   const { mythicPlus, bestRuns = [] } = raiderIO;
@@ -28,6 +33,79 @@ export function analyzeMythicPlus(raiderIO) {
     timingAnalysis,
     upgradeAnalysis,
     pushTargets,
+    runAnalysis: analyzeDungeonRuns(dungeonRuns),
+  };
+}
+
+/**
+ * Analyze a character's logged M+ runs: timed rate, DPS/HPS, deaths and
+ * interrupts per dungeon and per keystone level.
+ * @param {Array<object>} runs - Rows from getCharacterDungeonRuns() (newest first)
+ * @returns {object|null} { summary, dungeons, keyLevels, deathImpact, recentRuns } or null without runs
+ */
+export function analyzeDungeonRuns(runs) {
+  if (!runs?.length) return null;
+
+  const dungeons = groupRuns(runs, (r) => r.dungeonName)
+    .map(([dungeon, group]) => {
+      const timed = group.filter((r) => r.timed);
+      const withTimer = group.filter((r) => r.keystoneTimeMs && r.parTimeMs);
+      return {
+        dungeon,
+        shortName: getDungeonShortName(null, dungeon),
+        ...summarizeRuns(group),
+        bestTimedLevel: timed.length ? Math.max(...timed.map((r) => r.keystoneLevel)) : null,
+        avgTimingPct: withTimer.length
+          ? Math.round(
+              withTimer.reduce((s, r) => s + (r.keystoneTimeMs / r.parTimeMs) * 100, 0) /
+                withTimer.length,
+            )
+          : null,
+      };
+    })
+    .sort((a, b) => b.runs - a.runs);
+
+  const keyLevels = groupRuns(runs, (r) => r.keystoneLevel)
+    .map(([level, group]) => ({ level, ...summarizeRuns(group) }))
+    .sort((a, b) => a.level - b.level);
+
+  const timedRuns = runs.filter((r) => r.timed);
+  const depletedRuns = runs.filter((r) => !r.timed);
+
+  return {
+    summary: {
+      ...summarizeRuns(runs),
+      avgKeyLevel: round1(average(runs.map((r) => r.keystoneLevel))),
+      highestTimedLevel: timedRuns.length
+        ? Math.max(...timedRuns.map((r) => r.keystoneLevel))
+        : null,
+    },
+    dungeons,
+    keyLevels,
+    deathImpact: {
+      timedDeathsPerRun: timedRuns.length
+        ? round1(average(timedRuns.map((r) => r.deaths || 0)))
+        : null,
+      depletedDeathsPerRun: depletedRuns.length
+        ? round1(average(depletedRuns.map((r) => r.deaths || 0)))
+        : null,
+    },
+    recentRuns: runs.slice(0, RECENT_RUNS_LIMIT).map((r) => ({
+      dungeon: r.dungeonName,
+      shortName: getDungeonShortName(null, r.dungeonName),
+      level: r.keystoneLevel,
+      affixes: r.affixes,
+      timed: r.timed,
+      upgrades: r.upgrades,
+      keystoneTimeMs: r.keystoneTimeMs,
+      parTimeMs: r.parTimeMs,
+      dps: r.dps,
+      hps: r.hps,
+      deaths: r.deaths,
+      interrupts: r.interrupts,
+      startTime: r.startTime,
+      wclCode: r.wclCode,
+    })),
   };
 }
 
@@ -165,3 +243,36 @@ function analyzeScore(mythicPlus) {
     offRoles,
   };
 }
+
+// ─── Run Helpers ────────────────────────────────────────────
+
+function groupRuns(runs, keyFn) {
+  const groups = new Map();
+  for (const run of runs) {
+    const key = keyFn(run);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(run);
+  }
+  return [...groups.entries()];
+}
+
+function summarizeRuns(runs) {
+  const timedRuns = runs.filter((r) => r.timed).length;
+  return {
+    runs: runs.length,
+    timedRuns,
+    timedRate: Math.round((timedRuns / runs.length) * 100),
+    avgDps: round1(average(runs.map((r) => r.dps || 0))),
+    avgHps: round1(average(runs.map((r) => r.hps || 0))),
+    deathsPerRun: round1(average(runs.map((r) => r.deaths || 0))),
+    interruptsPerRun: round1(average(runs.map((r) => r.interrupts || 0))),
+  };
+}
+
+function average(values) {
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
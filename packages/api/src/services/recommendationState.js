@@ -0,0 +1,187 @@
+import { db } from '../db/client.js';
+import { recommendationStates } from '../db/schema.js';
+import { and, eq } from 'drizzle-orm';
+import { TIP_LIMITS } from '@stillnoob/shared';
+import { weekStartOf } from '../utils/resetWeek.js';
+
+/** Actions a user can take on a tracked tip, and the status each one sets. */
+export const TIP_ACTIONS = {
+  acknowledge: 'acknowledged',
+  dismiss: 'dismissed',
+  snooze: 'snoozed',
+};
+
+/** Default snooze length: one raid week. */
+export const DEFAULT_SNOOZE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HIDDEN_STATUSES = new Set(['dismissed', 'snoozed']);
+// Dismissed and snoozed tips keep their status when they stop firing
+const RESOLVABLE_STATUSES = new Set(['active', 'acknowledged']);
+
+// Tips that only describe missing data are not something to act on
+const UNTRACKED_KEYS = new Set(['no_recent_data']);
+
+/**
+ * Stable identity of a tip across requests: its key plus the subject it is about, so
+ * "boss_death_spike on Plexus Sentinel" and on another boss are tracked separately.
+ * @param {{ key: string, data?: object }} tip
+ */
+export function tipId(tip) {
+  const { boss, difficulty, talentName, ability } = tip.data || {};
+  return [tip.key, boss, difficulty, talentName, ability].filter(Boolean).join(':');
+}
+
+function isSnoozeOver(row, nowIso) {
+  return row.status === 'snoozed' && (!row.snoozedUntil || row.snoozedUntil <= nowIso);
+}
+
+/**
+ * Record the tips of a fresh analysis and apply the character's tip states to them.
+ *
+ * With `sync`, tips seen now are upserted (a resolved tip, or a snoozed one whose snooze
+ * is over, that fires again is reopened; a dismissed tip stays dismissed) and active or
+ * acknowledged tips that no longer fire are marked resolved — once their last sighting
+ * is from an earlier reset week, so a metric has to stay over its threshold into a
+ * later week to count as fixed. Without `sync` (filtered views, whose tips are not
+ * comparable) states are only read.
+ *
+ * Dismissed and snoozed tips are left out, the rest carry `id`, `status` and
+ * `firstSeenAt`, and `resolvedTips` lists tips fixed in the last week.
+ *
+ * @param {number} characterId
+ * @param {{ primaryTips: object[], secondaryTips: object[], playerLevel: string }} recommendations
+ *   From generateRecommendations()
+ * @param {object} [opts]
+ * @param {boolean} [opts.sync]
+ * @returns {Promise<object>} recommendations with tip states applied
+ */
+export async function trackRecommendations(characterId, recommendations, { sync = false } = {}) {
+  const { primaryTips = [], secondaryTips = [], playerLevel } = recommendations;
+  const now = Date.now();
+  const nowIso = new Date(now).toISOString();
+  const currentWeek = weekStartOf(now);
+
+  const rows = await db
+    .select()
+    .from(recommendationStates)
+    .where(eq(recommendationStates.characterId, characterId))
+    .all();
+  const states = new Map(rows.map((row) => [row.tipId, row]));
+
+  const tips = [...primaryTips, ...secondaryTips];
+  const tracked = tips.filter((tip) => !UNTRACKED_KEYS.has(tip.key));
+  const seenIds = new Set(tracked.map(tipId));
+
+  if (sync) {
+    for (const tip of tracked) {
+      const id = tipId(tip);
+      const row = states.get(id);
+      const seen = {
+        category: tip.category,
+        severity: tip.severity,
+        data: JSON.stringify(tip.data || {}),
+        lastSeenAt: nowIso,
+      };
+
+      if (!row) {
+        const values = {
+          characterId,
+          tipId: id,
+          key: tip.key,
+          status: 'active',
+          firstSeenAt: nowIso,
+          ...seen,
+        };
+        await db.insert(recommendationStates).values(values);
+        states.set(id, values);
+        continue;
+      }
+
+      const reopen = row.status === 'resolved' || isSnoozeOver(row, nowIso);
+      const update = reopen
+        ? { ...seen, status: 'active', snoozedUntil: null, resolvedAt: null }
+        : seen;
+      await db.update(recommendationStates).set(update).where(eq(recommendationStates.id, row.id));
+      states.set(id, { ...row, ...update });
+    }
+
+    for (const row of states.values()) {
+      if (!RESOLVABLE_STATUSES.has(row.status) || seenIds.has(row.tipId)) continue;
+      if (weekStartOf(Date.parse(row.lastSeenAt)) >= currentWeek) continue;
+      const update = { status: 'resolved', snoozedUntil: null, resolvedAt: nowIso };
+      await db.update(recommendationStates).set(update).where(eq(recommendationStates.id, row.id));
+      states.set(row.tipId, { ...row, ...update });
+    }
+  }
+
+  const visible = [];
+  for (const tip of tips) {
+    if (UNTRACKED_KEYS.has(tip.key)) {
+      visible.push(tip);
+      continue;
+    }
+    const state = states.get(tipId(tip));
+    if (state && HIDDEN_STATUSES.has(state.status) && !isSnoozeOver(state, nowIso)) continue;
+    visible.push({
+      ...tip,
+      id: tipId(tip),
+      status: state?.status === 'acknowledged' ? 'acknowledged' : 'active',
+      firstSeenAt: state?.firstSeenAt || null,
+    });
+  }
+
+  const weekAgo = new Date(now - 7 * DAY_MS).toISOString();
+  const resolvedTips = [...states.values()]
+    .filter((row) => row.status === 'resolved' && row.resolvedAt >= weekAgo)
+    .map((row) => ({
+      id: row.tipId,
+      key: row.key,
+      category: row.category,
+      severity: row.severity,
+      data: row.data ? JSON.parse(row.data) : {},
+      firstSeenAt: row.firstSeenAt,
+      resolvedAt: row.resolvedAt,
+    }));
+
+  const limit = TIP_LIMITS[playerLevel] || 3;
+  return {
+    ...recommendations,
+    primaryTips: visible.slice(0, limit),
+    secondaryTips: visible.slice(limit),
+    resolvedTips,
+  };
+}
+
+/**
+ * Apply a user action to a tracked tip.
+ *
+ * @param {number} characterId
+ * @param {string} id - tipId() of the tip
+ * @param {string} action - A TIP_ACTIONS key
+ * @param {object} [opts]
+ * @param {number} [opts.days] - Snooze length, DEFAULT_SNOOZE_DAYS by default
+ * @returns {Promise<{ id: string, status: string, snoozedUntil: string | null } | null>}
+ *   null when the tip is not tracked for the character
+ */
+export async function setRecommendationStatus(
+  characterId,
+  id,
+  action,
+  { days = DEFAULT_SNOOZE_DAYS } = {},
+) {
+  const status = TIP_ACTIONS[action];
+  const snoozedUntil =
+    action === 'snooze' ? new Date(Date.now() + days * DAY_MS).toISOString() : null;
+
+  const updated = await db
+    .update(recommendationStates)
+    .set({ status, snoozedUntil })
+    .where(
+      and(eq(recommendationStates.characterId, characterId), eq(recommendationStates.tipId, id)),
+    )
+    .returning({ id: recommendationStates.tipId, status: recommendationStates.status })
+    .get();
+
+  return updated ? { ...updated, snoozedUntil } : null;
+}
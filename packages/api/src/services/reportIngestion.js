@@ -0,0 +1,839 @@
+import { db } from '../db/client.js';
+import {
+  reports,
+  fights,
+  fightPerformance,
+  deathEvents,
+  mplusRuns,
+  characters,
+  unclaimedCharacters,
+  authProviders,
+} from '../db/schema.js';
+import { eq, and, inArray, sql } from 'drizzle-orm';
+import {
+  getReportData,
+  getReportDataWithUserToken,
+  getBatchFightStats,
+  getBatchExtendedFightStats,
+  getBatchPhaseStats,
+  getBatchEndOfFightMana,
+  getBatchTankEvents,
+  slugifyRealm,
+} from './wcl.js';
+import { processExtendedFightData, invalidateAnalysisCache } from './analysis.js';
+import { calculateUpgrades, getDungeonTimer } from '@stillnoob/shared';
+import { acquireToken } from './rateLimiter.js';
+import { decryptToken } from '../utils/encryption.js';
+import { createLogger } from '../utils/logger.js';
+import { retryWithBackoff } from '../utils/retry.js';
+
+const log = createLogger('ReportIngestion');
+
+/** Auto imports keep the scanner's slower backoff (2s → 4s → 8s). */
+const AUTO_IMPORT_BASE_DELAY_MS = 2000;
+
+/** How far back from a fight's end to look for each player's last cast (mana at end). */
+const END_OF_FIGHT_WINDOW_MS = 30000;
+
+/** WCL fight difficulty → stored difficulty label. */
+export const WCL_DIFFICULTY_NAMES = {
+  1: 'LFR',
+  2: 'Normal',
+  3: 'Heroic',
+  4: 'Heroic',
+  5: 'Mythic',
+};
+
+/** WCL reports every Mythic+ key level as difficulty >= 10. */
+export const MYTHIC_PLUS_MIN_DIFFICULTY = 10;
+
+/** WCL encounter IDs for whole-dungeon keystone fights are 10000 + challenge mode ID. */
+export const MYTHIC_PLUS_DUNGEON_ENCOUNTER_MIN = 10000;
+
+/** WCL region name → region code used by characters.region. */
+const WCL_REGION_CODES = {
+  europe: 'eu',
+  eu: 'eu',
+  'united states': 'us',
+  americas: 'us',
+  us: 'us',
+  korea: 'kr',
+  kr: 'kr',
+  taiwan: 'tw',
+  tw: 'tw',
+  china: 'cn',
+  cn: 'cn',
+};
+
+/** WCL retry wrapper for an import source (auto imports back off slower). */
+function retryFor(source) {
+  return (fn, label) =>
+    retryWithBackoff(
+      fn,
+      label,
+      source === 'auto' ? { baseDelayMs: AUTO_IMPORT_BASE_DELAY_MS } : undefined,
+    );
+}
+
+/**
+ * Build an error whose message is safe to show to the user.
+ * @param {string} message
+ */
+export function ingestionError(message) {
+  const err = new Error(message);
+  err.expose = true;
+  return err;
+}
+
+/**
+ * Map a WCL fight difficulty code to the label stored in fights.difficulty.
+ * @param {number} wclDifficulty
+ * @returns {'LFR'|'Normal'|'Heroic'|'Mythic'|'Mythic+'}
+ */
+export function mapDifficulty(wclDifficulty) {
+  if (wclDifficulty >= MYTHIC_PLUS_MIN_DIFFICULTY) return 'Mythic+';
+  return WCL_DIFFICULTY_NAMES[wclDifficulty] || 'Normal';
+}
+
+/**
+ * Extract keystone details from a whole-dungeon WCL fight.
+ * Boss fights inside a key (and raid fights) return null.
+ *
+ * @param {object} fight - reportData.fights entry
+ * @returns {{ dungeonName: string, keystoneLevel: number, affixes: string, keystoneTimeMs: number|null, parTimeMs: number|null, upgrades: number, timed: boolean }|null}
+ */
+export function describeKeystoneRun(fight) {
+  if (
+    fight.difficulty < MYTHIC_PLUS_MIN_DIFFICULTY ||
+    fight.encounterID < MYTHIC_PLUS_DUNGEON_ENCOUNTER_MIN ||
+    !fight.keystoneLevel
+  ) {
+    return null;
+  }
+
+  const dungeonName = fight.name || 'Unknown';
+  const keystoneTimeMs = fight.keystoneTime || null;
+  const parTimeMs = getDungeonTimer(null, dungeonName);
+  // keystoneBonus is WCL's upgrade count; derive it from the timer when missing
+  const upgrades =
+    fight.keystoneBonus ?? (keystoneTimeMs ? calculateUpgrades(keystoneTimeMs, parTimeMs) : 0);
+
+  return {
+    dungeonName,
+    keystoneLevel: fight.keystoneLevel,
+    affixes: JSON.stringify(fight.keystoneAffixes || []),
+    keystoneTimeMs,
+    parTimeMs,
+    upgrades,
+    timed: Boolean(fight.kill) && upgrades > 0,
+  };
+}
+
+/**
+ * Phase windows of a fight from its WCL phase transitions, named from the
+ * report's encounter phase list. Single-phase fights have none.
+ *
+ * @param {object} fight - reportData.fights entry
+ * @param {Array<object>} [encounterPhases] - reportData.phases
+ * @returns {Array<{ phase: number, name: string, isIntermission: boolean, startTime: number, endTime: number }>}
+ *   startTime/endTime are report-relative ms
+ */
+export function describeFightPhases(fight, encounterPhases = []) {
+  const transitions = [...(fight.phaseTransitions || [])].sort((a, b) => a.startTime - b.startTime);
+  if (transitions.length < 2) return [];
+
+  const known = encounterPhases.find((e) => e.encounterID === fight.encounterID)?.phases || [];
+  return transitions
+    .map((transition, i) => {
+      const info = known.find((p) => p.id === transition.id);
+      return {
+        phase: transition.id,
+        name: info?.name || `Phase ${transition.id}`,
+        isIntermission: Boolean(info?.isIntermission),
+        startTime: Math.max(transition.startTime, fight.startTime),
+        endTime: transitions[i + 1]?.startTime ?? fight.endTime,
+      };
+    })
+    .filter((p) => p.endTime > p.startTime);
+}
+
+/**
+ * Canonical form used to match WCL actor names against stored characters
+ * (WCL may send decomposed accents, e.g. "Élune" as "Élune").
+ * @param {string} name
+ */
+export function normalizeCharacterName(name) {
+  return name.normalize('NFC').toLowerCase();
+}
+
+/**
+ * Build the character name → id map used to attribute fight performance.
+ * @param {string} userId
+ * @returns {Promise<Record<string, number>>}
+ */
+export async function buildCharacterMap(userId) {
+  const userChars = await db
+    .select({ id: characters.id, name: characters.name })
+    .from(characters)
+    .where(eq(characters.userId, userId))
+    .all();
+
+  const charMap = {};
+  for (const c of userChars) {
+    charMap[normalizeCharacterName(c.name)] = c.id;
+  }
+  return charMap;
+}
+
+/**
+ * Map the report's WCL region name to a region code.
+ * @param {string|undefined} regionName - reportData.region (e.g. "Europe")
+ * @returns {string|null}
+ */
+export function wclRegionCode(regionName) {
+  return WCL_REGION_CODES[regionName?.toLowerCase()] || null;
+}
+
+/**
+ * Resolve every report actor to a stored identity so performance is kept for
+ * the whole raid: the importer's characters (charMap, matched by name), any
+ * other registered character on the same realm, and otherwise an
+ * unclaimed-character record that POST /characters can claim later.
+ *
+ * @param {object} reportData - Result of getReportData() (participants, region)
+ * @param {Record<string, number>} charMap - Importer's characters
+ * @returns {Promise<{ charMap: Record<string, number>, unclaimedMap: Record<string, number> }>}
+ */
+export async function resolveReportActors(reportData, charMap) {
+  const region = wclRegionCode(reportData.region);
+  const resolved = { ...charMap };
+  const unclaimedMap = {};
+
+  const actors = [];
+  for (const actor of reportData.participants || []) {
+    if (!actor.name) continue;
+    const nameKey = normalizeCharacterName(actor.name);
+    if (resolved[nameKey] || actors.some((a) => a.nameKey === nameKey)) continue;
+    actors.push({
+      nameKey,
+      name: actor.name.normalize('NFC'),
+      realm: actor.server || null,
+      realmSlug: slugifyRealm(actor.server || 'Unknown'),
+      className: actor.class || null,
+    });
+  }
+  if (actors.length === 0) return { charMap: resolved, unclaimedMap };
+
+  // Characters registered by anyone on the actors' realms
+  const realmSlugs = [...new Set(actors.map((a) => a.realmSlug))];
+  const registered = await db
+    .select({
+      id: characters.id,
+      name: characters.name,
+      realmSlug: characters.realmSlug,
+      region: characters.region,
+    })
+    .from(characters)
+    .where(inArray(characters.realmSlug, realmSlugs))
+    .all();
+
+  const unresolved = [];
+  for (const actor of actors) {
+    const match = registered.find(
+      (c) =>
+        c.realmSlug === actor.realmSlug &&
+        normalizeCharacterName(c.name) === actor.nameKey &&
+        (!region || c.region === region),
+    );
+    if (match) resolved[actor.nameKey] = match.id;
+    else unresolved.push(actor);
+  }
+  if (unresolved.length === 0) return { charMap: resolved, unclaimedMap };
+
+  const known = await db
+    .select()
+    .from(unclaimedCharacters)
+    .where(
+      inArray(
+        unclaimedCharacters.nameKey,
+        unresolved.map((a) => a.nameKey),
+      ),
+    )
+    .all();
+
+  for (const actor of unresolved) {
+    const existing = known.find(
+      (u) => u.nameKey === actor.nameKey && u.realmSlug === actor.realmSlug && u.region === region,
+    );
+    if (existing) {
+      await db
+        .update(unclaimedCharacters)
+        .set({ lastSeenAt: sql`CURRENT_TIMESTAMP` })
+        .where(eq(unclaimedCharacters.id, existing.id));
+      unclaimedMap[actor.nameKey] = existing.id;
+      continue;
+    }
+
+    const [created] = await db
+      .insert(unclaimedCharacters)
+      .values({ ...actor, region })
+      .returning({ id: unclaimedCharacters.id });
+    unclaimedMap[actor.nameKey] = created.id;
+  }
+
+  return { charMap: resolved, unclaimedMap };
+}
+
+/**
+ * Move performance (and death events) stored for matching unclaimed records
+ * onto a newly added character, so its imported history shows up immediately.
+ *
+ * @param {object} character - characters row (name, realmSlug, region)
+ * @returns {Promise<number>} Number of fight_performance rows claimed
+ */
+export async function claimUnclaimedCharacter(character) {
+  const nameKey = normalizeCharacterName(character.name);
+  const candidates = await db
+    .select({ id: unclaimedCharacters.id, region: unclaimedCharacters.region })
+    .from(unclaimedCharacters)
+    .where(
+      and(
+        eq(unclaimedCharacters.nameKey, nameKey),
+        eq(unclaimedCharacters.realmSlug, character.realmSlug),
+      ),
+    )
+    .all();
+
+  const unclaimedIds = candidates
+    .filter((u) => !u.region || u.region === character.region)
+    .map((u) => u.id);
+  if (unclaimedIds.length === 0) return 0;
+
+  const claimed = await db.transaction(async (tx) => {
+    // A fight can only hold one row per character: drop duplicates first
+    const ownedFights = tx
+      .select({ fightId: fightPerformance.fightId })
+      .from(fightPerformance)
+      .where(eq(fightPerformance.characterId, character.id));
+    await tx
+      .delete(deathEvents)
+      .where(
+        and(
+          inArray(deathEvents.unclaimedCharacterId, unclaimedIds),
+          inArray(deathEvents.fightId, ownedFights),
+        ),
+      );
+    await tx
+      .delete(fightPerformance)
+      .where(
+        and(
+          inArray(fightPerformance.unclaimedCharacterId, unclaimedIds),
+          inArray(fightPerformance.fightId, ownedFights),
+        ),
+      );
+
+    const result = await tx
+      .update(fightPerformance)
+      .set({ characterId: character.id, unclaimedCharacterId: null })
+      .where(inArray(fightPerformance.unclaimedCharacterId, unclaimedIds));
+    await tx
+      .update(deathEvents)
+      .set({ characterId: character.id, unclaimedCharacterId: null })
+      .where(inArray(deathEvents.unclaimedCharacterId, unclaimedIds));
+
+    await tx.delete(unclaimedCharacters).where(inArray(unclaimedCharacters.id, unclaimedIds));
+    return result.rowsAffected || 0;
+  });
+
+  if (claimed > 0) {
+    invalidateAnalysisCache(character.id);
+    log.info(`Claimed ${claimed} performance records for ${character.name}-${character.realmSlug}`);
+  }
+  return claimed;
+}
+
+/**
+ * Fetch report metadata, trying the user's WCL token first (private reports)
+ * and falling back to client credentials.
+ *
+ * @param {string} wclCode
+ * @param {string} userId
+ * @param {Function} retry - (fn, label) => Promise
+ * @returns {Promise<object|null>}
+ */
+export async function fetchReportData(wclCode, userId, retry) {
+  const wclProvider = await db
+    .select({ accessToken: authProviders.accessToken })
+    .from(authProviders)
+    .where(and(eq(authProviders.userId, userId), eq(authProviders.provider, 'warcraftlogs')))
+    .get();
+
+  if (wclProvider?.accessToken) {
+    try {
+      const token = decryptToken(wclProvider.accessToken);
+      const reportData = await retry(
+        () => getReportDataWithUserToken(wclCode, token),
+        `getReportDataWithUserToken(${wclCode})`,
+      );
+      if (reportData) return reportData;
+    } catch {
+      // User token failed, fall back to client credentials
+    }
+  }
+
+  return retry(() => getReportData(wclCode), `getReportData(${wclCode})`);
+}
+
+/**
+ * Insert a report's encounter fights (trash filtered out), plus an mplus_runs
+ * row for each whole-dungeon keystone fight. Fights already stored for the
+ * report are skipped, so this also serves refreshes.
+ *
+ * @param {object} tx - Drizzle transaction
+ * @param {number} reportId
+ * @param {Array<object>} wclFights - reportData.fights
+ * @param {Array<object>} [encounterPhases] - reportData.phases, names the fights' phases
+ * @returns {Promise<Array<{ wclFightId: number, storedFightId: number, encounterId: number, startTime: number, durationMs: number, phases: object[] }>>} Newly inserted fights
+ */
+async function insertFights(tx, reportId, wclFights, encounterPhases = []) {
+  const fightMappings = [];
+  for (const fight of wclFights.filter((f) => f.encounterID > 0)) {
+    const durationMs = (fight.endTime || 0) - (fight.startTime || 0);
+
+    const [storedFight] = await tx
+      .insert(fights)
+      .values({
+        reportId,
+        wclFightId: fight.id,
+        encounterId: fight.encounterID,
+        bossName: fight.name || 'Unknown',
+        difficulty: mapDifficulty(fight.difficulty),
+        isKill: fight.kill || false,
+        startTime: fight.startTime,
+        endTime: fight.endTime,
+        durationMs,
+        fightPercentage: fight.fightPercentage ?? (fight.kill ? 0 : null),
+        lastPhase: fight.lastPhase ?? null,
+      })
+      .onConflictDoNothing()
+      .returning();
+
+    if (storedFight) {
+      const keystoneRun = describeKeystoneRun(fight);
+      if (keystoneRun) {
+        await tx.insert(mplusRuns).values({ fightId: storedFight.id, ...keystoneRun });
+      }
+      fightMappings.push({
+        wclFightId: fight.id,
+        storedFightId: storedFight.id,
+        encounterId: fight.encounterID,
+        startTime: fight.startTime,
+        durationMs,
+        phases: describeFightPhases(fight, encounterPhases),
+      });
+    }
+  }
+  return fightMappings;
+}
+
+/**
+ * Insert a report and its encounter fights atomically (rollback on failure).
+ *
+ * @param {object} reportData - Result of getReportData()
+ * @param {object} meta
+ * @param {string} meta.wclCode
+ * @param {string} meta.importedBy - User ID
+ * @param {'manual'|'auto'} meta.source
+ * @param {'public'|'private'|'guild'} meta.visibility
+ * @param {number|null} [meta.guildId]
+ * @returns {Promise<{ report: object, fightMappings: Array<{ wclFightId: number, storedFightId: number, encounterId: number, startTime: number, durationMs: number, phases: object[] }> }>}
+ */
+export async function persistReport(
+  reportData,
+  { wclCode, importedBy, source, visibility, guildId },
+) {
+  return db.transaction(async (tx) => {
+    const [report] = await tx
+      .insert(reports)
+      .values({
+        wclCode,
+        title: reportData.title,
+        startTime: reportData.startTime,
+        endTime: reportData.endTime,
+        region: reportData.region,
+        guildName: reportData.guild?.name || null,
+        zoneName: reportData.zone?.name || null,
+        participantsCount: reportData.participants?.length || 0,
+        importedBy,
+        importSource: source,
+        visibility,
+        guildId: guildId || null,
+      })
+      .returning();
+
+    const fightMappings = await insertFights(
+      tx,
+      report.id,
+      reportData.fights || [],
+      reportData.phases,
+    );
+    return { report, fightMappings };
+  });
+}
+
+/**
+ * Fetch batch stats for the stored fights and store per-player performance.
+ * Tolerant of partial failure: problems are collected in progress.errors.
+ *
+ * @param {string} wclCode
+ * @param {Array<{ wclFightId: number, storedFightId: number, encounterId: number, startTime: number, durationMs: number, phases: object[], replace?: boolean }>} fightMappings
+ *   `replace` rebuilds a fight's existing fight_performance rows
+ * @param {{ charMap: Record<string, number>, unclaimedMap: Record<string, number> }} actors - From resolveReportActors()
+ * @param {object} opts
+ * @param {Function} opts.retry - (fn, label) => Promise
+ * @param {boolean} [opts.throttle] - Take a WCL rate-limit token before fetching
+ * @param {object} opts.progress - Mutated: fightsProcessed, performanceRecords, errors
+ * @param {Function} [opts.onProgress] - Awaited after each fight
+ */
+export async function ingestFightPerformance(
+  wclCode,
+  fightMappings,
+  { charMap, unclaimedMap },
+  { retry, throttle = false, progress, onProgress = async () => {} },
+) {
+  if (fightMappings.length === 0) return;
+
+  const allFightIds = fightMappings.map((f) => f.wclFightId);
+  const phaseWindows = fightMappings.flatMap((f) =>
+    (f.phases || []).map((p) => ({
+      fightId: f.wclFightId,
+      startTime: p.startTime,
+      endTime: p.endTime,
+    })),
+  );
+  try {
+    if (throttle) await acquireToken();
+    const [batchBasicStats, batchExtStats, batchPhaseStats] = await Promise.all([
+      retry(() => getBatchFightStats(wclCode, allFightIds), `getBatchFightStats(${wclCode})`),
+      retry(
+        () => getBatchExtendedFightStats(wclCode, allFightIds),
+        `getBatchExtendedFightStats(${wclCode})`,
+      ),
+      // Optional: without phase stats the fights are stored without a phase breakdown
+      retry(
+        () => getBatchPhaseStats(wclCode, phaseWindows),
+        `getBatchPhaseStats(${wclCode})`,
+      ).catch((err) => {
+        log.warn('Phase stats fetch failed', err.message);
+        return new Map();
+      }),
+    ]);
+
+    // Tank events and mana at end need the tanks' and healers' actor IDs, which come
+    // from the extended stats' Summary
+    const actorIds = (fightId, role) =>
+      (batchExtStats.get(fightId)?.summary?.[role] || [])
+        .map((p) => p.id)
+        .filter((id) => id != null);
+    const tankFights = fightMappings
+      .map((f) => ({ fightId: f.wclFightId, tankIds: actorIds(f.wclFightId, 'tanks') }))
+      .filter((f) => f.tankIds.length > 0);
+    // Mana is read from the healers' casts in the last stretch of each fight
+    const endWindows = fightMappings
+      .map((f) => ({
+        fightId: f.wclFightId,
+        startTime: Math.max(f.startTime, f.startTime + f.durationMs - END_OF_FIGHT_WINDOW_MS),
+        endTime: f.startTime + f.durationMs,
+        healerIds: actorIds(f.wclFightId, 'healers'),
+      }))
+      .filter((f) => f.healerIds.length > 0);
+
+    if (throttle && (tankFights.length > 0 || endWindows.length > 0)) await acquireToken();
+    const [batchTankEvents, batchMana] = await Promise.all([
+      // Optional: without them tanks are stored with active-mitigation uptime only
+      retry(() => getBatchTankEvents(wclCode, tankFights), `getBatchTankEvents(${wclCode})`).catch(
+        (err) => {
+          log.warn('Tank events fetch failed', err.message);
+          return new Map();
+        },
+      ),
+      // Optional too: without it the fights are stored without mana at end
+      retry(
+        () => getBatchEndOfFightMana(wclCode, endWindows),
+        `getBatchEndOfFightMana(${wclCode})`,
+      ).catch((err) => {
+        log.warn('End-of-fight mana fetch failed', err.message);
+        return new Map();
+      }),
+    ]);
+
+    for (const mapping of fightMappings) {
+      const basicStats = batchBasicStats.get(mapping.wclFightId);
+      const extStats = batchExtStats.get(mapping.wclFightId);
+      const phaseStats = batchPhaseStats.get(mapping.wclFightId) || [];
+      if (basicStats && extStats) {
+        try {
+          // Recomputed fights: drop old rows only once fresh stats are in hand, and swap
+          // them for the new ones in one transaction so a failure keeps the old rows
+          progress.performanceRecords += await db.transaction(async (tx) => {
+            if (mapping.replace) {
+              await tx
+                .delete(fightPerformance)
+                .where(eq(fightPerformance.fightId, mapping.storedFightId));
+              await tx.delete(deathEvents).where(eq(deathEvents.fightId, mapping.storedFightId));
+            }
+            return processExtendedFightData(
+              mapping.storedFightId,
+              mapping.durationMs,
+              basicStats,
+              extStats,
+              charMap,
+              unclaimedMap,
+              {
+                encounterId: mapping.encounterId,
+                startTime: mapping.startTime,
+                phases: phaseStats.length
+                  ? mapping.phases.map((phase, i) => ({ ...phase, ...phaseStats[i] }))
+                  : [],
+                manaAtEnd: batchMana.get(mapping.wclFightId) || {},
+                tankEvents: batchTankEvents.get(mapping.wclFightId) || {},
+              },
+              tx,
+            );
+          });
+        } catch (statsErr) {
+          log.warn(`Stats failed for fight ${mapping.wclFightId}`, statsErr.message);
+          progress.errors.push({
+            fightId: mapping.wclFightId,
+            message: 'Failed to process fight stats',
+          });
+        }
+      }
+      progress.fightsProcessed++;
+      await onProgress(progress);
+    }
+  } catch (statsErr) {
+    log.warn('Batch stats fetch failed', statsErr.message);
+    progress.fightsProcessed = fightMappings.length;
+    progress.errors.push({ message: 'Failed to fetch fight stats from Warcraft Logs' });
+  }
+}
+
+/**
+ * Drop cached analysis for every character the report could have touched.
+ * @param {Iterable<number>} characterIds
+ */
+export function invalidateCharacterAnalysis(characterIds) {
+  for (const charId of new Set(characterIds)) {
+    invalidateAnalysisCache(charId);
+  }
+}
+
+/**
+ * Import a WCL report end to end: report + fights (transaction), then
+ * per-fight performance, then analysis cache invalidation.
+ * Used by the import queue for both manual and scanner-discovered reports.
+ *
+ * @param {object} params
+ * @param {string} params.wclCode
+ * @param {string} params.userId - User the import runs on behalf of
+ * @param {'manual'|'auto'} [params.source] - 'auto' throttles WCL calls and backs off slower
+ * @param {'public'|'private'|'guild'} [params.visibility]
+ * @param {number|null} [params.guildId]
+ * @param {object} [hooks]
+ * @param {object} [hooks.progress] - Progress object to fill (created when omitted)
+ * @param {Function} [hooks.onReportStored] - Awaited with the report row after the transaction
+ * @param {Function} [hooks.onProgress] - Awaited with the progress object as it changes
+ * @returns {Promise<{ reportId: number, fightsTotal: number, fightsProcessed: number, performanceRecords: number, errors: Array<{ fightId?: number, message: string }> }>}
+ */
+export async function ingestReport(
+  { wclCode, userId, source = 'manual', visibility = 'public', guildId = null },
+  {
+    progress = { fightsTotal: 0, fightsProcessed: 0, performanceRecords: 0, errors: [] },
+    onReportStored = async () => {},
+    onProgress = async () => {},
+  } = {},
+) {
+  const isAuto = source === 'auto';
+  const retry = retryFor(source);
+
+  const existing = await db
+    .select({ id: reports.id })
+    .from(reports)
+    .where(eq(reports.wclCode, wclCode))
+    .get();
+  if (existing) {
+    throw ingestionError('Report already imported');
+  }
+
+  if (isAuto) await acquireToken();
+  const reportData = await fetchReportData(wclCode, userId, retry);
+  if (!reportData) {
+    throw ingestionError(
+      'Report not found on Warcraft Logs. If private, link your WCL account first.',
+    );
+  }
+
+  // Resolve report actors (registered or unclaimed) before the transaction
+  const actors = await resolveReportActors(reportData, await buildCharacterMap(userId));
+
+  const { report, fightMappings } = await persistReport(reportData, {
+    wclCode,
+    importedBy: userId,
+    source,
+    visibility,
+    guildId,
+  });
+
+  progress.fightsTotal = fightMappings.length;
+  await onReportStored(report);
+  await onProgress(progress);
+
+  // Performance data processing (outside transaction — tolerant of partial failure)
+  await ingestFightPerformance(wclCode, fightMappings, actors, {
+    retry,
+    throttle: isAuto,
+    progress,
+    onProgress,
+  });
+
+  invalidateCharacterAnalysis(Object.values(actors.charMap));
+
+  return { reportId: report.id, ...progress };
+}
+
+/**
+ * Re-fetch an already imported report: update its metadata, insert fights
+ * logged since the last import and ingest their performance. With
+ * `recompute`, existing fights' fight_performance rows are rebuilt too
+ * (backfill after new metrics are added).
+ *
+ * @param {object} params
+ * @param {string} params.wclCode
+ * @param {string} params.userId - User requesting the refresh (their WCL token is tried first)
+ * @param {'manual'|'auto'} [params.source]
+ * @param {boolean} [params.recompute]
+ * @param {object} [hooks] - Same hooks as ingestReport()
+ * @returns {Promise<{ reportId: number, newFights: number, fightsTotal: number, fightsProcessed: number, performanceRecords: number, errors: Array<{ fightId?: number, message: string }> }>}
+ */
+export async function refreshReport(
+  { wclCode, userId, source = 'manual', recompute = false },
+  {
+    progress = { fightsTotal: 0, fightsProcessed: 0, performanceRecords: 0, errors: [] },
+    onReportStored = async () => {},
+    onProgress = async () => {},
+  } = {},
+) {
+  const isAuto = source === 'auto';
+  const retry = retryFor(source);
+
+  const report = await db.select().from(reports).where(eq(reports.wclCode, wclCode)).get();
+  if (!report) {
+    throw ingestionError('Report not found');
+  }
+  await onReportStored(report);
+
+  if (isAuto) await acquireToken();
+  const reportData = await fetchReportData(wclCode, userId, retry);
+  if (!reportData) {
+    throw ingestionError(
+      'Report not found on Warcraft Logs. If private, link your WCL account first.',
+    );
+  }
+
+  // Match against the importer's characters as well as the requester's
+  const actors = await resolveReportActors(reportData, {
+    ...(await buildCharacterMap(report.importedBy)),
+    ...(userId !== report.importedBy ? await buildCharacterMap(userId) : {}),
+  });
+
+  const existingFights = await db
+    .select({
+      id: fights.id,
+      wclFightId: fights.wclFightId,
+      encounterId: fights.encounterId,
+      startTime: fights.startTime,
+      durationMs: fights.durationMs,
+    })
+    .from(fights)
+    .where(eq(fights.reportId, report.id))
+    .all();
+
+  // Characters that already had rows in this report (recompute may drop them)
+  const previousCharacterIds = [];
+  if (recompute && existingFights.length > 0) {
+    const rows = await db
+      .selectDistinct({ characterId: fightPerformance.characterId })
+      .from(fightPerformance)
+      .where(
+        inArray(
+          fightPerformance.fightId,
+          existingFights.map((f) => f.id),
+        ),
+      )
+      .all();
+    previousCharacterIds.push(...rows.map((r) => r.characterId));
+  }
+
+  const wclFightsById = new Map((reportData.fights || []).map((f) => [f.id, f]));
+
+  const newFightMappings = await db.transaction(async (tx) => {
+    await tx
+      .update(reports)
+      .set({
+        title: reportData.title,
+        endTime: reportData.endTime,
+        zoneName: reportData.zone?.name || report.zoneName,
+        participantsCount: reportData.participants?.length || report.participantsCount,
+        processedAt: sql`CURRENT_TIMESTAMP`,
+      })
+      .where(eq(reports.id, report.id));
+
+    // Backfill how far each pull got for fights stored before it was recorded
+    if (recompute) {
+      for (const stored of existingFights) {
+        const fight = wclFightsById.get(stored.wclFightId);
+        if (!fight) continue;
+        await tx
+          .update(fights)
+          .set({
+            fightPercentage: fight.fightPercentage ?? (fight.kill ? 0 : null),
+            lastPhase: fight.lastPhase ?? null,
+          })
+          .where(eq(fights.id, stored.id));
+      }
+    }
+
+    return insertFights(tx, report.id, reportData.fights || [], reportData.phases);
+  });
+  const fightMappings = [
+    ...newFightMappings,
+    ...(recompute
+      ? existingFights.map((f) => ({
+          wclFightId: f.wclFightId,
+          storedFightId: f.id,
+          encounterId: f.encounterId,
+          startTime: f.startTime,
+          durationMs: f.durationMs,
+          phases: wclFightsById.has(f.wclFightId)
+            ? describeFightPhases(wclFightsById.get(f.wclFightId), reportData.phases)
+            : [],
+          replace: true,
+        }))
+      : []),
+  ];
+
+  progress.fightsTotal = fightMappings.length;
+  await onProgress(progress);
+
+  await ingestFightPerformance(wclCode, fightMappings, actors, {
+    retry,
+    throttle: isAuto,
+    progress,
+    onProgress,
+  });
+
+  invalidateCharacterAnalysis([...Object.values(actors.charMap), ...previousCharacterIds]);
+
+  return { reportId: report.id, newFights: newFightMappings.length, ...progress };
+}
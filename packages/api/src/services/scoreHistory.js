@@ -0,0 +1,131 @@
+import { db } from '../db/client.js';
+import { scoreSnapshots } from '../db/schema.js';
+import { and, asc, eq, gte, ne, sql } from 'drizzle-orm';
+import { CURRENT_SCORE_VERSION, SCORE_TIERS } from '@stillnoob/shared';
+import { calculateStillNoobScore, extractScoreInputs } from './analysis.js';
+import { weekStartOf } from '../utils/resetWeek.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('ScoreHistory');
+
+/** Look-back window of the score a weekly snapshot records (the analysis default). */
+export const SCORE_SNAPSHOT_WEEKS = 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Row values for a score and the inputs it was computed from. */
+function snapshotValues(score, inputs) {
+  return {
+    formulaVersion: score.version,
+    total: score.total,
+    ...score.breakdown,
+    inputs: JSON.stringify(inputs),
+  };
+}
+
+/**
+ * Record a week's StillNoob Score for a character (this week by default), replacing
+ * an earlier snapshot of the same week. Characters without fights in the window are
+ * not recorded.
+ *
+ * @param {number} characterId
+ * @param {{ summary: object, bossBreakdown: Array<object> }} performance - From getCharacterPerformance()
+ *   over SCORE_SNAPSHOT_WEEKS weeks without other filters
+ * @param {object} [opts]
+ * @param {string} [opts.weekStart] - YYYY-MM-DD from weekStartOf()
+ * @returns {Promise<boolean>} Whether a snapshot was written
+ */
+export async function saveStillNoobScoreSnapshot(
+  characterId,
+  { summary, bossBreakdown },
+  { weekStart = weekStartOf() } = {},
+) {
+  if (!summary?.totalFights) return false;
+
+  const inputs = extractScoreInputs(summary, bossBreakdown);
+  const values = snapshotValues(
+    calculateStillNoobScore(inputs.summary, inputs.bossBreakdown),
+    inputs,
+  );
+  await db
+    .insert(scoreSnapshots)
+    .values({ characterId, weekStart, ...values })
+    .onConflictDoUpdate({
+      target: [scoreSnapshots.characterId, scoreSnapshots.weekStart],
+      set: { ...values, snapshotAt: sql`CURRENT_TIMESTAMP` },
+    });
+  return true;
+}
+
+/**
+ * Recompute stored snapshots under a formula version from the inputs they kept, so
+ * score history stays comparable after the formula changes.
+ *
+ * @param {number} [version]
+ * @returns {Promise<number>} Snapshots recomputed
+ */
+export async function recomputeScoreSnapshots(version = CURRENT_SCORE_VERSION) {
+  const stale = await db
+    .select({ id: scoreSnapshots.id, inputs: scoreSnapshots.inputs })
+    .from(scoreSnapshots)
+    .where(ne(scoreSnapshots.formulaVersion, version))
+    .all();
+
+  for (const row of stale) {
+    const inputs = JSON.parse(row.inputs);
+    const score = calculateStillNoobScore(inputs.summary, inputs.bossBreakdown, version);
+    await db
+      .update(scoreSnapshots)
+      .set(snapshotValues(score, inputs))
+      .where(eq(scoreSnapshots.id, row.id));
+  }
+
+  if (stale.length > 0) {
+    log.info(`Recomputed ${stale.length} score snapshots with formula v${version}`);
+  }
+  return stale.length;
+}
+
+/**
+ * Weekly StillNoob Score history of a character, oldest first.
+ *
+ * @param {number} characterId
+ * @param {object} [opts]
+ * @param {number} [opts.weeks]
+ * @returns {Promise<{ snapshots: Array<object>, trend: { change: number, direction: string } | null }>}
+ *   Each snapshot: { weekStart, total, tier, breakdown, formulaVersion }
+ */
+export async function getScoreHistory(characterId, { weeks = 26 } = {}) {
+  const rows = await db
+    .select()
+    .from(scoreSnapshots)
+    .where(
+      and(
+        eq(scoreSnapshots.characterId, characterId),
+        gte(scoreSnapshots.weekStart, weekStartOf(Date.now() - weeks * 7 * DAY_MS)),
+      ),
+    )
+    .orderBy(asc(scoreSnapshots.weekStart))
+    .all();
+
+  const snapshots = rows.map((row) => ({
+    weekStart: row.weekStart,
+    total: row.total,
+    tier: SCORE_TIERS.find((t) => row.total >= t.min && row.total <= t.max) || SCORE_TIERS[0],
+    breakdown: {
+      performance: row.performance,
+      survival: row.survival,
+      preparation: row.preparation,
+      utility: row.utility,
+      consistency: row.consistency,
+    },
+    formulaVersion: row.formulaVersion,
+  }));
+
+  let trend = null;
+  if (snapshots.length >= 2) {
+    const change = snapshots[snapshots.length - 1].total - snapshots[0].total;
+    trend = { change, direction: change > 0 ? 'up' : change < 0 ? 'down' : 'flat' };
+  }
+  return { snapshots, trend };
+}
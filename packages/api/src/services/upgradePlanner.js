@@ -0,0 +1,193 @@
+/**
+ * Gear Upgrade Planner
+ *
+ * Ranks a character's equipped slots by how much replacing them is worth — the item
+ * level still on the table plus how poorly the item's secondary stats fit the spec —
+ * and lists where a better item comes from: raid bosses, M+ dungeons, the Great Vault,
+ * or crest upgrades of the current item. Loot sources come from the loot tables in
+ * @stillnoob/shared.
+ *
+ * Pure function — no DB access, no async.
+ */
+
+import {
+  getSpecData,
+  getLootSlot,
+  SECONDARY_STATS,
+  RAID_LOOT,
+  RAID_ITEM_LEVELS,
+  MPLUS_LOOT,
+  MPLUS_ITEM_LEVELS,
+  UPGRADE_TRACKS,
+} from '@stillnoob/shared';
+
+/** Cosmetic slots are never worth planning for */
+const COSMETIC_SLOTS = new Set(['shirt', 'tabard']);
+
+/** Stat weight by position in the spec's stat priority */
+const PRIORITY_WEIGHTS = [1, 0.8, 0.6, 0.4];
+
+/** Item levels a fully off-priority item is worth replacing for, at equal item level */
+export const STAT_FIT_ILVL_WORTH = 10;
+
+/** The weapon carries the largest primary stat budget */
+const SLOT_WEIGHTS = { mainHand: 1.5 };
+
+const DIFFICULTY_ORDER = ['LFR', 'Normal', 'Heroic', 'Mythic'];
+
+// ── Helpers ────────────────────────────────────────────────────
+
+/**
+ * Secondary stat weights: the spec's stat priority, averaged with the meta's stat
+ * shares (relative to its top stat) when community meta data is available.
+ *
+ * @param {string[]} specPriority
+ * @param {Record<string, number>|null} metaStats - specMeta.avgStats, % per stat
+ * @returns {Record<string, number>} 0-1 per stat
+ */
+export function getStatWeights(specPriority, metaStats = null) {
+  const weights = {};
+  for (const stat of SECONDARY_STATS) {
+    const rank = specPriority.indexOf(stat);
+    weights[stat] = PRIORITY_WEIGHTS[rank] ?? PRIORITY_WEIGHTS[PRIORITY_WEIGHTS.length - 1];
+  }
+
+  const metaTop = metaStats ? Math.max(...SECONDARY_STATS.map((s) => metaStats[s] || 0)) : 0;
+  if (metaTop > 0) {
+    for (const stat of SECONDARY_STATS) {
+      weights[stat] = (weights[stat] + (metaStats[stat] || 0) / metaTop) / 2;
+    }
+  }
+  return weights;
+}
+
+/**
+ * How well an item's secondary stats fit the weights, as % of an item with all of its
+ * secondaries in the best stat. Null for items without secondary stats.
+ */
+export function statFitPct(stats, weights) {
+  const total = SECONDARY_STATS.reduce((s, stat) => s + (stats?.[stat] || 0), 0);
+  if (total === 0) return null;
+  const maxWeight = Math.max(...Object.values(weights));
+  const weighted = SECONDARY_STATS.reduce((s, stat) => s + (stats[stat] || 0) * weights[stat], 0);
+  return Math.round((weighted / (total * maxWeight)) * 100);
+}
+
+/** First entry of an ordered list whose item level beats the equipped item. */
+function firstAbove(entries, itemLevel, getItemLevel) {
+  return entries.find((entry) => getItemLevel(entry) > itemLevel) || null;
+}
+
+/**
+ * Where an item for a slot that beats an item level drops: the lowest difficulty per
+ * raid boss, the lowest key level for M+ dungeons and the Great Vault.
+ */
+function findUpgradeSources(lootSlot, itemLevel) {
+  const raid = [];
+  for (const boss of RAID_LOOT.bosses) {
+    if (!boss.slots.includes(lootSlot)) continue;
+    const difficulty = firstAbove(
+      DIFFICULTY_ORDER,
+      itemLevel,
+      (d) => RAID_ITEM_LEVELS[d] + boss.itemLevelBonus,
+    );
+    if (difficulty) {
+      raid.push({
+        boss: boss.name,
+        difficulty,
+        itemLevel: RAID_ITEM_LEVELS[difficulty] + boss.itemLevelBonus,
+      });
+    }
+  }
+
+  const endOfRun = firstAbove(MPLUS_ITEM_LEVELS, itemLevel, (e) => e.endOfRun);
+  const mplus = endOfRun
+    ? MPLUS_LOOT.filter((d) => d.slots.includes(lootSlot)).map((d) => ({
+        dungeon: d.dungeon,
+        keyLevel: endOfRun.keyLevel,
+        itemLevel: endOfRun.endOfRun,
+      }))
+    : [];
+
+  // The Great Vault can offer any slot
+  const mplusVault = firstAbove(MPLUS_ITEM_LEVELS, itemLevel, (e) => e.vault);
+  const raidVault = firstAbove(DIFFICULTY_ORDER, itemLevel, (d) => RAID_ITEM_LEVELS[d]);
+  const vault = {
+    mplus: mplusVault ? { keyLevel: mplusVault.keyLevel, itemLevel: mplusVault.vault } : null,
+    raid: raidVault ? { difficulty: raidVault, itemLevel: RAID_ITEM_LEVELS[raidVault] } : null,
+  };
+
+  return { raid, mplus, vault };
+}
+
+/** Highest item level any source offers for a slot. */
+function bestSourceItemLevel(lootSlot) {
+  const levels = [
+    RAID_ITEM_LEVELS.Mythic,
+    ...MPLUS_ITEM_LEVELS.map((e) => Math.max(e.endOfRun, e.vault)),
+    ...RAID_LOOT.bosses
+      .filter((b) => b.slots.includes(lootSlot))
+      .map((b) => RAID_ITEM_LEVELS.Mythic + b.itemLevelBonus),
+  ];
+  return Math.max(...levels);
+}
+
+/**
+ * Crest upgrade still available for an item. The track is inferred from the item
+ * level; where tracks overlap the lower one is assumed, so the ceiling is a floor.
+ */
+function findCrestUpgrade(itemLevel) {
+  const track = UPGRADE_TRACKS.filter(
+    (t) => t.crest && itemLevel >= t.min && itemLevel < t.max,
+  ).sort((a, b) => a.max - b.max)[0];
+  return track ? { track: track.track, crest: track.crest, maxItemLevel: track.max } : null;
+}
+
+// ── Main Export ────────────────────────────────────────────────
+
+/**
+ * Rank a character's equipped slots by upgrade value, with the sources of a better item.
+ *
+ * @param {object} equipment     Output of transformEquipment()
+ * @param {string} className     e.g. 'Mage'
+ * @param {string} spec          e.g. 'Fire'
+ * @param {object|null} specMeta Optional community meta (avgStats)
+ * @returns {{ statWeights: Record<string, number>, averageItemLevel: number, slots: Array<{
+ *   slot: string, name: string, itemLevel: number, statFitPct: number|null,
+ *   bestItemLevel: number, upgradeValue: number, crestUpgrade: object|null,
+ *   sources: { raid: object[], mplus: object[], vault: { mplus: object|null, raid: object|null } }
+ * }> }} Slots sorted by upgradeValue, most valuable first
+ */
+export function planGearUpgrades(equipment, className, spec, specMeta = null) {
+  const specData = getSpecData(className, spec);
+  const specPriority = specData?.statPriority || SECONDARY_STATS;
+  const statWeights = getStatWeights(specPriority, specMeta?.avgStats);
+
+  const slots = equipment.items
+    .filter((item) => !COSMETIC_SLOTS.has(item.slot))
+    .map((item) => {
+      const lootSlot = getLootSlot(item.slot);
+      const fit = statFitPct(item.stats, statWeights);
+      const bestItemLevel = bestSourceItemLevel(lootSlot);
+      const ilvlGap = Math.max(0, bestItemLevel - item.itemLevel);
+      const fitGap = fit == null ? 0 : (1 - fit / 100) * STAT_FIT_ILVL_WORTH;
+
+      return {
+        slot: item.slot,
+        name: item.name,
+        itemLevel: item.itemLevel,
+        statFitPct: fit,
+        bestItemLevel,
+        upgradeValue: Math.round((SLOT_WEIGHTS[item.slot] || 1) * (ilvlGap + fitGap) * 10) / 10,
+        crestUpgrade: findCrestUpgrade(item.itemLevel),
+        sources: findUpgradeSources(lootSlot, item.itemLevel),
+      };
+    })
+    .sort((a, b) => b.upgradeValue - a.upgradeValue);
+
+  return {
+    statWeights,
+    averageItemLevel: equipment.aggregated.averageItemLevel,
+    slots,
+  };
+}
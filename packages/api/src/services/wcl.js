@@ -1,4 +1,9 @@
 import axios from 'axios';
+import {
+  BUFF_PATTERNS,
+  getAllActiveMitigationBuffIds,
+  getAllCooldownSpellIds,
+} from '@stillnoob/shared';
 
 // Warcraft Logs API Configuration
 const WCL_API_URL = 'https://www.warcraftlogs.com/api/v2/client';
@@ -61,6 +66,102 @@ async function executeGraphQL(query, variables = {}) {
   return response.data.data;
 }
 
+// ============================================
+// Event pagination
+// ============================================
+
+// events() returns at most EVENTS_PAGE_LIMIT events per page and sets nextPageTimestamp
+// when more follow, so every events field is read page by page until it is null.
+
+const EVENTS_PAGE_LIMIT = 10000;
+
+/**
+ * GraphQL for one page of an aliased events() field.
+ * @param {string} alias
+ * @param {{ args: string, startTime?: number }} field - events() arguments besides
+ *   startTime and limit, and the start time of the page
+ */
+function eventsFieldQuery(alias, { args, startTime }) {
+  const start = startTime != null ? `, startTime: ${startTime}` : '';
+  return `
+    ${alias}: events(${args}${start}, limit: ${EVENTS_PAGE_LIMIT}) {
+      data
+      nextPageTimestamp
+    }
+  `;
+}
+
+/**
+ * Read the remaining pages of the events fields of a batch query. Fields still
+ * truncated are asked for again together, each from its nextPageTimestamp on.
+ *
+ * @param {string} reportCode
+ * @param {string} operation - GraphQL operation name of the follow-up queries
+ * @param {Record<string, { args: string, startTime?: number }>} fields - Per alias
+ * @param {object} report - Batch query result holding the first page of every field
+ * @returns {Promise<Record<string, object[]>>} Per alias, the events of all pages
+ */
+async function collectEventPages(reportCode, operation, fields, report) {
+  const events = {};
+  let page = report;
+  let pending = Object.keys(fields);
+
+  while (page && pending.length > 0) {
+    const next = {};
+    for (const alias of pending) {
+      events[alias] = [...(events[alias] || []), ...(page[alias]?.data || [])];
+      const nextPageTimestamp = page[alias]?.nextPageTimestamp;
+      if (nextPageTimestamp != null) {
+        next[alias] = { ...fields[alias], startTime: nextPageTimestamp };
+      }
+    }
+    pending = Object.keys(next);
+    if (pending.length === 0) break;
+
+    const query = `
+      query ${operation}($reportCode: String!) {
+        reportData {
+          report(code: $reportCode) {
+            ${pending.map((alias) => eventsFieldQuery(alias, next[alias])).join('\n')}
+          }
+        }
+      }
+    `;
+    const data = await executeGraphQL(query, { reportCode });
+    page = data.reportData?.report;
+  }
+  return events;
+}
+
+/**
+ * Fetch every page of a set of aliased events() fields, batched into as few requests
+ * as paging allows.
+ *
+ * @param {string} reportCode
+ * @param {string} operation - GraphQL operation name
+ * @param {Record<string, { args: string, startTime?: number }>} fields - Per alias
+ * @returns {Promise<Record<string, object[]> | null>} Per alias, all events; null when
+ *   the report is not found
+ */
+async function fetchEventPages(reportCode, operation, fields) {
+  const query = `
+    query ${operation}($reportCode: String!) {
+      reportData {
+        report(code: $reportCode) {
+          ${Object.entries(fields)
+            .map(([alias, field]) => eventsFieldQuery(alias, field))
+            .join('\n')}
+        }
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(query, { reportCode });
+  const report = data.reportData?.report;
+  if (!report) return null;
+  return collectEventPages(reportCode, operation, fields, report);
+}
+
 /**
  * Get report data including participants and fights
  */
@@ -84,6 +185,17 @@ export async function getReportData(reportCode) {
             difficulty
             startTime
             endTime
+            keystoneLevel
+            keystoneAffixes
+            keystoneBonus
+            keystoneTime
+            fightPercentage
+            lastPhase
+            phaseTransitions { id startTime }
+          }
+          phases {
+            encounterID
+            phases { id name isIntermission }
           }
           masterData(translate: true) {
             actors(type: "Player") {
@@ -112,6 +224,7 @@ export async function getReportData(reportCode) {
     guild: report.guild,
     zone: report.zone,
     fights: report.fights || [],
+    phases: report.phases || [],
     participants: (report.masterData?.actors || []).map((a) => ({
       name: a.name,
       server: a.server || 'Unknown',
@@ -193,7 +306,9 @@ export async function getExtendedFightStats(reportCode, fightIds) {
 /**
  * Batch fetch fight stats for multiple fights in a single GraphQL request.
  * Uses aliases to get per-fight data: 2 API calls instead of 2*N.
- * Returns Map<fightId, { damage, healing, damageTaken, deaths }>
+ * Returns Map<fightId, { damage, healing, absorbs, damageTaken, deaths }> — `healing` is
+ * effective healing with its overheal, `absorbs` the part of it done by shields, and
+ * `deaths` has one entry per death (killing blow + recap events), not per player.
  */
 export async function getBatchFightStats(reportCode, fightIds) {
   if (fightIds.length === 0) return new Map();
@@ -203,6 +318,7 @@ export async function getBatchFightStats(reportCode, fightIds) {
       (id) => `
     fight_${id}_damage: table(dataType: DamageDone, fightIDs: [${id}], hostilityType: Friendlies)
     fight_${id}_healing: table(dataType: Healing, fightIDs: [${id}], hostilityType: Friendlies)
+    fight_${id}_absorbs: table(dataType: Healing, fightIDs: [${id}], hostilityType: Friendlies, filterExpression: "type = 'absorbed'")
     fight_${id}_damageTaken: table(dataType: DamageTaken, fightIDs: [${id}], hostilityType: Friendlies)
     fight_${id}_deaths: table(dataType: Deaths, fightIDs: [${id}], hostilityType: Friendlies)
   `,
@@ -239,16 +355,170 @@ export async function getBatchFightStats(reportCode, fightIds) {
       healing: parseTable(report[`fight_${id}_healing`]).map((e) => ({
         name: e.name,
         total: e.total || 0,
+        overheal: e.overheal || 0,
+      })),
+      absorbs: parseTable(report[`fight_${id}_absorbs`]).map((e) => ({
+        name: e.name,
+        total: e.total || 0,
       })),
       damageTaken: parseTable(report[`fight_${id}_damageTaken`]).map((e) => ({
         name: e.name,
         total: e.total || 0,
+        abilities: (e.abilities || []).map((a) => ({ name: a.name, total: a.total || 0 })),
       })),
+      // One entry per death, with the killing blow and the death recap events
       deaths: parseTable(report[`fight_${id}_deaths`]).map((e) => ({
+        name: e.name,
+        className: e.type,
+        total: e.total || 0,
+        deathTime: e.deathTime ?? null,
+        killingBlow: e.killingBlow || e.ability || null,
+        damageTotal: e.damage?.total ?? null,
+        events: e.events || [],
+      })),
+    });
+  }
+  return results;
+}
+
+/**
+ * Batch fetch damage done and taken per encounter phase in a single GraphQL request.
+ * Each table is bounded by its phase window, so activeTime is the time active in that phase.
+ *
+ * @param {string} reportCode
+ * @param {Array<{ fightId: number, startTime: number, endTime: number }>} phaseWindows - Report-relative ms
+ * @returns {Promise<Map<number, Array<{ damage: object[], damageTaken: object[] }>>>} Per fight,
+ *   one entry per window in the order given
+ */
+export async function getBatchPhaseStats(reportCode, phaseWindows) {
+  if (phaseWindows.length === 0) return new Map();
+
+  const windowQueries = phaseWindows
+    .map(
+      ({ fightId, startTime, endTime }, i) => `
+    fight_${fightId}_window_${i}_damage: table(dataType: DamageDone, fightIDs: [${fightId}], startTime: ${startTime}, endTime: ${endTime}, hostilityType: Friendlies)
+    fight_${fightId}_window_${i}_damageTaken: table(dataType: DamageTaken, fightIDs: [${fightId}], startTime: ${startTime}, endTime: ${endTime}, hostilityType: Friendlies)
+  `,
+    )
+    .join('\n');
+
+  const query = `
+    query GetBatchPhaseStats($reportCode: String!) {
+      reportData {
+        report(code: $reportCode) {
+          ${windowQueries}
+        }
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(query, { reportCode });
+  const report = data.reportData?.report;
+  if (!report) return new Map();
+
+  const parseTable = (table) => table?.data?.entries || [];
+
+  const results = new Map();
+  phaseWindows.forEach(({ fightId }, i) => {
+    if (!results.has(fightId)) results.set(fightId, []);
+    results.get(fightId).push({
+      damage: parseTable(report[`fight_${fightId}_window_${i}_damage`]).map((e) => ({
+        name: e.name,
+        total: e.total || 0,
+        activeTime: e.activeTime || 0,
+      })),
+      damageTaken: parseTable(report[`fight_${fightId}_window_${i}_damageTaken`]).map((e) => ({
         name: e.name,
         total: e.total || 0,
       })),
     });
+  });
+  return results;
+}
+
+/**
+ * Batch fetch each healer's mana at the end of a fight in a single GraphQL request,
+ * from the resources on their last cast in the window (WCL resource type 0 is mana).
+ * Only the healers' casts are requested; further pages are read as needed.
+ *
+ * @param {string} reportCode
+ * @param {Array<{ fightId: number, startTime: number, endTime: number, healerIds: number[] }>} endWindows -
+ *   Report-relative ms, the last stretch of each fight, and the WCL actor IDs of its healers
+ * @returns {Promise<Map<number, object>>} Per fight, { [sourceID]: mana % } for healers on mana
+ */
+export async function getBatchEndOfFightMana(reportCode, endWindows) {
+  if (endWindows.length === 0) return new Map();
+
+  const fields = {};
+  for (const { fightId, startTime, endTime, healerIds } of endWindows) {
+    const filter = `source.id in (${healerIds.join(', ')})`;
+    fields[`fight_${fightId}_mana`] = {
+      args: `dataType: Casts, fightIDs: [${fightId}], endTime: ${endTime}, hostilityType: Friendlies, filterExpression: "${filter}", includeResources: true`,
+      startTime,
+    };
+  }
+
+  const events = await fetchEventPages(reportCode, 'GetBatchEndOfFightMana', fields);
+  if (!events) return new Map();
+
+  const results = new Map();
+  for (const { fightId } of endWindows) {
+    // Events come in time order: the last cast with mana wins
+    const manaBySource = {};
+    for (const event of events[`fight_${fightId}_mana`] || []) {
+      const mana = (event.classResources || []).find((r) => r.type === 0);
+      if (event.sourceID == null || !mana?.max) continue;
+      manaBySource[event.sourceID] = Math.round((mana.amount / mana.max) * 1000) / 10;
+    }
+    results.set(fightId, manaBySource);
+  }
+  return results;
+}
+
+/**
+ * Batch fetch the damage taken and healing received by each fight's tanks in a single
+ * GraphQL request, plus one per further page of events (see collectEventPages()).
+ * Damage events carry the tank's health after the hit (includeResources).
+ *
+ * @param {string} reportCode
+ * @param {Array<{ fightId: number, tankIds: number[] }>} tankFights - WCL actor IDs of the tanks per fight
+ * @returns {Promise<Map<number, { damage: object[], healing: object[] }>>}
+ *   Both as { timestamp, sourceID, targetID, amount, hitPoints, maxHitPoints }
+ */
+export async function getBatchTankEvents(reportCode, tankFights) {
+  if (tankFights.length === 0) return new Map();
+
+  const fields = {};
+  for (const { fightId, tankIds } of tankFights) {
+    const filter = `target.id in (${tankIds.join(', ')})`;
+    const args = (dataType) =>
+      `dataType: ${dataType}, fightIDs: [${fightId}], hostilityType: Friendlies, filterExpression: "${filter}", includeResources: true`;
+    fields[`fight_${fightId}_tankDamage`] = { args: args('DamageTaken') };
+    fields[`fight_${fightId}_tankHealing`] = { args: args('Healing') };
+  }
+
+  const events = await fetchEventPages(reportCode, 'GetBatchTankEvents', fields);
+  if (!events) return new Map();
+
+  // Absorbed damage was still a hit on the tank, so it counts with the amount
+  const parseEvents = (fightEvents, type) =>
+    (fightEvents || [])
+      .filter((e) => e.type === type && e.targetID != null)
+      .map((e) => ({
+        timestamp: e.timestamp,
+        sourceID: e.sourceID,
+        targetID: e.targetID,
+        amount: (e.amount || 0) + (type === 'damage' ? e.absorbed || 0 : 0),
+        hitPoints: e.hitPoints ?? null,
+        maxHitPoints: e.maxHitPoints ?? null,
+      }));
+
+  const results = new Map();
+  for (const { fightId } of tankFights) {
+    results.set(fightId, {
+      damage: parseEvents(events[`fight_${fightId}_tankDamage`], 'damage'),
+      healing: parseEvents(events[`fight_${fightId}_tankHealing`], 'heal'),
+    });
   }
   return results;
 }
@@ -260,14 +530,31 @@ export async function getBatchFightStats(reportCode, fightIds) {
  *   - casts: table(Casts)       → per-player total cast count for CPM
  *   - summary: table(Summary)   → playerDetails with potionUse/healthstoneUse
  *   - combatantInfo: events(CombatantInfo) → pre-fight auras (flask, food, augment)
+ *   - buffs: events(Buffs)      → applybuff/removebuff on players of the tracked buffs only
+ *                                 (BUFF_PATTERNS names and active-mitigation buffs), named via
+ *                                 masterData abilities — a follow-up request, since the IDs
+ *                                 behind the names come from the report's masterData
+ *   - cooldowns: events(Casts)  → casts of the major cooldowns in @stillnoob/shared SPEC_COOLDOWNS
+ * Both event fields are read page by page (see collectEventPages()).
  *   - interrupts: table(Interrupts) → nested per-ability details with per-player totals
  *   - dispels: table(Dispels)       → same nested structure as interrupts
+ *   - enemyCasts: table(Casts, Enemies, by ability) → completed enemy casts, to see kicks missed
  *
- * Returns Map<fightId, { casts, summary, combatantInfo, interrupts, dispels }>
+ * Returns Map<fightId, { casts, summary, combatantInfo, buffs, cooldowns, interrupts, dispels, enemyCasts }>
  */
 export async function getBatchExtendedFightStats(reportCode, fightIds) {
   if (fightIds.length === 0) return new Map();
 
+  const cooldownFilter = `ability.id in (${getAllCooldownSpellIds().join(', ')})`;
+  const cooldownFields = Object.fromEntries(
+    fightIds.map((id) => [
+      `fight_${id}_cooldowns`,
+      {
+        args: `dataType: Casts, fightIDs: [${id}], hostilityType: Friendlies, filterExpression: "${cooldownFilter}"`,
+      },
+    ]),
+  );
+
   const fightQueries = fightIds
     .map(
       (id) => `
@@ -275,6 +562,8 @@ export async function getBatchExtendedFightStats(reportCode, fightIds) {
     fight_${id}_summary: table(dataType: Summary, fightIDs: [${id}], hostilityType: Friendlies)
     fight_${id}_interrupts: table(dataType: Interrupts, fightIDs: [${id}], hostilityType: Friendlies)
     fight_${id}_dispels: table(dataType: Dispels, fightIDs: [${id}], hostilityType: Friendlies)
+    fight_${id}_enemyCasts: table(dataType: Casts, fightIDs: [${id}], hostilityType: Enemies, viewBy: Ability)
+    ${eventsFieldQuery(`fight_${id}_cooldowns`, cooldownFields[`fight_${id}_cooldowns`])}
   `,
     )
     .join('\n');
@@ -287,6 +576,12 @@ export async function getBatchExtendedFightStats(reportCode, fightIds) {
           combatantInfo: events(dataType: CombatantInfo, fightIDs: [${fightIds.join(',')}], limit: 500) {
             data
           }
+          masterData {
+            abilities {
+              gameID
+              name
+            }
+          }
         }
       }
     }
@@ -306,6 +601,60 @@ export async function getBatchExtendedFightStats(reportCode, fightIds) {
     ciByFight[fId].push(event);
   }
 
+  const cooldownEvents = await collectEventPages(
+    reportCode,
+    'GetBatchCooldownCasts',
+    cooldownFields,
+    report,
+  );
+
+  // Buff events only carry abilityGameID — attach names so callers can pattern-match
+  const abilityNames = {};
+  for (const ability of report.masterData?.abilities || []) {
+    abilityNames[ability.gameID] = ability.name;
+  }
+
+  // Only the buffs analysis measures: consumables and raid buffs by name, tank active mitigation
+  const patterns = Object.values(BUFF_PATTERNS);
+  const trackedBuffIds = new Set(getAllActiveMitigationBuffIds());
+  for (const [gameID, name] of Object.entries(abilityNames)) {
+    if (patterns.some((pattern) => pattern.test(name))) trackedBuffIds.add(Number(gameID));
+  }
+  const buffFilter = `ability.id in (${[...trackedBuffIds].sort((a, b) => a - b).join(', ')})`;
+  const buffEvents =
+    (await fetchEventPages(
+      reportCode,
+      'GetBatchBuffEvents',
+      Object.fromEntries(
+        fightIds.map((id) => [
+          `fight_${id}_buffs`,
+          {
+            args: `dataType: Buffs, fightIDs: [${id}], hostilityType: Friendlies, filterExpression: "${buffFilter}"`,
+          },
+        ]),
+      ),
+    )) || {};
+
+  const parseBuffEvents = (events) =>
+    (events || [])
+      .filter((e) => e.type === 'applybuff' || e.type === 'removebuff')
+      .map((e) => ({
+        timestamp: e.timestamp,
+        type: e.type,
+        targetID: e.targetID,
+        abilityGameID: e.abilityGameID,
+        abilityName: abilityNames[e.abilityGameID] || null,
+      }));
+
+  const parseCooldownCasts = (events) =>
+    (events || [])
+      .filter((e) => e.type === 'cast')
+      .map((e) => ({
+        timestamp: e.timestamp,
+        sourceID: e.sourceID,
+        abilityGameID: e.abilityGameID,
+      }));
+
   const results = new Map();
   for (const id of fightIds) {
     const summaryData = report[`fight_${id}_summary`]?.data;
@@ -313,8 +662,15 @@ export async function getBatchExtendedFightStats(reportCode, fightIds) {
       casts: parseTable(report[`fight_${id}_casts`]),
       summary: summaryData?.playerDetails || null,
       combatantInfo: ciByFight[id] || [],
+      buffs: parseBuffEvents(buffEvents[`fight_${id}_buffs`]),
+      cooldowns: parseCooldownCasts(cooldownEvents[`fight_${id}_cooldowns`]),
       interrupts: parseTable(report[`fight_${id}_interrupts`]),
       dispels: parseTable(report[`fight_${id}_dispels`]),
+      enemyCasts: parseTable(report[`fight_${id}_enemyCasts`]).map((e) => ({
+        guid: e.guid,
+        name: e.name,
+        total: e.total || 0,
+      })),
     });
   }
   return results;
@@ -420,6 +776,17 @@ export async function getReportDataWithUserToken(reportCode, userToken) {
             difficulty
             startTime
             endTime
+            keystoneLevel
+            keystoneAffixes
+            keystoneBonus
+            keystoneTime
+            fightPercentage
+            lastPhase
+            phaseTransitions { id startTime }
+          }
+          phases {
+            encounterID
+            phases { id name isIntermission }
           }
           masterData(translate: true) {
             actors(type: "Player") {
@@ -449,6 +816,7 @@ export async function getReportDataWithUserToken(reportCode, userToken) {
     zone: report.zone,
     visibility: report.visibility || 'public',
     fights: report.fights || [],
+    phases: report.phases || [],
     participants: (report.masterData?.actors || []).map((a) => ({
       name: a.name,
       server: a.server || 'Unknown',
@@ -578,7 +946,7 @@ function getWclClassName(className) {
 }
 
 /** Slugify realm name → Blizzard realm slug (e.g. "Twisting Nether" → "twisting-nether") */
-function slugifyRealm(name) {
+export function slugifyRealm(name) {
   return name.toLowerCase().replace(/'/g, '').replace(/\s+/g, '-');
 }
 
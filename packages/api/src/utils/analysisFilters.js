@@ -0,0 +1,61 @@
+/**
+ * Common filter model for the character analysis endpoints, parsed from a
+ * request query string:
+ *
+ *   weeks       look-back window (ignored when from/to is given)
+ *   bossId      encounter ID
+ *   difficulty  stored difficulty label ('Heroic', 'Mythic', ...)
+ *   outcome     'kills' | 'wipes' | 'all' (default)
+ *   zone        raid zone name, as stored on the report
+ *   from / to   dates (YYYY-MM-DD or ISO 8601), both inclusive
+ *   visibility  'public' | 'private' | 'guild' report visibility
+ *   specId      Blizzard spec ID the character played
+ *
+ * Invalid values are dropped, like the rest of the API's query parsing.
+ */
+
+export const FIGHT_OUTCOMES = ['all', 'kills', 'wipes'];
+export const REPORT_VISIBILITIES = ['public', 'private', 'guild'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Epoch ms for a query date; a bare `to` date runs to the end of that day (UTC). */
+function parseDate(value, { endOfDay = false } = {}) {
+  if (typeof value !== 'string' || !value) return undefined;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) return undefined;
+  return endOfDay && DATE_ONLY.test(value) ? ms + DAY_MS - 1 : ms;
+}
+
+/**
+ * @param {object} query - req.query
+ * @param {object} [opts]
+ * @param {number} [opts.defaultWeeks]
+ * @returns {{ weeks: number, bossId?: number, difficulty?: string, outcome?: 'kills'|'wipes', zone?: string, from?: number, to?: number, visibilityFilter?: string, specId?: number }}
+ *   Only the filters that were set (plus weeks); from/to are epoch ms
+ */
+export function parseAnalysisFilters(query = {}, { defaultWeeks = 8 } = {}) {
+  const filters = { weeks: parseInt(query.weeks) || defaultWeeks };
+
+  const bossId = parseInt(query.bossId);
+  if (bossId) filters.bossId = bossId;
+  if (typeof query.difficulty === 'string' && query.difficulty) {
+    filters.difficulty = query.difficulty;
+  }
+  if (FIGHT_OUTCOMES.includes(query.outcome) && query.outcome !== 'all') {
+    filters.outcome = query.outcome;
+  }
+  if (typeof query.zone === 'string' && query.zone) filters.zone = query.zone;
+
+  const from = parseDate(query.from);
+  if (from != null) filters.from = from;
+  const to = parseDate(query.to, { endOfDay: true });
+  if (to != null) filters.to = to;
+
+  if (REPORT_VISIBILITIES.includes(query.visibility)) filters.visibilityFilter = query.visibility;
+  const specId = parseInt(query.specId);
+  if (specId) filters.specId = specId;
+
+  return filters;
+}
@@ -0,0 +1,32 @@
+/**
+ * Reset weeks: the weeks weekly trends, score snapshots and tip resolution are
+ * bucketed by. A week starts on the EU weekly reset day and is keyed by the date
+ * it starts on, YYYY-MM-DD (UTC).
+ */
+
+import { sql } from 'drizzle-orm';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** UTC weekday reset weeks start on: Wednesday, the EU weekly reset */
+export const RESET_WEEKDAY = 3;
+
+/**
+ * Start of the reset week a moment falls in, as YYYY-MM-DD (UTC).
+ * @param {number} [ms] - Epoch ms, now by default
+ */
+export function weekStartOf(ms = Date.now()) {
+  const date = new Date(ms);
+  const daysSinceReset = (date.getUTCDay() - RESET_WEEKDAY + 7) % 7;
+  return new Date(ms - daysSinceReset * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * SQL for weekStartOf() of an epoch-ms expression, to group rows by reset week.
+ * @param {import('drizzle-orm').SQL} msExpr
+ */
+export function weekStartSql(msExpr) {
+  const at = sql`datetime(${msExpr} / 1000, 'unixepoch')`;
+  const daysSinceReset = sql`(CAST(strftime('%w', ${at}) AS INTEGER) + ${sql.raw(String(7 - RESET_WEEKDAY))}) % 7`;
+  return sql`date(${at}, '-' || (${daysSinceReset}) || ' days')`;
+}
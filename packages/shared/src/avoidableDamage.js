@@ -0,0 +1,48 @@
+/**
+ * Avoidable damage catalog by WCL encounter ID.
+ *
+ * Abilities a player can dodge or position out of (swirls, frontals, beams,
+ * pools). Tank-busters, unavoidable raid-wide damage and assigned soaks are
+ * deliberately left out. Names match the English ability names in WCL tables.
+ *
+ * Manaforge Omega — The War Within Season 3. Update each raid tier.
+ */
+export const AVOIDABLE_ABILITIES = {
+  // Plexus Sentinel
+  3129: ['Arcanomatrix Atomizer', 'Eradicating Salvo', 'Displacement Matrix', 'Energy Cutter'],
+  // Loom'ithar
+  3131: ['Arcane Outrage', 'Lair Weaving', 'Infusion Pylon', 'Overinfusion Burst'],
+  // Soulbinder Naazindhri
+  3130: ['Essence Implosion', 'Soulfray Annihilation', 'Voidblade Ambush', 'Soul Calling'],
+  // Forgeweaver Araz
+  3132: ['Arcane Obliteration', 'Astral Harvest', 'Void Tear', 'Invoke Collector'],
+  // The Soul Hunters
+  3122: ['Fel Rush', 'Eye Beam', 'The Hunt', 'Spirit Bomb'],
+  // Fractillus
+  3133: ['Crystalline Shockwave', 'Shattering Backhand', 'Crystal Nexus'],
+  // Nexus-King Salhadaar
+  3134: ['Dimension Breath', 'Star Collapse', 'Besiege', 'Netherblast'],
+  // Dimensius, the All-Devouring
+  3135: ['Mass Destruction', 'Cosmic Collapse', 'Gamma Burst', 'Fission'],
+};
+
+/**
+ * Avoidable ability names for an encounter.
+ * @param {number} encounterId - WCL encounter ID
+ * @returns {string[]} Empty when the encounter is not catalogued
+ */
+export function getAvoidableAbilities(encounterId) {
+  return AVOIDABLE_ABILITIES[encounterId] || [];
+}
+
+/**
+ * Whether an ability hitting a player on this encounter counts as avoidable.
+ * @param {number} encounterId - WCL encounter ID
+ * @param {string} abilityName - Ability name as reported by WCL
+ * @returns {boolean}
+ */
+export function isAvoidableAbility(encounterId, abilityName) {
+  if (!abilityName) return false;
+  const name = abilityName.toLowerCase();
+  return getAvoidableAbilities(encounterId).some((a) => a.toLowerCase() === name);
+}
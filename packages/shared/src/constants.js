@@ -112,11 +112,36 @@ export const CONSUMABLE_PATTERNS = {
     /tempered potion|potion of unwavering focus|frontline potion|elemental potion|potion of the .*(war|twilight)/i,
 };
 
-/** Buff detection regex patterns */
+/** Buff detection regex patterns (uptime is measured per pattern from WCL Buffs events) */
 export const BUFF_PATTERNS = {
   flask: /flask|phial/i,
   food: /well fed|sated|nourished|satisfecho|alimentado/i,
   augmentRune: /augment rune/i,
+  bloodlust: /bloodlust|heroism|time warp|primal rage|fury of the aspects|drums of/i,
+  powerInfusion: /power infusion/i,
+};
+
+/** Death recap analysis: damage window before a death, healthstone detection */
+export const DEATH_ANALYSIS = {
+  windowMs: 5000,
+  healthstoneSpellIds: [6262],
+};
+
+/** Personal defensive spell IDs by class — a cast or buff in the death recap counts as used */
+export const DEFENSIVE_SPELL_IDS = {
+  'Death Knight': [48707, 48792, 49039, 55233, 49028],
+  'Demon Hunter': [198589, 212800, 196555, 187827, 204021, 203720],
+  Druid: [22812, 61336, 22842, 108238],
+  Evoker: [363916, 374348],
+  Hunter: [186265, 109304, 264735, 5384],
+  Mage: [45438, 342245, 55342, 110959, 235313, 11426, 235450],
+  Monk: [115203, 122783, 122278, 122470, 322507],
+  Paladin: [642, 498, 31850, 86659, 184662, 633],
+  Priest: [47585, 19236, 586, 33206, 47788],
+  Rogue: [31224, 5277, 1966, 185311],
+  Shaman: [108271, 198103],
+  Warlock: [104773, 108416],
+  Warrior: [871, 12975, 118038, 184364, 23920, 190456, 97462],
 };
 
 /** Consumable score weights (must sum to 1.0) */
@@ -128,13 +153,72 @@ export const CONSUMABLE_WEIGHTS = {
   augmentRune: 0.07,
 };
 
-/** StillNoob Score component weights */
-export const SCORE_WEIGHTS = {
-  performance: 0.35,
-  survival: 0.25,
-  preparation: 0.2,
-  utility: 0.1,
-  consistency: 0.1,
+/**
+ * StillNoob Score formulas by version: pillar weights plus the curve each pillar maps
+ * its metric through.
+ *   performance  ratio % (spec benchmark or raid median) scoring 0 at zeroAtPct and 100
+ *                at fullAtPct; healers lose a point per overheal % above overhealPenaltyFromPct
+ *   survival     death rate scoring 0 at deathCeiling (mythicDeathCeiling with Mythic kills)
+ *   utility      points per interrupt + dispel per fight
+ *   consistency  DPS spread across bosses, measured from minBosses bosses
+ *
+ * Never edit a released version — add a new one and point CURRENT_SCORE_VERSION at it.
+ * Scores carry the version they were computed with, and stored snapshots are
+ * recomputed from their inputs when the version changes.
+ */
+export const SCORE_FORMULAS = {
+  1: {
+    weights: {
+      performance: 0.35,
+      survival: 0.25,
+      preparation: 0.2,
+      utility: 0.1,
+      consistency: 0.1,
+    },
+    performance: { zeroAtPct: 70, fullAtPct: 130, overhealPenaltyFromPct: 40 },
+    survival: { deathCeiling: 0.5, mythicDeathCeiling: 0.7 },
+    utility: { pointsPerAction: 25 },
+    consistency: { minBosses: 3 },
+  },
+};
+
+export const CURRENT_SCORE_VERSION = 1;
+
+/** StillNoob Score component weights of the current formula */
+export const SCORE_WEIGHTS = SCORE_FORMULAS[CURRENT_SCORE_VERSION].weights;
+
+/**
+ * Same-spec benchmarking for the Performance pillar: which metric each role is
+ * judged on (tanks take less damage than their peers to score higher) and how many
+ * peer fights an encounter/difficulty/spec needs before its median is trusted.
+ */
+export const SPEC_BENCHMARK = {
+  metricByRole: { DPS: 'dps', Healer: 'hps', Tank: 'dtps' },
+  lowerIsBetter: ['dtps'],
+  minPeerFights: 3,
+};
+
+/**
+ * Healer model: overheal % and mana left on kills that earn a tip (info, warning),
+ * and the share of an even split of the healers' healing below which a healer gets a
+ * tip. The Performance pillar's overheal penalty lives in SCORE_FORMULAS.
+ */
+export const HEALER_THRESHOLDS = {
+  overhealPct: [35, 45],
+  manaLeftOnKillPct: [15, 30],
+  healingShareVsEvenPct: 75,
+};
+
+/**
+ * Tank model: the health % below which a tank counts as "low", and the levels of
+ * damage taken without active mitigation, time at low health (info, warning) and
+ * self-healing share that earn a tip.
+ */
+export const TANK_THRESHOLDS = {
+  lowHealthPct: 35,
+  unmitigatedDamagePct: [40, 60],
+  lowHealthTimePct: [8, 15],
+  selfHealingPct: 15,
 };
 
 /** StillNoob Score tier definitions */
@@ -196,3 +280,22 @@ export const MPLUS_BRACKETS = [
   { min: 2501, max: 3000, key: 'keystone_master', label: 'Keystone Master', color: '#ff8000' },
   { min: 3001, max: 9999, key: 'keystone_legend', label: 'Keystone Legend', color: '#e268a8' },
 ];
+
+/**
+ * Metrics a personal goal can target. `summary` is the getCharacterPerformance()
+ * summary field the current value comes from and `trend` its weeklyTrends field (for
+ * the projection); M+ score goals read mplus_snapshots instead. `direction` is the
+ * side of the target that counts as reached.
+ */
+export const GOAL_METRICS = {
+  deathRate: { direction: 'below', summary: 'deathRate', trend: 'avgDeaths', decimals: 2 },
+  activeTime: { direction: 'above', summary: 'avgActiveTime', trend: 'avgActiveTime', unit: '%' },
+  consumableScore: { direction: 'above', summary: 'consumableScore', trend: 'consumableScore' },
+  dps: { direction: 'above', summary: 'avgDps', trend: 'avgDps' },
+  hps: { direction: 'above', summary: 'avgHps', trend: 'avgHps' },
+  dpsVsMedian: { direction: 'above', summary: 'dpsVsMedianPct', trend: null, unit: '%' },
+  mplusScore: { direction: 'above', source: 'mplus' },
+};
+
+/** Most goals a character can have at once */
+export const MAX_GOALS_PER_CHARACTER = 10;
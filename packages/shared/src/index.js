@@ -2,3 +2,7 @@ export * from './constants.js';
 export * from './specData.js';
 export * from './specCoaching.js';
 export * from './mplusConstants.js';
+export * from './avoidableDamage.js';
+export * from './specCooldowns.js';
+export * from './lootTables.js';
+export * from './statCurves.js';
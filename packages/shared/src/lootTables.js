@@ -0,0 +1,122 @@
+/**
+ * Loot sources for the gear upgrade planner: which raid bosses and M+ dungeons drop
+ * an item for each equipment slot, and the item levels each source awards.
+ *
+ * Slots use the planner's keys (transformEquipment() slots with the numbered ring and
+ * trinket slots folded into `finger` / `trinket`). Armor slots cover every armor type.
+ *
+ * Manaforge Omega and the M+ rotation — The War Within Season 3. Update each season.
+ */
+
+/** Raid bosses, in kill order, with the slots they drop. Later bosses drop higher ilvl. */
+export const RAID_LOOT = {
+  zone: 'Manaforge Omega',
+  bosses: [
+    {
+      encounterId: 3129,
+      name: 'Plexus Sentinel',
+      itemLevelBonus: 0,
+      slots: ['head', 'wrist', 'feet', 'finger', 'trinket', 'mainHand'],
+    },
+    {
+      encounterId: 3131,
+      name: "Loom'ithar",
+      itemLevelBonus: 0,
+      slots: ['shoulder', 'hands', 'waist', 'neck', 'trinket', 'offHand'],
+    },
+    {
+      encounterId: 3130,
+      name: 'Soulbinder Naazindhri',
+      itemLevelBonus: 0,
+      slots: ['chest', 'legs', 'back', 'wrist', 'trinket', 'mainHand'],
+    },
+    {
+      encounterId: 3132,
+      name: 'Forgeweaver Araz',
+      itemLevelBonus: 3,
+      slots: ['hands', 'feet', 'finger', 'trinket', 'mainHand', 'offHand'],
+    },
+    {
+      encounterId: 3122,
+      name: 'The Soul Hunters',
+      itemLevelBonus: 3,
+      slots: ['head', 'shoulder', 'waist', 'back', 'trinket', 'mainHand'],
+    },
+    {
+      encounterId: 3133,
+      name: 'Fractillus',
+      itemLevelBonus: 3,
+      slots: ['chest', 'wrist', 'legs', 'neck', 'trinket'],
+    },
+    {
+      encounterId: 3134,
+      name: 'Nexus-King Salhadaar',
+      itemLevelBonus: 6,
+      slots: ['head', 'hands', 'feet', 'finger', 'trinket', 'mainHand'],
+    },
+    {
+      encounterId: 3135,
+      name: 'Dimensius, the All-Devouring',
+      itemLevelBonus: 6,
+      slots: ['shoulder', 'chest', 'legs', 'neck', 'trinket', 'mainHand'],
+    },
+  ],
+};
+
+/** Base item level of raid drops (first bosses) and of the raid Great Vault, per difficulty. */
+export const RAID_ITEM_LEVELS = {
+  LFR: 671,
+  Normal: 684,
+  Heroic: 697,
+  Mythic: 710,
+};
+
+/** M+ dungeons of the rotation with the slots they drop. */
+export const MPLUS_LOOT = [
+  {
+    dungeon: 'Ara-Kara, City of Echoes',
+    slots: ['head', 'wrist', 'finger', 'trinket', 'mainHand'],
+  },
+  {
+    dungeon: "Eco-Dome Al'dani",
+    slots: ['shoulder', 'legs', 'back', 'trinket', 'offHand'],
+  },
+  { dungeon: 'Halls of Atonement', slots: ['chest', 'hands', 'neck', 'trinket', 'mainHand'] },
+  { dungeon: 'Operation: Floodgate', slots: ['waist', 'feet', 'finger', 'trinket', 'mainHand'] },
+  { dungeon: 'Priory of the Sacred Flame', slots: ['head', 'legs', 'back', 'trinket', 'offHand'] },
+  { dungeon: "Tazavesh: So'leah's Gambit", slots: ['shoulder', 'wrist', 'neck', 'trinket'] },
+  { dungeon: 'Tazavesh: Streets of Wonder', slots: ['chest', 'hands', 'finger', 'trinket'] },
+  { dungeon: 'The Dawnbreaker', slots: ['waist', 'feet', 'back', 'trinket', 'mainHand'] },
+];
+
+/**
+ * Item level by keystone level: the end-of-dungeon chest and the M+ Great Vault.
+ * Keys above the last entry award the last entry's item level.
+ */
+export const MPLUS_ITEM_LEVELS = [
+  { keyLevel: 2, endOfRun: 684, vault: 694 },
+  { keyLevel: 4, endOfRun: 688, vault: 697 },
+  { keyLevel: 5, endOfRun: 691, vault: 697 },
+  { keyLevel: 6, endOfRun: 694, vault: 701 },
+  { keyLevel: 7, endOfRun: 694, vault: 704 },
+  { keyLevel: 8, endOfRun: 697, vault: 704 },
+  { keyLevel: 10, endOfRun: 701, vault: 707 },
+];
+
+/** Crest upgrade tracks: item level range and the crest that upgrades it. */
+export const UPGRADE_TRACKS = [
+  { track: 'Explorer', min: 642, max: 665, crest: null },
+  { track: 'Adventurer', min: 655, max: 678, crest: null },
+  { track: 'Veteran', min: 668, max: 691, crest: 'Weathered' },
+  { track: 'Champion', min: 681, max: 704, crest: 'Carved' },
+  { track: 'Hero', min: 694, max: 710, crest: 'Runed' },
+  { track: 'Myth', min: 707, max: 723, crest: 'Gilded' },
+];
+
+/**
+ * Planner slot key for an equipped slot: numbered rings and trinkets share a loot slot.
+ * @param {string} slot - transformEquipment() slot, e.g. 'finger1'
+ */
+export function getLootSlot(slot) {
+  return slot.replace(/[12]$/, '');
+}
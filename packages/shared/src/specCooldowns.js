@@ -0,0 +1,437 @@
+/**
+ * Major cooldowns for all 37 WoW specs, used to measure whether players press them.
+ *
+ * Keys match SPEC_DATA / BLIZZARD_SPEC_MAP names exactly; `specId` is the
+ * Blizzard spec ID that WCL reports in CombatantInfo. Each cooldown lists every
+ * spell ID that shares the button (talent replacements such as Incarnation),
+ * and `cooldownSec` is the baseline cooldown before talents and haste — so
+ * "possible casts" is a floor, never an inflated target.
+ *
+ * TWW Season 3 (Patch 11.2). Update when a patch reworks a spec's cooldowns.
+ */
+
+export const SPEC_COOLDOWNS = {
+  Warrior: {
+    Arms: {
+      specId: 71,
+      offensive: [
+        { name: 'Avatar', spellIds: [107574], cooldownSec: 90 },
+        { name: 'Colossus Smash', spellIds: [167105, 262161], cooldownSec: 45 },
+      ],
+      defensive: [{ name: 'Die by the Sword', spellIds: [118038], cooldownSec: 120 }],
+    },
+    Fury: {
+      specId: 72,
+      offensive: [
+        { name: 'Recklessness', spellIds: [1719], cooldownSec: 90 },
+        { name: 'Avatar', spellIds: [107574], cooldownSec: 90 },
+      ],
+      defensive: [{ name: 'Enraged Regeneration', spellIds: [184364], cooldownSec: 120 }],
+    },
+    'Protection Warrior': {
+      specId: 73,
+      offensive: [{ name: 'Avatar', spellIds: [107574], cooldownSec: 90 }],
+      defensive: [
+        { name: 'Shield Wall', spellIds: [871], cooldownSec: 180 },
+        { name: 'Last Stand', spellIds: [12975], cooldownSec: 180 },
+      ],
+    },
+  },
+
+  Paladin: {
+    'Holy Paladin': {
+      specId: 65,
+      offensive: [{ name: 'Avenging Wrath', spellIds: [31884, 216331], cooldownSec: 120 }],
+      defensive: [{ name: 'Divine Protection', spellIds: [498], cooldownSec: 60 }],
+    },
+    'Protection Paladin': {
+      specId: 66,
+      offensive: [{ name: 'Avenging Wrath', spellIds: [31884, 389539], cooldownSec: 120 }],
+      defensive: [
+        { name: 'Ardent Defender', spellIds: [31850], cooldownSec: 120 },
+        { name: 'Guardian of Ancient Kings', spellIds: [86659], cooldownSec: 180 },
+      ],
+    },
+    Retribution: {
+      specId: 70,
+      offensive: [{ name: 'Avenging Wrath', spellIds: [31884, 231895], cooldownSec: 120 }],
+      defensive: [{ name: 'Shield of Vengeance', spellIds: [184662], cooldownSec: 90 }],
+    },
+  },
+
+  Hunter: {
+    'Beast Mastery': {
+      specId: 253,
+      offensive: [
+        { name: 'Bestial Wrath', spellIds: [19574], cooldownSec: 90 },
+        { name: 'Call of the Wild', spellIds: [359844], cooldownSec: 120 },
+      ],
+      defensive: [
+        { name: 'Exhilaration', spellIds: [109304], cooldownSec: 120 },
+        { name: 'Aspect of the Turtle', spellIds: [186265], cooldownSec: 180 },
+      ],
+    },
+    Marksmanship: {
+      specId: 254,
+      offensive: [{ name: 'Trueshot', spellIds: [288613], cooldownSec: 120 }],
+      defensive: [
+        { name: 'Exhilaration', spellIds: [109304], cooldownSec: 120 },
+        { name: 'Aspect of the Turtle', spellIds: [186265], cooldownSec: 180 },
+      ],
+    },
+    Survival: {
+      specId: 255,
+      offensive: [{ name: 'Coordinated Assault', spellIds: [360952], cooldownSec: 120 }],
+      defensive: [
+        { name: 'Exhilaration', spellIds: [109304], cooldownSec: 120 },
+        { name: 'Aspect of the Turtle', spellIds: [186265], cooldownSec: 180 },
+      ],
+    },
+  },
+
+  Rogue: {
+    Assassination: {
+      specId: 259,
+      offensive: [{ name: 'Deathmark', spellIds: [360194], cooldownSec: 120 }],
+      defensive: [
+        { name: 'Cloak of Shadows', spellIds: [31224], cooldownSec: 120 },
+        { name: 'Evasion', spellIds: [5277], cooldownSec: 120 },
+      ],
+    },
+    Outlaw: {
+      specId: 260,
+      offensive: [{ name: 'Adrenaline Rush', spellIds: [13750], cooldownSec: 180 }],
+      defensive: [
+        { name: 'Cloak of Shadows', spellIds: [31224], cooldownSec: 120 },
+        { name: 'Evasion', spellIds: [5277], cooldownSec: 120 },
+      ],
+    },
+    Subtlety: {
+      specId: 261,
+      offensive: [{ name: 'Shadow Blades', spellIds: [121471], cooldownSec: 90 }],
+      defensive: [
+        { name: 'Cloak of Shadows', spellIds: [31224], cooldownSec: 120 },
+        { name: 'Evasion', spellIds: [5277], cooldownSec: 120 },
+      ],
+    },
+  },
+
+  Priest: {
+    Discipline: {
+      specId: 256,
+      offensive: [
+        { name: 'Power Infusion', spellIds: [10060], cooldownSec: 120 },
+        { name: 'Evangelism', spellIds: [246287, 472433], cooldownSec: 90 },
+      ],
+      defensive: [
+        { name: 'Desperate Prayer', spellIds: [19236], cooldownSec: 90 },
+        { name: 'Pain Suppression', spellIds: [33206], cooldownSec: 180 },
+      ],
+    },
+    'Holy Priest': {
+      specId: 257,
+      offensive: [
+        { name: 'Apotheosis', spellIds: [200183], cooldownSec: 120 },
+        { name: 'Divine Hymn', spellIds: [64843], cooldownSec: 180 },
+      ],
+      defensive: [
+        { name: 'Desperate Prayer', spellIds: [19236], cooldownSec: 90 },
+        { name: 'Guardian Spirit', spellIds: [47788], cooldownSec: 180 },
+      ],
+    },
+    Shadow: {
+      specId: 258,
+      offensive: [
+        { name: 'Voidform', spellIds: [228260, 391109], cooldownSec: 120 },
+        { name: 'Power Infusion', spellIds: [10060], cooldownSec: 120 },
+      ],
+      defensive: [
+        { name: 'Dispersion', spellIds: [47585], cooldownSec: 120 },
+        { name: 'Desperate Prayer', spellIds: [19236], cooldownSec: 90 },
+      ],
+    },
+  },
+
+  'Death Knight': {
+    Blood: {
+      specId: 250,
+      offensive: [{ name: 'Dancing Rune Weapon', spellIds: [49028], cooldownSec: 120 }],
+      defensive: [
+        { name: 'Vampiric Blood', spellIds: [55233], cooldownSec: 90 },
+        { name: 'Icebound Fortitude', spellIds: [48792], cooldownSec: 180 },
+      ],
+    },
+    'Frost DK': {
+      specId: 251,
+      offensive: [
+        { name: 'Pillar of Frost', spellIds: [51271], cooldownSec: 60 },
+        { name: 'Empower Rune Weapon', spellIds: [47568], cooldownSec: 120 },
+      ],
+      defensive: [
+        { name: 'Icebound Fortitude', spellIds: [48792], cooldownSec: 180 },
+        { name: 'Anti-Magic Shell', spellIds: [48707], cooldownSec: 60 },
+      ],
+    },
+    Unholy: {
+      specId: 252,
+      offensive: [
+        { name: 'Dark Transformation', spellIds: [63560], cooldownSec: 45 },
+        { name: 'Army of the Dead', spellIds: [42650], cooldownSec: 180 },
+      ],
+      defensive: [
+        { name: 'Icebound Fortitude', spellIds: [48792], cooldownSec: 180 },
+        { name: 'Anti-Magic Shell', spellIds: [48707], cooldownSec: 60 },
+      ],
+    },
+  },
+
+  Shaman: {
+    Elemental: {
+      specId: 262,
+      offensive: [
+        { name: 'Stormkeeper', spellIds: [191634], cooldownSec: 60 },
+        { name: 'Fire Elemental', spellIds: [198067, 192249], cooldownSec: 150 },
+      ],
+      defensive: [{ name: 'Astral Shift', spellIds: [108271], cooldownSec: 120 }],
+    },
+    Enhancement: {
+      specId: 263,
+      offensive: [
+        { name: 'Feral Spirit', spellIds: [51533], cooldownSec: 90 },
+        { name: 'Doom Winds', spellIds: [384352], cooldownSec: 60 },
+      ],
+      defensive: [{ name: 'Astral Shift', spellIds: [108271], cooldownSec: 120 }],
+    },
+    'Restoration Shaman': {
+      specId: 264,
+      offensive: [
+        { name: 'Healing Tide Totem', spellIds: [108280], cooldownSec: 180 },
+        { name: 'Spirit Link Totem', spellIds: [98008], cooldownSec: 180 },
+      ],
+      defensive: [{ name: 'Astral Shift', spellIds: [108271], cooldownSec: 120 }],
+    },
+  },
+
+  Mage: {
+    Arcane: {
+      specId: 62,
+      offensive: [
+        { name: 'Arcane Surge', spellIds: [365350], cooldownSec: 90 },
+        { name: 'Touch of the Magi', spellIds: [321507], cooldownSec: 45 },
+      ],
+      defensive: [
+        { name: 'Ice Block', spellIds: [45438, 414658], cooldownSec: 240 },
+        { name: 'Mirror Image', spellIds: [55342], cooldownSec: 120 },
+      ],
+    },
+    Fire: {
+      specId: 63,
+      offensive: [{ name: 'Combustion', spellIds: [190319], cooldownSec: 120 }],
+      defensive: [
+        { name: 'Ice Block', spellIds: [45438, 414658], cooldownSec: 240 },
+        { name: 'Mirror Image', spellIds: [55342], cooldownSec: 120 },
+      ],
+    },
+    'Frost Mage': {
+      specId: 64,
+      offensive: [
+        { name: 'Icy Veins', spellIds: [12472], cooldownSec: 120 },
+        { name: 'Frozen Orb', spellIds: [84714], cooldownSec: 60 },
+      ],
+      defensive: [
+        { name: 'Ice Block', spellIds: [45438, 414658], cooldownSec: 240 },
+        { name: 'Mirror Image', spellIds: [55342], cooldownSec: 120 },
+      ],
+    },
+  },
+
+  Warlock: {
+    Affliction: {
+      specId: 265,
+      offensive: [{ name: 'Summon Darkglare', spellIds: [205180], cooldownSec: 120 }],
+      defensive: [
+        { name: 'Unending Resolve', spellIds: [104773], cooldownSec: 180 },
+        { name: 'Dark Pact', spellIds: [108416], cooldownSec: 60 },
+      ],
+    },
+    Demonology: {
+      specId: 266,
+      offensive: [{ name: 'Summon Demonic Tyrant', spellIds: [265187], cooldownSec: 90 }],
+      defensive: [
+        { name: 'Unending Resolve', spellIds: [104773], cooldownSec: 180 },
+        { name: 'Dark Pact', spellIds: [108416], cooldownSec: 60 },
+      ],
+    },
+    Destruction: {
+      specId: 267,
+      offensive: [{ name: 'Summon Infernal', spellIds: [1122], cooldownSec: 120 }],
+      defensive: [
+        { name: 'Unending Resolve', spellIds: [104773], cooldownSec: 180 },
+        { name: 'Dark Pact', spellIds: [108416], cooldownSec: 60 },
+      ],
+    },
+  },
+
+  Monk: {
+    Brewmaster: {
+      specId: 268,
+      offensive: [{ name: 'Invoke Niuzao', spellIds: [132578], cooldownSec: 120 }],
+      defensive: [
+        { name: 'Fortifying Brew', spellIds: [115203], cooldownSec: 360 },
+        { name: 'Celestial Brew', spellIds: [322507], cooldownSec: 60 },
+      ],
+    },
+    Windwalker: {
+      specId: 269,
+      offensive: [
+        { name: 'Storm, Earth, and Fire', spellIds: [137639], cooldownSec: 90 },
+        { name: 'Invoke Xuen', spellIds: [123904], cooldownSec: 120 },
+      ],
+      defensive: [
+        { name: 'Touch of Karma', spellIds: [122470], cooldownSec: 90 },
+        { name: 'Fortifying Brew', spellIds: [115203], cooldownSec: 360 },
+      ],
+    },
+    Mistweaver: {
+      specId: 270,
+      offensive: [
+        { name: "Invoke Yu'lon", spellIds: [322118, 325197], cooldownSec: 120 },
+        { name: 'Revival', spellIds: [115310, 388615], cooldownSec: 180 },
+      ],
+      defensive: [
+        { name: 'Fortifying Brew', spellIds: [115203], cooldownSec: 360 },
+        { name: 'Diffuse Magic', spellIds: [122783], cooldownSec: 90 },
+      ],
+    },
+  },
+
+  Druid: {
+    Balance: {
+      specId: 102,
+      offensive: [
+        {
+          name: 'Celestial Alignment',
+          spellIds: [194223, 383410, 102560, 390414],
+          cooldownSec: 180,
+        },
+      ],
+      defensive: [{ name: 'Barkskin', spellIds: [22812], cooldownSec: 60 }],
+    },
+    Feral: {
+      specId: 103,
+      offensive: [{ name: 'Berserk', spellIds: [106951, 102543], cooldownSec: 180 }],
+      defensive: [
+        { name: 'Survival Instincts', spellIds: [61336], cooldownSec: 180 },
+        { name: 'Barkskin', spellIds: [22812], cooldownSec: 60 },
+      ],
+    },
+    Guardian: {
+      specId: 104,
+      offensive: [{ name: 'Berserk', spellIds: [50334, 102558], cooldownSec: 180 }],
+      defensive: [
+        { name: 'Survival Instincts', spellIds: [61336], cooldownSec: 180 },
+        { name: 'Barkskin', spellIds: [22812], cooldownSec: 60 },
+      ],
+    },
+    'Restoration Druid': {
+      specId: 105,
+      offensive: [
+        { name: 'Tranquility', spellIds: [740], cooldownSec: 180 },
+        { name: 'Incarnation: Tree of Life', spellIds: [33891], cooldownSec: 180 },
+      ],
+      defensive: [{ name: 'Barkskin', spellIds: [22812], cooldownSec: 60 }],
+    },
+  },
+
+  'Demon Hunter': {
+    Havoc: {
+      specId: 577,
+      offensive: [
+        { name: 'Metamorphosis', spellIds: [191427], cooldownSec: 180 },
+        { name: 'The Hunt', spellIds: [370965], cooldownSec: 90 },
+      ],
+      defensive: [
+        { name: 'Blur', spellIds: [198589], cooldownSec: 60 },
+        { name: 'Netherwalk', spellIds: [196555], cooldownSec: 180 },
+      ],
+    },
+    Vengeance: {
+      specId: 581,
+      offensive: [{ name: 'The Hunt', spellIds: [370965], cooldownSec: 90 }],
+      defensive: [
+        { name: 'Metamorphosis', spellIds: [187827], cooldownSec: 180 },
+        { name: 'Fiery Brand', spellIds: [204021], cooldownSec: 60 },
+      ],
+    },
+  },
+
+  Evoker: {
+    Devastation: {
+      specId: 1467,
+      offensive: [{ name: 'Dragonrage', spellIds: [375087], cooldownSec: 120 }],
+      defensive: [
+        { name: 'Obsidian Scales', spellIds: [363916], cooldownSec: 90 },
+        { name: 'Renewing Blaze', spellIds: [374348], cooldownSec: 90 },
+      ],
+    },
+    Preservation: {
+      specId: 1468,
+      offensive: [
+        { name: 'Dream Flight', spellIds: [359816], cooldownSec: 120 },
+        { name: 'Rewind', spellIds: [363534], cooldownSec: 240 },
+      ],
+      defensive: [
+        { name: 'Obsidian Scales', spellIds: [363916], cooldownSec: 90 },
+        { name: 'Renewing Blaze', spellIds: [374348], cooldownSec: 90 },
+      ],
+    },
+    Augmentation: {
+      specId: 1473,
+      offensive: [{ name: 'Breath of Eons', spellIds: [403631, 442204], cooldownSec: 120 }],
+      defensive: [
+        { name: 'Obsidian Scales', spellIds: [363916], cooldownSec: 90 },
+        { name: 'Renewing Blaze', spellIds: [374348], cooldownSec: 90 },
+      ],
+    },
+  },
+};
+
+/**
+ * Look up major cooldowns for a class/spec.
+ * @param {string} className
+ * @param {string} spec
+ * @returns {{ specId: number, offensive: object[], defensive: object[] } | null}
+ */
+export function getSpecCooldowns(className, spec) {
+  return SPEC_COOLDOWNS[className]?.[spec] || null;
+}
+
+/**
+ * Look up major cooldowns by Blizzard spec ID (as reported in WCL CombatantInfo).
+ * @param {number} specId
+ * @returns {{ specId: number, offensive: object[], defensive: object[] } | null}
+ */
+export function getSpecCooldownsById(specId) {
+  for (const specs of Object.values(SPEC_COOLDOWNS)) {
+    for (const cooldowns of Object.values(specs)) {
+      if (cooldowns.specId === specId) return cooldowns;
+    }
+  }
+  return null;
+}
+
+/**
+ * Every tracked cooldown spell ID, for filtering WCL cast events.
+ * @returns {number[]}
+ */
+export function getAllCooldownSpellIds() {
+  const ids = new Set();
+  for (const specs of Object.values(SPEC_COOLDOWNS)) {
+    for (const { offensive, defensive } of Object.values(specs)) {
+      for (const cooldown of [...offensive, ...defensive]) {
+        for (const id of cooldown.spellIds) ids.add(id);
+      }
+    }
+  }
+  return [...ids].sort((a, b) => a - b);
+}
@@ -2,6 +2,14 @@
  * WoW spec data for build analysis.
  * Keys match BLIZZARD_SPEC_MAP names exactly.
  * Stat priorities reflect TWW Season 3 (Patch 11.1+).
+ *
+ * Tank specs also name their active-mitigation buff (`activeMitigation`): the buff
+ * spell IDs WCL reports on the tank and the uptime a well-played tank holds in raid.
+ *
+ * `masteryCoefficient` is the mastery % each mastery point gives the spec. Specs with a
+ * stat cap list it in `statBreakpoints`: the effective % from rating (after diminishing
+ * returns) past which more of the stat does nothing — 100% crit once the spec's own crit
+ * bonus is counted, or a mastery that is a proc chance reaching 100%.
  */
 
 export const SPEC_DATA = {
@@ -11,21 +19,22 @@ export const SPEC_DATA = {
       mainStat: 'strength',
       statPriority: ['crit', 'haste', 'mastery', 'versatility'],
       expectedCpm: 35,
-      softCaps: {},
+      masteryCoefficient: 1.1,
     },
     Fury: {
       role: 'DPS',
       mainStat: 'strength',
       statPriority: ['haste', 'crit', 'mastery', 'versatility'],
       expectedCpm: 42,
-      softCaps: {},
+      masteryCoefficient: 1.4,
     },
     'Protection Warrior': {
       role: 'Tank',
       mainStat: 'strength',
       statPriority: ['haste', 'versatility', 'mastery', 'crit'],
       expectedCpm: 30,
-      softCaps: {},
+      masteryCoefficient: 0.5,
+      activeMitigation: { name: 'Shield Block', buffIds: [132404], uptimeTargetPct: 55 },
     },
   },
 
@@ -35,21 +44,22 @@ export const SPEC_DATA = {
       mainStat: 'intellect',
       statPriority: ['haste', 'crit', 'versatility', 'mastery'],
       expectedCpm: 30,
-      softCaps: {},
+      masteryCoefficient: 1.5,
     },
     'Protection Paladin': {
       role: 'Tank',
       mainStat: 'strength',
       statPriority: ['haste', 'versatility', 'mastery', 'crit'],
       expectedCpm: 28,
-      softCaps: {},
+      masteryCoefficient: 0.5,
+      activeMitigation: { name: 'Shield of the Righteous', buffIds: [132403], uptimeTargetPct: 55 },
     },
     Retribution: {
       role: 'DPS',
       mainStat: 'strength',
       statPriority: ['haste', 'versatility', 'crit', 'mastery'],
       expectedCpm: 36,
-      softCaps: {},
+      masteryCoefficient: 1.4,
     },
   },
 
@@ -59,21 +69,21 @@ export const SPEC_DATA = {
       mainStat: 'agility',
       statPriority: ['haste', 'crit', 'mastery', 'versatility'],
       expectedCpm: 38,
-      softCaps: {},
+      masteryCoefficient: 1.8,
     },
     Marksmanship: {
       role: 'DPS',
       mainStat: 'agility',
       statPriority: ['mastery', 'crit', 'versatility', 'haste'],
       expectedCpm: 28,
-      softCaps: {},
+      masteryCoefficient: 0.625,
     },
     Survival: {
       role: 'DPS',
       mainStat: 'agility',
       statPriority: ['haste', 'versatility', 'crit', 'mastery'],
       expectedCpm: 38,
-      softCaps: {},
+      masteryCoefficient: 1.65,
     },
   },
 
@@ -83,21 +93,22 @@ export const SPEC_DATA = {
       mainStat: 'agility',
       statPriority: ['haste', 'mastery', 'crit', 'versatility'],
       expectedCpm: 32,
-      softCaps: {},
+      masteryCoefficient: 2.8,
     },
     Outlaw: {
       role: 'DPS',
       mainStat: 'agility',
       statPriority: ['versatility', 'haste', 'crit', 'mastery'],
       expectedCpm: 40,
-      softCaps: {},
+      masteryCoefficient: 1.45,
+      statBreakpoints: [{ stat: 'mastery', pct: 100, reason: 'masteryProcCap' }],
     },
     Subtlety: {
       role: 'DPS',
       mainStat: 'agility',
       statPriority: ['versatility', 'crit', 'haste', 'mastery'],
       expectedCpm: 35,
-      softCaps: {},
+      masteryCoefficient: 2.45,
     },
   },
 
@@ -107,21 +118,21 @@ export const SPEC_DATA = {
       mainStat: 'intellect',
       statPriority: ['haste', 'crit', 'versatility', 'mastery'],
       expectedCpm: 28,
-      softCaps: {},
+      masteryCoefficient: 1.35,
     },
     'Holy Priest': {
       role: 'Healer',
       mainStat: 'intellect',
       statPriority: ['haste', 'mastery', 'crit', 'versatility'],
       expectedCpm: 30,
-      softCaps: {},
+      masteryCoefficient: 1.25,
     },
     Shadow: {
       role: 'DPS',
       mainStat: 'intellect',
       statPriority: ['haste', 'mastery', 'crit', 'versatility'],
       expectedCpm: 32,
-      softCaps: {},
+      masteryCoefficient: 0.5,
     },
   },
 
@@ -131,21 +142,22 @@ export const SPEC_DATA = {
       mainStat: 'strength',
       statPriority: ['haste', 'versatility', 'mastery', 'crit'],
       expectedCpm: 25,
-      softCaps: {},
+      masteryCoefficient: 2.0,
+      activeMitigation: { name: 'Bone Shield', buffIds: [195181], uptimeTargetPct: 90 },
     },
     'Frost DK': {
       role: 'DPS',
       mainStat: 'strength',
       statPriority: ['mastery', 'crit', 'haste', 'versatility'],
       expectedCpm: 35,
-      softCaps: {},
+      masteryCoefficient: 2.0,
     },
     Unholy: {
       role: 'DPS',
       mainStat: 'strength',
       statPriority: ['mastery', 'haste', 'crit', 'versatility'],
       expectedCpm: 33,
-      softCaps: {},
+      masteryCoefficient: 1.8,
     },
   },
 
@@ -155,21 +167,22 @@ export const SPEC_DATA = {
       mainStat: 'intellect',
       statPriority: ['haste', 'versatility', 'crit', 'mastery'],
       expectedCpm: 33,
-      softCaps: {},
+      masteryCoefficient: 1.875,
+      statBreakpoints: [{ stat: 'mastery', pct: 100, reason: 'masteryProcCap' }],
     },
     Enhancement: {
       role: 'DPS',
       mainStat: 'agility',
       statPriority: ['haste', 'mastery', 'versatility', 'crit'],
       expectedCpm: 40,
-      softCaps: {},
+      masteryCoefficient: 2.0,
     },
     'Restoration Shaman': {
       role: 'Healer',
       mainStat: 'intellect',
       statPriority: ['crit', 'haste', 'versatility', 'mastery'],
       expectedCpm: 28,
-      softCaps: {},
+      masteryCoefficient: 3.0,
     },
   },
 
@@ -179,21 +192,22 @@ export const SPEC_DATA = {
       mainStat: 'intellect',
       statPriority: ['haste', 'crit', 'versatility', 'mastery'],
       expectedCpm: 35,
-      softCaps: {},
+      masteryCoefficient: 1.2,
     },
     Fire: {
       role: 'DPS',
       mainStat: 'intellect',
       statPriority: ['haste', 'versatility', 'mastery', 'crit'],
       expectedCpm: 37,
-      softCaps: {},
+      masteryCoefficient: 0.75,
+      statBreakpoints: [{ stat: 'crit', pct: 80, reason: 'critCap' }],
     },
     'Frost Mage': {
       role: 'DPS',
       mainStat: 'intellect',
       statPriority: ['haste', 'crit', 'versatility', 'mastery'],
       expectedCpm: 38,
-      softCaps: {},
+      masteryCoefficient: 2.25,
     },
   },
 
@@ -203,21 +217,21 @@ export const SPEC_DATA = {
       mainStat: 'intellect',
       statPriority: ['haste', 'mastery', 'crit', 'versatility'],
       expectedCpm: 28,
-      softCaps: {},
+      masteryCoefficient: 2.5,
     },
     Demonology: {
       role: 'DPS',
       mainStat: 'intellect',
       statPriority: ['haste', 'mastery', 'crit', 'versatility'],
       expectedCpm: 33,
-      softCaps: {},
+      masteryCoefficient: 1.45,
     },
     Destruction: {
       role: 'DPS',
       mainStat: 'intellect',
       statPriority: ['haste', 'crit', 'mastery', 'versatility'],
       expectedCpm: 30,
-      softCaps: {},
+      masteryCoefficient: 2.0,
     },
   },
 
@@ -227,21 +241,22 @@ export const SPEC_DATA = {
       mainStat: 'agility',
       statPriority: ['versatility', 'crit', 'mastery', 'haste'],
       expectedCpm: 30,
-      softCaps: {},
+      masteryCoefficient: 1.0,
+      activeMitigation: { name: 'Shuffle', buffIds: [215479], uptimeTargetPct: 85 },
     },
     Windwalker: {
       role: 'DPS',
       mainStat: 'agility',
       statPriority: ['mastery', 'versatility', 'crit', 'haste'],
       expectedCpm: 40,
-      softCaps: {},
+      masteryCoefficient: 1.25,
     },
     Mistweaver: {
       role: 'Healer',
       mainStat: 'intellect',
       statPriority: ['haste', 'crit', 'versatility', 'mastery'],
       expectedCpm: 28,
-      softCaps: {},
+      masteryCoefficient: 4.2,
     },
   },
 
@@ -251,28 +266,29 @@ export const SPEC_DATA = {
       mainStat: 'intellect',
       statPriority: ['haste', 'mastery', 'crit', 'versatility'],
       expectedCpm: 30,
-      softCaps: {},
+      masteryCoefficient: 0.9,
     },
     Feral: {
       role: 'DPS',
       mainStat: 'agility',
       statPriority: ['crit', 'mastery', 'versatility', 'haste'],
       expectedCpm: 35,
-      softCaps: {},
+      masteryCoefficient: 2.0,
     },
     Guardian: {
       role: 'Tank',
       mainStat: 'agility',
       statPriority: ['versatility', 'haste', 'mastery', 'crit'],
       expectedCpm: 28,
-      softCaps: {},
+      masteryCoefficient: 0.5,
+      activeMitigation: { name: 'Ironfur', buffIds: [192081], uptimeTargetPct: 60 },
     },
     'Restoration Druid': {
       role: 'Healer',
       mainStat: 'intellect',
       statPriority: ['haste', 'mastery', 'crit', 'versatility'],
       expectedCpm: 28,
-      softCaps: {},
+      masteryCoefficient: 0.5,
     },
   },
 
@@ -282,14 +298,15 @@ export const SPEC_DATA = {
       mainStat: 'agility',
       statPriority: ['haste', 'crit', 'versatility', 'mastery'],
       expectedCpm: 42,
-      softCaps: {},
+      masteryCoefficient: 1.8,
     },
     Vengeance: {
       role: 'Tank',
       mainStat: 'agility',
       statPriority: ['haste', 'versatility', 'crit', 'mastery'],
       expectedCpm: 28,
-      softCaps: {},
+      masteryCoefficient: 1.8,
+      activeMitigation: { name: 'Demon Spikes', buffIds: [203819], uptimeTargetPct: 50 },
     },
   },
 
@@ -299,21 +316,21 @@ export const SPEC_DATA = {
       mainStat: 'intellect',
       statPriority: ['haste', 'mastery', 'crit', 'versatility'],
       expectedCpm: 35,
-      softCaps: {},
+      masteryCoefficient: 2.5,
     },
     Preservation: {
       role: 'Healer',
       mainStat: 'intellect',
       statPriority: ['haste', 'crit', 'versatility', 'mastery'],
       expectedCpm: 28,
-      softCaps: {},
+      masteryCoefficient: 1.8,
     },
     Augmentation: {
       role: 'DPS',
       mainStat: 'intellect',
       statPriority: ['haste', 'crit', 'mastery', 'versatility'],
       expectedCpm: 32,
-      softCaps: {},
+      masteryCoefficient: 0.4,
     },
   },
 };
@@ -322,12 +339,39 @@ export const SPEC_DATA = {
  * Look up spec data by class name and spec name.
  * @param {string} className - Class name matching BLIZZARD_CLASS_MAP (e.g. 'Warrior')
  * @param {string} spec - Spec name matching BLIZZARD_SPEC_MAP (e.g. 'Arms')
- * @returns {{ role: string, mainStat: string, statPriority: string[], softCaps: object } | null}
+ * @returns {{ role: string, mainStat: string, statPriority: string[], expectedCpm: number } | null}
  */
 export function getSpecData(className, spec) {
   return SPEC_DATA[className]?.[spec] || null;
 }
 
+/**
+ * Active-mitigation buff of a tank spec. Spec names are unique across classes
+ * (BLIZZARD_SPEC_MAP), so the spec alone is enough.
+ * @param {string} spec - e.g. 'Protection Warrior', 'Guardian'
+ * @returns {{ name: string, buffIds: number[], uptimeTargetPct: number } | null}
+ */
+export function getActiveMitigation(spec) {
+  for (const specs of Object.values(SPEC_DATA)) {
+    if (specs[spec]?.activeMitigation) return specs[spec].activeMitigation;
+  }
+  return null;
+}
+
+/**
+ * Every tank spec's active-mitigation buff IDs, for filtering WCL buff events.
+ * @returns {number[]}
+ */
+export function getAllActiveMitigationBuffIds() {
+  const ids = new Set();
+  for (const specs of Object.values(SPEC_DATA)) {
+    for (const { activeMitigation } of Object.values(specs)) {
+      for (const id of activeMitigation?.buffIds || []) ids.add(id);
+    }
+  }
+  return [...ids].sort((a, b) => a - b);
+}
+
 /** Gear slots that can receive enchantments. */
 export const ENCHANTABLE_SLOTS = [
   'head',
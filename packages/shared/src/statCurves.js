@@ -0,0 +1,119 @@
+/**
+ * Secondary stat rating → percent conversion at max level, with diminishing returns.
+ *
+ * Rating converts linearly until the percent it buys reaches a DR threshold; every
+ * bracket above that keeps only part of each point of rating. Thresholds apply to
+ * the percent from rating alone, before base values and buffs. Mastery rating buys
+ * mastery points: thresholds apply to the points, and the spec's mastery coefficient
+ * (SPEC_DATA masteryCoefficient) turns them into mastery %.
+ *
+ * Level 80 — The War Within. Update when the level cap changes.
+ */
+
+/** Rating per 1% at level 80. Mastery is per mastery point (the spec scales it to %). */
+export const STAT_RATING_PER_PCT = {
+  crit: 700,
+  haste: 660,
+  mastery: 700,
+  versatility: 780,
+};
+
+/**
+ * Diminishing-returns brackets: from this percent (from rating) on, each point of
+ * rating loses `penalty` of its value. Nothing is gained past the last bracket.
+ */
+export const STAT_DR_BRACKETS = [
+  { fromPct: 0, penalty: 0 },
+  { fromPct: 30, penalty: 0.1 },
+  { fromPct: 39, penalty: 0.2 },
+  { fromPct: 47, penalty: 0.3 },
+  { fromPct: 54, penalty: 0.4 },
+  { fromPct: 66, penalty: 0.5 },
+  { fromPct: 126, penalty: 1 },
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Percent per unit of a stat's DR scale: the mastery coefficient for mastery, else 1 */
+const pctScale = (stat, masteryCoefficient) => (stat === 'mastery' ? masteryCoefficient : 1);
+
+/** Effective DR-scale units (percent, or mastery points) for raw units from rating */
+function applyDr(raw) {
+  let effective = 0;
+  STAT_DR_BRACKETS.forEach((bracket, i) => {
+    const next = STAT_DR_BRACKETS[i + 1]?.fromPct ?? Infinity;
+    const inBracket = Math.min(raw, next) - bracket.fromPct;
+    if (inBracket > 0) effective += inBracket * (1 - bracket.penalty);
+  });
+  return effective;
+}
+
+/** Raw units from rating needed for an effective amount; null past the last bracket */
+function removeDr(effective) {
+  let reached = 0;
+  for (const [i, bracket] of STAT_DR_BRACKETS.entries()) {
+    const next = STAT_DR_BRACKETS[i + 1]?.fromPct ?? Infinity;
+    const keep = 1 - bracket.penalty;
+    if (keep <= 0) return null;
+    const bracketWorth = (next - bracket.fromPct) * keep;
+    if (effective - reached <= bracketWorth) return bracket.fromPct + (effective - reached) / keep;
+    reached += bracketWorth;
+  }
+  return null;
+}
+
+/**
+ * Percent a stat's rating buys after diminishing returns.
+ *
+ * @param {string} stat - 'crit' | 'haste' | 'mastery' | 'versatility'
+ * @param {number} rating
+ * @param {number} [masteryCoefficient] - The spec's mastery % per point (mastery only)
+ * @returns {{ rawPct: number, effectivePct: number, ratingLost: number }}
+ *   rawPct without DR, effectivePct with it, ratingLost the rating DR took away
+ */
+export function ratingToPercent(stat, rating, masteryCoefficient = 1) {
+  const perPct = STAT_RATING_PER_PCT[stat];
+  const raw = Math.max(0, rating) / perPct;
+  const effective = applyDr(raw);
+  const scale = pctScale(stat, masteryCoefficient);
+
+  return {
+    rawPct: round2(raw * scale),
+    effectivePct: round2(effective * scale),
+    ratingLost: Math.round((raw - effective) * perPct),
+  };
+}
+
+/**
+ * A spec's breakpoints for a stat, by rating: where each diminishing-returns bracket
+ * starts, and the spec's own stat caps (SPEC_DATA statBreakpoints). Percents are the
+ * spec's — mastery % for mastery — with caps as effective percents.
+ *
+ * @param {string} stat
+ * @param {object|null} [specData] - getSpecData() entry; generic mastery points without it
+ * @returns {Array<{ rating: number, pct: number, type: 'diminishingReturns'|'cap',
+ *   penalty?: number, reason?: string }>}
+ */
+export function getStatBreakpoints(stat, specData = null) {
+  const perPct = STAT_RATING_PER_PCT[stat];
+  const scale = pctScale(stat, specData?.masteryCoefficient ?? 1);
+
+  const drBreakpoints = STAT_DR_BRACKETS.filter((b) => b.fromPct > 0).map((b) => ({
+    rating: Math.round(b.fromPct * perPct),
+    pct: round2(b.fromPct * scale),
+    type: 'diminishingReturns',
+    penalty: b.penalty,
+  }));
+  const caps = (specData?.statBreakpoints || [])
+    .filter((b) => b.stat === stat)
+    .map((b) => ({ raw: removeDr(b.pct / scale), pct: b.pct, reason: b.reason }))
+    .filter((b) => b.raw != null)
+    .map(({ raw, pct, reason }) => ({
+      rating: Math.round(raw * perPct),
+      pct,
+      type: 'cap',
+      reason,
+    }));
+
+  return [...drBreakpoints, ...caps].sort((a, b) => a.rating - b.rating);
+}
@@ -0,0 +1,219 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { GOAL_METRICS, DIFFICULTY_COLORS } from '@stillnoob/shared';
+import { analysisAPI } from '../services/api';
+
+function formatGoalValue(metric, value) {
+  if (value == null) return '—';
+  const def = GOAL_METRICS[metric] || {};
+  const rounded = def.decimals ? value.toFixed(def.decimals) : Math.round(value).toLocaleString();
+  return `${rounded}${def.unit || ''}`;
+}
+
+function GoalRow({ goal, onDelete, t }) {
+  const achieved = goal.status === 'achieved';
+  return (
+    <div className="p-3 rounded-xl bg-void-deep/50 border border-void-bright/10">
+      <div className="flex items-center gap-2 mb-2">
+        <span className="text-sm text-white font-medium">
+          {t(`goals.metrics.${goal.metric}`)}{' '}
+          {GOAL_METRICS[goal.metric]?.direction === 'below' ? '≤' : '≥'}{' '}
+          {formatGoalValue(goal.metric, goal.target)}
+        </span>
+        {goal.difficulty && (
+          <span
+            className="text-[10px] font-semibold"
+            style={{ color: DIFFICULTY_COLORS[goal.difficulty] }}
+          >
+            {goal.difficulty}
+          </span>
+        )}
+        {achieved && (
+          <span className="text-[10px] px-1.5 py-0.5 bg-green-900/30 text-green-400 rounded">
+            <i className="fas fa-trophy mr-1" />
+            {t('goals.achieved')}
+          </span>
+        )}
+        <button
+          onClick={() => onDelete(goal)}
+          title={t('goals.remove')}
+          className="ml-auto text-void-text/40 hover:text-red-400 transition-colors text-xs"
+        >
+          <i className="fas fa-trash-alt" />
+        </button>
+      </div>
+
+      <div className="h-1.5 rounded-full bg-void-surface/20 overflow-hidden">
+        <div
+          className={`h-full rounded-full ${achieved ? 'bg-green-400' : 'bg-void-accent'}`}
+          style={{ width: `${goal.progressPct ?? 0}%` }}
+        />
+      </div>
+
+      <div className="flex items-center gap-3 mt-2 text-[10px] text-void-text/60">
+        <span>
+          {t('goals.current', { value: formatGoalValue(goal.metric, goal.current) })}
+          {goal.progressPct != null && ` · ${goal.progressPct}%`}
+        </span>
+        {!achieved && (
+          <span className="ml-auto">
+            {goal.projectedDate
+              ? t('goals.projected', { date: new Date(goal.projectedDate).toLocaleDateString() })
+              : t('goals.noProjection')}
+          </span>
+        )}
+        {!achieved && goal.deadline && goal.onTrack != null && (
+          <span className={goal.onTrack ? 'text-green-400' : 'text-orange-400'}>
+            {goal.onTrack ? t('goals.onTrack') : t('goals.behind')}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** Personal goals of one of the user's characters, with progress and projected dates. */
+export default function GoalsPanel({ characters }) {
+  const { t } = useTranslation();
+  const defaultChar = characters.find((c) => c.isPrimary) || characters[0];
+  const [charId, setCharId] = useState(defaultChar?.id);
+  const [goals, setGoals] = useState([]);
+  const [form, setForm] = useState({
+    metric: 'deathRate',
+    target: '',
+    difficulty: '',
+    deadline: '',
+  });
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!charId) return;
+    analysisAPI
+      .goals(charId)
+      .then((r) => setGoals(r.data.goals))
+      .catch(() => setGoals([]));
+  }, [charId]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (form.target === '') return;
+    setSaving(true);
+    setError(null);
+    try {
+      const { data } = await analysisAPI.createGoal(charId, {
+        metric: form.metric,
+        target: Number(form.target),
+        difficulty: form.difficulty || null,
+        deadline: form.deadline || null,
+      });
+      setGoals((prev) => [...prev, data.goal]);
+      setForm((prev) => ({ ...prev, target: '', deadline: '' }));
+    } catch (err) {
+      setError(err.response?.data?.error || t('common.error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (goal) => {
+    try {
+      await analysisAPI.deleteGoal(charId, goal.id);
+      setGoals((prev) => prev.filter((g) => g.id !== goal.id));
+    } catch (err) {
+      setError(err.response?.data?.error || t('common.error'));
+    }
+  };
+
+  if (!defaultChar) return null;
+
+  const inputClass =
+    'px-2 py-1.5 bg-void-deep border border-void-bright/20 rounded-lg text-xs text-white focus:border-void-bright focus:outline-none';
+
+  return (
+    <div className="bg-void-mid/50 border border-void-bright/15 rounded-2xl p-5">
+      <div className="flex items-center mb-4">
+        <h2 className="text-sm font-semibold text-void-text uppercase tracking-wider">
+          <i className="fas fa-bullseye mr-2 text-void-accent" />
+          {t('goals.title')}
+        </h2>
+        {characters.length > 1 && (
+          <select
+            value={charId}
+            onChange={(e) => setCharId(Number(e.target.value))}
+            className={`ml-auto ${inputClass}`}
+          >
+            {characters.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {goals.length === 0 ? (
+        <p className="text-sm text-void-text/60 mb-4">{t('goals.none')}</p>
+      ) : (
+        <div className="space-y-2 mb-4">
+          {goals.map((goal) => (
+            <GoalRow key={goal.id} goal={goal} onDelete={handleDelete} t={t} />
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="flex flex-wrap gap-2">
+        <select
+          value={form.metric}
+          onChange={(e) => setForm({ ...form, metric: e.target.value })}
+          className={inputClass}
+        >
+          {Object.keys(GOAL_METRICS).map((metric) => (
+            <option key={metric} value={metric}>
+              {t(`goals.metrics.${metric}`)}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          step="any"
+          min="0"
+          value={form.target}
+          onChange={(e) => setForm({ ...form, target: e.target.value })}
+          placeholder={t('goals.target')}
+          className={`w-24 ${inputClass}`}
+        />
+        {GOAL_METRICS[form.metric]?.source !== 'mplus' && (
+          <select
+            value={form.difficulty}
+            onChange={(e) => setForm({ ...form, difficulty: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">{t('goals.anyDifficulty')}</option>
+            {Object.keys(DIFFICULTY_COLORS).map((d) => (
+              <option key={d} value={d}>
+                {d}
+              </option>
+            ))}
+          </select>
+        )}
+        <input
+          type="date"
+          value={form.deadline}
+          onChange={(e) => setForm({ ...form, deadline: e.target.value })}
+          title={t('goals.deadline')}
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          disabled={saving || form.target === ''}
+          className="px-3 py-1.5 bg-void-bright hover:bg-void-glow text-white rounded-lg text-xs font-semibold transition-colors disabled:opacity-50"
+        >
+          {saving ? <i className="fas fa-spinner fa-spin" /> : t('goals.add')}
+        </button>
+      </form>
+
+      {error && <p className="mt-2 text-xs text-red-400">{error}</p>}
+    </div>
+  );
+}
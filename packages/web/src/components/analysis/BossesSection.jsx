@@ -1,4 +1,4 @@
-import { useState, useMemo } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useTranslation } from 'react-i18next';
 import {
   ResponsiveContainer,
@@ -10,6 +10,7 @@ import {
   Line,
 } from 'recharts';
 import { DIFFICULTY_COLORS } from '@stillnoob/shared';
+import { analysisAPI } from '../../services/api';
 import StatCard from './StatCard';
 import ConsumableBar from './ConsumableBar';
 
@@ -17,12 +18,35 @@ function formatDps(val) {
   return val >= 1000 ? `${(val / 1000).toFixed(1)}K` : Math.round(val);
 }
 
-export default function BossesSection({ data }) {
+export default function BossesSection({ data, characterId, weeks, filters }) {
   const { t } = useTranslation();
   const { bossBreakdown, recentFights } = data;
   const [selectedBoss, setSelectedBoss] = useState(null);
+  const [utility, setUtility] = useState(null);
+  const [progression, setProgression] = useState(null);
 
   const boss = selectedBoss || bossBreakdown?.[0];
+  const bossVsMedian = boss?.specBenchmark?.vsSpecPct ?? (boss?.dpsVsMedian || 100);
+
+  // Per-ability kicks/dispels for every boss (only for owned characters)
+  useEffect(() => {
+    if (!characterId) return;
+    analysisAPI
+      .utility(characterId, weeks, filters)
+      .then((r) => setUtility(r.data.bosses))
+      .catch(() => setUtility(null));
+    analysisAPI
+      .progression(characterId, weeks, filters)
+      .then((r) => setProgression(r.data.encounters))
+      .catch(() => setProgression(null));
+  }, [characterId, weeks, filters]);
+
+  const bossUtility = utility?.find(
+    (b) => b.bossId === boss?.bossId && b.difficulty === boss?.difficulty,
+  );
+  const bossProgression = progression?.find(
+    (e) => e.bossId === boss?.bossId && e.difficulty === boss?.difficulty,
+  );
 
   const bossFightData = useMemo(() => {
     if (!recentFights || !boss) return [];
@@ -134,6 +158,129 @@ export default function BossesSection({ data }) {
             </div>
           )}
 
+          {/* Wipe report: how far each pull got (only once the boss has wipes) */}
+          {bossProgression?.wipes > 0 && (
+            <div className="bg-void-mid/30 rounded-xl border border-void-bright/10 p-4">
+              <div className="flex flex-wrap items-baseline justify-between gap-2 mb-3">
+                <p className="text-xs text-void-text font-semibold uppercase tracking-wider">
+                  {t('analysis.progression')}
+                </p>
+                <p className="text-xs text-void-text/60">
+                  {t('analysis.progressionSummary', {
+                    pulls: bossProgression.pulls.length,
+                    wipes: bossProgression.wipes,
+                    best: bossProgression.bestPercentage ?? '—',
+                  })}
+                  {bossProgression.firstKillPull &&
+                    ` · ${t('analysis.killedOnPull', { pull: bossProgression.firstKillPull })}`}
+                </p>
+              </div>
+              <ResponsiveContainer width="100%" height={200}>
+                <LineChart data={bossProgression.pulls}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#1a0f2e33" />
+                  <XAxis dataKey="pull" tick={{ fill: '#9ca3af', fontSize: 10 }} />
+                  <YAxis
+                    domain={[0, 100]}
+                    tick={{ fill: '#9ca3af', fontSize: 10 }}
+                    tickFormatter={(v) => `${v}%`}
+                  />
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: '#12091f',
+                      border: '1px solid #1a0f2e',
+                      borderRadius: 8,
+                      fontSize: 12,
+                    }}
+                    labelFormatter={(pull) => `${t('analysis.pull')} ${pull}`}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="fightPercentage"
+                    name={t('analysis.bossHealth')}
+                    stroke="#f87171"
+                    strokeWidth={2}
+                    dot={{ fill: '#f87171', r: 3 }}
+                  />
+                  <Line
+                    type="stepAfter"
+                    dataKey="bestSoFar"
+                    name={t('analysis.bestSoFar')}
+                    stroke="#22c55e"
+                    strokeDasharray="4 4"
+                    dot={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+              {bossProgression.firstDeathCauses.length > 0 && (
+                <div className="mt-3 space-y-1">
+                  <p className="text-xs text-void-text/60">
+                    {t('analysis.firstDeaths')} ·{' '}
+                    {t('analysis.youDiedFirst', {
+                      count: bossProgression.diedFirst,
+                      wipes: bossProgression.wipes,
+                    })}
+                  </p>
+                  {bossProgression.firstDeathCauses.slice(0, 3).map((c) => (
+                    <div key={c.ability} className="flex justify-between text-xs">
+                      <span className="text-white">{c.ability}</span>
+                      <span className="text-red-400">×{c.count}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Per encounter phase (bosses with phase transitions only) */}
+          {boss.phases?.length > 0 && (
+            <div className="bg-void-mid/30 rounded-xl border border-void-bright/10 p-4">
+              <p className="text-xs text-void-text mb-3 font-semibold uppercase tracking-wider">
+                {t('analysis.phaseBreakdown')}
+              </p>
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-void-text/60 text-left">
+                    <th className="font-normal pb-2">{t('analysis.phase')}</th>
+                    <th className="font-normal pb-2 text-right">{t('analysis.dps')}</th>
+                    <th className="font-normal pb-2 text-right">{t('analysis.dtps')}</th>
+                    <th className="font-normal pb-2 text-right">{t('analysis.activeTime')}</th>
+                    <th className="font-normal pb-2 text-right">{t('analysis.deathsPerFight')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {boss.phases.map((p) => (
+                    <tr key={p.phase} className="border-t border-void-bright/10">
+                      <td className="py-1.5 text-white">
+                        {p.name}
+                        {p.isIntermission && (
+                          <span className="ml-1.5 text-[10px] px-1 py-0.5 rounded bg-void-bright/20 text-void-text">
+                            {t('analysis.intermission')}
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-1.5 text-right text-blue-400">{formatDps(p.avgDps)}</td>
+                      <td className="py-1.5 text-right text-void-text">{formatDps(p.avgDtps)}</td>
+                      <td
+                        className={`py-1.5 text-right ${
+                          p.avgActiveTime < boss.avgActiveTime - 5 ? 'text-red-400' : 'text-white'
+                        }`}
+                      >
+                        {Math.round(p.avgActiveTime)}%
+                      </td>
+                      <td
+                        className={`py-1.5 text-right ${
+                          p.deathRate > 0.3 ? 'text-red-400' : 'text-green-400'
+                        }`}
+                      >
+                        {p.deathRate.toFixed(2)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           {/* Consumable bars */}
           <div className="bg-void-mid/30 rounded-xl border border-void-bright/10 p-4">
             <p className="text-xs text-void-text mb-3 font-semibold uppercase tracking-wider">
@@ -143,28 +290,86 @@ export default function BossesSection({ data }) {
               <ConsumableBar label={t('consumables.healthstone')} pct={boss.healthstoneRate} />
               <ConsumableBar label={t('consumables.combatPotion')} pct={boss.combatPotionRate} />
               <ConsumableBar label={t('consumables.flask')} pct={boss.flaskUptime} />
-              <ConsumableBar label={t('consumables.food')} pct={boss.foodRate} />
-              <ConsumableBar label={t('consumables.augmentRune')} pct={boss.augmentRate} />
+              <ConsumableBar label={t('consumables.food')} pct={boss.foodUptime} />
+              <ConsumableBar label={t('consumables.augmentRune')} pct={boss.augmentUptime} />
             </div>
           </div>
 
-          {/* DPS vs Median */}
+          {/* Kicks & dispels by enemy ability */}
+          {utility && (
+            <div className="bg-void-mid/30 rounded-xl border border-void-bright/10 p-4">
+              <p className="text-xs text-void-text mb-3 font-semibold uppercase tracking-wider">
+                {t('analysis.kickBreakdown')}
+              </p>
+              {!bossUtility?.abilities.length ? (
+                <p className="text-xs text-void-text/60">{t('analysis.noUtilityData')}</p>
+              ) : (
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-void-text/60 text-left">
+                      <th className="font-normal pb-2">{t('analysis.ability')}</th>
+                      <th className="font-normal pb-2 text-right">{t('analysis.you')}</th>
+                      <th className="font-normal pb-2 text-right">{t('analysis.raid')}</th>
+                      <th className="font-normal pb-2 text-right">{t('analysis.share')}</th>
+                      <th className="font-normal pb-2 text-right">{t('analysis.wentThrough')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {bossUtility.abilities.map((a) => (
+                      <tr
+                        key={`${a.kind}-${a.abilityId}`}
+                        className="border-t border-void-bright/10"
+                      >
+                        <td className="py-1.5 text-white">
+                          {a.ability}
+                          <span
+                            className={`ml-1.5 text-[10px] px-1 py-0.5 rounded ${
+                              a.kind === 'interrupt'
+                                ? 'bg-yellow-900/30 text-yellow-400'
+                                : 'bg-teal-900/30 text-teal-400'
+                            }`}
+                          >
+                            {t(`analysis.${a.kind}`)}
+                          </span>
+                        </td>
+                        <td className="py-1.5 text-right text-white">{a.count}</td>
+                        <td className="py-1.5 text-right text-void-text">{a.raidCount}</td>
+                        <td className="py-1.5 text-right font-bold text-void-glow">
+                          {a.sharePct}%
+                        </td>
+                        <td
+                          className={`py-1.5 text-right ${
+                            a.completed > 0 ? 'text-red-400' : 'text-void-text/60'
+                          }`}
+                        >
+                          {a.completed ?? '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          {/* DPS vs Median — or the role metric vs same-spec players when benchmarked */}
           <div className="bg-void-mid/30 rounded-xl border border-void-bright/10 p-4">
             <p className="text-xs text-void-text mb-2 font-semibold uppercase tracking-wider">
-              {t('analysis.dpsVsMedian')}
+              {boss.specBenchmark
+                ? t('analysis.vsSpecMedian', {
+                    metric: boss.specBenchmark.metric.toUpperCase(),
+                    spec: boss.specBenchmark.spec,
+                  })
+                : t('analysis.dpsVsMedian')}
             </p>
             <div className="flex items-center gap-3">
               <div className="flex-1 h-3 bg-void-surface/30 rounded-full overflow-hidden">
                 <div
                   className="h-full rounded-full transition-all"
                   style={{
-                    width: `${Math.min(boss.dpsVsMedian || 100, 150) / 1.5}%`,
+                    width: `${Math.min(bossVsMedian, 150) / 1.5}%`,
                     backgroundColor:
-                      boss.dpsVsMedian >= 100
-                        ? '#22c55e'
-                        : boss.dpsVsMedian >= 80
-                          ? '#eab308'
-                          : '#ef4444',
+                      bossVsMedian >= 100 ? '#22c55e' : bossVsMedian >= 80 ? '#eab308' : '#ef4444',
                   }}
                 />
               </div>
@@ -172,16 +377,17 @@ export default function BossesSection({ data }) {
                 className="text-sm font-bold"
                 style={{
                   color:
-                    boss.dpsVsMedian >= 100
-                      ? '#22c55e'
-                      : boss.dpsVsMedian >= 80
-                        ? '#eab308'
-                        : '#ef4444',
+                    bossVsMedian >= 100 ? '#22c55e' : bossVsMedian >= 80 ? '#eab308' : '#ef4444',
                 }}
               >
-                {Math.round(boss.dpsVsMedian || 100)}%
+                {Math.round(bossVsMedian)}%
               </span>
             </div>
+            {boss.specBenchmark && (
+              <p className="text-[10px] text-void-text/60 mt-1">
+                {t('analysis.specPeerFights', { count: boss.specBenchmark.peerFights })}
+              </p>
+            )}
           </div>
         </>
       )}
@@ -39,6 +39,12 @@ const SLOT_LABELS = {
   offHand: 'Off Hand',
 };
 
+/** Label of a spec stat cap breakpoint, by its reason */
+const STAT_CAP_KEYS = {
+  critCap: 'analysis.statNextCritCap',
+  masteryProcCap: 'analysis.statNextMasteryProcCap',
+};
+
 function getStatColor(stat, specPriority) {
   if (!specPriority) return STAT_COLORS.low;
   const rank = specPriority.indexOf(stat);
@@ -155,6 +161,42 @@ function StatDistributionSection({ statAnalysis, t }) {
           {t('analysis.specPriority', { priority: priorityText })}
         </p>
       )}
+
+      {statAnalysis.ratings && (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mt-3">
+          {(statAnalysis.specPriority || Object.keys(statAnalysis.ratings)).map((stat) => {
+            const rating = statAnalysis.ratings[stat];
+            if (!rating) return null;
+            return (
+              <div key={stat} className="p-2 rounded-lg bg-void-deep/50">
+                <p className="text-[10px] text-void-muted uppercase tracking-wider">{stat}</p>
+                <p className="text-sm font-semibold text-white">
+                  {rating.effectivePct}%{' '}
+                  <span className="text-[10px] font-normal text-void-secondary">
+                    {t('analysis.statEffective')}
+                  </span>
+                </p>
+                {rating.ratingLost > 0 && (
+                  <p className="text-[10px] text-amber-400">
+                    {t('analysis.statDrLoss', { rating: rating.ratingLost })}
+                  </p>
+                )}
+                {rating.nextBreakpoint && (
+                  <p className="text-[10px] text-void-muted">
+                    {t(
+                      STAT_CAP_KEYS[rating.nextBreakpoint.reason] || 'analysis.statNextBreakpoint',
+                      {
+                        rating: rating.nextBreakpoint.ratingUntil,
+                        pct: rating.nextBreakpoint.pct,
+                      },
+                    )}
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
     </div>
   );
 }
@@ -281,11 +323,109 @@ function GearTipsSection({ gearTips, t }) {
   );
 }
 
+/** Most valuable slots to replace and where a better item drops. */
+function UpgradePlanSection({ plan, t }) {
+  const slots = (plan?.slots || []).filter((s) => s.upgradeValue > 0).slice(0, 5);
+  if (!slots.length) return null;
+
+  return (
+    <div className="bg-void-mid/30 rounded-xl border border-void-bright/10 p-4">
+      <h3 className="text-sm font-semibold text-void-text uppercase tracking-wider mb-4">
+        <i className="fas fa-arrow-up mr-2 text-green-400" />
+        {t('analysis.upgradePlan')}
+      </h3>
+
+      <div className="space-y-3">
+        {slots.map((s) => {
+          const { raid, mplus, vault } = s.sources;
+          return (
+            <div
+              key={s.slot}
+              className="p-3 rounded-lg bg-void-deep/50 border border-void-bright/10"
+            >
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-white font-medium">
+                  {SLOT_LABELS[s.slot] || s.slot}
+                </span>
+                <span className="text-xs text-void-text/60 truncate">{s.name}</span>
+                <span className="ml-auto font-orbitron text-xs text-white">
+                  {s.itemLevel} → {s.bestItemLevel}
+                </span>
+              </div>
+              {s.statFitPct != null && (
+                <p className="text-[10px] text-void-text/60 mt-1">
+                  {t('analysis.upgradeStatFit', { pct: s.statFitPct })}
+                </p>
+              )}
+              <ul className="mt-2 space-y-1 text-xs text-void-text">
+                {raid.length > 0 && (
+                  <li>
+                    <i className="fas fa-dragon mr-1.5 text-purple-400" />
+                    {raid
+                      .slice(0, 3)
+                      .map((r) => `${r.boss} (${r.difficulty} ${r.itemLevel})`)
+                      .join(', ')}
+                  </li>
+                )}
+                {mplus.length > 0 && (
+                  <li>
+                    <i className="fas fa-key mr-1.5 text-blue-400" />
+                    {t('analysis.upgradeMplus', {
+                      level: mplus[0].keyLevel,
+                      itemLevel: mplus[0].itemLevel,
+                      dungeons: mplus.map((d) => d.dungeon).join(', '),
+                    })}
+                  </li>
+                )}
+                {(vault.mplus || vault.raid) && (
+                  <li>
+                    <i className="fas fa-vault mr-1.5 text-amber-400" />
+                    {[
+                      vault.mplus &&
+                        t('analysis.upgradeVaultMplus', {
+                          level: vault.mplus.keyLevel,
+                          itemLevel: vault.mplus.itemLevel,
+                        }),
+                      vault.raid &&
+                        t('analysis.upgradeVaultRaid', {
+                          difficulty: vault.raid.difficulty,
+                          itemLevel: vault.raid.itemLevel,
+                        }),
+                    ]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </li>
+                )}
+                {s.crestUpgrade && (
+                  <li>
+                    <i className="fas fa-coins mr-1.5 text-green-400" />
+                    {t('analysis.upgradeCrest', s.crestUpgrade)}
+                  </li>
+                )}
+              </ul>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 export default function BuildSection({ characterId, publicCharacter }) {
   const { t } = useTranslation();
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [upgradePlan, setUpgradePlan] = useState(null);
+
+  // Upgrade planner (own characters only)
+  useEffect(() => {
+    if (!characterId) return;
+    analysisAPI
+      .upgradePlan(characterId)
+      .then((r) => setUpgradePlan(r.data))
+      .catch(() => setUpgradePlan(null));
+  }, [characterId]);
 
   useEffect(() => {
     const fetchBuild = async () => {
@@ -332,6 +472,7 @@ export default function BuildSection({ characterId, publicCharacter }) {
       <StatDistributionSection statAnalysis={statAnalysis} t={t} />
       <EnchantAuditSection enchantAudit={enchantAudit} t={t} />
       <GemAuditSection gemAudit={gemAudit} t={t} />
+      <UpgradePlanSection plan={upgradePlan} t={t} />
       <GearTipsSection gearTips={gearTips} t={t} />
     </div>
   );
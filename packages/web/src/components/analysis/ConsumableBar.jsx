@@ -1,9 +1,13 @@
-export default function ConsumableBar({ label, pct }) {
+/**
+ * Labelled percentage bar. `neutral` drops the good/bad colouring for
+ * informational values, like time under buffs received from others.
+ */
+export default function ConsumableBar({ label, pct, title, neutral = false }) {
   const val = Math.round(pct || 0);
-  const color = val >= 80 ? '#22c55e' : val >= 50 ? '#eab308' : '#ef4444';
+  const color = neutral ? '#c084fc' : val >= 80 ? '#22c55e' : val >= 50 ? '#eab308' : '#ef4444';
 
   return (
-    <div>
+    <div title={title}>
       <div className="flex items-center justify-between mb-1">
         <span className="text-[10px] text-void-text truncate">{label}</span>
         <span className="text-[10px] font-bold" style={{ color }}>
@@ -14,10 +14,12 @@ import BuildSection from './BuildSection';
  *
  * Props:
  *   data - full analysis data object
- *   characterId - selected character ID (for BuildSection API call)
+ *   characterId - selected character ID (for BuildSection/BossesSection API calls)
+ *   weeks - selected look-back period
+ *   filters - analysis filters (outcome, zone, specId, from, to, visibility)
  *   onRewatch - callback to re-trigger wrapped experience
  */
-export default function ExplorerView({ data, characterId, onRewatch }) {
+export default function ExplorerView({ data, characterId, weeks, filters, onRewatch }) {
   const hasRaiderIO = !!data.raiderIO;
 
   return (
@@ -34,13 +36,15 @@ export default function ExplorerView({ data, characterId, onRewatch }) {
         {/* Left column: Performance data */}
         <div className="space-y-6">
           <OverviewSection data={data} />
-          <BossesSection data={data} />
-          {data.weeklyTrends?.length > 0 && <TrendsSection data={data} />}
+          <BossesSection data={data} characterId={characterId} weeks={weeks} filters={filters} />
+          {(data.weeklyTrends?.length > 0 || characterId) && (
+            <TrendsSection data={data} characterId={characterId} />
+          )}
         </div>
 
         {/* Right column: Coaching + Build */}
         <div className="space-y-6">
-          <RecommendationsSection data={data} />
+          <RecommendationsSection data={data} characterId={characterId} />
           <BuildSection characterId={characterId} />
           {hasRaiderIO && (
             <MythicPlusSection
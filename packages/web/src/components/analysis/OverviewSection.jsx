@@ -1,6 +1,7 @@
 import { useMemo } from 'react';
 import { useTranslation } from 'react-i18next';
 import { ResponsiveContainer, RadarChart, PolarGrid, PolarAngleAxis, Radar } from 'recharts';
+import { HEALER_THRESHOLDS, TANK_THRESHOLDS, getActiveMitigation } from '@stillnoob/shared';
 import ScoreBadge from './ScoreBadge';
 import StatCard from './StatCard';
 import ConsumableBar from './ConsumableBar';
@@ -51,6 +52,14 @@ export default function OverviewSection({ data }) {
     ];
   }, [summary, score, t]);
 
+  // Same-spec comparison when there are enough peers, else DPS vs raid median
+  const benchmark = summary?.specBenchmark?.vsSpecPct != null ? summary.specBenchmark : null;
+  const vsMedianPct = benchmark ? benchmark.vsSpecPct : summary?.dpsVsMedianPct || 100;
+
+  // Tank model targets come from the spec's active-mitigation buff
+  const activeMitigation = getActiveMitigation(summary?.specBenchmark?.spec);
+  const formatPct = (val) => (val != null ? `${Math.round(val)}%` : '—');
+
   const topTips = (recommendations?.primaryTips || [])
     .filter((r) => r.severity !== 'positive')
     .slice(0, 3);
@@ -79,9 +88,16 @@ export default function OverviewSection({ data }) {
           color={summary.consumableScore >= 70 ? 'text-green-400' : 'text-yellow-400'}
         />
         <StatCard
-          label={t('analysis.vsMedian')}
-          value={`${Math.round(summary.dpsVsMedianPct || 100)}%`}
-          color={summary.dpsVsMedianPct >= 100 ? 'text-green-400' : 'text-red-400'}
+          label={
+            benchmark
+              ? t('analysis.vsSpecMedian', {
+                  metric: benchmark.metric.toUpperCase(),
+                  spec: benchmark.spec,
+                })
+              : t('analysis.vsMedian')
+          }
+          value={`${Math.round(vsMedianPct)}%`}
+          color={vsMedianPct >= 100 ? 'text-green-400' : 'text-red-400'}
         />
         <StatCard
           label={t('analysis.activeTime')}
@@ -114,6 +130,95 @@ export default function OverviewSection({ data }) {
         />
       </div>
 
+      {/* Healer model — only for fights played as a healer */}
+      {summary.healerFights > 0 && (
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+          <StatCard
+            label={t('analysis.avgHps')}
+            value={formatDps(summary.avgHps || 0)}
+            color="text-green-400"
+          />
+          <StatCard
+            label={t('analysis.overheal')}
+            value={summary.avgOverhealPct != null ? `${Math.round(summary.avgOverhealPct)}%` : '—'}
+            color={
+              summary.avgOverhealPct >= HEALER_THRESHOLDS.overhealPct[0]
+                ? 'text-yellow-400'
+                : 'text-green-400'
+            }
+          />
+          <StatCard
+            label={t('analysis.absorbsPerFight')}
+            value={formatDps(summary.avgAbsorbs || 0)}
+            color="text-blue-400"
+          />
+          <StatCard
+            label={t('analysis.manaLeftOnKills')}
+            value={
+              summary.manaLeftOnKillsPct != null
+                ? `${Math.round(summary.manaLeftOnKillsPct)}%`
+                : '—'
+            }
+            color={
+              summary.manaLeftOnKillsPct >= HEALER_THRESHOLDS.manaLeftOnKillPct[0]
+                ? 'text-yellow-400'
+                : 'text-green-400'
+            }
+          />
+          <StatCard
+            label={t('analysis.healingShare')}
+            value={
+              summary.healingShareVsEvenPct != null
+                ? `${Math.round(summary.healingShareVsEvenPct)}%`
+                : '—'
+            }
+            color={summary.healingShareVsEvenPct >= 90 ? 'text-green-400' : 'text-yellow-400'}
+          />
+        </div>
+      )}
+
+      {/* Tank model — only for fights played as a tank */}
+      {summary.tankFights > 0 && (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+          <StatCard
+            label={
+              activeMitigation
+                ? t('analysis.amUptimeOf', { ability: activeMitigation.name })
+                : t('analysis.amUptime')
+            }
+            value={formatPct(summary.avgAmUptimePct)}
+            color={
+              activeMitigation && summary.avgAmUptimePct < activeMitigation.uptimeTargetPct
+                ? 'text-yellow-400'
+                : 'text-green-400'
+            }
+          />
+          <StatCard
+            label={t('analysis.unmitigatedDamage')}
+            value={formatPct(summary.avgUnmitigatedDamagePct)}
+            color={
+              summary.avgUnmitigatedDamagePct >= TANK_THRESHOLDS.unmitigatedDamagePct[0]
+                ? 'text-yellow-400'
+                : 'text-green-400'
+            }
+          />
+          <StatCard
+            label={t('analysis.selfHealing')}
+            value={formatPct(summary.avgSelfHealingPct)}
+            color="text-blue-400"
+          />
+          <StatCard
+            label={t('analysis.lowHealthTime', { pct: TANK_THRESHOLDS.lowHealthPct })}
+            value={formatPct(summary.avgLowHealthPct)}
+            color={
+              summary.avgLowHealthPct >= TANK_THRESHOLDS.lowHealthTimePct[0]
+                ? 'text-yellow-400'
+                : 'text-green-400'
+            }
+          />
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
         {/* Radar chart */}
         <div className="bg-void-mid/30 rounded-xl border border-void-bright/10 p-4">
@@ -171,9 +276,38 @@ export default function OverviewSection({ data }) {
         <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
           <ConsumableBar label={t('consumables.healthstone')} pct={summary.healthstoneRate} />
           <ConsumableBar label={t('consumables.combatPotion')} pct={summary.combatPotionRate} />
-          <ConsumableBar label={t('consumables.flask')} pct={summary.avgFlaskUptime} />
-          <ConsumableBar label={t('consumables.food')} pct={summary.foodRate} />
-          <ConsumableBar label={t('consumables.augmentRune')} pct={summary.augmentRate} />
+          <ConsumableBar
+            label={t('consumables.flask')}
+            pct={summary.avgFlaskUptime}
+            title={t('consumables.uptimeHint')}
+          />
+          <ConsumableBar
+            label={t('consumables.food')}
+            pct={summary.avgFoodUptime}
+            title={t('consumables.uptimeHint')}
+          />
+          <ConsumableBar
+            label={t('consumables.augmentRune')}
+            pct={summary.avgAugmentUptime}
+            title={t('consumables.uptimeHint')}
+          />
+        </div>
+        <p className="text-[10px] text-void-text/60 mt-4 mb-2 uppercase tracking-wider">
+          {t('consumables.buffsReceived')}
+        </p>
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+          <ConsumableBar
+            label={t('consumables.bloodlust')}
+            pct={summary.avgBloodlustUptime}
+            title={t('consumables.uptimeHint')}
+            neutral
+          />
+          <ConsumableBar
+            label={t('consumables.powerInfusion')}
+            pct={summary.avgPowerInfusionUptime}
+            title={t('consumables.uptimeHint')}
+            neutral
+          />
         </div>
       </div>
     </div>
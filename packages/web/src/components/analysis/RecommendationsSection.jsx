@@ -1,28 +1,88 @@
 import { useMemo, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { SEVERITY_STYLES, CATEGORY_STYLES, TIP_LIMITS } from '@stillnoob/shared';
+import { analysisAPI } from '../../services/api';
 
-function TipCard({ tip, t }) {
+const TIP_ACTION_BUTTONS = [
+  { action: 'acknowledge', icon: 'fa-check', label: 'analysis.tipAcknowledge' },
+  { action: 'snooze', icon: 'fa-clock', label: 'analysis.tipSnooze' },
+  { action: 'dismiss', icon: 'fa-times', label: 'analysis.tipDismiss' },
+];
+
+function TipCard({ tip, t, onAction }) {
   const sevStyle = SEVERITY_STYLES[tip.severity] || SEVERITY_STYLES.info;
+  const acknowledged = tip.status === 'acknowledged';
   return (
     <div
-      className={`flex items-start gap-3 p-3 rounded-lg border ${sevStyle.bg} ${sevStyle.border}`}
+      className={`flex items-start gap-3 p-3 rounded-lg border ${sevStyle.bg} ${sevStyle.border} ${
+        acknowledged ? 'opacity-60' : ''
+      }`}
     >
       <i className={`fas ${sevStyle.icon} ${sevStyle.color} mt-0.5`} />
       <div className="flex-1">
         <p className="text-sm text-white">{t(`rec.${tip.key}`, tip.data)}</p>
+        {tip.firstSeenAt && (
+          <p className="text-[10px] text-void-text/60 mt-1">
+            {t('analysis.tipSeenSince', { date: new Date(tip.firstSeenAt).toLocaleDateString() })}
+            {acknowledged && ` · ${t('analysis.tipAcknowledged')}`}
+          </p>
+        )}
+      </div>
+      <div className="flex flex-col items-end gap-1">
+        <span className={`text-[10px] px-1.5 py-0.5 rounded font-semibold ${sevStyle.color}`}>
+          {t(`severity.${tip.severity}`)}
+        </span>
+        {onAction && tip.id && (
+          <div className="flex gap-1">
+            {TIP_ACTION_BUTTONS.filter((b) => !(acknowledged && b.action === 'acknowledge')).map(
+              (b) => (
+                <button
+                  key={b.action}
+                  onClick={() => onAction(tip, b.action)}
+                  title={t(b.label)}
+                  className="text-[10px] text-void-text/50 hover:text-white transition-colors px-1"
+                >
+                  <i className={`fas ${b.icon}`} />
+                </button>
+              ),
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** Tips that stopped firing in a later week — progress worth celebrating. */
+function FixedTips({ tips, t }) {
+  return (
+    <div className="bg-green-500/5 rounded-xl border border-green-500/20 p-4">
+      <div className="flex items-center gap-2 mb-3">
+        <i className="fas fa-trophy text-green-400" />
+        <h3 className="text-sm font-semibold uppercase tracking-wider text-green-400">
+          {t('analysis.fixedSinceLastWeek')}
+        </h3>
+      </div>
+      <div className="space-y-2">
+        {tips.map((tip) => (
+          <div key={tip.id} className="flex items-start gap-3">
+            <i className="fas fa-check-circle text-green-400 mt-0.5" />
+            <p className="text-sm text-void-text line-through decoration-green-400/40">
+              {t(`rec.${tip.key}`, tip.data)}
+            </p>
+          </div>
+        ))}
       </div>
-      <span className={`text-[10px] px-1.5 py-0.5 rounded font-semibold ${sevStyle.color}`}>
-        {t(`severity.${tip.severity}`)}
-      </span>
     </div>
   );
 }
 
-export default function RecommendationsSection({ data }) {
+export default function RecommendationsSection({ data, characterId }) {
   const { t } = useTranslation();
   const { recommendations, buildAnalysis } = data;
   const [showMore, setShowMore] = useState(false);
+  // Tip actions taken this session, applied on top of the loaded analysis
+  const [actions, setActions] = useState({});
 
   const gearTips = buildAnalysis?.gearTips || [];
   const playerLevel = recommendations?.playerLevel || 'beginner';
@@ -32,13 +92,27 @@ export default function RecommendationsSection({ data }) {
   const { primaryTips, secondaryTips } = useMemo(() => {
     const perfPrimary = recommendations?.primaryTips || [];
     const perfSecondary = recommendations?.secondaryTips || [];
-    const merged = [...perfPrimary, ...perfSecondary, ...gearTips];
+    const merged = [...perfPrimary, ...perfSecondary, ...gearTips]
+      .filter((tip) => !['dismiss', 'snooze'].includes(actions[tip.id]))
+      .map((tip) => (actions[tip.id] === 'acknowledge' ? { ...tip, status: 'acknowledged' } : tip));
     merged.sort((a, b) => a.priority - b.priority);
     return {
       primaryTips: merged.slice(0, limit),
       secondaryTips: merged.slice(limit),
     };
-  }, [recommendations, gearTips, limit]);
+  }, [recommendations, gearTips, limit, actions]);
+
+  const resolvedTips = recommendations?.resolvedTips || [];
+
+  const handleAction = (tip, action) => {
+    setActions((prev) => ({ ...prev, [tip.id]: action }));
+    analysisAPI.updateRecommendation(characterId, tip.id, action).catch(() =>
+      setActions((prev) => {
+        const { [tip.id]: _undone, ...rest } = prev;
+        return rest;
+      }),
+    );
+  };
 
   const allTips = useMemo(
     () => (showMore ? [...primaryTips, ...secondaryTips] : primaryTips),
@@ -54,12 +128,14 @@ export default function RecommendationsSection({ data }) {
     return groups;
   }, [allTips]);
 
-  if (primaryTips.length === 0) {
+  if (primaryTips.length === 0 && resolvedTips.length === 0) {
     return <p className="text-center py-10 text-void-text/60">{t('common.noData')}</p>;
   }
 
   return (
     <div className="space-y-6 animate-fade-in">
+      {resolvedTips.length > 0 && <FixedTips tips={resolvedTips} t={t} />}
+
       {Object.entries(grouped).map(([category, tips]) => {
         const catStyle = CATEGORY_STYLES[category] || {};
         return (
@@ -80,7 +156,12 @@ export default function RecommendationsSection({ data }) {
 
             <div className="space-y-2">
               {tips.map((tip, i) => (
-                <TipCard key={i} tip={tip} t={t} />
+                <TipCard
+                  key={tip.id || i}
+                  tip={tip}
+                  t={t}
+                  onAction={characterId ? handleAction : null}
+                />
               ))}
             </div>
           </div>
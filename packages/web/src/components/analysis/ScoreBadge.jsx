@@ -1,5 +1,5 @@
 import { useTranslation } from 'react-i18next';
-import { SCORE_WEIGHTS } from '@stillnoob/shared';
+import { SCORE_FORMULAS, SCORE_WEIGHTS } from '@stillnoob/shared';
 
 const BREAKDOWN_KEYS = ['performance', 'survival', 'preparation', 'utility', 'consistency'];
 const BREAKDOWN_COLORS = {
@@ -15,7 +15,9 @@ export default function ScoreBadge({ score }) {
 
   if (!score || !score.tier) return null;
 
-  const { total, tier, breakdown } = score;
+  const { total, tier, breakdown, version } = score;
+  // Weights of the formula version the score was computed with
+  const weights = SCORE_FORMULAS[version]?.weights || SCORE_WEIGHTS;
   const circumference = 2 * Math.PI * 54;
   const dashOffset = circumference - (total / 100) * circumference;
 
@@ -66,13 +68,18 @@ export default function ScoreBadge({ score }) {
             >
               {t('analysis.stillnoobScore')}
             </span>
+            {version != null && (
+              <span className="text-[9px] text-void-muted" title={t('analysis.scoreVersionHint')}>
+                {t('analysis.scoreVersion', { version })}
+              </span>
+            )}
           </div>
 
           {/* Breakdown bars */}
           <div className="space-y-2">
             {BREAKDOWN_KEYS.map((key) => {
               const value = breakdown?.[key] || 0;
-              const weight = Math.round(SCORE_WEIGHTS[key] * 100);
+              const weight = Math.round(weights[key] * 100);
               const color = BREAKDOWN_COLORS[key];
               return (
                 <div key={key} className="flex items-center gap-2">
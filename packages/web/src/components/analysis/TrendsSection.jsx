@@ -1,4 +1,4 @@
-import { useMemo } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import {
   ResponsiveContainer,
@@ -12,15 +12,107 @@ import {
   Area,
   Bar,
   Line,
+  Legend,
 } from 'recharts';
+import { analysisAPI } from '../../services/api';
+
+const PILLAR_COLORS = {
+  performance: '#60a5fa',
+  survival: '#22c55e',
+  preparation: '#c084fc',
+  utility: '#f6c843',
+  consistency: '#ff9f1c',
+};
 
 function formatDps(val) {
   return val >= 1000 ? `${(val / 1000).toFixed(1)}K` : Math.round(val);
 }
 
-export default function TrendsSection({ data }) {
+/** Weekly StillNoob Score snapshots: the total plus its five pillars. */
+function ScoreHistoryChart({ history }) {
+  const { t } = useTranslation();
+  const chartData = history.snapshots.map((s) => ({
+    week: s.weekStart.substring(5),
+    total: s.total,
+    ...s.breakdown,
+  }));
+  const { trend } = history;
+
+  return (
+    <div className="bg-void-mid/30 rounded-xl border border-void-bright/10 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-xs text-void-text font-semibold uppercase tracking-wider">
+          {t('analysis.scoreTrend')}
+        </p>
+        {trend && (
+          <span
+            className={`text-xs font-bold ${
+              trend.direction === 'up'
+                ? 'text-green-400'
+                : trend.direction === 'down'
+                  ? 'text-red-400'
+                  : 'text-void-text'
+            }`}
+          >
+            {trend.direction === 'up' ? '+' : ''}
+            {trend.change} pts
+          </span>
+        )}
+      </div>
+      <ResponsiveContainer width="100%" height={200}>
+        <LineChart data={chartData}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#1a0f2e33" />
+          <XAxis dataKey="week" tick={{ fill: '#9ca3af', fontSize: 10 }} />
+          <YAxis tick={{ fill: '#9ca3af', fontSize: 10 }} domain={[0, 100]} />
+          <Tooltip
+            contentStyle={{
+              backgroundColor: '#12091f',
+              border: '1px solid #1a0f2e',
+              borderRadius: 8,
+              fontSize: 12,
+            }}
+          />
+          <Legend wrapperStyle={{ fontSize: 10 }} />
+          <Line
+            type="monotone"
+            dataKey="total"
+            name={t('analysis.stillnoobScore')}
+            stroke="#ffffff"
+            strokeWidth={2}
+            dot={{ fill: '#ffffff', r: 3 }}
+          />
+          {Object.entries(PILLAR_COLORS).map(([pillar, color]) => (
+            <Line
+              key={pillar}
+              type="monotone"
+              dataKey={pillar}
+              name={t(`analysis.score${pillar.charAt(0).toUpperCase() + pillar.slice(1)}`)}
+              stroke={color}
+              strokeWidth={1}
+              strokeDasharray="4 3"
+              dot={false}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+export default function TrendsSection({ data, characterId }) {
   const { t } = useTranslation();
   const { weeklyTrends } = data;
+  const [scoreHistory, setScoreHistory] = useState(null);
+
+  // Weekly StillNoob Score snapshots (own characters only)
+  useEffect(() => {
+    if (!characterId) return;
+    analysisAPI
+      .scoreHistory(characterId)
+      .then((r) => setScoreHistory(r.data))
+      .catch(() => setScoreHistory(null));
+  }, [characterId]);
+  const hasScoreHistory = scoreHistory?.snapshots?.length > 0;
 
   const chartData = useMemo(() => {
     if (!weeklyTrends) return [];
@@ -34,11 +126,19 @@ export default function TrendsSection({ data }) {
   }, [weeklyTrends]);
 
   if (!chartData.length) {
-    return <p className="text-center py-10 text-void-text/60">{t('common.noData')}</p>;
+    return hasScoreHistory ? (
+      <div className="animate-fade-in">
+        <ScoreHistoryChart history={scoreHistory} />
+      </div>
+    ) : (
+      <p className="text-center py-10 text-void-text/60">{t('common.noData')}</p>
+    );
   }
 
   return (
     <div className="space-y-6 animate-fade-in">
+      {hasScoreHistory && <ScoreHistoryChart history={scoreHistory} />}
+
       {/* DPS trend */}
       <div className="bg-void-mid/30 rounded-xl border border-void-bright/10 p-4">
         <p className="text-xs text-void-text mb-3 font-semibold uppercase tracking-wider">
@@ -31,6 +31,9 @@ export default function BuildInsightsTeaser({ buildAnalysis, mplusAnalysis }) {
 
   if (insightCount === 0) return null;
 
+  const trinketAnalysis = buildAnalysis?.trinketAnalysis;
+  const trinketAlternatives = trinketAnalysis?.rare ? trinketAnalysis.alternatives : [];
+
   return (
     <div className="bg-void-mid/50 rounded-2xl border border-void-bright/10 p-5 animate-fade-in">
       <h2 className="text-sm font-semibold text-void-text uppercase tracking-wider mb-4">
@@ -60,6 +63,24 @@ export default function BuildInsightsTeaser({ buildAnalysis, mplusAnalysis }) {
         </div>
       )}
 
+      {/* Popular trinket pairs when the equipped pair is rare among top players */}
+      {trinketAlternatives.length > 0 && (
+        <div className="mb-4 p-3 rounded-lg bg-void-deep/50">
+          <p className="text-xs text-void-secondary mb-2">
+            <i className="fas fa-gem mr-1.5 text-amber-400" />
+            {t('public.rareTrinketPair')}
+          </p>
+          <ul className="space-y-1">
+            {trinketAlternatives.map((pair) => (
+              <li key={pair.trinkets.join('+')} className="flex justify-between gap-2 text-xs">
+                <span className="text-void-text truncate">{pair.trinkets.join(' + ')}</span>
+                <span className="text-void-muted shrink-0">{pair.pct}%</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Lock CTA */}
       <Link
         to={user ? '/dashboard' : '/register'}
@@ -92,7 +92,10 @@ function formatTipMessage(tip) {
     low_interrupts: `Averaging ${data?.avg?.toFixed(1) || '?'} interrupts. Help your group.`,
     low_parse: `Your average parse is ${Math.round(data?.pct || 0)}. Check your rotation.`,
     boss_death_spike: `High death rate on ${data?.boss || 'a boss'} (${data?.rate?.toFixed(2) || '?'}/fight). Study the mechanics.`,
+    boss_avoidable_damage: `You take ${data?.pct || '?'}% of the raid's avoidable damage on ${data?.boss || 'a boss'}, mostly ${data?.ability || 'one mechanic'}.`,
+    boss_death_cause: `${data?.deaths || '?'} of your ${data?.totalDeaths || '?'} deaths on ${data?.boss || 'a boss'} were to ${data?.ability || 'one ability'}. Plan a defensive for it.`,
     boss_weakest_dps: `${data?.weakBoss || 'A boss'} is your weakest fight — ${Math.round(data?.gap || 0)}% behind your best.`,
+    cooldown_underused: `You used ${data?.ability || 'a major cooldown'} ${data?.casts ?? '?'} times in a ${data?.minutes || '?'}-minute fight — ${data?.possible || '?'} were possible.`,
     spec_cpm_context: `Your CPM is ${data?.cpm?.toFixed(1) || '?'} (expected ~${data?.expected || '?'}). ${data?.context || ''}`,
     spec_deaths_context: `You're dying ${data?.rate?.toFixed(2) || '?'} times/fight. ${data?.defensiveCd || 'Use defensives proactively.'}`,
     defensive_gap: `Death rate ${data?.deathRate?.toFixed(2) || '?'} but healthstone usage only ${Math.round(data?.healthstoneRate || 0)}%.`,
@@ -7,6 +7,21 @@ import { shouldShowWrapped } from '../components/wrapped/shared/wrappedUtils';
 import ExplorerView from '../components/analysis/ExplorerView';
 
 const PERIODS = [4, 8, 12, 52];
+const OUTCOMES = [
+  { value: 'all', label: 'analysis.filterAll' },
+  { value: 'kills', label: 'analysis.filterKills' },
+  { value: 'wipes', label: 'analysis.filterWipes' },
+];
+const VISIBILITIES = [
+  { value: '', label: 'analysis.filterAllReports' },
+  { value: 'public', label: 'analysis.filterPublicReports' },
+  { value: 'private', label: 'analysis.filterPrivateReports' },
+  { value: 'guild', label: 'analysis.filterGuildReports' },
+];
+const NO_FILTERS = { outcome: 'all', zone: '', specId: '', from: '', to: '', visibility: '' };
+
+const FILTER_INPUT_CLASS =
+  'px-2 py-1 bg-void-deep border border-void-bright/20 rounded-lg text-xs text-white focus:outline-none';
 
 export default function Analysis() {
   const { t } = useTranslation();
@@ -14,6 +29,8 @@ export default function Analysis() {
   const [characters, setCharacters] = useState([]);
   const [selectedCharId, setSelectedCharId] = useState(characterId ? parseInt(characterId) : null);
   const [weeks, setWeeks] = useState(8);
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [filterOptions, setFilterOptions] = useState(null);
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [viewMode, setViewMode] = useState(null); // 'wrapped' | 'explorer'
@@ -35,9 +52,10 @@ export default function Analysis() {
     setLoading(true);
     setViewMode(null);
     analysisAPI
-      .character(selectedCharId, weeks)
+      .character(selectedCharId, weeks, filters)
       .then((r) => {
         setData(r.data);
+        if (r.data?.filterOptions) setFilterOptions(r.data.filterOptions);
         // Determine view mode based on wrapped state
         if (r.data?.summary?.totalFights > 0) {
           const show = shouldShowWrapped(selectedCharId, r.data);
@@ -46,7 +64,21 @@ export default function Analysis() {
       })
       .catch(() => setData(null))
       .finally(() => setLoading(false));
-  }, [selectedCharId, weeks]);
+  }, [selectedCharId, weeks, filters]);
+
+  const hasFilters = useMemo(
+    () => Object.keys(NO_FILTERS).some((key) => filters[key] !== NO_FILTERS[key]),
+    [filters],
+  );
+
+  const updateFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  // Zones and specs differ per character, so filters don't carry over
+  const selectCharacter = (id) => {
+    setSelectedCharId(id);
+    setFilters(NO_FILTERS);
+    setFilterOptions(null);
+  };
 
   const handleWrappedComplete = useCallback(() => {
     setViewMode('explorer');
@@ -79,7 +111,7 @@ export default function Analysis() {
           {characters.length > 1 && (
             <select
               value={selectedCharId || ''}
-              onChange={(e) => setSelectedCharId(parseInt(e.target.value))}
+              onChange={(e) => selectCharacter(parseInt(e.target.value))}
               className="px-3 py-1.5 bg-void-deep border border-void-bright/20 rounded-lg text-sm text-white focus:outline-none"
             >
               {characters.map((c) => (
@@ -107,6 +139,101 @@ export default function Analysis() {
         </div>
       </div>
 
+      {/* Filters — outcome, zone, spec, report visibility and explicit dates */}
+      {selectedCharId && (
+        <div className="flex items-center flex-wrap gap-2">
+          <div className="flex bg-void-deep rounded-lg border border-void-bright/20 overflow-hidden">
+            {OUTCOMES.map((o) => (
+              <button
+                key={o.value}
+                onClick={() => updateFilter('outcome', o.value)}
+                className={`px-3 py-1 text-xs font-semibold transition-colors ${
+                  filters.outcome === o.value
+                    ? 'bg-void-bright text-white'
+                    : 'text-void-text hover:text-white'
+                }`}
+              >
+                {t(o.label)}
+              </button>
+            ))}
+          </div>
+
+          {filterOptions?.zones?.length > 1 && (
+            <select
+              value={filters.zone}
+              onChange={(e) => updateFilter('zone', e.target.value)}
+              className={FILTER_INPUT_CLASS}
+            >
+              <option value="">{t('analysis.filterAllZones')}</option>
+              {filterOptions.zones.map((zone) => (
+                <option key={zone} value={zone}>
+                  {zone}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {filterOptions?.specs?.length > 1 && (
+            <select
+              value={filters.specId}
+              onChange={(e) => updateFilter('specId', e.target.value)}
+              className={FILTER_INPUT_CLASS}
+            >
+              <option value="">{t('analysis.filterAllSpecs')}</option>
+              {filterOptions.specs.map((s) => (
+                <option key={s.specId} value={s.specId}>
+                  {s.spec}
+                </option>
+              ))}
+            </select>
+          )}
+
+          <select
+            value={filters.visibility}
+            onChange={(e) => updateFilter('visibility', e.target.value)}
+            className={FILTER_INPUT_CLASS}
+          >
+            {VISIBILITIES.map((v) => (
+              <option key={v.value} value={v.value}>
+                {t(v.label)}
+              </option>
+            ))}
+          </select>
+
+          {/* Explicit dates override the period selector */}
+          <label className="flex items-center gap-1 text-xs text-void-text">
+            {t('analysis.filterFrom')}
+            <input
+              type="date"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              className={FILTER_INPUT_CLASS}
+            />
+          </label>
+          <label className="flex items-center gap-1 text-xs text-void-text">
+            {t('analysis.filterTo')}
+            <input
+              type="date"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              className={FILTER_INPUT_CLASS}
+            />
+          </label>
+
+          {hasFilters && (
+            <button
+              onClick={() => setFilters(NO_FILTERS)}
+              className="px-2 py-1 text-xs text-void-text hover:text-white transition-colors"
+            >
+              <i className="fas fa-times mr-1" />
+              {t('analysis.filterReset')}
+            </button>
+          )}
+        </div>
+      )}
+
       {/* No character selected */}
       {!selectedCharId && (
         <div className="text-center py-20 text-void-text/60">
@@ -135,6 +262,8 @@ export default function Analysis() {
         <ExplorerView
           data={data}
           characterId={selectedCharId}
+          weeks={weeks}
+          filters={filters}
           onRewatch={handleRewatch}
         />
       )}
@@ -5,6 +5,9 @@ import { useAuth } from '../context/AuthContext';
 import { charactersAPI, reportsAPI, authAPI } from '../services/api';
 import { CLASS_COLORS } from '@stillnoob/shared';
 import api from '../services/api';
+import GoalsPanel from '../components/GoalsPanel';
+
+const IMPORT_POLL_INTERVAL_MS = 2000;
 
 export default function Dashboard() {
   const { t } = useTranslation();
@@ -15,6 +18,7 @@ export default function Dashboard() {
   const [importUrl, setImportUrl] = useState('');
   const [importing, setImporting] = useState(false);
   const [importResult, setImportResult] = useState(null);
+  const [importJob, setImportJob] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -24,6 +28,49 @@ export default function Dashboard() {
     ]).finally(() => setLoading(false));
   }, []);
 
+  // Poll the background import job until it completes or fails
+  useEffect(() => {
+    if (!importJob || !['queued', 'running'].includes(importJob.status)) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        const { data: job } = await reportsAPI.job(importJob.id);
+        if (job.status === 'completed') {
+          setImportJob(null);
+          setImporting(false);
+          setImportResult({ success: true, job });
+          // Refresh reports list
+          const { data: updated } = await reportsAPI.list();
+          setReports(updated);
+        } else if (job.status === 'failed') {
+          setImportJob(null);
+          setImporting(false);
+          setImportResult({ success: false, error: job.errors[0]?.message || t('common.error') });
+        } else {
+          setImportJob(job);
+        }
+      } catch (err) {
+        setImportJob(null);
+        setImporting(false);
+        setImportResult({ success: false, error: err.response?.data?.error || t('common.error') });
+      }
+    }, IMPORT_POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [importJob, t]);
+
+  const handleRefresh = async (code) => {
+    setImporting(true);
+    setImportResult(null);
+    try {
+      const { data } = await reportsAPI.refresh(code);
+      setImportJob(data.job);
+    } catch (err) {
+      setImportResult({ success: false, error: err.response?.data?.error || t('common.error') });
+      setImporting(false);
+    }
+  };
+
   const handleImport = async (e) => {
     e.preventDefault();
     if (!importUrl.trim()) return;
@@ -31,14 +78,10 @@ export default function Dashboard() {
     setImportResult(null);
     try {
       const { data } = await reportsAPI.import(importUrl.trim());
-      setImportResult({ success: true, data });
+      setImportJob(data.job);
       setImportUrl('');
-      // Refresh reports list
-      const { data: updated } = await reportsAPI.list();
-      setReports(updated);
     } catch (err) {
       setImportResult({ success: false, error: err.response?.data?.error || t('common.error') });
-    } finally {
       setImporting(false);
     }
   };
@@ -85,6 +128,18 @@ export default function Dashboard() {
             </button>
           </form>
 
+          {importJob && (
+            <div className="mt-3 p-3 rounded-lg text-sm bg-void-deep border border-void-bright/20 text-void-text">
+              <i className="fas fa-spinner fa-spin mr-2 text-void-accent" />
+              {importJob.status === 'queued'
+                ? t('reports.queued')
+                : t('reports.importProgress', {
+                    processed: importJob.progress.fightsProcessed,
+                    total: importJob.progress.fightsTotal,
+                  })}
+            </div>
+          )}
+
           {importResult && (
             <div
               className={`mt-3 p-3 rounded-lg text-sm ${
@@ -94,7 +149,7 @@ export default function Dashboard() {
               }`}
             >
               {importResult.success
-                ? `${t('reports.processed')} — ${t('reports.fights', { count: importResult.data.stats.fightsProcessed })}`
+                ? `${t('reports.processed')} — ${t('reports.fights', { count: importResult.job.progress.fightsTotal })}`
                 : importResult.error}
             </div>
           )}
@@ -138,6 +193,9 @@ export default function Dashboard() {
         </div>
       </div>
 
+      {/* Personal Goals */}
+      {characters.length > 0 && <GoalsPanel characters={characters} />}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Recent Reports */}
         <div className="bg-void-mid/50 border border-void-bright/15 rounded-2xl p-5">
@@ -172,6 +230,14 @@ export default function Dashboard() {
                   >
                     {t(`reports.${report.importSource || 'manual'}`)}
                   </span>
+                  <button
+                    onClick={() => handleRefresh(report.wclCode)}
+                    disabled={importing}
+                    title={t('reports.refresh')}
+                    className="text-void-text/40 hover:text-void-accent transition-colors disabled:opacity-50"
+                  >
+                    <i className="fas fa-sync-alt" />
+                  </button>
                 </div>
               ))}
             </div>
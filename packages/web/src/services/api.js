@@ -104,6 +104,17 @@ api.interceptors.response.use(
   },
 );
 
+/**
+ * Query params for the analysis filters (outcome, zone, from, to, visibility, specId),
+ * leaving out the ones that are unset.
+ */
+const filterParams = (weeks, filters = {}) => ({
+  weeks,
+  ...Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value !== '' && value != null && value !== 'all'),
+  ),
+});
+
 // API modules
 export const authAPI = {
   register: (data) => api.post('/auth/register', data),
@@ -123,19 +134,42 @@ export const reportsAPI = {
   import: (url) => api.post('/reports/import', { url }),
   list: () => api.get('/reports'),
   get: (code) => api.get(`/reports/${code}`),
+  refresh: (code, recompute = false) => api.post(`/reports/${code}/refresh`, { recompute }),
+  job: (id) => api.get(`/reports/jobs/${id}`),
 };
 
 export const analysisAPI = {
   overview: (weeks = 8) => api.get(`/analysis/overview?weeks=${weeks}`),
-  character: (id, weeks = 8) => api.get(`/analysis/character/${id}?weeks=${weeks}`),
+  character: (id, weeks = 8, filters) =>
+    api.get(`/analysis/character/${id}`, { params: filterParams(weeks, filters) }),
   mplusHistory: (id, weeks = 12) =>
     api.get(`/analysis/character/${id}/mplus-history?weeks=${weeks}`),
+  updateRecommendation: (id, tipId, action, days) =>
+    api.put(`/analysis/character/${id}/recommendations/${encodeURIComponent(tipId)}`, {
+      action,
+      days,
+    }),
+  scoreHistory: (id, weeks = 26) =>
+    api.get(`/analysis/character/${id}/score-history?weeks=${weeks}`),
+  dungeonRuns: (id, weeks = 8) => api.get(`/analysis/character/${id}/dungeon-runs?weeks=${weeks}`),
+  utility: (id, weeks = 8, filters) =>
+    api.get(`/analysis/character/${id}/utility`, { params: filterParams(weeks, filters) }),
+  progression: (id, weeks = 8, filters) =>
+    api.get(`/analysis/character/${id}/progression`, { params: filterParams(weeks, filters) }),
   build: (id) => api.get(`/analysis/character/${id}/build`),
+  upgradePlan: (id) => api.get(`/analysis/character/${id}/upgrade-plan`),
+  goals: (id) => api.get(`/analysis/character/${id}/goals`),
+  createGoal: (id, goal) => api.post(`/analysis/character/${id}/goals`, goal),
+  updateGoal: (id, goalId, changes) =>
+    api.put(`/analysis/character/${id}/goals/${goalId}`, changes),
+  deleteGoal: (id, goalId) => api.delete(`/analysis/character/${id}/goals/${goalId}`),
 };
 
 export const publicAPI = {
-  character: (region, realm, name, weeks = 8) =>
-    api.get(`/public/character/${region}/${realm}/${name}?weeks=${weeks}`),
+  character: (region, realm, name, weeks = 8, filters) =>
+    api.get(`/public/character/${region}/${realm}/${name}`, {
+      params: filterParams(weeks, filters),
+    }),
   mplusHistory: (region, realm, name, weeks = 12) =>
     api.get(`/public/character/${region}/${realm}/${name}/mplus-history?weeks=${weeks}`),
   build: (region, realm, name) => api.get(`/public/character/${region}/${realm}/${name}/build`),